@@ -0,0 +1,66 @@
+// The service worker that lets SimpliHealth open without a connection (registered by `@/components/ServiceWorkerRegistration`)
+// -> the app shell is cached when the worker installs: the page, the logos and icons from public/,
+//    and every script, style and font (src/app/fonts, preloaded by next/font) the page names
+// -> files under /_next/static come from the cache first, they never change under the same name
+// -> pages and everything else come from the network first, and from the cache when offline
+// -> /api is never cached: answers are health data and have to be fresh, messages typed offline are queued by the page
+// Bump VERSION to drop everything an older worker cached
+
+const VERSION = 'v1'
+const CACHE = `simplihealth-${VERSION}`
+
+const SHELL = ['/', '/textLogo.png', '/logoWhite.png', '/logo.png', '/favicon.ico', '/manifest.webmanifest', '/pwa-icon/192', '/pwa-icon/512']
+
+// "/_next/static/media/abc.woff" and the like, also where the page's inline scripts escape them
+const STATIC_ASSET = /\/_next\/static\/[^"'\s)\\]+/g
+
+async function cacheShell() {
+  const cache = await caches.open(CACHE)
+  await cache.addAll(SHELL)
+
+  const page = await (await cache.match('/')).text()
+  await cache.addAll([...new Set(page.match(STATIC_ASSET) || [])])
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil(cacheShell().then(() => self.skipWaiting()))
+})
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const names = await caches.keys()
+    await Promise.all(names.filter(name => name.startsWith('simplihealth-') && name !== CACHE).map(name => caches.delete(name)))
+    await self.clients.claim()
+  })())
+})
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request)
+  if (cached) return cached
+
+  const response = await fetch(request)
+  if (response.ok) (await caches.open(CACHE)).put(request, response.clone())
+  return response
+}
+
+// Pages we have never seen offline fall back to the chat, which works without a connection
+async function networkFirst(request) {
+  try {
+    const response = await fetch(request)
+    if (response.ok) (await caches.open(CACHE)).put(request, response.clone())
+    return response
+  } catch (error) {
+    const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' })
+    if (cached) return cached
+    if (request.mode === 'navigate') return caches.match('/')
+    throw error
+  }
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event
+  const url = new URL(request.url)
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return
+
+  event.respondWith(url.pathname.startsWith('/_next/static/') ? cacheFirst(request) : networkFirst(request))
+})
@@ -0,0 +1,42 @@
+import { NextResponse } from 'next/server'
+import { getCurrentUser, clearAuthCookie } from '@/lib/auth'
+import { exportUserData, deleteUserData } from '@/lib/account'
+import { createLogger } from '@/lib/logger'
+
+// The signed-in user's data (see `@/lib/account`)
+//   GET     downloads all of it as one JSON file
+//   DELETE  deletes all of it, the account included, and signs out
+// The health profile and symptom diary are the account's own (see `@/lib/account`), never one the client names
+
+const logger = createLogger('account')
+
+export async function GET(request) {
+  const user = await getCurrentUser(request)
+  if (!user) {
+    return NextResponse.json({ error: 'Sign in to download your data' }, { status: 401 })
+  }
+
+  const data = await exportUserData(user)
+  return new Response(JSON.stringify(data, null, 2), {
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Disposition': `attachment; filename="simplihealth-data-${data.exportedAt.slice(0, 10)}.json"`,
+      'Cache-Control': 'no-store',
+    },
+  })
+}
+
+export async function DELETE(request) {
+  const user = await getCurrentUser(request)
+  if (!user) {
+    return NextResponse.json({ error: 'Sign in to delete your data' }, { status: 401 })
+  }
+
+  try {
+    await deleteUserData(user)
+    return clearAuthCookie(NextResponse.json({ deleted: true }))
+  } catch (error) {
+    logger.error('Error deleting user data', { error })
+    return NextResponse.json({ error: 'Your data could not be deleted, please try again' }, { status: 500 })
+  }
+}
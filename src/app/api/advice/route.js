@@ -0,0 +1,31 @@
+import { NextResponse } from 'next/server'
+import { collectAdviceRetry } from '@/lib/pipeline'
+import { isValidSessionId } from '@/lib/sessions'
+import { withProtection } from '@/lib/protection'
+import { getCurrentUser } from '@/lib/auth'
+import { createLogger } from '@/lib/logger'
+
+// Generates the advice for an earlier message again, used by the retry button when advice failed the first time
+// The body is { sessionId, turnId } from the `session` event of that message, the message itself comes from the session
+// Responds like the main route, with only the advice part: { advice, healthAdvice, interactionWarnings, sections, partial }
+// It still costs a model call, so it is rate limited like the main route
+
+const logger = createLogger('advice')
+
+export const POST = withProtection(async (request, { sessionId, turnId }) => {
+  if (!isValidSessionId(sessionId) || typeof turnId !== 'string') {
+    return NextResponse.json({ error: 'sessionId and turnId are required' }, { status: 400 })
+  }
+
+  try {
+    const user = await getCurrentUser(request)
+    const result = await collectAdviceRetry({ sessionId, turnId, userId: user?.id ?? null }, { signal: request.signal })
+    if (!result) {
+      return NextResponse.json({ error: 'No message with advice to retry' }, { status: 404 })
+    }
+    return NextResponse.json(result)
+  } catch (error) {
+    logger.error('Error retrying advice', { error })
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+}, { checkInput: false })
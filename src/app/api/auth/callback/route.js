@@ -0,0 +1,28 @@
+import { NextResponse } from 'next/server'
+import { completeSignIn, setAuthCookie, isFromApp } from '@/lib/auth'
+
+// Signs the user in with the token from a sign-in link, posted by the confirm page (see `@/app/sign-in/confirm`),
+// and takes them to their history, or back to the sign-in page when the link was already used or has expired
+//   GET   links sent before there was a confirm page: shows it, the token stays unused
+//   POST  the form on that page, uses the token. Only from this app: a form on another site could post its own
+//         token and sign the visitor in to that account, which would then take over their profile
+
+export async function GET(request) {
+  const confirm = new URL('/sign-in/confirm', request.url)
+  confirm.search = request.nextUrl.search
+  return NextResponse.redirect(confirm)
+}
+
+export async function POST(request) {
+  if (!isFromApp(request)) {
+    return NextResponse.json({ error: 'Sign in from the link in your email' }, { status: 403 })
+  }
+
+  const form = await request.formData().catch(() => null)
+  const signIn = await completeSignIn(form?.get('token'))
+  // 303, so the browser follows with a GET
+  if (!signIn) {
+    return NextResponse.redirect(new URL('/sign-in?error=expired', request.url), 303)
+  }
+  return setAuthCookie(NextResponse.redirect(new URL('/history', request.url), 303), signIn)
+}
@@ -0,0 +1,18 @@
+import { NextResponse } from 'next/server'
+import { getCurrentUser, signOut, clearAuthCookie } from '@/lib/auth'
+
+// GET    who is signed in: { user: { id, email } } or { user: null }
+// DELETE signs out on this device
+
+export async function GET(request) {
+  const user = await getCurrentUser(request)
+  return NextResponse.json(
+    { user: user && { id: user.id, email: user.email } },
+    { headers: { 'Cache-Control': 'no-store' } }
+  )
+}
+
+export async function DELETE(request) {
+  await signOut(request)
+  return clearAuthCookie(NextResponse.json({ signedIn: false }))
+}
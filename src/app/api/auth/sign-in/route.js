@@ -0,0 +1,32 @@
+import { NextResponse } from 'next/server'
+import { normalizeEmail, requestSignInLink } from '@/lib/auth'
+import { isOutboxEnabled } from '@/lib/mail'
+import { withProtection } from '@/lib/protection'
+import { isSupportedLanguage, LANGUAGE_COOKIE, DEFAULT_LANGUAGE } from '@/lib/i18n'
+import { createLogger } from '@/lib/logger'
+
+// Sends a sign-in link to { email } (see `@/lib/auth`), in the language picked in the UI
+// The answer is the same whether or not the address has an account, so it can't be used to find out who does,
+// `outbox` is true in development when the mail went to /dev/mail instead of being sent
+// Rate limited per IP and per address (see `@/lib/protection`)
+
+const logger = createLogger('auth')
+
+export const POST = withProtection(async (request, { email }) => {
+  const address = normalizeEmail(email)
+  if (!address) {
+    return NextResponse.json({ error: 'A valid email address is required', code: 'invalid_email' }, { status: 400 })
+  }
+
+  const language = request.cookies.get(LANGUAGE_COOKIE)?.value
+  try {
+    await requestSignInLink(address, {
+      origin: request.nextUrl.origin,
+      language: isSupportedLanguage(language) ? language : DEFAULT_LANGUAGE,
+    })
+    return NextResponse.json({ sent: true, outbox: isOutboxEnabled() })
+  } catch (error) {
+    logger.error('Error sending sign-in link', { error })
+    return NextResponse.json({ error: 'The sign-in link could not be sent' }, { status: 500 })
+  }
+}, { checkInput: false })
@@ -0,0 +1,14 @@
+import { NextResponse } from 'next/server'
+import { getCurrentUser } from '@/lib/auth'
+import { listConsultations } from '@/lib/account'
+
+// The signed-in user's past consultations, newest first (see `@/lib/account`)
+// Each one can be opened again through /api/sessions/<sessionId>/summary
+
+export async function GET(request) {
+  const user = await getCurrentUser(request)
+  if (!user) {
+    return NextResponse.json({ error: 'Sign in to see your history' }, { status: 401 })
+  }
+  return NextResponse.json({ consultations: await listConsultations(user) }, { headers: { 'Cache-Control': 'no-store' } })
+}
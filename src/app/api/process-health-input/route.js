@@ -1,207 +1,86 @@
 import { NextResponse } from 'next/server'
-import { GoogleGenerativeAI } from '@google/generative-ai'
+import { runHealthPipeline, collectHealthPipeline } from '@/lib/pipeline'
+import { encodeEvent } from '@/lib/sse'
+import { createLogger } from '@/lib/logger'
+import { withProtection } from '@/lib/protection'
+import { getCurrentUser } from '@/lib/auth'
+import { accountProfileId } from '@/lib/account'
 
-// Initialize Gemini AI with the API key from environment variables
-// This allows us to use Gemini's capabilities throughout our application
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY)
-
-/* We receive the user's input as a string in the POST request.
- We pass this string to the `processHealthInput` function, which uses Gemini to extract the required information.
- Gemini parses the input and returns a JSON object with age, location, and symptom.
- We destructure this object to store these values as separate variables.
- We then use these stored variables in subsequent function calls to fetch clinical trials and generate health advice.
- Finally, we return all of this information, including the extracted variables, in our API response.
-This approach allows us to effectively use Gemini for natural language processing, extracting structured data from unstructured text input. 
-The extracted variables are then available for use throughout the rest of our application logic.
+/* We receive the user's input as a string in the POST request, as JSON, or as multipart form data when photos come with it:
+ the JSON body in a "message" field and up to MAX_IMAGES JPEG or PNG "images" files (see `@/lib/images`).
+ We pass this string to the `processHealthInput` function, which uses the configured language model (Gemini by default, see `@/lib/llm`) to extract the required information.
+ The model parses the input and returns a JSON object with age, location, conditions, and symptoms, validated against a schema (see `@/lib/extraction`).
+ Photos are described by a model that can see (see `@/lib/extraction/visual`), what they show joins the symptoms as visual findings, never as a diagnosis.
+ A rule-based triage step then checks for red flags and, in an emergency, returns straight away with the number to call.
+ With `guided: true` a new health issue first goes through a short intake (see `@/lib/intake`): while we are missing what we need to advise
+ (how long, how bad, age, location...) the answer is one follow-up question with quick replies instead of advice, until the user has answered or sends `skipIntake: true`.
+ Every message belongs to a conversation session kept on the server (see `@/lib/sessions`), the client only sends its `sessionId`.
+ For a signed-in user (see `@/lib/auth`) the session is theirs: it is stored encrypted with their key and shows up in their history.
+ Prompts are built from the structured turns stored in that session, not from text the client replays.
+ Names, phone numbers, emails, addresses and ID numbers are replaced with placeholders before anything is sent to a model, and put back in the answer (see `@/lib/privacy`).
+ We then use the extracted values to fetch clinical trials and generate health advice at the same time.
+ The advice comes back structured (`advice`, see `@/lib/advice/schema`) and as plain text (`healthAdvice`) for clients that only know the old format.
+ When advice or trials fail (a model timing out, the registry being down), the rest of the answer still comes back:
+ `sections` says which parts worked, `partial` is true when one didn't, and the client can retry just that part (see /api/advice).
+ The whole flow lives in `@/lib/pipeline`, this route only decides how to deliver the results:
+ -> as one JSON response with everything, once it's all done (the default)
+ -> as a stream of Server-Sent Events (extraction, advice tokens, trials, ...) when the client sends `Accept: text/event-stream`
+ Before any of that, `withProtection` (see `@/lib/protection`) turns away requests that are too large (413), too frequent (429)
+ or that try to give the model instructions (400), and photos that are too many, too large or not images (413, 415), each with a JSON body { error, code, ... }.
+This approach allows us to effectively use a language model for natural language processing, extracting structured data from unstructured text input. 
 */
 
-// This function uses Gemini to process the user's input and extract key health information
-async function processHealthInput(input, conversationHistory) {
-  // Get the Gemini model we'll use for text generation
-  const model = genAI.getGenerativeModel({ model: "gemini-pro" })
-  
-  // Construct a prompt for Gemini to extract age, location, condition (if any), and symptoms
-  // We're asking Gemini to return the information in a specific JSON format
-  const prompt = `
-    Given the following conversation history and new input, extract the age, location, condition (if any), and symptoms.
-    If the new input is a question or comment about a previous health issue, use the most recent health information from the conversation history.
-    If it's a new health issue, extract the information from the new input.
-    
-    Conversation history:
-    ${conversationHistory.join('\n')}
-    
-    New input: "${input}"
-    
-    Respond with a JSON object containing these fields:
-    {
-      "age": (number or null if not provided),
-      "location": (string or null if not provided),
-      "condition": (string or null if not provided),
-      "symptoms": (array of strings, can be empty),
-      "isFollowUp": (boolean, true if the input is a follow-up question or comment about a previous health issue),
-      "followUpTopic": (string, the main topic of the follow-up question or comment, or null if not a follow-up)
-    }
-  `
-  
-  // Send the prompt to Gemini and await the response
-  const result = await model.generateContent(prompt)
-  const response = await result.response
-  
-  try {
-    // Remove the backticks, "JSON" tag, and any leading/trailing whitespace from the response
-    const cleanedResponse = response.text().replace(/```json\n|\n```/g, '').trim()
-    // Parse the JSON response from Gemini
-    // This gives us an object with age, location, condition, symptoms, isFollowUp, and followUpTopic
-    return JSON.parse(cleanedResponse)
-  } catch (error) {
-    console.error('Error parsing Gemini response:', response.text())
-    // If JSON parsing fails, attempt to extract information manually
-    const manualExtraction = {
-      age: parseInt(input.match(/\b(\d+)\b/)?.[1]) || null,
-      location: (input.match(/\b(?:at|in)\s+([^\.]+)/i)?.[1] || '').trim() || null,
-      condition: (input.match(/\b(?:with|have)\s+(\w+)(?:\s+condition)?/i)?.[1] || null),
-      symptoms: (input.match(/symptoms?:?\s*(.+)$/i)?.[1] || '').split(/\s*,\s*|\s+and\s+/).filter(Boolean),
-      isFollowUp: input.toLowerCase().includes('previous') || input.toLowerCase().includes('earlier') || input.trim().endsWith('?'),
-      followUpTopic: null // We can't reliably extract this manually
-    }
-    console.log('Manually extracted data:', manualExtraction)
-    return manualExtraction
-  }
-}
+const logger = createLogger('process-health-input')
 
-// This function fetches relevant clinical trials based on the symptoms, condition, and country
-async function fetchClinicalTrials(symptoms, location, condition) {
-  // Construct the query string
-  const queryTerms = [...symptoms];
-  if (condition) queryTerms.push(condition);
-  const query = queryTerms.join(' OR ');
+function streamHealthPipeline(body, request) {
+  const { signal } = request
 
-  // Extract just the country name from the location
-  const country = location.split(' ')[0];
+  const stream = new ReadableStream({
+    async start(controller) {
+      // Once the client has gone away there is nobody to send events to
+      const emit = (event, data) => {
+        if (!signal.aborted) controller.enqueue(encodeEvent(event, data))
+      }
 
-  // Construct the URL for the Clinical Trials API, including our search parameters
-  const url = `https://clinicaltrials.gov/api/v2/studies?format=json&query.cond=${encodeURIComponent(query)}&query.locn=${encodeURIComponent(country)}&pageSize=5`;
-  
-  console.log('Clinical Trials API URL:', url);
-  
-  // Fetch data from the Clinical Trials API
-  const response = await fetch(url);
-  
-  // Check if the API request was successful
-  if (!response.ok) {
-    console.error('Clinical Trials API Error:', await response.text());
-    // Instead of throwing an error, return an empty array
-    return [];
-  }
-  
-  // Parse the JSON response and return the studies
-  const data = await response.json();
-  return data.studies || [];
-}
+      try {
+        await runHealthPipeline(body, { emit, signal })
+        emit('done', {})
+      } catch (error) {
+        if (!signal.aborted) {
+          logger.error('Error processing request', { error })
+          emit('error', { error: error.message })
+        }
+      } finally {
+        if (!signal.aborted) controller.close()
+      }
+    },
+  })
 
-// This function uses Gemini to generate health advice based on the extracted information
-async function generateHealthAdvice(age, location, symptoms, condition, isFollowUp, followUpTopic, conversationHistory) {
-  // Get the Gemini model we'll use for text generation
-  const model = genAI.getGenerativeModel({ model: "gemini-pro" })
-  
-  // Construct a prompt for Gemini to generate health advice
-  // We include the extracted age, location, symptoms, and condition (if any) in the prompt
-  let prompt = `Given the following conversation history and current health information, `
-  
-  if (isFollowUp) {
-    prompt += `provide a detailed answer to the user's follow-up question or comment about ${followUpTopic || 'their previous health issue'}. `
-    prompt += `Consider the previous health information and advice given when formulating your response.`
-  } else {
-    prompt += `generate health advice for a person`
-    
-    if (age !== null) {
-      prompt += ` aged ${age}`
-    }
-    
-    if (location) {
-      prompt += ` in ${location}`
-    }
-    
-    if (symptoms.length > 0) {
-      prompt += ` experiencing the following symptom${symptoms.length > 1 ? 's' : ''}: ${symptoms.join(', ')}.`
-    } else {
-      prompt += ` with no reported symptoms.`
-    }
-    
-    if (condition) {
-      prompt += ` They have a pre-existing condition of ${condition}.`
-    }
-  }
-  
-  prompt += `
-    Provide specific recommendations for each symptom (if any) and when to seek professional medical help. 
-    If there's a pre-existing condition, consider how it might interact with the symptoms.
-    
-    Conversation history:
-    ${conversationHistory.join('\n')}
-    
-    Format the response as follows:
-    ${isFollowUp ? 'Answer: [Provide a detailed answer to the user\'s follow-up question or comment]' : `
-    General Advice:
-    [List general advice here, each point starting with "->"]
-    
-    ${symptoms.length > 0 ? `Symptom-specific Advice:
-    ${symptoms.map(symptom => `[${symptom}]:
-    [List advice for ${symptom} here, each point starting with "->"]`).join('\n\n')}
-    ` : ''}
-    When to Seek Medical Help:
-    [List situations when to seek medical help, each point starting with "->"]
-    `}
-    
-    CRITICAL FORMATTING INSTRUCTIONS:
-    1. Do not use any asterisks (*) or any symbols besides periods (.) and the arrow symbol (->).
-    2. For all bullet points and listing details, use only the arrow symbol "->".
-    3. Do not attempt to make any text bold or emphasized. Use plain text only.
-    4. Start each piece of advice or detail with "->", followed by a space, then the text.
-    5. Do not use any markdown or other formatting syntax.
-    
-    Example format:
-    General Advice:
-    -> Advice point 1
-    -> Advice point 2
-    
-    [Symptom]:
-    -> Specific advice 1
-    -> Specific advice 2
-    
-    When to Seek Medical Help:
-    -> Situation 1
-    -> Situation 2
-  `
-  
-  // Send the prompt to Gemini and await the response
-  const result = await model.generateContent(prompt)
-  const response = await result.response
-  return response.text()
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+    },
+  })
 }
 
-export async function POST(request) {
+export const POST = withProtection(async (request, input) => {
   try {
-    const { userInput, conversationHistory = [] } = await request.json();
-    console.log('Received user input:', userInput);
-    console.log('Conversation history:', conversationHistory);
+    // Who is asking comes from the sign-in cookie, whatever the body says, and so does a signed-in user's profile
+    const user = await getCurrentUser(request);
+    const body = { ...input, userId: user?.id ?? null, profileId: await accountProfileId(input.profileId, user) };
 
-    const extractedData = await processHealthInput(userInput, conversationHistory);
-    console.log('Extracted data:', extractedData);
+    // Only the size of the message, never its text
+    logger.info('Received user input', { userInput: body.userInput, images: body.images.length, session: body.sessionId || 'new' });
 
-    const { age, location, condition, symptoms, isFollowUp, followUpTopic } = extractedData;
-
-    const [clinicalTrials, healthAdvice] = await Promise.all([
-      fetchClinicalTrials(symptoms, location, condition).catch(error => {
-        console.error('Error fetching clinical trials:', error);
-        return []; // Return empty array if there's an error
-      }),
-      generateHealthAdvice(age, location, symptoms, condition, isFollowUp, followUpTopic, conversationHistory)
-    ]);
+    if (request.headers.get('accept')?.includes('text/event-stream')) {
+      return streamHealthPipeline(body, request);
+    }
 
-    return NextResponse.json({ extractedData, clinicalTrials, healthAdvice });
+    return NextResponse.json(await collectHealthPipeline(body, { signal: request.signal }));
   } catch (error) {
-    console.error('Error processing request:', error);
+    logger.error('Error processing request', { error });
     return NextResponse.json({ error: error.message }, { status: 500 });
   }
-}
\ No newline at end of file
+}, { images: true });
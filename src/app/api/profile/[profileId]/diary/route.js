@@ -0,0 +1,84 @@
+import { NextResponse } from 'next/server'
+import { isValidProfileId, ProfileAccessError } from '@/lib/profile'
+import { getCurrentUser } from '@/lib/auth'
+import { accountProfileId } from '@/lib/account'
+import { getDiary, addDiaryEntry, deleteDiaryEntry, assessTrends, DiaryValidationError } from '@/lib/diary'
+import { createLogger } from '@/lib/logger'
+
+// The symptom diary kept with the health profile (see `@/lib/diary`)
+//   GET     { entries, trends }   every entry, oldest first, and how each symptom is going now
+//   POST    { entry }             logs { symptom, severity, note?, recordedAt? }, returns the stored entry
+//   DELETE  ?entryId=...          removes one entry
+// Signed in, it's the diary of the account's profile whatever the id (see `@/lib/account`),
+// another account's diary is empty to read and 404 to change
+
+// The profile id to use and who is signed in
+async function owner(request, profileId) {
+  const user = await getCurrentUser(request)
+  return { id: await accountProfileId(profileId, user), userId: user?.id }
+}
+
+const logger = createLogger('diary')
+
+// A body that isn't JSON, or has no entry object, is answered like any other invalid entry
+async function readEntry(request) {
+  const body = await request.json().catch(() => null)
+  const entry = body?.entry
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new DiaryValidationError([{ path: 'entry', message: 'must be a JSON object' }])
+  }
+  return entry
+}
+
+export async function GET(request, { params }) {
+  const { profileId } = await params
+  if (!isValidProfileId(profileId)) {
+    return NextResponse.json({ error: 'Invalid profile id' }, { status: 400 })
+  }
+
+  const { id, userId } = await owner(request, profileId)
+  const entries = await getDiary(id, { userId })
+  return NextResponse.json({ entries, trends: assessTrends({ entries }) })
+}
+
+export async function POST(request, { params }) {
+  const { profileId } = await params
+  if (!isValidProfileId(profileId)) {
+    return NextResponse.json({ error: 'Invalid profile id' }, { status: 400 })
+  }
+
+  try {
+    const entry = await readEntry(request)
+    const { id, userId } = await owner(request, profileId)
+    return NextResponse.json({ entry: await addDiaryEntry(id, entry, { userId }) }, { status: 201 })
+  } catch (error) {
+    if (error instanceof DiaryValidationError) {
+      return NextResponse.json({ error: error.message, details: error.errors }, { status: 400 })
+    }
+    if (error instanceof ProfileAccessError) {
+      return NextResponse.json({ error: error.message }, { status: 404 })
+    }
+    logger.error('Error saving diary entry', { error })
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+}
+
+export async function DELETE(request, { params }) {
+  const { profileId } = await params
+  if (!isValidProfileId(profileId)) {
+    return NextResponse.json({ error: 'Invalid profile id' }, { status: 400 })
+  }
+
+  const { id, userId } = await owner(request, profileId)
+  try {
+    if (!await deleteDiaryEntry(id, request.nextUrl.searchParams.get('entryId'), { userId })) {
+      return NextResponse.json({ error: 'No such entry' }, { status: 404 })
+    }
+    return new Response(null, { status: 204 })
+  } catch (error) {
+    if (error instanceof ProfileAccessError) {
+      return NextResponse.json({ error: 'No such entry' }, { status: 404 })
+    }
+    throw error
+  }
+}
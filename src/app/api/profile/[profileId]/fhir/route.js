@@ -0,0 +1,61 @@
+import { NextResponse } from 'next/server'
+import { getProfile, createEmptyProfile, isValidProfileId } from '@/lib/profile'
+import { getCurrentUser } from '@/lib/auth'
+import { accountProfileId } from '@/lib/account'
+import { profileSchema } from '@/lib/profile/schema'
+import { validateResource, FhirValidationError } from '@/lib/fhir'
+import { profileFromBundle } from '@/lib/fhir/import'
+import { validate } from '@/lib/validation'
+import { readLimited, RequestRejectedError } from '@/lib/protection'
+import { createLogger } from '@/lib/logger'
+
+// Prefills a health profile from a FHIR R4 Bundle (see `@/lib/fhir/import`)
+// Nothing is saved here: the profile comes back for the user to check, and is saved with PUT /api/profile/<id>
+
+const logger = createLogger('fhir')
+
+// A patient's record can be long, but not this long
+const MAX_BUNDLE_BYTES = 1024 * 1024
+
+export async function POST(request, { params }) {
+  const { profileId } = await params
+  if (!isValidProfileId(profileId)) {
+    return NextResponse.json({ error: 'Invalid profile id' }, { status: 400 })
+  }
+
+  let bundle
+  try {
+    bundle = JSON.parse((await readLimited(request, MAX_BUNDLE_BYTES)).toString('utf8'))
+  } catch (error) {
+    if (error instanceof RequestRejectedError) {
+      return NextResponse.json({ error: `Bundle is larger than ${MAX_BUNDLE_BYTES} bytes` }, { status: 413 })
+    }
+    return NextResponse.json({ error: 'Request body must be a JSON FHIR Bundle' }, { status: 400 })
+  }
+
+  const { valid, errors } = bundle?.resourceType === 'Bundle'
+    ? validateResource(bundle)
+    : { valid: false, errors: [{ path: 'resourceType', message: 'must be "Bundle"' }] }
+  if (!valid) {
+    return NextResponse.json({ error: new FhirValidationError(errors).message, details: errors }, { status: 400 })
+  }
+
+  try {
+    const user = await getCurrentUser(request)
+    const current = await getProfile(await accountProfileId(profileId, user), { userId: user?.id })
+    const { profile, imported } = profileFromBundle(bundle, current || createEmptyProfile())
+
+    // Names and doses from another system can still be more than a profile takes, e.g. over 50 medicines
+    const check = validate(profileSchema, profile)
+    if (!check.valid) {
+      return NextResponse.json({ error: 'The imported record does not fit in a health profile', details: check.errors }, { status: 422 })
+    }
+    return NextResponse.json({ profile, imported })
+  } catch (error) {
+    if (error instanceof FhirValidationError) {
+      return NextResponse.json({ error: error.message, details: error.errors }, { status: 400 })
+    }
+    logger.error('Error importing FHIR bundle', { error })
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+}
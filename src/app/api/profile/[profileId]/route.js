@@ -0,0 +1,57 @@
+import { NextResponse } from 'next/server'
+import { getProfile, saveProfile, createEmptyProfile, isValidProfileId, ProfileValidationError, ProfileAccessError } from '@/lib/profile'
+import { getCurrentUser } from '@/lib/auth'
+import { accountProfileId } from '@/lib/account'
+import { createLogger } from '@/lib/logger'
+
+// The health profile edited in the side panel of the chat
+// GET returns an empty profile for an id we haven't seen, so the panel always has something to show
+// Signed in, both work on the account's profile whatever the id, and say which one it is as `profileId`
+// for the browser to keep (see `@/lib/account`). Another account's profile is one we haven't seen
+
+const logger = createLogger('profile')
+
+// A body that isn't JSON, or has no profile object, is answered like any other invalid profile
+async function readProfile(request) {
+  const body = await request.json().catch(() => null)
+  const profile = body?.profile
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    throw new ProfileValidationError([{ path: 'profile', message: 'must be a JSON object' }])
+  }
+  return profile
+}
+
+export async function GET(request, { params }) {
+  const { profileId } = await params
+  if (!isValidProfileId(profileId)) {
+    return NextResponse.json({ error: 'Invalid profile id' }, { status: 400 })
+  }
+
+  const user = await getCurrentUser(request)
+  const id = await accountProfileId(profileId, user)
+  const profile = await getProfile(id, { userId: user?.id })
+  return NextResponse.json({ profileId: id, profile: profile || createEmptyProfile() })
+}
+
+export async function PUT(request, { params }) {
+  const { profileId } = await params
+  if (!isValidProfileId(profileId)) {
+    return NextResponse.json({ error: 'Invalid profile id' }, { status: 400 })
+  }
+
+  try {
+    const profile = await readProfile(request)
+    const user = await getCurrentUser(request)
+    const id = await accountProfileId(profileId, user)
+    return NextResponse.json({ profileId: id, profile: await saveProfile(id, profile, { userId: user?.id }) })
+  } catch (error) {
+    if (error instanceof ProfileValidationError) {
+      return NextResponse.json({ error: error.message, details: error.errors }, { status: 400 })
+    }
+    if (error instanceof ProfileAccessError) {
+      return NextResponse.json({ error: error.message }, { status: 404 })
+    }
+    logger.error('Error saving profile', { error })
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+}
@@ -0,0 +1,37 @@
+import { NextResponse } from 'next/server'
+import { getSession, isValidSessionId } from '@/lib/sessions'
+import { getCurrentUser } from '@/lib/auth'
+import { assertValidResource } from '@/lib/fhir'
+import { consultationBundle } from '@/lib/fhir/export'
+import { createLogger } from '@/lib/logger'
+
+// A conversation as a FHIR R4 Bundle, for clinic partners (see `@/lib/fhir/export`)
+
+const logger = createLogger('fhir')
+
+export async function GET(request, { params }) {
+  const { sessionId } = await params
+  if (!isValidSessionId(sessionId)) {
+    return NextResponse.json({ error: 'Invalid session id' }, { status: 400 })
+  }
+
+  // A signed-in user's conversations are only there for them
+  const user = await getCurrentUser(request)
+  const session = await getSession(sessionId, { userId: user?.id ?? null })
+  if (!session || session.turns.length === 0) {
+    return NextResponse.json({ error: 'No conversation to export' }, { status: 404 })
+  }
+
+  let bundle
+  try {
+    bundle = assertValidResource(consultationBundle(session))
+  } catch (error) {
+    // Something we generate failing our own schemas is a bug, not something to send to a partner
+    logger.error('Exported bundle is not valid FHIR', { error })
+    return NextResponse.json({ error: 'Could not export this conversation' }, { status: 500 })
+  }
+
+  return new Response(JSON.stringify(bundle, null, 2), {
+    headers: { 'Content-Type': 'application/fhir+json; charset=utf-8', 'Cache-Control': 'no-store' },
+  })
+}
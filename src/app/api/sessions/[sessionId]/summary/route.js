@@ -0,0 +1,54 @@
+import { NextResponse } from 'next/server'
+import { getSession, isValidSessionId } from '@/lib/sessions'
+import { getCurrentUser } from '@/lib/auth'
+import { buildVisitSummary } from '@/lib/summary'
+import { renderSummaryHtml } from '@/lib/summary/html'
+import { renderSummaryPdf } from '@/lib/summary/pdf'
+import { isSupportedLanguage, LANGUAGE_COOKIE, DEFAULT_LANGUAGE } from '@/lib/i18n'
+
+// The visit summary of a conversation, for the user to bring to their clinician (see `@/lib/summary`)
+//   /api/sessions/<id>/summary?format=pdf    downloads it as a PDF
+//   /api/sessions/<id>/summary?format=html   a print-ready page (the default)
+// `language` picks the language of the headings, otherwise the one chosen in the UI, otherwise the conversation's
+
+function summaryLanguage(request, summary) {
+  const candidates = [
+    request.nextUrl.searchParams.get('language'),
+    request.cookies.get(LANGUAGE_COOKIE)?.value,
+    summary.language,
+  ]
+  return candidates.find(isSupportedLanguage) || DEFAULT_LANGUAGE
+}
+
+export async function GET(request, { params }) {
+  const { sessionId } = await params
+  if (!isValidSessionId(sessionId)) {
+    return NextResponse.json({ error: 'Invalid session id' }, { status: 400 })
+  }
+
+  // A signed-in user's conversations are only there for them
+  const user = await getCurrentUser(request)
+  const session = await getSession(sessionId, { userId: user?.id ?? null })
+  if (!session || session.turns.length === 0) {
+    return NextResponse.json({ error: 'No conversation to summarize' }, { status: 404 })
+  }
+
+  const summary = buildVisitSummary(session)
+  const language = summaryLanguage(request, summary)
+  const format = request.nextUrl.searchParams.get('format') || 'html'
+  const filename = `visit-summary-${summary.endedAt.slice(0, 10)}`
+  // Health details, so nothing in between gets to keep a copy
+  const headers = { 'Cache-Control': 'no-store' }
+
+  if (format === 'pdf') {
+    return new Response(renderSummaryPdf(summary, language), {
+      headers: { ...headers, 'Content-Type': 'application/pdf', 'Content-Disposition': `attachment; filename="${filename}.pdf"` },
+    })
+  }
+  if (format === 'html') {
+    return new Response(renderSummaryHtml(summary, language), {
+      headers: { ...headers, 'Content-Type': 'text/html; charset=utf-8' },
+    })
+  }
+  return NextResponse.json({ error: 'format must be pdf or html' }, { status: 400 })
+}
@@ -0,0 +1,48 @@
+import { NextResponse } from 'next/server'
+import { transcribe, isTranscriptionEnabled, MAX_AUDIO_BYTES } from '@/lib/transcription'
+import { withProtection } from '@/lib/protection'
+import { isSupportedLanguage, DEFAULT_LANGUAGE } from '@/lib/i18n'
+import { UpstreamError } from '@/lib/upstream'
+import { createLogger } from '@/lib/logger'
+
+// Speech to text for the microphone button, when the browser can't transcribe on its own (see `@/lib/transcription`)
+//   GET                              -> { available }, whether the server transcribes at all
+//   POST ?language=sw, audio body    -> { text }, with the recording's Content-Type (audio/webm, audio/mp4, audio/ogg...)
+// Rate limited per IP like messages are (see `@/lib/protection`)
+
+const logger = createLogger('transcription')
+
+export async function GET() {
+  return NextResponse.json({ available: isTranscriptionEnabled() })
+}
+
+export const POST = withProtection(async (request, audio) => {
+  if (!isTranscriptionEnabled()) {
+    return NextResponse.json({ error: 'Server transcription is not available', code: 'unavailable' }, { status: 404 })
+  }
+
+  const mimeType = request.headers.get('content-type') || ''
+  if (!mimeType.startsWith('audio/')) {
+    return NextResponse.json({ error: 'The body must be an audio recording', code: 'invalid_audio' }, { status: 415 })
+  }
+  if (audio.length === 0) {
+    return NextResponse.json({ error: 'The recording is empty', code: 'invalid_audio' }, { status: 400 })
+  }
+
+  const language = request.nextUrl.searchParams.get('language')
+  try {
+    const text = await transcribe(audio, {
+      mimeType,
+      language: isSupportedLanguage(language) ? language : DEFAULT_LANGUAGE,
+      signal: request.signal,
+    })
+    return NextResponse.json({ text })
+  } catch (error) {
+    logger.error('Error transcribing speech', { error })
+    const status = error instanceof UpstreamError && error.code === 'circuit_open' ? 503 : 502
+    return NextResponse.json(
+      { error: 'The recording could not be transcribed', retryable: !(error instanceof UpstreamError) || error.retryable },
+      { status }
+    )
+  }
+}, { checkInput: false, raw: true, maxBodyBytes: MAX_AUDIO_BYTES })
@@ -0,0 +1,31 @@
+import { NextResponse } from 'next/server'
+import { searchTrials } from '@/lib/trials'
+import { fromSearchParams } from '@/lib/trials/query'
+import { createLogger } from '@/lib/logger'
+import { UpstreamError } from '@/lib/upstream'
+
+const logger = createLogger('trials')
+
+// Trial search on its own, used by the trial list to change filters and load more results
+// The query parameters are the serialized query from `@/lib/trials/query`, e.g.
+//   /api/trials?conditions=diabetes&country=Kenya&status=RECRUITING&ageMin=43&ageMax=43&pageToken=...
+export async function GET(request) {
+  const query = fromSearchParams(request.nextUrl.searchParams)
+
+  if (query.conditions.length === 0) {
+    return NextResponse.json({ error: 'At least one condition is required' }, { status: 400 })
+  }
+
+  try {
+    const { trials, nextPageToken, totalCount } = await searchTrials(query, { signal: request.signal })
+    return NextResponse.json({ trials, nextPageToken, totalCount, query })
+  } catch (error) {
+    logger.error('Error fetching clinical trials', { error })
+    // 503 while we've stopped calling the registry for a while, so clients know to come back later
+    const status = error instanceof UpstreamError && error.code === 'circuit_open' ? 503 : 502
+    return NextResponse.json(
+      { error: 'Clinical trials could not be loaded', retryable: !(error instanceof UpstreamError) || error.retryable },
+      { status }
+    )
+  }
+}
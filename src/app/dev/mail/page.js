@@ -0,0 +1,41 @@
+import { notFound } from 'next/navigation'
+import { isOutboxEnabled, listOutbox } from '@/lib/mail'
+
+// The development stand-in for an inbox: every email we would have sent, newest first (see `@/lib/mail`)
+// Only there when mail goes to the outbox, and never in production
+
+export const dynamic = 'force-dynamic'
+
+const URL_PATTERN = /(https?:\/\/\S+)/g
+
+// Plain text with its links made clickable
+function Linked({ text }) {
+  return text.split(URL_PATTERN).map((part, index) => index % 2 === 1
+    ? <a key={index} href={part} className="underline break-all">{part}</a>
+    : part)
+}
+
+export default async function DevMailPage() {
+  if (process.env.NODE_ENV === 'production' || !isOutboxEnabled()) notFound()
+
+  const messages = await listOutbox()
+
+  return (
+    <main className="min-h-screen bg-amber-100 text-lime-900 flex justify-center p-6">
+      <div className="w-full max-w-2xl space-y-4">
+        <h1 className="text-2xl">Development outbox</h1>
+        <p className="text-sm">Emails are not sent in development, they end up here instead.</p>
+        {messages.length === 0 && <p>No emails yet.</p>}
+        <ul className="space-y-3">
+          {messages.map(message => (
+            <li key={`${message.sentAt}-${message.to}`} className="rounded-xl bg-white p-3 shadow space-y-1 text-sm">
+              <p><strong>To:</strong> {message.to} · {message.sentAt}</p>
+              <p><strong>{message.subject}</strong></p>
+              <p className="whitespace-pre-wrap"><Linked text={message.text} /></p>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </main>
+  )
+}
@@ -0,0 +1,167 @@
+'use client'
+
+import { useState } from 'react'
+import Link from 'next/link'
+import { Trash2 } from 'lucide-react'
+import { Input } from '@/components/ui/input'
+import { Button } from '@/components/ui/button'
+import SymptomTimeline from '@/components/SymptomTimeline'
+import SymptomTrends from '@/components/SymptomTrends'
+import { useProfile } from '@/hooks/useProfile'
+import { useDiary } from '@/hooks/useDiary'
+import { useLanguage } from '@/hooks/useLanguage'
+
+const SEVERITIES = ['none', 'mild', 'moderate', 'severe']
+
+// The value a datetime-local input wants, in the browser's own time zone
+function localDateTime(date = new Date()) {
+  const offset = date.getTimezoneOffset() * 60 * 1000
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16)
+}
+
+// Entries of the same symptom together, like the server does it (see `@/lib/diary/trends`): by concept,
+// or by name for symptoms the vocabulary doesn't know. The one with the latest entry first
+function groupBySymptom(entries) {
+  const groups = new Map()
+  for (const entry of entries) {
+    const key = entry.concept?.id || entry.symptom.trim().toLowerCase()
+    groups.set(key, [...groups.get(key) || [], entry])
+  }
+  return [...groups.entries()]
+    .map(([key, symptomEntries]) => ({ key, name: symptomEntries.at(-1).concept?.term || symptomEntries.at(-1).symptom, entries: symptomEntries }))
+    .sort((a, b) => b.entries.at(-1).recordedAt.localeCompare(a.entries.at(-1).recordedAt))
+}
+
+function trendsFor(trends, group) {
+  return trends.filter(trend => (trend.concept || trend.symptom.trim().toLowerCase()) === group.key)
+}
+
+function EntryForm({ symptoms, onAdd }) {
+  const { t } = useLanguage()
+  const [form, setForm] = useState(() => ({ symptom: '', severity: 'mild', recordedAt: localDateTime(), note: '' }))
+  const [status, setStatus] = useState(null) // null | 'saving' | { error }
+
+  const update = (key) => (event) => setForm(prev => ({ ...prev, [key]: event.target.value }))
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    if (!form.symptom.trim() || status === 'saving') return
+    setStatus('saving')
+    try {
+      await onAdd({
+        symptom: form.symptom,
+        severity: form.severity,
+        recordedAt: new Date(form.recordedAt).toISOString(),
+        note: form.note.trim() || null,
+      })
+      // The same symptom is usually logged again later, only the rest starts over
+      setForm(prev => ({ ...prev, recordedAt: localDateTime(), note: '' }))
+      setStatus(null)
+    } catch {
+      setStatus({ error: t('diary.saveFailed') })
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3 rounded-xl bg-white p-3 shadow">
+      <div className="grid gap-3 sm:grid-cols-2">
+        <label className="block space-y-1">
+          <span className="block text-sm font-semibold">{t('diary.symptom')}</span>
+          <Input value={form.symptom} onChange={update('symptom')} list="diary-symptoms" maxLength={100} required />
+          <datalist id="diary-symptoms">
+            {symptoms.map(name => <option key={name} value={name} />)}
+          </datalist>
+        </label>
+        <label className="block space-y-1">
+          <span className="block text-sm font-semibold">{t('diary.when')}</span>
+          <Input type="datetime-local" value={form.recordedAt} max={localDateTime()} onChange={update('recordedAt')} required />
+        </label>
+      </div>
+
+      <fieldset className="space-y-1">
+        <legend className="text-sm font-semibold">{t('diary.severity')}</legend>
+        <div className="flex flex-wrap gap-2">
+          {SEVERITIES.map(severity => (
+            <label key={severity} className={`cursor-pointer rounded-full border px-3 py-1 text-sm ${form.severity === severity ? 'bg-lime-900 text-white' : ''}`}>
+              <input type="radio" name="severity" value={severity} checked={form.severity === severity} onChange={update('severity')} className="sr-only" />
+              {t(`diary.severity.${severity}`)}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      <label className="block space-y-1">
+        <span className="block text-sm font-semibold">{t('diary.note')}</span>
+        <Input value={form.note} onChange={update('note')} maxLength={500} />
+      </label>
+
+      <div className="flex items-center gap-3">
+        <Button type="submit" className="bg-lime-900 hover:bg-lime-950 rounded-xl" disabled={status === 'saving'}>
+          {status === 'saving' ? t('diary.saving') : t('diary.add')}
+        </Button>
+        {status?.error && <span className="text-sm text-red-700">{status.error}</span>}
+      </div>
+    </form>
+  )
+}
+
+function SymptomHistory({ group, trends, onDelete }) {
+  const { language, t } = useLanguage()
+  const formatTime = new Intl.DateTimeFormat(language, { dateStyle: 'medium', timeStyle: 'short' }).format
+
+  return (
+    <section className="space-y-2 rounded-xl bg-white p-3 shadow">
+      <h2 className="text-lg font-semibold">{group.name}</h2>
+      <SymptomTrends trends={trends} className="" />
+      <SymptomTimeline entries={group.entries} symptom={group.name} />
+      <ul className="divide-y divide-lime-900/10 text-sm">
+        {[...group.entries].reverse().map(entry => (
+          <li key={entry.id} className="flex items-center justify-between gap-2 py-1">
+            <span>
+              {formatTime(new Date(entry.recordedAt))}: <strong>{t(`diary.severity.${entry.severity}`)}</strong>
+              {entry.note && ` · ${entry.note}`}
+              {entry.source === 'message' && <span className="italic opacity-70"> · {t('diary.fromMessage')}</span>}
+            </span>
+            <button type="button" onClick={() => onDelete(entry.id)} aria-label={t('diary.delete')} title={t('diary.delete')}>
+              <Trash2 className="h-4 w-4" />
+            </button>
+          </li>
+        ))}
+      </ul>
+    </section>
+  )
+}
+
+// The symptom diary: log how a symptom is, see how each one changed (see `@/lib/diary`)
+// It belongs to the health profile this browser keeps, like the profile itself it needs no account
+export default function DiaryPage() {
+  const { profileId } = useProfile()
+  const { entries, trends, error, addEntry, deleteEntry } = useDiary(profileId)
+  const { t } = useLanguage()
+
+  const groups = entries ? groupBySymptom(entries) : []
+
+  return (
+    <main className="min-h-screen bg-amber-100 text-lime-900 flex justify-center p-6">
+      <div className="w-full max-w-2xl space-y-4">
+        <Link href="/" className="text-sm underline">{t('account.backToChat')}</Link>
+        <h1 className="text-2xl">{t('diary.title')}</h1>
+        <p className="text-sm">{t('diary.intro')}</p>
+
+        <EntryForm symptoms={groups.map(group => group.name)} onAdd={addEntry} />
+
+        {error && <p className="text-sm text-red-700">{t('diary.loadFailed')}</p>}
+        {entries === null && !error && <p>{t('diary.loading')}</p>}
+        {entries?.length === 0 && <p>{t('diary.empty')}</p>}
+        {groups.map(group => (
+          <SymptomHistory
+            key={group.key}
+            group={group}
+            trends={trendsFor(trends || [], group)}
+            onDelete={entryId => deleteEntry(entryId).catch(() => window.alert(t('diary.deleteFailed')))}
+          />
+        ))}
+      </div>
+    </main>
+  )
+}
@@ -0,0 +1,114 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import Link from 'next/link'
+import { Button } from '@/components/ui/button'
+import { useAccount } from '@/hooks/useAccount'
+import { useLanguage } from '@/hooks/useLanguage'
+
+const URGENCY_STYLES = {
+  routine: 'bg-lime-200',
+  urgent: 'bg-amber-300',
+  emergency: 'bg-red-300',
+}
+
+function Consultation({ consultation, language, t }) {
+  const date = new Intl.DateTimeFormat(language, { dateStyle: 'medium', timeStyle: 'short' }).format(new Date(consultation.startedAt))
+  const summary = format => `/api/sessions/${consultation.sessionId}/summary?format=${format}&language=${language}`
+
+  return (
+    <li className="rounded-xl bg-white p-3 shadow space-y-1">
+      <div className="flex items-center justify-between gap-2">
+        <span className="font-semibold">{date}</span>
+        <span className={`rounded-full px-2 text-xs ${URGENCY_STYLES[consultation.urgency]}`}>
+          {t(`summary.urgency.${consultation.urgency}`)}
+        </span>
+      </div>
+      <p className="text-sm italic">&ldquo;{consultation.firstMessage}&rdquo;</p>
+      {consultation.symptoms.length > 0 && (
+        <p className="text-sm">{t('extracted.symptoms')}: {consultation.symptoms.join(', ')}</p>
+      )}
+      <p className="text-sm">
+        {t('history.messages', { count: consultation.messageCount })}
+        {' · '}
+        <a href={summary('html')} target="_blank" rel="noopener" className="underline">{t('history.open')}</a>
+        {' · '}
+        <a href={summary('pdf')} download className="underline">{t('summary.download')}</a>
+      </p>
+    </li>
+  )
+}
+
+// The signed-in user's past consultations, and their data to download or delete (see /api/history and /api/account)
+export default function HistoryPage() {
+  const { user, signOut, deleteData } = useAccount()
+  const { language, t } = useLanguage()
+  const [consultations, setConsultations] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (!user) return
+    fetch('/api/history')
+      .then(response => response.json())
+      .then(data => setConsultations(data.consultations || []))
+      .catch(() => setError(t('history.loadFailed')))
+  }, [user, t])
+
+  const handleDelete = async () => {
+    if (!window.confirm(t('history.confirmDelete'))) return
+    try {
+      await deleteData()
+      window.location.assign('/')
+    } catch {
+      setError(t('history.deleteFailed'))
+    }
+  }
+
+  return (
+    <main className="min-h-screen bg-amber-100 text-lime-900 flex justify-center p-6">
+      <div className="w-full max-w-2xl space-y-4">
+        <Link href="/" className="text-sm underline">{t('account.backToChat')}</Link>
+        <h1 className="text-2xl">{t('account.history')}</h1>
+
+        {user === null && (
+          <p>
+            {t('history.signedOut')} <a href="/sign-in" className="underline">{t('account.signIn')}</a>
+          </p>
+        )}
+
+        {user && (
+          <>
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <span>{t('account.signedInAs', { email: user.email })}</span>
+              <Button type="button" size="sm" variant="secondary" onClick={signOut}>{t('account.signOut')}</Button>
+            </div>
+
+            {error && <p className="text-sm text-red-700">{error}</p>}
+            {consultations === null && !error && <p>{t('history.loading')}</p>}
+            {consultations?.length === 0 && <p>{t('history.empty')}</p>}
+            {consultations?.length > 0 && (
+              <ul className="space-y-3">
+                {consultations.map(consultation => (
+                  <Consultation key={consultation.sessionId} consultation={consultation} language={language} t={t} />
+                ))}
+              </ul>
+            )}
+
+            <section className="space-y-2 border-t border-lime-900/20 pt-4">
+              <h2 className="text-lg">{t('history.yourData')}</h2>
+              <p className="text-sm">{t('history.encrypted')}</p>
+              <div className="flex flex-wrap gap-2">
+                <a href="/api/account" download className="rounded-xl bg-white px-3 py-1 text-sm shadow">
+                  {t('history.download')}
+                </a>
+                <Button type="button" size="sm" variant="destructive" onClick={handleDelete}>
+                  {t('history.delete')}
+                </Button>
+              </div>
+            </section>
+          </>
+        )}
+      </div>
+    </main>
+  )
+}
@@ -1,6 +1,10 @@
 import localFont from "next/font/local";
 import "./globals.css";
 import Header from "@/components/Header";
+import { cookies, headers } from "next/headers";
+import LanguageProvider from "@/components/LanguageProvider";
+import ServiceWorkerRegistration from "@/components/ServiceWorkerRegistration";
+import { LANGUAGE_COOKIE, pickLanguage } from "@/lib/i18n";
 
 const geistSans = localFont({
   src: "./fonts/GeistVF.woff",
@@ -18,13 +22,23 @@ export const metadata = {
   description: "Generated by create next app",
 };
 
-export default function RootLayout({ children }) {
+export const viewport = {
+  themeColor: "#365314",
+};
+
+export default async function RootLayout({ children }) {
+  const [cookieStore, headerList] = await Promise.all([cookies(), headers()]);
+  const language = pickLanguage(cookieStore.get(LANGUAGE_COOKIE)?.value, headerList.get("accept-language") || "");
+
   return (
-    <html lang="en">
+    <html lang={language}>
       <body
         className={`${geistSans.variable} ${geistMono.variable} antialiased`}
       >
-        {children}
+        <LanguageProvider initialLanguage={language}>
+          {children}
+        </LanguageProvider>
+        <ServiceWorkerRegistration />
       </body>
     </html>
   );
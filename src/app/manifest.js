@@ -0,0 +1,18 @@
+// The web app manifest, so SimpliHealth can be installed and opened like an app (see public/sw.js for offline use)
+
+export default function manifest() {
+  return {
+    name: 'SimpliHealth',
+    short_name: 'SimpliHealth',
+    description: 'Describe your symptoms and get health advice and relevant clinical trials.',
+    start_url: '/',
+    display: 'standalone',
+    background_color: '#fef3c7',
+    theme_color: '#365314',
+    icons: [
+      { src: '/pwa-icon/192', sizes: '192x192', type: 'image/png' },
+      { src: '/pwa-icon/512', sizes: '512x512', type: 'image/png' },
+      { src: '/pwa-icon/512', sizes: '512x512', type: 'image/png', purpose: 'maskable' },
+    ],
+  }
+}
@@ -40,7 +40,7 @@ Health Advice:
 ${data.healthAdvice}
 
 Relevant Clinical Trials:
-${data.clinicalTrials.map((trial) => `- ${trial.protocolSection.identificationModule.briefTitle}`).join('\n')}`
+${data.clinicalTrials.map((trial) => `- ${trial.title}`).join('\n')}`
         }
       ])
     } catch (error) {
@@ -0,0 +1,31 @@
+import { promises as fs } from 'fs'
+import path from 'path'
+import { ImageResponse } from 'next/og'
+
+// Square app icons in the sizes installed apps need, drawn from the logo in public/
+// The logo sits well inside the edges, so the same icon works where the platform crops it to a circle ("maskable")
+
+const SIZES = [192, 512]
+
+export const dynamic = 'force-static'
+
+export function generateStaticParams() {
+  return SIZES.map(size => ({ size: String(size) }))
+}
+
+export async function GET(request, { params }) {
+  const size = parseInt((await params).size)
+  if (!SIZES.includes(size)) {
+    return new Response('Not found', { status: 404 })
+  }
+
+  const logo = await fs.readFile(path.join(process.cwd(), 'public', 'logoWhite.png'))
+  return new ImageResponse(
+    (
+      <div style={{ width: '100%', height: '100%', display: 'flex', alignItems: 'center', justifyContent: 'center', background: '#365314' }}>
+        <img src={`data:image/png;base64,${logo.toString('base64')}`} width={size * 0.6} height={size * 0.6 * (450 / 456)} alt="" />
+      </div>
+    ),
+    { width: size, height: size }
+  )
+}
@@ -0,0 +1,49 @@
+'use client'
+
+import { Suspense } from 'react'
+import Link from 'next/link'
+import { useSearchParams } from 'next/navigation'
+import { Button } from '@/components/ui/button'
+import { useLanguage } from '@/hooks/useLanguage'
+
+// Where the link in a sign-in email leads: opening it signs nobody in, the button posts the token
+// to /api/auth/callback, which does. Mail scanners that open every link would use it up otherwise (see `@/lib/auth`)
+function ConfirmForm() {
+  const { t } = useLanguage()
+  const token = useSearchParams().get('token')
+
+  if (!token) {
+    return (
+      <p>
+        {t('account.linkExpired')} <a href="/sign-in" className="underline">{t('account.signIn')}</a>
+      </p>
+    )
+  }
+
+  return (
+    <form method="post" action="/api/auth/callback" className="space-y-3">
+      <input type="hidden" name="token" value={token} />
+      <p className="text-sm">{t('account.confirmIntro')}</p>
+      <Button type="submit" className="bg-lime-900 hover:bg-lime-950 rounded-xl">
+        {t('account.confirmButton')}
+      </Button>
+    </form>
+  )
+}
+
+export default function ConfirmSignInPage() {
+  const { t } = useLanguage()
+
+  return (
+    <main className="min-h-screen bg-amber-100 text-lime-900 flex justify-center p-6">
+      <div className="w-full max-w-md space-y-4">
+        <Link href="/" className="text-sm underline">{t('account.backToChat')}</Link>
+        <h1 className="text-2xl">{t('account.confirmTitle')}</h1>
+        {/* The token in the query string is only known in the browser */}
+        <Suspense fallback={null}>
+          <ConfirmForm />
+        </Suspense>
+      </div>
+    </main>
+  )
+}
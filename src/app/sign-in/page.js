@@ -0,0 +1,88 @@
+'use client'
+
+import { useState, Suspense } from 'react'
+import Link from 'next/link'
+import { useSearchParams } from 'next/navigation'
+import { Input } from '@/components/ui/input'
+import { Button } from '@/components/ui/button'
+import { useAccount } from '@/hooks/useAccount'
+import { useLanguage } from '@/hooks/useLanguage'
+
+// Sign-in with a link sent by email, the first sign-in creates the account (see `@/lib/auth`)
+function SignInForm() {
+  const { user, requestLink } = useAccount()
+  const { t } = useLanguage()
+  const expired = useSearchParams().get('error') === 'expired'
+  const [email, setEmail] = useState('')
+  const [status, setStatus] = useState(null) // null | 'sending' | { sent, outbox } | { error }
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    if (!email.trim() || status === 'sending') return
+    setStatus('sending')
+    try {
+      setStatus(await requestLink(email))
+    } catch (error) {
+      const message = {
+        invalid_email: t('account.invalidEmail'),
+        rate_limited: t('account.rateLimited'),
+      }[error.code] || t('account.sendFailed')
+      setStatus({ error: message })
+    }
+  }
+
+  if (user) {
+    return (
+      <p>
+        {t('account.signedInAs', { email: user.email })} <a href="/history" className="underline">{t('account.history')}</a>
+      </p>
+    )
+  }
+
+  if (status?.sent) {
+    return (
+      <div className="space-y-2">
+        <p>{t('account.linkSent', { email })}</p>
+        {status.outbox && <p className="text-sm"><a href="/dev/mail" className="underline">{t('account.devOutbox')}</a></p>}
+      </div>
+    )
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      {expired && <p className="rounded-lg bg-amber-200 p-2 text-sm">{t('account.linkExpired')}</p>}
+      <p className="text-sm">{t('account.intro')}</p>
+      <div className="flex gap-2">
+        <Input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder={t('account.email')}
+          className="flex-1 placeholder:text-lime-900 text-lime-900"
+          required
+        />
+        <Button type="submit" className="bg-lime-900 hover:bg-lime-950 rounded-xl" disabled={status === 'sending'}>
+          {t('account.sendLink')}
+        </Button>
+      </div>
+      {status?.error && <p className="text-sm text-red-700">{status.error}</p>}
+    </form>
+  )
+}
+
+export default function SignInPage() {
+  const { t } = useLanguage()
+
+  return (
+    <main className="min-h-screen bg-amber-100 text-lime-900 flex justify-center p-6">
+      <div className="w-full max-w-md space-y-4">
+        <Link href="/" className="text-sm underline">{t('account.backToChat')}</Link>
+        <h1 className="text-2xl">{t('account.signIn')}</h1>
+        {/* The error in the query string is only known in the browser */}
+        <Suspense fallback={null}>
+          <SignInForm />
+        </Suspense>
+      </div>
+    </main>
+  )
+}
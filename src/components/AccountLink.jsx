@@ -0,0 +1,27 @@
+'use client'
+
+import { History, LogIn } from 'lucide-react'
+import { useAccount } from '@/hooks/useAccount'
+import { useLanguage } from '@/hooks/useLanguage'
+
+const LINK_CLASS = 'flex items-center gap-1 rounded-xl bg-white px-3 py-1 text-sm text-lime-900 shadow'
+
+// Signed in, the way to earlier consultations, otherwise the way to sign in (see `@/lib/auth`)
+export default function AccountLink() {
+  const { user } = useAccount()
+  const { t } = useLanguage()
+
+  if (user === undefined) return null
+
+  return user ? (
+    <a href="/history" className={LINK_CLASS}>
+      <History className="h-4 w-4" />
+      {t('account.history')}
+    </a>
+  ) : (
+    <a href="/sign-in" className={LINK_CLASS}>
+      <LogIn className="h-4 w-4" />
+      {t('account.signIn')}
+    </a>
+  )
+}
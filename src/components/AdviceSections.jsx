@@ -0,0 +1,160 @@
+'use client'
+
+import { useState } from 'react'
+import { ChevronDown, ChevronUp } from 'lucide-react'
+import { Spoken, useActiveSentence } from './ReadAloud'
+import { useLanguage } from '@/hooks/useLanguage'
+
+const SEVERITY_STYLES = {
+  info: 'bg-white/20 text-white',
+  caution: 'bg-amber-200 text-amber-950',
+  urgent: 'bg-red-600 text-white',
+}
+
+function SeverityBadge({ severity }) {
+  const { t } = useLanguage()
+  return (
+    <span className={`mr-2 inline-block rounded-full px-2 py-0.5 text-xs font-semibold ${SEVERITY_STYLES[severity]}`}>
+      {t(`advice.severity.${severity}`)}
+    </span>
+  )
+}
+
+// Citation markers like [1], only for indexes that point at a source we actually have
+function Citations({ indexes = [], sources }) {
+  const valid = indexes.filter(index => sources[index])
+  if (valid.length === 0) return null
+  return <sup className="ml-1 opacity-80">{valid.map(index => `[${index + 1}]`).join('')}</sup>
+}
+
+function AdviceItems({ id, items, sources }) {
+  return (
+    <ul className="space-y-1">
+      {items.map((item, index) => (
+        <li key={index}>
+          <SeverityBadge severity={item.severity} />
+          <Spoken id={`${id}.${index}`} text={item.text} />
+          <Citations indexes={item.sources} sources={sources} />
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+// Advice for one symptom, collapsed to its name until the user opens it, or it is being read aloud
+function SymptomBlock({ id, block, sources }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const activeId = useActiveSentence()
+  const isReading = activeId?.startsWith(`${id}:`) || activeId?.startsWith(`${id}.`)
+  const mostSevere = ['urgent', 'caution', 'info'].find(severity => block.items.some(item => item.severity === severity))
+
+  return (
+    <div className="rounded-lg bg-white/10 p-2">
+      <button
+        type="button"
+        onClick={() => setIsOpen(open => !open)}
+        className="flex w-full items-center justify-between gap-2 text-left"
+        aria-expanded={isOpen}
+      >
+        <span>
+          <SeverityBadge severity={mostSevere} />
+          <span className="font-semibold capitalize"><Spoken id={id} text={block.symptom} /></span>
+        </span>
+        {isOpen ? <ChevronUp className="h-4 w-4 shrink-0" /> : <ChevronDown className="h-4 w-4 shrink-0" />}
+      </button>
+      {(isOpen || isReading) && <div className="mt-2"><AdviceItems id={id} items={block.items} sources={sources} /></div>}
+    </div>
+  )
+}
+
+// When to get help, as a checklist the user can go through
+function SeekCareChecklist({ id, items, sources }) {
+  const [checked, setChecked] = useState([])
+
+  return (
+    <ul className="space-y-1">
+      {items.map((item, index) => (
+        <li key={index}>
+          <label className="flex items-start gap-2">
+            <input
+              type="checkbox"
+              className="mt-1"
+              checked={checked.includes(index)}
+              onChange={() => setChecked(prev => prev.includes(index) ? prev.filter(i => i !== index) : [...prev, index])}
+            />
+            <span>
+              <SeverityBadge severity={item.severity} />
+              <Spoken id={`${id}.${index}`} text={item.text} />
+              <Citations indexes={item.sources} sources={sources} />
+            </span>
+          </label>
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+// What reading the advice aloud says, in the order it is on the page (see `ReadAloud`)
+// The severity badges and headings are left out, the advice itself is in the user's language
+export function adviceParts({ answer, general, symptoms, seekCare }) {
+  return [
+    answer && { id: 'answer', text: answer },
+    ...general.map((item, index) => ({ id: `general.${index}`, text: item.text })),
+    ...symptoms.flatMap((block, blockIndex) => [
+      { id: `symptoms.${blockIndex}`, text: block.symptom },
+      ...block.items.map((item, index) => ({ id: `symptoms.${blockIndex}.${index}`, text: item.text })),
+    ]),
+    ...seekCare.map((item, index) => ({ id: `seekCare.${index}`, text: item.text })),
+  ].filter(Boolean)
+}
+
+// The structured advice from `@/lib/advice`, one section per part
+// Inside a `ReadAloud`, the sentence being read is highlighted
+export default function AdviceSections({ advice }) {
+  const { answer, general, symptoms, seekCare, sources } = advice
+  const { t } = useLanguage()
+
+  return (
+    <div className="space-y-3">
+      {answer && <p className="whitespace-pre-wrap"><Spoken id="answer" text={answer} /></p>}
+
+      {general.length > 0 && (
+        <section>
+          <h4 className="font-semibold mb-1">{t('advice.general')}</h4>
+          <AdviceItems id="general" items={general} sources={sources} />
+        </section>
+      )}
+
+      {symptoms.length > 0 && (
+        <section>
+          <h4 className="font-semibold mb-1">{t('advice.symptoms')}</h4>
+          <div className="space-y-2">
+            {symptoms.map((block, index) => <SymptomBlock key={index} id={`symptoms.${index}`} block={block} sources={sources} />)}
+          </div>
+        </section>
+      )}
+
+      {seekCare.length > 0 && (
+        <section>
+          <h4 className="font-semibold mb-1">{t('advice.seekCare')}</h4>
+          <SeekCareChecklist id="seekCare" items={seekCare} sources={sources} />
+        </section>
+      )}
+
+      {sources.length > 0 && (
+        <section className="text-sm">
+          <h4 className="font-semibold mb-1">{t('advice.sources')}</h4>
+          <ol className="list-decimal pl-5">
+            {sources.map((source, index) => (
+              <li key={index}>
+                {source.url
+                  ? <a className="underline" href={source.url} target="_blank" rel="noopener noreferrer">{source.title}</a>
+                  : source.title}
+              </li>
+            ))}
+          </ol>
+        </section>
+      )}
+    </div>
+  )
+}
@@ -1,109 +1,288 @@
 'use client'
 
-import { useState, useRef, useEffect } from 'react'
+import { useState, useRef, useEffect, Fragment } from 'react'
+import { UserRound, SquarePen, WifiOff, NotebookPen } from 'lucide-react'
 import { ScrollArea } from "@/components/ui/scroll-area"
 import { Input } from "@/components/ui/input"
 import { Button } from "@/components/ui/button"
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
 import Header from './Header'
+import EmergencyCard from './EmergencyCard'
+import NearbyCare from './NearbyCare'
+import TrialList from './TrialList'
+import AdviceSections, { adviceParts } from './AdviceSections'
+import InteractionWarnings from './InteractionWarnings'
+import ProfilePanel from './ProfilePanel'
+import LanguageSwitcher from './LanguageSwitcher'
+import VisitSummaryLinks from './VisitSummaryLinks'
+import IntakeQuestion from './IntakeQuestion'
+import AccountLink from './AccountLink'
+import ReadAloud, { Spoken } from './ReadAloud'
+import VoiceInputButton from './VoiceInputButton'
+import { AttachImagesButton, AttachmentPreviews, MessageImages, ImageAnalysisNote } from './ImageAttachments'
+import SymptomTrends from './SymptomTrends'
+import { useProfile } from '@/hooks/useProfile'
+import { useLanguage } from '@/hooks/useLanguage'
+import { useVoiceInput } from '@/hooks/useVoiceInput'
+import { describeAge, describeLocation, describeSymptom, describeTerm } from '@/lib/extraction/format'
+import { parseEventStream } from '@/lib/sse'
+import { toSearchParams } from '@/lib/trials/query'
+import { rankTrials } from '@/lib/trials/eligibility'
+import { readPartialAdvice } from '@/lib/advice/partial'
+import { loadConversation, saveConversation, clearConversation, listQueued, queueMessage, removeQueued } from '@/lib/offline'
+import { prepareImage, MAX_IMAGES } from '@/lib/images/resize'
 
-// Custom hook for typing effect with error correction
-function useTypingEffect(text, speed = 50, startTyping = true) {
-  const [displayedText, setDisplayedText] = useState('')
-  const [isTypingComplete, setIsTypingComplete] = useState(false)
+// Marks values we only guessed with rules, so users know to double-check them,
+// and values we took from the stored profile rather than the message
+function withSource(text, provenance, t) {
+  if (provenance?.source === 'heuristic') return `${text} ${t('extracted.estimated')}`
+  if (provenance?.source === 'profile') return `${text} ${t('extracted.fromProfile')}`
+  return text
+}
 
-  useEffect(() => {
-    let i = 0;
-    setDisplayedText('');
-    setIsTypingComplete(false);
-
-    if (!startTyping) return;
-
-    const typingInterval = setInterval(() => {
-      if (i < text.length) {
-        setDisplayedText(prev => {
-          // Ensure full words are typed before moving to the next
-          const nextChar = text.charAt(i);
-          if (nextChar === ' ' || i === text.length - 1) {
-            return text.substring(0, i + 1);
-          }
-          return prev + nextChar;
-        });
-        i++;
-      } else {
-        clearInterval(typingInterval);
-        setIsTypingComplete(true);
-        // Final check to ensure complete text is displayed
-        setDisplayedText(text);
-      }
-    }, speed);
+function formatExtractedData({ age, location, conditions, codedConditions, symptoms, medications = [], allergies = [], provenance = {} }, t) {
+  const conditionNames = codedConditions ? codedConditions.map(({ text, concept }) => describeTerm(text, concept)) : conditions
+  return [
+    `${t('extracted.age')}: ${age ? withSource(describeAge(age), provenance.age, t) : t('extracted.notProvided')}`,
+    `${t('extracted.location')}: ${location ? withSource(describeLocation(location), provenance.location, t) : t('extracted.notProvided')}`,
+    conditionNames.length > 0 ? `${t('extracted.conditions')}: ${withSource(conditionNames.join(', '), provenance.conditions, t)}` : '',
+    medications.length > 0 ? `${t('extracted.medications')}: ${withSource(medications.map(({ name }) => name).join(', '), provenance.medications, t)}` : '',
+    allergies.length > 0 ? `${t('extracted.allergies')}: ${withSource(allergies.join(', '), provenance.allergies, t)}` : '',
+    `${t('extracted.symptoms')}: ${symptoms.length > 0 ? withSource(symptoms.map(describeSymptom).join(', '), provenance.symptoms, t) : t('extracted.noSymptoms')}`,
+  ].filter(Boolean).join('\n')
+}
+
+// When the message disagrees with the stored profile we used the message, and offer to update the profile
+function ProfileConflicts({ conflicts, onAccept }) {
+  const [accepted, setAccepted] = useState([])
+  const { t } = useLanguage()
 
-    return () => clearInterval(typingInterval);
-  }, [text, speed, startTyping]);
+  if (!conflicts?.length) return null
 
-  return { displayedText, isTypingComplete };
+  return (
+    <div className="mt-2 space-y-1 rounded-lg bg-white/10 p-2 text-sm">
+      {conflicts.map(conflict => {
+        const messageValue = conflict.field === 'age' ? describeAge(conflict.messageValue) : describeLocation(conflict.messageValue)
+        return (
+          <p key={conflict.field}>
+            {t(`conflict.${conflict.field}`, { profileValue: conflict.profileValue, messageValue })}{' '}
+            {accepted.includes(conflict.field) ? (
+              t('conflict.updated')
+            ) : (
+              <button
+                type="button"
+                className="underline"
+                onClick={async () => {
+                  await onAccept(conflict)
+                  setAccepted(prev => [...prev, conflict.field])
+                }}
+              >
+                {t('conflict.update')}
+              </button>
+            )}
+          </p>
+        )
+      })}
+    </div>
+  )
 }
 
-// Typing Card component
-function TypingCard({ data }) {
-  if (!data || !data.extractedData) {
-    return <p>Error: Invalid data received</p>;
+// Advice or trials that failed while the rest of the answer came through, with a way to ask again
+function SectionError({ section, failedText, onRetry }) {
+  const { t } = useLanguage()
+
+  if (section.status === 'retrying') {
+    return <p className="text-sm italic">{t('card.retrying')}</p>
   }
 
-  const { displayedText: extractedInfo, isTypingComplete: extractedComplete } = useTypingEffect(
-    `Age: ${data.extractedData.age || 'Not provided'}
-Location: ${data.extractedData.location || 'Not provided'}
-${data.extractedData.condition ? `Condition: ${data.extractedData.condition}` : ''}
-Symptoms: ${data.extractedData.symptoms.length > 0 ? data.extractedData.symptoms.join(', ') : 'None reported'}`,
-    50
-  );
+  return (
+    <div className="flex flex-wrap items-center gap-2 rounded-lg bg-white/10 p-2 text-sm">
+      <span>{section.message || failedText}</span>
+      {section.retryable !== false && (
+        <Button type="button" size="sm" variant="secondary" onClick={onRetry}>
+          {t('card.retry')}
+        </Button>
+      )}
+    </div>
+  )
+}
 
-  const { displayedText: healthAdvice, isTypingComplete: adviceComplete } = useTypingEffect(
-    data.healthAdvice,
-    30,
-    extractedComplete
-  );
+// The advice while the model is still writing it: the sections it has got to so far, as they fill in
+// The model writes JSON, so until the first piece of advice is complete all we can show is that it's working
+function StreamingAdvice({ draft }) {
+  const { t } = useLanguage();
+  const advice = draft ? readPartialAdvice(draft) : null;
+  const cursor = <span className="animate-pulse">▍</span>;
 
-  const { displayedText: trials, isTypingComplete: trialsComplete } = useTypingEffect(
-    data.clinicalTrials.length > 0
-      ? data.clinicalTrials.map(trial => `-> ${trial.protocolSection.identificationModule.briefTitle}`).join('\n')
-      : 'No relevant clinical trials found.',
-    20,
-    adviceComplete
+  if (!advice) {
+    return (
+      <p>
+        {t('card.writingAdvice')}{draft && ` ${t('card.writingProgress', { count: draft.length })}`}...
+        {cursor}
+      </p>
+    );
+  }
+  return (
+    <div>
+      <AdviceSections advice={advice} />
+      {cursor}
+    </div>
   );
+}
+
+const hasFailed = section => section?.status === 'error' || section?.status === 'retrying'
+
+// Health information card for one assistant turn
+// It renders whatever has arrived so far: extraction first, then advice once it's complete, then trials
+// Advice and trials can fail on their own (see `sections` in `@/lib/pipeline`), each then gets its own retry
+// When the intake still has a question, that question takes the place of advice and trials
+// What we understood, the question and the advice can each be read aloud (see `ReadAloud`)
+function TypingCard({ data, status, onAcceptConflict, onRetry, onReply }) {
+  const { t } = useLanguage();
+
+  if (!data) {
+    return <p>{t('card.invalidData')}</p>;
+  }
+
+  const isStreaming = status === 'streaming';
+  // In an emergency the server skips advice and trials, there is nothing more to wait for
+  const isEmergency = data.triage?.urgency === 'emergency';
+  const isAsking = data.intake?.status === 'asking';
+  // One line per value, each one read aloud as a sentence of its own
+  const extractedLines = data.extractedData ? formatExtractedData(data.extractedData, t).split('\n') : [];
 
   return (
     <Card className="w-full bg-lime-900 text-white">
       <CardHeader>
-        <CardTitle>Health Information</CardTitle>
+        <CardTitle>{t('card.title')}</CardTitle>
       </CardHeader>
       <CardContent>
-        <h3 className="text-lg font-semibold mb-2">Extracted Information:</h3>
-        <pre className="whitespace-pre-wrap">{extractedInfo}</pre>
+        <EmergencyCard triage={data.triage} />
+
+        <ReadAloud
+          heading={<h3 className="text-lg font-semibold">{t('card.extracted')}</h3>}
+          parts={extractedLines.map((text, index) => ({ id: `extracted.${index}`, text }))}
+          className="mb-2"
+        >
+          <pre className="whitespace-pre-wrap">
+            {data.extractedData
+              ? extractedLines.map((text, index) => (
+                <Fragment key={index}>
+                  {index > 0 && '\n'}
+                  <Spoken id={`extracted.${index}`} text={text} />
+                </Fragment>
+              ))
+              : t('card.reading')}
+          </pre>
+        </ReadAloud>
+        <ImageAnalysisNote analysis={data.imageAnalysis} />
+        <SymptomTrends trends={data.trends} heading={<h4 className="mb-1 font-semibold">{t('card.trends')}</h4>} />
+        <ProfileConflicts conflicts={data.profileConflicts} onAccept={onAcceptConflict} />
+        {!isEmergency && <NearbyCare care={data.nearbyCare} />}
 
-        {extractedComplete && (
+        {isAsking && <IntakeQuestion question={data.intake.question} onReply={onReply} />}
+
+        {data.extractedData && !isEmergency && !isAsking && (
+          <ReadAloud
+            heading={<h3 className="text-lg font-semibold">{t('card.advice')}</h3>}
+            parts={data.advice ? adviceParts(data.advice) : []}
+          >
+            {data.advice ? (
+              <AdviceSections advice={data.advice} />
+            ) : hasFailed(data.sections?.advice) ? (
+              <SectionError section={data.sections.advice} failedText={t('card.adviceFailed')} onRetry={() => onRetry('advice')} />
+            ) : isStreaming ? (
+              <StreamingAdvice draft={data.adviceDraft} />
+            ) : (
+              // Plain-text advice from a server that doesn't send the structured version
+              <pre className="whitespace-pre-wrap">{data.healthAdvice || t('card.noAdvice')}</pre>
+            )}
+            <InteractionWarnings warnings={data.interactionWarnings} />
+          </ReadAloud>
+        )}
+
+        {data.clinicalTrials && !isEmergency && (
           <>
-            <h3 className="text-lg font-semibold mt-4 mb-2">Health Advice:</h3>
-            <pre className="whitespace-pre-wrap">{healthAdvice}</pre>
+            <h3 className="text-lg font-semibold mt-4 mb-2">{t('card.trials')}</h3>
+            <TrialList
+              trials={data.clinicalTrials}
+              query={data.trialsQuery}
+              nextPageToken={data.trialsNextPageToken}
+              totalCount={data.trialsTotalCount}
+              person={data.extractedData}
+            />
           </>
         )}
 
-        {adviceComplete && (
+        {!data.clinicalTrials && hasFailed(data.sections?.trials) && !isEmergency && (
           <>
-            <h3 className="text-lg font-semibold mt-4 mb-2">Relevant Clinical Trials:</h3>
-            <pre className="whitespace-pre-wrap">{trials}</pre>
+            <h3 className="text-lg font-semibold mt-4 mb-2">{t('card.trials')}</h3>
+            <SectionError section={data.sections.trials} failedText={t('card.trialsFailed')} onRetry={() => onRetry('trials')} />
           </>
         )}
+
+        {status === 'cancelled' && <p className="mt-4 text-sm italic">{t('card.stopped')}</p>}
+        {status === 'error' && <p className="mt-4 text-sm italic">{t('card.failed')}</p>}
       </CardContent>
     </Card>
   );
 }
 
+// What to tell the user when the server turns a message away before working on it (see `@/lib/protection`)
+// Returns null for anything that isn't one of those rejections
+function describeRejection({ code, retryAfter, length, maxLength, maxImages }, t) {
+  if (code === 'rate_limited') {
+    return retryAfter >= 120
+      ? t('chat.rateLimitedMinutes', { minutes: Math.ceil(retryAfter / 60) })
+      : t('chat.rateLimited', { seconds: retryAfter })
+  }
+  if (code === 'input_too_long') return t('chat.tooLong', { length, maxLength })
+  if (code === 'body_too_large') return t('chat.tooLarge')
+  if (code === 'input_rejected') return t('chat.inputRejected')
+  if (code === 'too_many_images') return t('images.tooMany', { maxImages })
+  if (code === 'image_too_large' || code === 'invalid_image') return t('images.rejected')
+  return null
+}
+
+const EMPTY_ANSWER = { imageAnalysis: null, extractedData: null, trends: null, triage: null, advice: null, healthAdvice: null, adviceDraft: '', clinicalTrials: null, sections: {} }
+
+// A message as it was stored: an answer that was still arriving, or a retry still running, won't finish anymore
+function restoreMessage(message) {
+  const sections = message.data?.sections && Object.fromEntries(Object.entries(message.data.sections).map(([name, section]) =>
+    [name, section.status === 'retrying' ? { status: 'error', retryable: true } : section]))
+  return {
+    ...message,
+    status: message.status === 'streaming' ? 'cancelled' : message.status,
+    ...(sections && { data: { ...message.data, sections } }),
+  }
+}
+
 export default function ChatDisplay() {
   const [messages, setMessages] = useState([])
   const [inputValue, setInputValue] = useState('')
   const [isLoading, setIsLoading] = useState(false)
   const scrollAreaRef = useRef(null)
+  const abortControllerRef = useRef(null)
+  // The server keeps the conversation, we only remember which one we're in
+  // (in a ref too, so messages sent one after the other from the offline queue all go to the same one)
+  const [sessionId, setSessionId] = useState(null)
+  const sessionIdRef = useRef(null)
+  // The messages are kept in the browser (see `@/lib/offline`), nothing is saved until the stored ones are back
+  const [isRestored, setIsRestored] = useState(false)
+  const [isOnline, setIsOnline] = useState(true)
+  const sendingQueuedRef = useRef(false)
+  // Photos for the next message, see `ImageAttachments`
+  const [attachments, setAttachments] = useState([])
+  const [isPreparingImages, setIsPreparingImages] = useState(false)
+  const [imageError, setImageError] = useState(null)
+  const { profileId, profile, saveProfile, importFhir, acceptConflict } = useProfile()
+  const [isProfileOpen, setIsProfileOpen] = useState(false)
+  const { language, t } = useLanguage()
+  // What the user says goes into the box, for them to check and send (see `@/hooks/useVoiceInput`)
+  const voice = useVoiceInput({ value: inputValue, onChange: setInputValue })
+  const placeholder = voice.status === 'listening' ? t('voice.listening')
+    : voice.status === 'transcribing' ? t('voice.transcribing')
+    : voice.error ? t(voice.error) : t('chat.placeholder')
 
   useEffect(() => {
     if (scrollAreaRef.current) {
@@ -111,54 +290,318 @@ export default function ChatDisplay() {
     }
   }, [messages])
 
-  const handleSubmit = async (event) => {
+  const rememberSession = (id) => {
+    sessionIdRef.current = id
+    setSessionId(id)
+  }
+
+  useEffect(() => {
+    loadConversation()
+      .then(stored => {
+        setMessages(stored.messages.map(restoreMessage))
+        rememberSession(stored.sessionId)
+      })
+      .catch(error => console.error('Error restoring the conversation:', error))
+      .finally(() => setIsRestored(true))
+  }, [])
+
+  // Saved once an answer is complete, not for every streamed token
+  useEffect(() => {
+    if (!isRestored || messages.some(message => message.status === 'streaming')) return
+    saveConversation({ sessionId, messages }).catch(error => console.error('Error saving the conversation:', error))
+  }, [messages, sessionId, isRestored])
+
+  useEffect(() => {
+    const update = () => setIsOnline(navigator.onLine)
+    update()
+    window.addEventListener('online', update)
+    window.addEventListener('offline', update)
+    return () => {
+      window.removeEventListener('online', update)
+      window.removeEventListener('offline', update)
+    }
+  }, [])
+
+  // Applies `update` to the data of one assistant message, identified by its id
+  const updateAssistantMessage = (id, update) => {
+    setMessages(prev => prev.map(message => message.id === id ? { ...message, ...update(message) } : message))
+  }
+
+  const setSection = (id, name, section) => {
+    updateAssistantMessage(id, message => ({
+      data: { ...message.data, sections: { ...message.data.sections, [name]: section } },
+    }))
+  }
+
+  // Asks again for the advice or the trials of one message, the rest of its answer stays as it is
+  const retrySection = async ({ id, data }, name) => {
+    setSection(id, name, { status: 'retrying' })
+    try {
+      const response = name === 'advice'
+        ? await fetch('/api/advice', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ sessionId: data.sessionId, turnId: data.turnId }),
+        })
+        : await fetch(`/api/trials?${toSearchParams(data.trialsQuery)}`)
+      const body = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        setSection(id, name, { status: 'error', retryable: body.retryable ?? true, message: describeRejection(body, t) })
+        return
+      }
+
+      if (name === 'advice') {
+        const { sections, partial, ...result } = body
+        updateAssistantMessage(id, message => ({
+          data: { ...message.data, ...result, sections: { ...message.data.sections, ...sections } },
+        }))
+      } else {
+        updateAssistantMessage(id, message => ({
+          data: {
+            ...message.data,
+            clinicalTrials: rankTrials(body.trials, message.data.extractedData),
+            trialsNextPageToken: body.nextPageToken,
+            trialsTotalCount: body.totalCount,
+            sections: { ...message.data.sections, trials: { status: 'ok' } },
+          },
+        }))
+      }
+    } catch (error) {
+      console.error('Error:', error)
+      setSection(id, name, { status: 'error', retryable: true })
+    }
+  }
+
+  const handleCancel = () => {
+    abortControllerRef.current?.abort()
+  }
+
+  // Photos are resized and stripped of their EXIF here, before they are even shown (see `@/lib/images/resize`)
+  const addImages = async (files) => {
+    setImageError(null)
+    const room = MAX_IMAGES - attachments.length
+    if (files.length > room) setImageError(t('images.tooMany', { maxImages: MAX_IMAGES }))
+
+    setIsPreparingImages(true)
+    try {
+      const prepared = await Promise.all(files.slice(0, room).map(async (file, index) => {
+        try {
+          return { id: `${Date.now()}-${index}`, ...await prepareImage(file) }
+        } catch (error) {
+          console.error('Error reading image:', error)
+          setImageError(t('images.unreadable'))
+          return null
+        }
+      }))
+      setAttachments(prev => [...prev, ...prepared.filter(Boolean)].slice(0, MAX_IMAGES))
+    } finally {
+      setIsPreparingImages(false)
+    }
+  }
+
+  const removeImage = (id) => {
+    setAttachments(prev => prev.filter(attachment => attachment.id !== id))
+    setImageError(null)
+  }
+
+  const handleSubmit = (event) => {
     event.preventDefault()
-    if (!inputValue.trim() || isLoading) return
+    if ((!inputValue.trim() && attachments.length === 0) || isLoading || isPreparingImages) return
+    // A photo on its own still needs a few words for the server to work with
+    sendMessage(inputValue.trim() || t('images.photoOnly'), {}, attachments)
+  }
+
+  // `extra` goes along with the message, e.g. the quick reply it is the answer to, `images` are attachments to send with it
+  // Without a connection the message waits in the outbox (see `@/lib/offline`) and goes out once we're back online
+  const sendMessage = async (userInput, extra = {}, images = []) => {
+    const assistantId = `${Date.now()}-assistant`
+    voice.cancel()
+    setInputValue('')
+    setAttachments([])
+    setImageError(null)
+    setMessages(prev => [
+      ...prev,
+      { id: `${Date.now()}-user`, type: 'user', content: userInput, images: images.map(image => image.thumbnail) },
+      { id: assistantId, type: 'assistant', status: 'queued', data: null, content: t('chat.queued') },
+    ])
+
+    const queued = { userInput, extra, images, assistantId }
+    if (!navigator.onLine || await deliver(queued) === 'offline') {
+      await queueMessage(queued)
+    } else {
+      sendQueued()
+    }
+  }
+
+  // Sends what was typed offline, oldest first, until one still can't get through
+  const sendQueued = async () => {
+    if (sendingQueuedRef.current) return
+    sendingQueuedRef.current = true
+    try {
+      for (const queued of await listQueued()) {
+        if (await deliver(queued) === 'offline') break
+        await removeQueued(queued.id)
+      }
+    } catch (error) {
+      console.error('Error sending queued messages:', error)
+    } finally {
+      sendingQueuedRef.current = false
+    }
+  }
+
+  // Once the stored messages are back and we know the profile, and whenever the connection comes back
+  useEffect(() => {
+    if (!isRestored || !profileId) return
+    if (navigator.onLine) sendQueued()
+    window.addEventListener('online', sendQueued)
+    return () => window.removeEventListener('online', sendQueued)
+    // `sendQueued` is new on every render, the listener only needs replacing when what it sends with changes
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isRestored, profileId, language])
+
+  // Sends one message and fills in its answer as the events stream in
+  // Returns 'offline' when the request never reached the server, so the message can wait for the connection
+  const deliver = async ({ userInput, extra, images = [], assistantId }) => {
+    const controller = new AbortController()
+    abortControllerRef.current = controller
 
     setIsLoading(true)
-    setMessages(prev => [...prev, { type: 'user', content: inputValue }])
+    updateAssistantMessage(assistantId, () => ({ status: 'streaming', content: null, data: { ...EMPTY_ANSWER } }))
+
+    const message = JSON.stringify({
+      userInput,
+      sessionId: sessionIdRef.current,
+      profileId,
+      language,
+      // We ask for what's missing before giving advice, see `@/lib/intake`
+      guided: true,
+      ...extra,
+    })
+    // With photos the message goes as form data, the browser sets its Content-Type
+    let body = message
+    if (images.length > 0) {
+      body = new FormData()
+      body.append('message', message)
+      images.forEach(image => body.append('images', image.blob, 'photo.jpg'))
+    }
 
+    let response = null
     try {
-      const response = await fetch('/api/process-health-input', {
+      response = await fetch('/api/process-health-input', {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json',
+          ...(images.length === 0 && { 'Content-Type': 'application/json' }),
+          Accept: 'text/event-stream',
         },
-        body: JSON.stringify({ 
-          userInput: inputValue,
-          conversationHistory: messages.map(m => `${m.type}: ${m.content}`)
-        }),
+        body,
+        signal: controller.signal,
       })
 
       if (!response.ok) {
-        throw new Error('Failed to fetch')
-      }
+        const rejection = describeRejection(await response.json().catch(() => ({})), t)
+        if (!rejection) throw new Error('Failed to fetch')
 
-      const data = await response.json()
-
-      if (data.error) {
-        throw new Error(data.error)
+        // Nothing was processed, so the user gets their message back to shorten or send again
+        setInputValue(userInput)
+        setAttachments(images)
+        updateAssistantMessage(assistantId, () => ({ status: 'rejected', data: null, content: rejection }))
+        return 'sent'
       }
 
-      setMessages(prev => [
-        ...prev,
-        {
-          type: 'assistant',
-          content: data && data.extractedData ? <TypingCard data={data} /> : 'Error: Invalid response from server'
+      // Every event fills in another part of the assistant message
+      for await (const { event: name, data } of parseEventStream(response.body)) {
+        if (name === 'error') {
+          throw new Error(data.error)
+        }
+        if (name === 'done') {
+          break
+        } else if (name === 'session') {
+          rememberSession(data.sessionId)
+          // Kept on the message too, retrying its advice needs to know which message it was
+          updateAssistantMessage(assistantId, message => ({ data: { ...message.data, ...data } }))
+        } else if (name === 'section') {
+          const { name: section, ...sectionStatus } = data
+          setSection(assistantId, section, sectionStatus)
+        } else if (name === 'advice-token') {
+          updateAssistantMessage(assistantId, message => ({
+            data: { ...message.data, adviceDraft: message.data.adviceDraft + data.text },
+          }))
+        } else if (name === 'advice') {
+          // The draft has served its purpose, no need to keep it with the conversation
+          updateAssistantMessage(assistantId, message => ({ data: { ...message.data, ...data, adviceDraft: '' } }))
+        } else {
+          updateAssistantMessage(assistantId, message => ({ data: { ...message.data, ...data } }))
         }
-      ])
+      }
+      updateAssistantMessage(assistantId, () => ({ status: 'done' }))
     } catch (error) {
-      console.error('Error:', error)
-      setMessages(prev => [...prev, { type: 'assistant', content: `An error occurred: ${error.message}` }])
+      if (error.name === 'AbortError') {
+        updateAssistantMessage(assistantId, () => ({ status: 'cancelled' }))
+      } else if (!response) {
+        updateAssistantMessage(assistantId, () => ({ status: 'queued', data: null, content: t('chat.queued') }))
+        return 'offline'
+      } else {
+        console.error('Error:', error)
+        updateAssistantMessage(assistantId, message => message.data.extractedData
+          ? { status: 'error' }
+          : { status: 'error', data: null, content: t('chat.error', { message: error.message }) })
+      }
     } finally {
+      abortControllerRef.current = null
       setIsLoading(false)
-      setInputValue('')
     }
+    return 'sent'
+  }
+
+  // Forgets this conversation here, the server still has it (and the history, for signed-in users)
+  const startOver = async () => {
+    setMessages([])
+    rememberSession(null)
+    await clearConversation().catch(error => console.error('Error clearing the conversation:', error))
   }
 
   return (
     <div className="flex flex-col h-screen bg-amber-100">
       {messages.length > 0 && <Header />}
+
+      <div className="fixed right-4 top-3 z-[250] flex items-center gap-2">
+        {!isOnline && (
+          <span className="flex items-center gap-1 rounded-xl bg-amber-300 px-3 py-1 text-sm text-lime-900 shadow">
+            <WifiOff className="h-4 w-4" />
+            {t('chat.offline')}
+          </span>
+        )}
+        <LanguageSwitcher />
+        <AccountLink />
+        <a href="/diary" className="flex items-center gap-1 rounded-xl bg-white px-3 py-1 text-sm text-lime-900 shadow">
+          <NotebookPen className="h-4 w-4" />
+          {t('chat.diary')}
+        </a>
+        {messages.length > 0 && !isLoading && (
+          <button
+            type="button"
+            onClick={startOver}
+            className="flex items-center gap-1 rounded-xl bg-white px-3 py-1 text-sm text-lime-900 shadow"
+          >
+            <SquarePen className="h-4 w-4" />
+            {t('chat.newConversation')}
+          </button>
+        )}
+        {/* A message is only in the session once it has been answered */}
+        <VisitSummaryLinks sessionId={messages.some(message => message.status === 'done') ? sessionId : null} />
+        <button
+          type="button"
+          onClick={() => setIsProfileOpen(true)}
+          className="flex items-center gap-1 rounded-xl bg-white px-3 py-1 text-sm text-lime-900 shadow"
+          disabled={!profile}
+        >
+          <UserRound className="h-4 w-4" />
+          {t('chat.myProfile')}
+        </button>
+      </div>
+      {isProfileOpen && profile && (
+        <ProfilePanel profile={profile} onSave={saveProfile} onImport={importFhir} onClose={() => setIsProfileOpen(false)} />
+      )}
     
       <ScrollArea className="flex-grow p-4 overflow-auto" ref={scrollAreaRef}>
         {messages.length === 0 ? (
@@ -168,34 +611,48 @@ export default function ChatDisplay() {
               src='/textLogo.png'
               alt="Image"
             />
-            <h2 className="text-lime-900 text-2xl mb-4">What is going on?</h2>
+            <h2 className="text-lime-900 text-2xl mb-4">{t('chat.heading')}</h2>
     
-            <form onSubmit={handleSubmit} className="w-full max-w-lg flex space-x-2">
-              <Input
-                type="text"
-                value={inputValue}
-                onChange={(e) => setInputValue(e.target.value)}
-                className="flex-1 placeholder:text-lime-900 text-lime-900"
-                placeholder="Describe your health issue or ask a question..."
-                disabled={isLoading}
-              />
-              <Button
-                type="submit"
-                className="bg-lime-900 hover:bg-lime-950 w-auto rounded-xl"
-                disabled={isLoading}
-              >
-                {isLoading ? 'Processing...' : 'Submit'}
-              </Button>
-            </form>
+            <div className="w-full max-w-lg">
+              <AttachmentPreviews attachments={attachments} onRemove={removeImage} isPreparing={isPreparingImages} error={imageError} />
+              <form onSubmit={handleSubmit} className="w-full flex space-x-2">
+                <Input
+                  type="text"
+                  value={inputValue}
+                  onChange={(e) => setInputValue(e.target.value)}
+                  className="flex-1 placeholder:text-lime-900 text-lime-900"
+                  placeholder={placeholder}
+                  disabled={isLoading}
+                />
+                <VoiceInputButton voice={voice} disabled={isLoading} />
+                <AttachImagesButton count={attachments.length} onAdd={addImages} disabled={isLoading || isPreparingImages} />
+                {isLoading ? (
+                  <Button
+                    type="button"
+                    onClick={handleCancel}
+                    className="bg-lime-900 hover:bg-lime-950 w-auto rounded-xl"
+                  >
+                    {t('chat.stop')}
+                  </Button>
+                ) : (
+                  <Button
+                    type="submit"
+                    className="bg-lime-900 hover:bg-lime-950 w-auto rounded-xl"
+                  >
+                    {t('chat.submit')}
+                  </Button>
+                )}
+              </form>
+            </div>
             <h1 className="text-lime-900 text-sm text-center mb-6 pt-4">
-              Describe your age, location, any pre-existing conditions, and current symptoms. <br />
-              For example: "I am 43 at Congo. I have diabetes, and my stomach hurts. I am also vomiting blood."
+              {t('chat.hint')} <br />
+              {t('chat.example')}
             </h1>
           </div>
         ) : (
-          messages.map((message, index) => (
+          messages.map((message) => (
             <div
-              key={index}
+              key={message.id}
               className={`flex ${message.type === 'user' ? 'justify-end' : 'justify-start'} mb-4`}
             >
               <div
@@ -208,10 +665,19 @@ export default function ChatDisplay() {
                     message.type === 'user' ? 'bg-lime-900' : 'bg-lime-900'
                   } text-white`}
                 >
-                  {typeof message.content === 'string' ? (
-                    <pre className="text-sm whitespace-pre-wrap font-sans">{message.content}</pre>
+                  {message.data ? (
+                    <TypingCard
+                      data={message.data}
+                      status={message.status}
+                      onAcceptConflict={acceptConflict}
+                      onRetry={section => retrySection(message, section)}
+                      onReply={message.id === messages[messages.length - 1].id && !isLoading ? sendMessage : null}
+                    />
                   ) : (
-                    message.content
+                    <>
+                      <pre className="text-sm whitespace-pre-wrap font-sans">{message.content}</pre>
+                      <MessageImages images={message.images} />
+                    </>
                   )}
                 </div>
               </div>
@@ -222,23 +688,37 @@ export default function ChatDisplay() {
     
       {messages.length > 0 && (
         <div className="flex justify-center items-center p-4">
-          <form onSubmit={handleSubmit} className="w-full max-w-3xl flex space-x-2">
-            <Input
-              type="text"
-              value={inputValue}
-              onChange={(e) => setInputValue(e.target.value)}
-              className="flex-1 mt-1 placeholder:text-lime-900 text-lime-900"
-              placeholder="Describe your health issue or ask a question..."
-              disabled={isLoading}
-            />
-            <Button
-              type="submit"
-              className="bg-lime-900 hover:bg-lime-950 w-auto rounded-xl"
-              disabled={isLoading}
-            >
-              {isLoading ? 'Processing...' : 'Submit'}
-            </Button>
-          </form>
+          <div className="w-full max-w-3xl">
+            <AttachmentPreviews attachments={attachments} onRemove={removeImage} isPreparing={isPreparingImages} error={imageError} />
+            <form onSubmit={handleSubmit} className="w-full flex space-x-2">
+              <Input
+                type="text"
+                value={inputValue}
+                onChange={(e) => setInputValue(e.target.value)}
+                className="flex-1 mt-1 placeholder:text-lime-900 text-lime-900"
+                placeholder={placeholder}
+                disabled={isLoading}
+              />
+              <VoiceInputButton voice={voice} disabled={isLoading} />
+              <AttachImagesButton count={attachments.length} onAdd={addImages} disabled={isLoading || isPreparingImages} />
+              {isLoading ? (
+                <Button
+                  type="button"
+                  onClick={handleCancel}
+                  className="bg-lime-900 hover:bg-lime-950 w-auto rounded-xl"
+                >
+                  {t('chat.stop')}
+                </Button>
+              ) : (
+                <Button
+                  type="submit"
+                  className="bg-lime-900 hover:bg-lime-950 w-auto rounded-xl"
+                >
+                  {t('chat.submit')}
+                </Button>
+              )}
+            </form>
+          </div>
         </div>
       )}
     </div>
@@ -0,0 +1,51 @@
+import React from "react";
+import { useLanguage } from "@/hooks/useLanguage";
+
+// Shown above the advice when the triage rules find a red flag
+// For emergencies it's the only thing we show, the pipeline stops before advice is generated
+// Texts are looked up again from the flag ids, so they follow the language picked after the answer came in
+export default function EmergencyCard({ triage }) {
+  const { language, t } = useLanguage();
+
+  if (!triage || triage.urgency === 'routine') return null;
+
+  const { urgency, flags, emergencyCard } = triage;
+  const isEmergency = urgency === 'emergency';
+
+  return (
+    <div
+      role="alert"
+      className={`rounded-xl p-4 mb-4 text-white ${isEmergency ? 'bg-red-700' : 'bg-amber-600'}`}
+    >
+      <h3 className="text-lg font-semibold mb-2">
+        {isEmergency ? t('emergency.headingEmergency') : t('emergency.headingUrgent')}
+      </h3>
+
+      <ul className="mb-3 space-y-1">
+        {flags.map(flag => (
+          <li key={flag.id}>
+            <span className="font-semibold">{t(`triage.${flag.id}.label`)}:</span> {t(`triage.${flag.id}.advice`)}
+          </li>
+        ))}
+      </ul>
+
+      {emergencyCard && (
+        <div className="rounded-lg bg-white/15 p-3">
+          <p className="text-2xl font-bold">
+            <a href={`tel:${emergencyCard.emergencyNumber.replace(/\s/g, '')}`}>{emergencyCard.emergencyNumber}</a>
+          </p>
+          <p>
+            {emergencyCard.country
+              ? `${t('emergency.call', { number: emergencyCard.emergencyNumber })} (${new Intl.DisplayNames([language], { type: 'region' }).of(emergencyCard.country)})`
+              : t('emergency.callLocal', { number: emergencyCard.emergencyNumber })}
+          </p>
+          {emergencyCard.crisisNumber && (
+            <p className="mt-1">
+              {t('emergency.crisisLine')} <a className="font-semibold underline" href={`tel:${emergencyCard.crisisNumber.replace(/\s/g, '')}`}>{emergencyCard.crisisNumber}</a>
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
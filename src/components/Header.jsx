@@ -1,10 +1,12 @@
 "use client";
 import React, { useEffect, useState } from "react";
+import { useLanguage } from "@/hooks/useLanguage";
 
 
 export default function Header() {
   const [lastScrollY, setLastScrollY] = useState(0);
   const [hideHeader, setHideHeader] = useState(false);
+  const { t } = useLanguage();
 
   useEffect(() => {
     const handleScroll = () => {
@@ -32,7 +34,7 @@ export default function Header() {
       }`}
     >
       <div className="flex items-center space-x-2 px-4 bg-lime-900 justify-center">
-        <img className="inline-block w-auto h-[2.5rem] md:h-[3rem] p-1" src = '/logoWhite.png' alt = 'SimpliHealth Logo'/> 
+        <img className="inline-block w-auto h-[2.5rem] md:h-[3rem] p-1" src = '/logoWhite.png' alt = {t('header.logoAlt')}/> 
         <h1 className="text-white">SimpliHealth</h1>
       </div>
     </header>
@@ -0,0 +1,104 @@
+'use client'
+
+import { useRef } from 'react'
+import { ImagePlus, X, Camera } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { useLanguage } from '@/hooks/useLanguage'
+import { MAX_IMAGES } from '@/lib/images/resize'
+
+// Photos of what the user can see (a rash, a wound, swelling), attached to the next message
+// Attachments are { id, blob, thumbnail }, made by `prepareImage` in `@/lib/images/resize`
+
+// Opens the phone's camera or photo picker. `onAdd(files)` gets what was picked
+export function AttachImagesButton({ count, onAdd, disabled }) {
+  const inputRef = useRef(null)
+  const { t } = useLanguage()
+
+  return (
+    <>
+      <input
+        ref={inputRef}
+        type="file"
+        accept="image/*"
+        multiple
+        className="hidden"
+        onChange={(event) => {
+          onAdd([...event.target.files])
+          event.target.value = ''
+        }}
+      />
+      <Button
+        type="button"
+        size="icon"
+        onClick={() => inputRef.current?.click()}
+        disabled={disabled || count >= MAX_IMAGES}
+        className="shrink-0 rounded-xl bg-lime-900 hover:bg-lime-950"
+        aria-label={t('images.attach')}
+        title={t('images.attach')}
+      >
+        <ImagePlus />
+      </Button>
+    </>
+  )
+}
+
+// The photos waiting to be sent, each with a way to take it off again, and what a photo can and can't tell
+export function AttachmentPreviews({ attachments, onRemove, isPreparing, error }) {
+  const { t } = useLanguage()
+
+  if (attachments.length === 0 && !isPreparing && !error) return null
+
+  return (
+    <div className="mb-2 space-y-1 text-sm text-lime-900">
+      <div className="flex flex-wrap items-center gap-2">
+        {attachments.map(attachment => (
+          <div key={attachment.id} className="relative">
+            <img src={attachment.thumbnail} alt="" className="h-16 w-16 rounded-lg object-cover shadow" />
+            <button
+              type="button"
+              onClick={() => onRemove(attachment.id)}
+              className="absolute -right-2 -top-2 rounded-full bg-white p-0.5 shadow"
+              aria-label={t('images.remove')}
+              title={t('images.remove')}
+            >
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+        ))}
+        {isPreparing && <span className="italic">{t('images.preparing')}</span>}
+      </div>
+      {error && <p className="text-red-700">{error}</p>}
+      {attachments.length > 0 && <p className="italic">{t('images.caveat')}</p>}
+    </div>
+  )
+}
+
+// Thumbnails of the photos a message was sent with
+export function MessageImages({ images }) {
+  if (!images?.length) return null
+
+  return (
+    <div className="mt-2 flex flex-wrap gap-1">
+      {images.map((src, index) => <img key={index} src={src} alt="" className="h-20 w-20 rounded-lg object-cover" />)}
+    </div>
+  )
+}
+
+// Under the extracted information, when photos came with the message: what looking at them is worth
+// `analysis` is `imageAnalysis` from `@/lib/pipeline`
+export function ImageAnalysisNote({ analysis }) {
+  const { t } = useLanguage()
+
+  if (!analysis) return null
+
+  const text = analysis.status === 'failed' ? t('images.failed')
+    : analysis.unclear && analysis.findings === 0 ? t('images.unclear')
+    : t('images.analyzed')
+
+  return (
+    <div role="note" className="mt-2 flex items-start gap-2 rounded-lg bg-white/10 p-2 text-sm">
+      <Camera className="mt-0.5 h-4 w-4 shrink-0" />
+      <p>{text}</p>
+    </div>
+  )
+}
@@ -0,0 +1,50 @@
+import React from "react";
+import { Button } from "@/components/ui/button";
+import { useLanguage } from "@/hooks/useLanguage";
+import ReadAloud, { Spoken } from "./ReadAloud";
+
+// A follow-up question from the guided intake (see `@/lib/intake`) with its quick replies
+// `onReply(text, extra)` sends a reply as the next message, it is null once the conversation has moved on
+export default function IntakeQuestion({ question, onReply }) {
+  const { t } = useLanguage();
+  const text = t(`intake.question.${question.kind}`, { symptom: question.symptom });
+  const labels = question.choices.map(value => t(`intake.choice.${question.kind}.${value}`));
+  // Read aloud with its quick replies, for users who can't read the buttons either
+  const parts = [{ id: "question", text }, ...(onReply ? labels.map((label, index) => ({ id: `choice.${index}`, text: label })) : [])];
+
+  return (
+    <div className="mt-4 rounded-lg bg-white/10 p-3">
+      <ReadAloud heading={<p className="font-semibold"><Spoken id="question" text={text} /></p>} parts={parts} className="">
+        {question.choices.length === 0 && <p className="text-sm opacity-80">{t('intake.typeAnswer')}</p>}
+        {onReply && (
+          <div className="mt-2 flex flex-wrap gap-2">
+            {question.choices.map((value, index) => {
+              const label = labels[index];
+              return (
+                <Button
+                  key={value}
+                  type="button"
+                  size="sm"
+                  variant="secondary"
+                  className="rounded-full"
+                  onClick={() => onReply(label, { answer: { question: question.id, value } })}
+                >
+                  <Spoken id={`choice.${index}`} text={label} />
+                </Button>
+              );
+            })}
+            <Button
+              type="button"
+              size="sm"
+              variant="ghost"
+              className="rounded-full underline"
+              onClick={() => onReply(t('intake.skip'), { skipIntake: true })}
+            >
+              {t('intake.skip')}
+            </Button>
+          </div>
+        )}
+      </ReadAloud>
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+import React from "react";
+import { useLanguage } from "@/hooks/useLanguage";
+
+const SEVERITY_STYLES = {
+  major: 'border-red-300 bg-red-700/60',
+  moderate: 'border-amber-300 bg-amber-600/50',
+  minor: 'border-white/30 bg-white/10',
+};
+
+// The age rules' condition is worded by the server, the rest are the user's own words
+function conditionText(warning, t) {
+  return typeof warning.age === 'number' ? t('interactions.age', { age: warning.age }) : warning.condition;
+}
+
+// Medicine interaction warnings from the rule-based checker, kept apart from the model's advice
+// so it's clear they don't come from the language model
+export default function InteractionWarnings({ warnings }) {
+  const { t } = useLanguage();
+
+  if (!warnings?.length) return null;
+
+  return (
+    <div className="mt-4">
+      <h3 className="text-lg font-semibold mb-2">{t('interactions.heading')}</h3>
+      <ul className="space-y-2">
+        {warnings.map(warning => (
+          <li key={warning.id} className={`rounded-lg border p-2 text-sm ${SEVERITY_STYLES[warning.severity]}`}>
+            <p className="font-semibold">
+              {t(`interactions.severity.${warning.severity}`)}: {warning.drugs.join(' + ')}
+              {warning.condition && ` ${t('interactions.withCondition', { condition: conditionText(warning, t) })}`}
+            </p>
+            <p>{warning.rule ? t(`interactions.rule.${warning.rule}`) : warning.message}</p>
+            {warning.suggestedByAdvice && (
+              <p className="text-xs opacity-80">{t('interactions.suggested', { drug: warning.drugs[0] })}</p>
+            )}
+          </li>
+        ))}
+      </ul>
+      <p className="mt-1 text-xs opacity-80">
+        {t('interactions.checked')}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,24 @@
+'use client'
+
+import { createContext, useState, useCallback } from 'react'
+import { LANGUAGE_COOKIE } from '@/lib/i18n'
+
+export const LanguageContext = createContext(null)
+
+// Keeps the UI language for the whole app. It starts from the cookie the layout read on the server,
+// and changing it updates the cookie and `<html lang>` so the next page load renders the same way
+export default function LanguageProvider({ initialLanguage, children }) {
+  const [language, setLanguageState] = useState(initialLanguage)
+
+  const setLanguage = useCallback((nextLanguage) => {
+    document.cookie = `${LANGUAGE_COOKIE}=${nextLanguage}; path=/; max-age=31536000; samesite=lax`
+    document.documentElement.lang = nextLanguage
+    setLanguageState(nextLanguage)
+  }, [])
+
+  return (
+    <LanguageContext.Provider value={{ language, setLanguage }}>
+      {children}
+    </LanguageContext.Provider>
+  )
+}
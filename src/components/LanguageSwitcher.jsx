@@ -0,0 +1,25 @@
+'use client'
+
+import { Languages } from 'lucide-react'
+import { LANGUAGES } from '@/lib/i18n'
+import { useLanguage } from '@/hooks/useLanguage'
+
+export default function LanguageSwitcher({ className = '' }) {
+  const { language, setLanguage, t } = useLanguage()
+
+  return (
+    <label className={`flex items-center gap-1 rounded-xl bg-white px-2 py-1 text-sm text-lime-900 shadow ${className}`}>
+      <Languages className="h-4 w-4" aria-hidden="true" />
+      <span className="sr-only">{t('language.label')}</span>
+      <select
+        value={language}
+        onChange={(event) => setLanguage(event.target.value)}
+        className="bg-transparent"
+      >
+        {Object.entries(LANGUAGES).map(([code, { nativeName }]) => (
+          <option key={code} value={code}>{nativeName}</option>
+        ))}
+      </select>
+    </label>
+  )
+}
@@ -0,0 +1,40 @@
+import React from "react";
+import { Phone } from "lucide-react";
+import { useLanguage } from "@/hooks/useLanguage";
+
+// Who to call where the user is, from the location in their message or profile (see `@/lib/geo/care`)
+export default function NearbyCare({ care }) {
+  const { t } = useLanguage();
+
+  if (!care) return null;
+
+  const place = care.city ? `${care.city}, ${care.countryName}` : care.countryName;
+
+  return (
+    <div className="mt-4 rounded-lg bg-white/10 p-3 text-sm">
+      <h3 className="text-lg font-semibold mb-1">{t('care.title', { place })}</h3>
+      <ul className="space-y-1">
+        <li className="flex items-center gap-2">
+          <Phone className="h-4 w-4 shrink-0" aria-hidden="true" />
+          {care.emergencyNumber ? (
+            <span>
+              {t('care.emergency')}{' '}
+              <a className="font-semibold underline" href={`tel:${care.emergencyNumber}`}>{care.emergencyNumber}</a>
+            </span>
+          ) : (
+            <span>{t('care.noEmergencyNumber', { number: care.fallbackNumber })}</span>
+          )}
+        </li>
+        {care.hotline && (
+          <li className="flex items-center gap-2">
+            <Phone className="h-4 w-4 shrink-0" aria-hidden="true" />
+            <span>
+              {t('care.hotline', { name: care.hotline.name })}{' '}
+              <a className="font-semibold underline" href={`tel:${care.hotline.number.replace(/\s/g, '')}`}>{care.hotline.number}</a>
+            </span>
+          </li>
+        )}
+      </ul>
+    </div>
+  );
+}
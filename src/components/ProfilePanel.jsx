@@ -0,0 +1,167 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { X } from 'lucide-react'
+import { Input } from "@/components/ui/input"
+import { Textarea } from "@/components/ui/TextArea"
+import { Button } from "@/components/ui/button"
+import { useLanguage } from '@/hooks/useLanguage'
+
+const toLines = list => list.join('\n')
+const fromLines = text => text.split('\n').map(line => line.trim()).filter(Boolean)
+
+// "Metformin 500 mg twice a day" -> { name: 'Metformin', dose: '500 mg twice a day' }
+function parseMedication(line) {
+  const match = line.match(/^(.*?)\s+(\d.*)$/)
+  return match ? { name: match[1], dose: match[2] } : { name: line, dose: null }
+}
+
+function formatMedication({ name, dose }) {
+  return dose ? `${name} ${dose}` : name
+}
+
+function toForm(profile) {
+  return {
+    age: profile.demographics.age ?? '',
+    sex: profile.demographics.sex ?? '',
+    location: profile.demographics.location?.text ?? '',
+    conditions: toLines(profile.conditions),
+    medications: toLines(profile.medications.map(formatMedication)),
+    allergies: toLines(profile.allergies),
+  }
+}
+
+function fromForm(form, profile) {
+  const location = form.location.trim()
+  const previousLocation = profile.demographics.location
+  return {
+    ...profile,
+    demographics: {
+      age: form.age === '' ? null : parseInt(form.age),
+      sex: form.sex || null,
+      location: !location
+        ? null
+        : previousLocation?.text === location ? previousLocation : { text: location, country: null, region: null },
+    },
+    conditions: fromLines(form.conditions),
+    medications: fromLines(form.medications).map(parseMedication),
+    allergies: fromLines(form.allergies),
+  }
+}
+
+function Field({ label, hint, children }) {
+  return (
+    <label className="block space-y-1">
+      <span className="block text-sm font-semibold">{label}</span>
+      {children}
+      {hint && <span className="block text-xs opacity-70">{hint}</span>}
+    </label>
+  )
+}
+
+// Side panel where users keep the things they'd otherwise repeat in every chat
+export default function ProfilePanel({ profile, onSave, onImport, onClose }) {
+  const { t } = useLanguage()
+  const [form, setForm] = useState(() => toForm(profile))
+  const [status, setStatus] = useState(null)
+  // A profile read from a health record file, shown in the form until the user saves it
+  const [imported, setImported] = useState(null)
+
+  // Pick up changes made elsewhere, e.g. accepting a value from a message
+  useEffect(() => {
+    setForm(toForm(profile))
+    setImported(null)
+  }, [profile])
+
+  const update = (key) => (event) => setForm(prev => ({ ...prev, [key]: event.target.value }))
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    setStatus(t('profile.saving'))
+    try {
+      await onSave(fromForm(form, imported || profile))
+      setStatus(t('profile.saved'))
+    } catch (error) {
+      setStatus(error.message)
+    }
+  }
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0]
+    event.target.value = ''
+    if (!file) return
+
+    setStatus(t('profile.reading'))
+    try {
+      const result = await onImport(await file.text())
+      const { demographics, conditions, medications } = result.imported
+      setImported(result.profile)
+      setForm(toForm(result.profile))
+      setStatus(demographics.length + conditions.length + medications.length > 0
+        ? t('profile.imported')
+        : t('profile.nothingImported'))
+    } catch (error) {
+      setStatus(error.message)
+    }
+  }
+
+  return (
+    <aside className="fixed right-0 top-0 z-[300] h-screen w-full max-w-sm overflow-y-auto bg-white p-4 text-lime-900 shadow-xl">
+      <div className="mb-4 flex items-center justify-between">
+        <h2 className="text-xl font-semibold">{t('profile.title')}</h2>
+        <button type="button" onClick={onClose} aria-label={t('profile.close')}>
+          <X className="h-5 w-5" />
+        </button>
+      </div>
+
+      <p className="mb-4 text-sm">{t('profile.intro')}</p>
+
+      <label className="mb-4 block text-sm">
+        <span className="block font-semibold">{t('profile.import')}</span>
+        <span className="block text-xs opacity-70">{t('profile.importHint')}</span>
+        <input type="file" accept=".json,application/json,application/fhir+json" onChange={handleImport} className="mt-1 block w-full text-xs" />
+      </label>
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <Field label={t('profile.age')}>
+          <Input type="number" min="0" max="130" value={form.age} onChange={update('age')} />
+        </Field>
+        <Field label={t('profile.sex')}>
+          <select className="w-full rounded-xl border px-3 py-1" value={form.sex} onChange={update('sex')}>
+            <option value="">{t('profile.sexUnknown')}</option>
+            <option value="FEMALE">{t('profile.female')}</option>
+            <option value="MALE">{t('profile.male')}</option>
+          </select>
+        </Field>
+        <Field label={t('profile.location')} hint={t('profile.locationHint')}>
+          <Input value={form.location} onChange={update('location')} />
+        </Field>
+        <Field label={t('profile.conditions')} hint={t('profile.onePerLine')}>
+          <Textarea value={form.conditions} onChange={update('conditions')} />
+        </Field>
+        <Field label={t('profile.medications')} hint={t('profile.medicationsHint')}>
+          <Textarea value={form.medications} onChange={update('medications')} />
+        </Field>
+        {profile.medications.length > 0 && (
+          <ul className="-mt-2 text-xs">
+            {profile.medications.map((medication, index) => (
+              <li key={index}>
+                {medication.drugId
+                  ? `✓ ${t('profile.recognized', { name: medication.name })}`
+                  : `? ${t('profile.notRecognized', { name: medication.name })}`}
+              </li>
+            ))}
+          </ul>
+        )}
+        <Field label={t('profile.allergies')} hint={t('profile.onePerLine')}>
+          <Textarea value={form.allergies} onChange={update('allergies')} />
+        </Field>
+
+        <div className="flex items-center gap-3">
+          <Button type="submit" className="bg-lime-900 hover:bg-lime-950 rounded-xl">{t('profile.save')}</Button>
+          {status && <span className="text-sm">{status}</span>}
+        </div>
+      </form>
+    </aside>
+  )
+}
@@ -0,0 +1,71 @@
+'use client'
+
+import { createContext, useContext } from 'react'
+import { Volume2, Pause, Play, Square } from 'lucide-react'
+import { useReadAloud } from '@/hooks/useReadAloud'
+import { useLanguage } from '@/hooks/useLanguage'
+import { splitSentences } from '@/lib/speech'
+
+const CONTROL_CLASS = 'flex items-center gap-1 rounded-xl bg-white/15 px-2 py-0.5 text-sm hover:bg-white/25'
+
+// The id of the sentence being read in the surrounding section, null when it isn't being read
+const ActiveSentenceContext = createContext(null)
+
+export const useActiveSentence = () => useContext(ActiveSentenceContext)
+
+// Text that can be read aloud, one span per sentence so the sentence being read stands out
+// `id` is the one the section's parts give this text
+export function Spoken({ id, text }) {
+  const activeId = useActiveSentence()
+  const { language } = useLanguage()
+
+  return splitSentences(text, language).map((sentence, index) => (
+    <span key={index} className={activeId === `${id}:${index}` ? 'rounded bg-amber-300 text-lime-900' : undefined}>
+      {sentence}
+    </span>
+  ))
+}
+
+// A section of the answer with a heading and a control to have it read aloud, with pause and resume
+// `parts` ([{ id, text }]) is what gets read, in order, the section renders each of them with `Spoken`
+// Without speech synthesis in the browser it is just the heading
+export default function ReadAloud({ heading, parts, className = 'mt-4 mb-2', children }) {
+  const { isSupported, status, activeId, start, pause, resume, stop } = useReadAloud()
+  const { t } = useLanguage()
+
+  return (
+    <ActiveSentenceContext.Provider value={activeId}>
+      <div className={`${className} flex flex-wrap items-center justify-between gap-2`}>
+        {heading}
+        {isSupported && parts.length > 0 && (
+          <div className="flex items-center gap-1" role="group" aria-label={t('readAloud.start')}>
+            {status === 'idle' && (
+              <button type="button" className={CONTROL_CLASS} onClick={() => start(parts)}>
+                <Volume2 className="h-4 w-4" />
+                {t('readAloud.start')}
+              </button>
+            )}
+            {status === 'speaking' && (
+              <button type="button" className={CONTROL_CLASS} onClick={pause}>
+                <Pause className="h-4 w-4" />
+                {t('readAloud.pause')}
+              </button>
+            )}
+            {status === 'paused' && (
+              <button type="button" className={CONTROL_CLASS} onClick={resume}>
+                <Play className="h-4 w-4" />
+                {t('readAloud.resume')}
+              </button>
+            )}
+            {status !== 'idle' && (
+              <button type="button" className={CONTROL_CLASS} onClick={stop} aria-label={t('readAloud.stop')} title={t('readAloud.stop')}>
+                <Square className="h-4 w-4" />
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+      {children}
+    </ActiveSentenceContext.Provider>
+  )
+}
@@ -0,0 +1,14 @@
+'use client'
+
+import { useEffect } from 'react'
+
+// Installs the service worker (public/sw.js) that keeps the app shell for offline use
+// Only in production builds: in development it would keep serving stale code
+export default function ServiceWorkerRegistration() {
+  useEffect(() => {
+    if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return
+    navigator.serviceWorker.register('/sw.js').catch(error => console.error('Service worker registration failed:', error))
+  }, [])
+
+  return null
+}
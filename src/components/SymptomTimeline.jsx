@@ -0,0 +1,76 @@
+'use client'
+
+import { useLanguage } from '@/hooks/useLanguage'
+
+// A line chart of one symptom in the diary: how bad it was at each entry, over the last weeks
+// Drawn as plain SVG, a chart library would weigh more than the whole page for a handful of points
+// Entries logged from a message (rather than in the diary) are the hollow points
+
+const LEVELS = ['none', 'mild', 'moderate', 'severe']
+
+const DAY_MS = 24 * 60 * 60 * 1000
+// Older entries are still listed under the chart, they'd squash the recent ones into a corner
+const WINDOW_DAYS = 30
+// Fewer days than this and a couple of entries would stretch across the whole width
+const MIN_SPAN_DAYS = 7
+
+const WIDTH = 320
+const HEIGHT = 140
+const PADDING = { left: 78, right: 10, top: 10, bottom: 24 }
+
+export default function SymptomTimeline({ entries, symptom, now = Date.now() }) {
+  const { language, t } = useLanguage()
+
+  const points = entries
+    .map(entry => ({ ...entry, time: Date.parse(entry.recordedAt) }))
+    .filter(entry => entry.time >= now - WINDOW_DAYS * DAY_MS)
+  if (points.length === 0) return null
+
+  const start = Math.min(points[0].time, now - MIN_SPAN_DAYS * DAY_MS)
+  const plotWidth = WIDTH - PADDING.left - PADDING.right
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom
+  const x = time => PADDING.left + ((time - start) / (now - start)) * plotWidth
+  const y = severity => PADDING.top + (1 - LEVELS.indexOf(severity) / (LEVELS.length - 1)) * plotHeight
+
+  const formatDate = new Intl.DateTimeFormat(language, { day: 'numeric', month: 'short' }).format
+  const formatTime = new Intl.DateTimeFormat(language, { dateStyle: 'medium', timeStyle: 'short' }).format
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full max-w-xl" role="img" aria-label={t('diary.chartLabel', { symptom })}>
+      {LEVELS.map(severity => (
+        <g key={severity}>
+          <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(severity)} y2={y(severity)} stroke="currentColor" strokeOpacity="0.15" />
+          <text x={PADDING.left - 6} y={y(severity)} textAnchor="end" dominantBaseline="middle" fontSize="10" fill="currentColor">
+            {t(`diary.severity.${severity}`)}
+          </text>
+        </g>
+      ))}
+
+      <text x={PADDING.left} y={HEIGHT - 6} fontSize="10" fill="currentColor">{formatDate(start)}</text>
+      <text x={WIDTH - PADDING.right} y={HEIGHT - 6} textAnchor="end" fontSize="10" fill="currentColor">{formatDate(now)}</text>
+
+      <polyline
+        points={points.map(point => `${x(point.time)},${y(point.severity)}`).join(' ')}
+        fill="none"
+        stroke="currentColor"
+        strokeWidth="2"
+        strokeLinejoin="round"
+      />
+      {points.map(point => (
+        <circle
+          key={point.id}
+          cx={x(point.time)}
+          cy={y(point.severity)}
+          r="4"
+          fill={point.source === 'message' ? 'white' : 'currentColor'}
+          stroke="currentColor"
+          strokeWidth="2"
+        >
+          <title>
+            {`${formatTime(point.time)}: ${t(`diary.severity.${point.severity}`)}${point.note ? ` (${point.note})` : ''}`}
+          </title>
+        </circle>
+      ))}
+    </svg>
+  )
+}
@@ -0,0 +1,43 @@
+'use client'
+
+import { TrendingUp, TrendingDown, MoveRight } from 'lucide-react'
+import { useLanguage } from '@/hooks/useLanguage'
+
+// How long each symptom has lasted and which way it's going, from `assessTrends` in `@/lib/diary/trends`
+// Shown under what we understood from a message, and above each chart of the symptom diary
+
+const STYLES = {
+  worsening: { className: 'bg-amber-300', Icon: TrendingUp },
+  improving: { className: 'bg-lime-200', Icon: TrendingDown },
+  stable: { className: 'border border-lime-900/20 bg-white', Icon: MoveRight },
+}
+
+export function describeTrend({ symptom, days, direction }, t) {
+  return [
+    days ? t('trend.days', { symptom, days }) : symptom,
+    direction && t(`trend.direction.${direction}`),
+  ].filter(Boolean).join(', ')
+}
+
+export default function SymptomTrends({ trends, heading = null, className = 'mt-2' }) {
+  const { t } = useLanguage()
+
+  if (!trends?.length) return null
+
+  return (
+    <div className={`${className} text-sm`}>
+      {heading}
+      <ul className="flex flex-wrap gap-2">
+        {trends.map(trend => {
+          const { className: style, Icon } = STYLES[trend.direction] || STYLES.stable
+          return (
+            <li key={trend.key} className={`flex items-center gap-1 rounded-full px-2 py-0.5 text-lime-900 ${style}`}>
+              <Icon className="h-4 w-4" />
+              {describeTrend(trend, t)}
+            </li>
+          )
+        })}
+      </ul>
+    </div>
+  )
+}
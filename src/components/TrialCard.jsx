@@ -0,0 +1,134 @@
+'use client'
+
+import { useState } from 'react'
+import { ChevronDown, ChevronUp } from 'lucide-react'
+import { TRIAL_STATUSES, TRIAL_PHASES } from '@/lib/trials/query'
+import { describeReason } from '@/lib/trials/eligibility'
+import { useLanguage } from '@/hooks/useLanguage'
+
+// How many sites / criteria we show before the user has to follow the link to the registry
+const MAX_SITES = 5
+const MAX_CRITERIA = 5
+
+// The ages themselves are the registry's text, e.g. "18 Years"
+function formatAgeRange({ minimumAgeText, maximumAgeText }, t) {
+  if (minimumAgeText && maximumAgeText) return t('trial.ages.between', { min: minimumAgeText, max: maximumAgeText })
+  if (minimumAgeText) return t('trial.ages.from', { min: minimumAgeText })
+  if (maximumAgeText) return t('trial.ages.upTo', { max: maximumAgeText })
+  return t('trial.ages.any')
+}
+
+const MATCH_STYLES = {
+  'likely-eligible': 'bg-lime-300 text-lime-950',
+  possibly: 'bg-amber-200 text-amber-950',
+  ineligible: 'bg-white/20 text-white',
+}
+
+const REASON_ICONS = { pass: '✓', fail: '✗', unknown: '?' }
+
+function Contact({ contact }) {
+  const { t } = useLanguage()
+  return (
+    <li>
+      {contact.name || t('trial.contact')}
+      {contact.phone && <> · <a className="underline" href={`tel:${contact.phone}`}>{contact.phone}</a></>}
+      {contact.email && <> · <a className="underline" href={`mailto:${contact.email}`}>{contact.email}</a></>}
+    </li>
+  )
+}
+
+// One clinical trial, collapsed to its title and status until the user opens it
+export default function TrialCard({ trial }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const { t } = useLanguage()
+  const { eligibility } = trial
+  const { match } = eligibility
+
+  return (
+    <div className="rounded-lg bg-white/10 p-3">
+      <button
+        type="button"
+        onClick={() => setIsOpen(open => !open)}
+        className="flex w-full items-start justify-between gap-2 text-left"
+        aria-expanded={isOpen}
+      >
+        <span>
+          {match && (
+            <span className={`mb-1 inline-block rounded-full px-2 py-0.5 text-xs font-semibold ${MATCH_STYLES[match.label]}`}>
+              {t(`eligibility.label.${match.label}`)}
+            </span>
+          )}
+          <span className="block font-semibold">{trial.title}</span>
+          <span className="block text-xs opacity-80">
+            {trial.nctId}
+            {trial.status && ` · ${trial.status in TRIAL_STATUSES ? t(`trials.statuses.${trial.status}`) : trial.status}`}
+            {trial.phases.length > 0 && ` · ${trial.phases.map(phase => phase in TRIAL_PHASES ? t(`trials.phases.${phase}`) : phase).join(', ')}`}
+            {trial.sites[0]?.distanceKm !== null && trial.sites[0]?.distanceKm !== undefined && ` · ${t('trial.kmAway', { km: trial.sites[0].distanceKm })}`}
+          </span>
+        </span>
+        {isOpen ? <ChevronUp className="mt-1 h-4 w-4 shrink-0" /> : <ChevronDown className="mt-1 h-4 w-4 shrink-0" />}
+      </button>
+
+      {isOpen && (
+        <div className="mt-3 space-y-3 text-sm">
+          {match && (
+            <div>
+              <h4 className="font-semibold">{t('trial.preScreening')}</h4>
+              <ul>
+                {match.reasons.map((reason, index) => (
+                  <li key={index}>{REASON_ICONS[reason.result]} {describeReason(reason, t)}</li>
+                ))}
+              </ul>
+              <p className="text-xs opacity-80">{t('trial.onlyStudyTeam')}</p>
+            </div>
+          )}
+
+          {trial.summary && <p>{trial.summary}</p>}
+
+          <div>
+            <h4 className="font-semibold">{t('trial.whoCanJoin')}</h4>
+            <p>
+              {formatAgeRange(eligibility, t)}
+              {' · '}
+              {t(`trial.sex.${eligibility.sex === 'FEMALE' || eligibility.sex === 'MALE' ? eligibility.sex : 'ALL'}`)}
+              {eligibility.healthyVolunteers && ` · ${t('trial.healthyVolunteers')}`}
+            </p>
+            {eligibility.inclusion.length > 0 && (
+              <ul className="mt-1 list-disc pl-5">
+                {eligibility.inclusion.slice(0, MAX_CRITERIA).map((criterion, index) => <li key={index}>{criterion}</li>)}
+              </ul>
+            )}
+          </div>
+
+          {trial.sites.length > 0 && (
+            <div>
+              <h4 className="font-semibold">{t('trial.sites')}</h4>
+              <ul className="list-disc pl-5">
+                {trial.sites.slice(0, MAX_SITES).map((site, index) => (
+                  <li key={index}>
+                    {[site.facility, site.city, site.state, site.country].filter(Boolean).join(', ')}
+                    {site.distanceKm !== null && ` (${site.distanceKm} km)`}
+                  </li>
+                ))}
+              </ul>
+              {trial.sites.length > MAX_SITES && <p className="text-xs opacity-80">{t('trial.moreSites', { count: trial.sites.length - MAX_SITES })}</p>}
+            </div>
+          )}
+
+          {trial.contacts.length > 0 && (
+            <div>
+              <h4 className="font-semibold">{t('trial.contacts')}</h4>
+              <ul>
+                {trial.contacts.map((contact, index) => <Contact key={index} contact={contact} />)}
+              </ul>
+            </div>
+          )}
+
+          <a className="inline-block underline" href={trial.url} target="_blank" rel="noopener noreferrer">
+            {t('trial.fullDetails')}
+          </a>
+        </div>
+      )}
+    </div>
+  )
+}
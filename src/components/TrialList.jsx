@@ -0,0 +1,136 @@
+'use client'
+
+import { useState } from 'react'
+import { Button } from "@/components/ui/button"
+import TrialCard from './TrialCard'
+import { TRIAL_STATUSES, TRIAL_PHASES, toSearchParams } from '@/lib/trials/query'
+import { rankTrials } from '@/lib/trials/eligibility'
+import { useLanguage } from '@/hooks/useLanguage'
+
+const NEAR_ME_RADIUS_KM = 100
+
+function FilterSelect({ label, value, onChange, options }) {
+  return (
+    <label className="flex items-center gap-1">
+      <span className="opacity-80">{label}</span>
+      <select
+        className="rounded-md bg-white px-1 py-0.5 text-lime-900"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+      >
+        {options.map(([optionValue, optionLabel]) => <option key={optionValue} value={optionValue}>{optionLabel}</option>)}
+      </select>
+    </label>
+  )
+}
+
+// The trials found for one message, with filters and paging
+// The pipeline runs the first search; everything after that goes through /api/trials with the same query
+// `person` is the extracted record, every new page is pre-screened against it like the first one was
+export default function TrialList({ trials: initialTrials, query: initialQuery, nextPageToken: initialPageToken, totalCount: initialTotal, person }) {
+  const [trials, setTrials] = useState(initialTrials)
+  const [query, setQuery] = useState(initialQuery)
+  const [nextPageToken, setNextPageToken] = useState(initialPageToken)
+  const [totalCount, setTotalCount] = useState(initialTotal)
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const { t } = useLanguage()
+
+  const load = async (nextQuery, { append = false } = {}) => {
+    setIsLoading(true)
+    setError(null)
+    try {
+      const response = await fetch(`/api/trials?${toSearchParams(nextQuery)}`)
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch')
+      }
+      const ranked = rankTrials(data.trials, person)
+      setTrials(prev => append ? [...prev, ...ranked] : ranked)
+      setNextPageToken(data.nextPageToken)
+      setTotalCount(data.totalCount)
+      setQuery({ ...nextQuery, pageToken: null })
+    } catch (error) {
+      console.error('Error loading trials:', error)
+      setError(t('trials.loadFailed'))
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const changeFilter = (changes) => load({ ...query, ...changes, pageToken: null })
+
+  const toggleNearMe = () => {
+    if (query.lat !== null && query.lat !== undefined) {
+      changeFilter({ lat: null, lon: null, radius: null })
+      return
+    }
+    if (!navigator.geolocation) {
+      setError(t('trials.noGeolocation'))
+      return
+    }
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => changeFilter({ lat: coords.latitude, lon: coords.longitude, radius: NEAR_ME_RADIUS_KM }),
+      () => setError(t('trials.geolocationFailed'))
+    )
+  }
+
+  // Without a query (the search failed in the pipeline) there is nothing to filter or page through
+  if (!query) {
+    return <p>{t('trials.none')}</p>
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-3 text-xs">
+        <FilterSelect
+          label={t('trials.status')}
+          value={query.status.join(',')}
+          onChange={(value) => changeFilter({ status: value ? value.split(',') : [] })}
+          options={[
+            ['RECRUITING,NOT_YET_RECRUITING', t('trials.recruitingSoonOrNow')],
+            ...Object.keys(TRIAL_STATUSES).map(status => [status, t(`trials.statuses.${status}`)]),
+            ['', t('trials.any')],
+          ]}
+        />
+        <FilterSelect
+          label={t('trials.phase')}
+          value={query.phase[0] || ''}
+          onChange={(value) => changeFilter({ phase: value ? [value] : [] })}
+          options={[['', t('trials.any')], ...Object.keys(TRIAL_PHASES).map(phase => [phase, t(`trials.phases.${phase}`)])]}
+        />
+        <FilterSelect
+          label={t('trials.sex')}
+          value={query.sex || ''}
+          onChange={(value) => changeFilter({ sex: value || null })}
+          options={[['', t('trials.any')], ['FEMALE', t('trials.female')], ['MALE', t('trials.male')]]}
+        />
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={query.lat !== null && query.lat !== undefined} onChange={toggleNearMe} disabled={isLoading} />
+          <span>{t('trials.nearMe', { km: query.radius || NEAR_ME_RADIUS_KM })}</span>
+        </label>
+      </div>
+
+      {totalCount !== null && totalCount !== undefined && (
+        <p className="text-xs opacity-80">{t('trials.showing', { count: trials.length, total: totalCount })}</p>
+      )}
+
+      {trials.length > 0
+        ? trials.map(trial => <TrialCard key={trial.nctId} trial={trial} />)
+        : <p>{t('trials.none')}</p>}
+
+      {error && <p className="text-sm italic">{error}</p>}
+
+      {nextPageToken && (
+        <Button
+          type="button"
+          onClick={() => load({ ...query, pageToken: nextPageToken }, { append: true })}
+          className="bg-white/15 hover:bg-white/25 rounded-xl"
+          disabled={isLoading}
+        >
+          {isLoading ? t('trials.loading') : t('trials.loadMore')}
+        </Button>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,34 @@
+'use client'
+
+import { FileDown, FileJson, Printer } from 'lucide-react'
+import { useLanguage } from '@/hooks/useLanguage'
+
+const LINK_CLASS = 'flex items-center gap-1 rounded-xl bg-white px-3 py-1 text-sm text-lime-900 shadow'
+
+// The visit summary of the current conversation, built on the server from the session (see /api/sessions/[sessionId]/summary)
+// and the same conversation as a FHIR Bundle for clinics that can import one (see /api/sessions/[sessionId]/fhir)
+// Only shown once there is a conversation to summarize
+export default function VisitSummaryLinks({ sessionId }) {
+  const { language, t } = useLanguage()
+
+  if (!sessionId) return null
+
+  const href = format => `/api/sessions/${sessionId}/summary?format=${format}&language=${language}`
+
+  return (
+    <div className="flex items-center gap-2" role="group" aria-label={t('summary.button')}>
+      <a href={href('html')} target="_blank" rel="noopener" className={LINK_CLASS}>
+        <Printer className="h-4 w-4" />
+        {t('summary.print')}
+      </a>
+      <a href={href('pdf')} download className={LINK_CLASS}>
+        <FileDown className="h-4 w-4" />
+        {t('summary.download')}
+      </a>
+      <a href={`/api/sessions/${sessionId}/fhir`} download="health-record.fhir.json" className={LINK_CLASS}>
+        <FileJson className="h-4 w-4" />
+        {t('summary.fhir')}
+      </a>
+    </div>
+  )
+}
@@ -0,0 +1,33 @@
+'use client'
+
+import { Mic, MicOff, Loader2 } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { useLanguage } from '@/hooks/useLanguage'
+
+// The microphone next to the message box, `voice` comes from `useVoiceInput`
+// Pressed once it listens, pressed again it stops. Hidden where the browser can't listen and the server doesn't transcribe
+export default function VoiceInputButton({ voice, disabled }) {
+  const { t } = useLanguage()
+
+  if (!voice.mode) return null
+
+  const isListening = voice.status === 'listening'
+  const label = isListening ? t('voice.stop') : t('voice.start')
+
+  return (
+    <Button
+      type="button"
+      size="icon"
+      onClick={isListening ? voice.stop : voice.start}
+      disabled={disabled || voice.status === 'transcribing'}
+      className={`shrink-0 rounded-xl ${isListening ? 'bg-red-600 hover:bg-red-700 animate-pulse' : 'bg-lime-900 hover:bg-lime-950'}`}
+      aria-label={label}
+      aria-pressed={isListening}
+      title={label}
+    >
+      {voice.status === 'transcribing'
+        ? <Loader2 className="animate-spin" />
+        : isListening ? <MicOff /> : <Mic />}
+    </Button>
+  )
+}
@@ -0,0 +1,60 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react'
+import { clearConversation } from '@/lib/offline'
+import { PROFILE_ID_KEY } from '@/hooks/useProfile'
+
+// What this browser keeps of a signed-in user goes when they leave: the conversation,
+// and the id of their account's profile, the next person on a shared phone starts a profile of their own
+async function forgetUser() {
+  localStorage.removeItem(PROFILE_ID_KEY)
+  await clearConversation()
+}
+
+// The signed-in user, if any (see `@/lib/auth`): `user` is undefined while we find out, then { id, email } or null
+export function useAccount() {
+  const [user, setUser] = useState(undefined)
+
+  useEffect(() => {
+    fetch('/api/auth/session')
+      .then(response => response.json())
+      .then(data => setUser(data.user))
+      .catch(error => {
+        console.error('Error loading account:', error)
+        setUser(null)
+      })
+  }, [])
+
+  // Emails a sign-in link, returns the response body ({ sent, outbox }) or throws one with `code` set when refused
+  const requestLink = useCallback(async (email) => {
+    const response = await fetch('/api/auth/sign-in', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email }),
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      throw Object.assign(new Error(data.error || 'Failed to send sign-in link'), data)
+    }
+    return data
+  }, [])
+
+  const signOut = useCallback(async () => {
+    await fetch('/api/auth/session', { method: 'DELETE' })
+    await forgetUser()
+    setUser(null)
+  }, [])
+
+  // Deletes the account and everything in it, its health profile and symptom diary included
+  const deleteData = useCallback(async () => {
+    const response = await fetch('/api/account', { method: 'DELETE' })
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}))
+      throw new Error(data.error || 'Failed to delete data')
+    }
+    await forgetUser()
+    setUser(null)
+  }, [])
+
+  return { user, requestLink, signOut, deleteData }
+}
@@ -0,0 +1,54 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react'
+
+// The symptom diary kept with the health profile `profileId` (see `@/hooks/useProfile` and /api/profile/<id>/diary)
+// `entries` and `trends` are null while loading, `error` is set when the diary couldn't be loaded
+export function useDiary(profileId) {
+  const [entries, setEntries] = useState(null)
+  const [trends, setTrends] = useState(null)
+  const [error, setError] = useState(null)
+
+  const load = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/profile/${profileId}/diary`)
+      if (!response.ok) throw new Error('Failed to load diary')
+      const data = await response.json()
+      setEntries(data.entries)
+      setTrends(data.trends)
+      setError(null)
+    } catch (loadError) {
+      console.error('Error loading diary:', loadError)
+      setError(loadError)
+    }
+  }, [profileId])
+
+  useEffect(() => {
+    if (profileId) load()
+  }, [profileId, load])
+
+  // Trends depend on every entry, so they're loaded again rather than worked out here
+  const addEntry = useCallback(async (entry) => {
+    const response = await fetch(`/api/profile/${profileId}/diary`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ entry }),
+    })
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to save diary entry')
+    }
+    await load()
+    return data.entry
+  }, [profileId, load])
+
+  const deleteEntry = useCallback(async (entryId) => {
+    const response = await fetch(`/api/profile/${profileId}/diary?entryId=${encodeURIComponent(entryId)}`, { method: 'DELETE' })
+    if (!response.ok && response.status !== 404) {
+      throw new Error('Failed to delete diary entry')
+    }
+    await load()
+  }, [profileId, load])
+
+  return { entries, trends, error, addEntry, deleteEntry }
+}
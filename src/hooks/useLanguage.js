@@ -0,0 +1,12 @@
+'use client'
+
+import { useContext, useCallback } from 'react'
+import { LanguageContext } from '@/components/LanguageProvider'
+import { translate } from '@/lib/i18n'
+
+// The current UI language and `t(key, values)` to look up strings in it, see `@/lib/i18n/messages`
+export function useLanguage() {
+  const { language, setLanguage } = useContext(LanguageContext)
+  const t = useCallback((key, values) => translate(language, key, values), [language])
+  return { language, setLanguage, t }
+}
@@ -0,0 +1,69 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react'
+
+export const PROFILE_ID_KEY = 'simplihealth.profileId'
+
+// The user's health profile, stored on the server under an id this browser keeps in localStorage
+// Signed in, the server answers with their account's profile and its id, which this browser keeps from then on
+export function useProfile() {
+  const [profileId, setProfileId] = useState(null)
+  const [profile, setProfile] = useState(null)
+
+  useEffect(() => {
+    let id = localStorage.getItem(PROFILE_ID_KEY)
+    if (!id) {
+      id = crypto.randomUUID()
+      localStorage.setItem(PROFILE_ID_KEY, id)
+    }
+    setProfileId(id)
+
+    fetch(`/api/profile/${id}`)
+      .then(response => response.json())
+      .then(data => {
+        if (data.profileId && data.profileId !== id) {
+          localStorage.setItem(PROFILE_ID_KEY, data.profileId)
+          setProfileId(data.profileId)
+        }
+        setProfile(data.profile)
+      })
+      .catch(error => console.error('Error loading profile:', error))
+  }, [])
+
+  const saveProfile = useCallback(async (nextProfile) => {
+    const response = await fetch(`/api/profile/${profileId}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ profile: nextProfile }),
+    })
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to save profile')
+    }
+    setProfile(data.profile)
+    return data.profile
+  }, [profileId])
+
+  // Reads a FHIR Bundle exported from a clinic's system into a profile the user can check before saving it
+  const importFhir = useCallback(async (bundleText) => {
+    const response = await fetch(`/api/profile/${profileId}/fhir`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/fhir+json' },
+      body: bundleText,
+    })
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to import health record')
+    }
+    return data
+  }, [profileId])
+
+  // Takes the value from a message over the stored one, when the user agrees their profile is out of date
+  const acceptConflict = useCallback(({ field, messageValue }) => {
+    if (!profile) return
+    const value = field === 'age' ? messageValue.min ?? messageValue.max : messageValue
+    return saveProfile({ ...profile, demographics: { ...profile.demographics, [field]: value } })
+  }, [profile, saveProfile])
+
+  return { profileId, profile, saveProfile, importFhir, acceptConflict }
+}
@@ -0,0 +1,50 @@
+'use client'
+
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { useLanguage } from '@/hooks/useLanguage'
+import { speak, toSentences, isSpeechSynthesisSupported } from '@/lib/speech'
+
+// Reads text aloud in the UI language (see `@/lib/speech`)
+// `status` is idle, speaking or paused, `activeId` the id of the sentence being read ("advice.general.0:1")
+// `start(parts)` takes [{ id, text }], the same ids the page renders the text with
+export function useReadAloud() {
+  const { language } = useLanguage()
+  const [isSupported, setIsSupported] = useState(false)
+  const [status, setStatus] = useState('idle')
+  const [activeId, setActiveId] = useState(null)
+  const readerRef = useRef(null)
+
+  useEffect(() => {
+    setIsSupported(isSpeechSynthesisSupported())
+    return () => readerRef.current?.stop()
+  }, [])
+
+  const start = useCallback((parts) => {
+    const sentences = toSentences(parts, language)
+    if (sentences.length === 0) return
+    setStatus('speaking')
+    readerRef.current = speak(sentences, {
+      language,
+      onSentence: index => setActiveId(sentences[index].id),
+      onEnd: () => {
+        readerRef.current = null
+        setStatus('idle')
+        setActiveId(null)
+      },
+    })
+  }, [language])
+
+  const pause = useCallback(() => {
+    readerRef.current?.pause()
+    setStatus('paused')
+  }, [])
+
+  const resume = useCallback(() => {
+    readerRef.current?.resume()
+    setStatus('speaking')
+  }, [])
+
+  const stop = useCallback(() => readerRef.current?.stop(), [])
+
+  return { isSupported, status, activeId, start, pause, resume, stop }
+}
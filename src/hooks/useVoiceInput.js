@@ -0,0 +1,142 @@
+'use client'
+
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { useLanguage } from '@/hooks/useLanguage'
+import { speechLocale, getSpeechRecognition, canRecordAudio } from '@/lib/speech'
+
+// Longest recording we send to the server, a description of symptoms fits easily
+const MAX_RECORDING_MS = 60 * 1000
+
+// Speaking instead of typing: what the user says goes into the message box, after what they had typed already,
+// for them to check before sending. Nothing is sent on its own
+// `mode` is "browser" (SpeechRecognition), "server" (a recording sent to /api/transcribe) or null when neither works here
+// `status` is idle, listening or transcribing, `error` a message key from `voice.*` after a failed attempt
+export function useVoiceInput({ value, onChange }) {
+  const { language } = useLanguage()
+  const [mode, setMode] = useState(null)
+  const [status, setStatus] = useState('idle')
+  const [error, setError] = useState(null)
+  const baseRef = useRef('')
+  const stopRef = useRef(null)
+  // Counts attempts, so what is heard after `cancel()` doesn't end up in the box
+  const attemptRef = useRef(0)
+
+  useEffect(() => {
+    if (getSpeechRecognition()) {
+      setMode('browser')
+      return
+    }
+    if (!canRecordAudio()) return
+    fetch('/api/transcribe')
+      .then(response => response.json())
+      .then(data => data.available && setMode('server'))
+      .catch(() => {})
+  }, [])
+
+  // Stops listening when the page goes away
+  useEffect(() => () => stopRef.current?.(), [])
+
+  const isCurrent = attempt => attempt === attemptRef.current
+
+  const write = (attempt, text) => {
+    if (!isCurrent(attempt)) return
+    const base = baseRef.current.trim()
+    onChange(base && text ? `${base} ${text}` : base || text)
+  }
+
+  const listen = (attempt) => {
+    const SpeechRecognition = getSpeechRecognition()
+    const recognition = new SpeechRecognition()
+    recognition.lang = speechLocale(language)
+    recognition.interimResults = true
+    recognition.continuous = false
+
+    recognition.onresult = event => {
+      write(attempt, [...event.results].map(result => result[0].transcript).join(' ').trim())
+    }
+    recognition.onerror = event => {
+      if (event.error === 'aborted' || !isCurrent(attempt)) return
+      setError(event.error === 'not-allowed' || event.error === 'service-not-allowed'
+        ? 'voice.denied'
+        : event.error === 'no-speech' ? 'voice.noSpeech' : 'voice.failed')
+    }
+    recognition.onend = () => {
+      if (!isCurrent(attempt)) return
+      stopRef.current = null
+      setStatus('idle')
+    }
+
+    stopRef.current = () => recognition.stop()
+    recognition.start()
+  }
+
+  const transcribe = async (blob, attempt) => {
+    setStatus('transcribing')
+    try {
+      const response = await fetch(`/api/transcribe?language=${language}`, {
+        method: 'POST',
+        headers: { 'Content-Type': blob.type || 'audio/webm' },
+        body: blob,
+      })
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) throw new Error(data.error || 'Failed to transcribe')
+      if (data.text) write(attempt, data.text)
+      else if (isCurrent(attempt)) setError('voice.noSpeech')
+    } catch (error) {
+      console.error('Error transcribing:', error)
+      if (isCurrent(attempt)) setError('voice.failed')
+    } finally {
+      if (isCurrent(attempt)) setStatus('idle')
+    }
+  }
+
+  const record = async (attempt) => {
+    let stream
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true })
+    } catch {
+      setError('voice.denied')
+      setStatus('idle')
+      return
+    }
+
+    const recorder = new MediaRecorder(stream)
+    const chunks = []
+    const timer = setTimeout(() => recorder.stop(), MAX_RECORDING_MS)
+    recorder.ondataavailable = event => event.data.size > 0 && chunks.push(event.data)
+    recorder.onstop = () => {
+      clearTimeout(timer)
+      stream.getTracks().forEach(track => track.stop())
+      if (!isCurrent(attempt)) return
+      stopRef.current = null
+      transcribe(new Blob(chunks, { type: recorder.mimeType }), attempt)
+    }
+
+    stopRef.current = () => recorder.state !== 'inactive' && recorder.stop()
+    recorder.start()
+  }
+
+  const start = useCallback(() => {
+    if (!mode || status !== 'idle') return
+    baseRef.current = value
+    setError(null)
+    setStatus('listening')
+    const attempt = ++attemptRef.current
+    if (mode === 'browser') listen(attempt)
+    else record(attempt)
+    // `listen` and `record` are new on every render, these are the values they read
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [mode, status, value, language, onChange])
+
+  // Stops listening, what was said so far still goes into the box
+  const stop = useCallback(() => stopRef.current?.(), [])
+
+  // Stops listening and drops what hasn't been written yet, e.g. when the message is sent
+  const cancel = useCallback(() => {
+    attemptRef.current++
+    stopRef.current?.()
+    setStatus('idle')
+  }, [])
+
+  return { mode, status, error, start, stop, cancel }
+}
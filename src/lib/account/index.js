@@ -0,0 +1,82 @@
+import { randomUUID } from 'crypto'
+import { getSession, deleteSession } from '@/lib/sessions'
+import { getProfile, deleteProfile, claimProfile, isValidProfileId, ProfileAccessError } from '@/lib/profile'
+import { getDiary, deleteDiary, claimDiary } from '@/lib/diary'
+import { getUser, deleteUser, setUserProfile } from '@/lib/auth'
+import { buildVisitSummary } from '@/lib/summary'
+
+// What a signed-in user can do with everything we keep about them: list their consultations,
+// take all of it with them, or have all of it deleted
+// The health profile and the symptom diary belong to the browser until someone signs in, then to their account:
+// the first profile they use signed in becomes theirs and is sealed with their key (see `@/lib/vault/records`),
+// and from then on they get that one on every device, whatever id the browser has (see `@/hooks/useProfile`)
+
+// The profile to use for `profileId` from the client: that one for anonymous users,
+// the account's own for signed-in ones, which claims the one they asked for if they have none yet
+// One that is another account's already stays theirs, e.g. on a shared browser where the last person's sign-in
+// ran out and left their id behind: this user gets a new profile, whose id the client keeps from then on
+export async function accountProfileId(profileId, user) {
+  if (!user) return profileId
+  if (user.profileId) return user.profileId
+  if (!isValidProfileId(profileId)) return profileId
+
+  let id = profileId
+  try {
+    await claimProfile(id, user.id)
+  } catch (error) {
+    if (!(error instanceof ProfileAccessError)) throw error
+    id = randomUUID()
+    await claimProfile(id, user.id)
+  }
+  await claimDiary(id, user.id)
+  // Another request may have claimed one for the account meanwhile, that one stays the account's
+  return setUserProfile(user.id, id)
+}
+
+async function userSessions(user) {
+  const sessions = await Promise.all(user.sessionIds.map(id => getSession(id, { userId: user.id })))
+  return sessions.filter(session => session?.turns.length > 0)
+}
+
+// Newest first, with just enough to recognize each one
+//   [{ sessionId, startedAt, endedAt, urgency, firstMessage, messageCount, symptoms: [name] }]
+export async function listConsultations(user) {
+  const consultations = (await userSessions(user)).map(session => {
+    const summary = buildVisitSummary(session)
+    return {
+      sessionId: session.id,
+      startedAt: summary.startedAt,
+      endedAt: summary.endedAt,
+      urgency: summary.triage.urgency,
+      firstMessage: session.turns[0].userInput,
+      messageCount: session.turns.length,
+      symptoms: summary.symptoms.map(symptom => symptom.concept?.term || symptom.name),
+    }
+  })
+  return consultations.sort((a, b) => b.endedAt.localeCompare(a.endedAt))
+}
+
+// Everything, readable, as one JSON document
+export async function exportUserData(user) {
+  const { id: userId, profileId } = user
+  const [sessions, profile, diary] = await Promise.all([userSessions(user), getProfile(profileId, { userId }), getDiary(profileId, { userId })])
+  return {
+    exportedAt: new Date().toISOString(),
+    account: { id: user.id, email: user.email, createdAt: user.createdAt },
+    profile,
+    symptomDiary: diary,
+    consultations: sessions.map(({ id, createdAt, updatedAt, turns }) => ({ id, createdAt, updatedAt, turns })),
+  }
+}
+
+// The account goes last: as long as it exists a failed deletion can be tried again
+// Only the account's own profile, never one the client names
+// The user is read again, a consultation started since `user` was read is deleted too
+export async function deleteUserData(user) {
+  const { sessionIds, profileId } = await getUser(user.id) || user
+  await Promise.all(sessionIds.map(deleteSession))
+  if (profileId) {
+    await Promise.all([deleteProfile(profileId), deleteDiary(profileId)])
+  }
+  await deleteUser(user.id)
+}
@@ -0,0 +1,90 @@
+import { randomUUID } from 'crypto'
+import { describe, it, expect } from 'vitest'
+import { accountProfileId, exportUserData, deleteUserData } from './index'
+import { requestSignInLink, completeSignIn, getUser } from '@/lib/auth'
+import { getProfile, saveProfile, createEmptyProfile, ProfileAccessError } from '@/lib/profile'
+import { getDiary, addDiaryEntry, recordMessageSymptoms } from '@/lib/diary'
+import { getStore } from '@/lib/storage'
+
+// Signs in the way a user does, with the link from the outbox
+async function signIn(email) {
+  await requestSignInLink(email, { origin: 'http://localhost', language: 'en' })
+  const outbox = getStore('outbox')
+  const message = await outbox.get((await outbox.list()).sort().at(-1))
+  const { user } = await completeSignIn(message.text.match(/token=([\w-]+)/)[1])
+  return user
+}
+
+function profileWithAge(age) {
+  const profile = createEmptyProfile()
+  return { ...profile, demographics: { ...profile.demographics, age } }
+}
+
+describe('account profile', () => {
+  it('makes the first profile used signed in the account\'s, sealed and hidden from everyone else', async () => {
+    const profileId = randomUUID()
+    await saveProfile(profileId, profileWithAge(40))
+    await addDiaryEntry(profileId, { symptom: 'headache', severity: 'mild' })
+    const user = await signIn('owner@example.com')
+
+    expect(await accountProfileId(profileId, user)).toBe(profileId)
+    expect((await getUser(user.id)).profileId).toBe(profileId)
+
+    const stored = await getStore('profiles').get(profileId)
+    expect(stored.userId).toBe(user.id)
+    expect(JSON.stringify(stored)).not.toContain('"age"')
+    expect(JSON.stringify(await getStore('diaries').get(profileId))).not.toContain('headache')
+
+    expect((await getProfile(profileId, { userId: user.id })).demographics.age).toBe(40)
+    expect(await getDiary(profileId, { userId: user.id })).toHaveLength(1)
+    expect(await getProfile(profileId)).toBeNull()
+    expect(await getDiary(profileId)).toEqual([])
+    await expect(saveProfile(profileId, profileWithAge(20))).rejects.toThrow(ProfileAccessError)
+    await expect(addDiaryEntry(profileId, { symptom: 'cough', severity: 'mild' })).rejects.toThrow(ProfileAccessError)
+    expect(await recordMessageSymptoms(profileId, [{ name: 'cough', severity: 'mild' }])).toEqual([])
+  })
+
+  it('gives a signed-in user their own profile whatever id the browser has', async () => {
+    const user = await signIn('devices@example.com')
+    const first = randomUUID()
+    expect(await accountProfileId(first, user)).toBe(first)
+
+    const other = randomUUID()
+    expect(await accountProfileId(other, await getUser(user.id))).toBe(first)
+    expect(await accountProfileId(other, null)).toBe(other)
+
+    // Nothing was saved under `first` yet, it's still the account's alone
+    await expect(addDiaryEntry(first, { symptom: 'cough', severity: 'mild' })).rejects.toThrow(ProfileAccessError)
+    await expect(saveProfile(first, profileWithAge(20))).rejects.toThrow(ProfileAccessError)
+  })
+
+  it('starts a new profile when the browser still has another account\'s', async () => {
+    const previous = await signIn('previous@example.com')
+    const shared = await accountProfileId(randomUUID(), previous)
+    await saveProfile(shared, profileWithAge(50), { userId: previous.id })
+
+    const next = await signIn('next@example.com')
+    const own = await accountProfileId(shared, next)
+    expect(own).not.toBe(shared)
+    expect((await getUser(next.id)).profileId).toBe(own)
+    expect(await getProfile(own, { userId: next.id })).toMatchObject({ demographics: { age: null } })
+    expect((await getProfile(shared, { userId: previous.id })).demographics.age).toBe(50)
+  })
+
+  it('exports and deletes only the account\'s own profile', async () => {
+    const stranger = randomUUID()
+    await saveProfile(stranger, profileWithAge(70))
+
+    const user = await signIn('leaving@example.com')
+    const own = await accountProfileId(randomUUID(), user)
+    await saveProfile(own, profileWithAge(30), { userId: user.id })
+
+    const data = await exportUserData(await getUser(user.id))
+    expect(data.profile.demographics.age).toBe(30)
+
+    await deleteUserData(await getUser(user.id))
+    expect(await getStore('profiles').get(own)).toBeNull()
+    expect((await getProfile(stranger)).demographics.age).toBe(70)
+    expect(await getUser(user.id)).toBeNull()
+  })
+})
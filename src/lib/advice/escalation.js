@@ -0,0 +1,54 @@
+import { translate } from '@/lib/i18n'
+
+// When to seek care, made firmer for symptoms that last or get worse (see `@/lib/diary/trends`)
+// Fixed rules like the triage ones (see `@/lib/triage/rules`): the model is told about the trends too,
+// but "fever for 4 days and worsening" should always say to see someone, whatever the model wrote
+// The first rule that matches a trend wins, at most one item per symptom
+
+const TREND_RULES = [
+  {
+    id: 'lastingFever',
+    severity: 'urgent',
+    when: ({ concept, days, direction }) => concept === 'fever' && days >= 3 && direction !== 'improving',
+  },
+  {
+    id: 'worsening',
+    severity: 'urgent',
+    when: ({ days, direction }) => direction === 'worsening' && days >= 2,
+  },
+  {
+    id: 'severeLasting',
+    severity: 'urgent',
+    when: ({ days, direction, severity }) => severity === 'severe' && days >= 2 && direction !== 'improving',
+  },
+  {
+    id: 'lasting',
+    severity: 'caution',
+    when: ({ days, direction }) => days >= 14 && direction !== 'improving',
+  },
+]
+
+// One line per trend for the prompt: "Fever: for 4 days, getting worse, now moderate"
+export function describeTrend({ symptom, days, direction, severity }) {
+  const details = [
+    days && `for ${days} day${days > 1 ? 's' : ''}`,
+    direction === 'worsening' && 'getting worse',
+    direction === 'improving' && 'getting better',
+    direction === 'stable' && 'not changing',
+    severity && `now ${severity}`,
+  ].filter(Boolean)
+  return `${symptom}: ${details.join(', ')}`
+}
+
+// The seek-care items the trends call for, [{ text, severity, sources: [] }] in `language`, most urgent first
+export function trendWarnings(trends, language) {
+  return trends
+    .map(trend => ({ trend, rule: TREND_RULES.find(rule => rule.when(trend)) }))
+    .filter(({ rule }) => rule)
+    .sort((a, b) => TREND_RULES.indexOf(a.rule) - TREND_RULES.indexOf(b.rule))
+    .map(({ trend, rule }) => ({
+      text: translate(language, `trend.${rule.id}`, { symptom: trend.symptom.toLowerCase(), days: trend.days }),
+      severity: rule.severity,
+      sources: [],
+    }))
+}
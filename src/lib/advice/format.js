@@ -0,0 +1,60 @@
+import { createEmptyAdvice } from './schema'
+
+// Structured advice <-> the plain-text format clients used before advice had sections
+//
+//   General Advice:
+//   -> point
+//
+//   [Symptom]:
+//   -> point
+//
+//   When to Seek Medical Help:
+//   -> point
+
+const lines = items => items.map(({ text }) => `-> ${text}`)
+
+// The text fallback, sent as `healthAdvice` and used wherever the advice is needed as text
+// (conversation history, the interaction checker)
+export function formatAdviceText({ answer, general, symptoms, seekCare, sources }) {
+  return [
+    answer && [`Answer: ${answer}`],
+    general.length > 0 && ['General Advice:', ...lines(general)],
+    ...symptoms.map(({ symptom, items }) => [`${symptom}:`, ...lines(items)]),
+    seekCare.length > 0 && ['When to Seek Medical Help:', ...lines(seekCare)],
+    sources.length > 0 && ['Sources:', ...sources.map(({ title, url }) => `-> ${url ? `${title} (${url})` : title}`)],
+  ].filter(Boolean).map(section => section.join('\n')).join('\n\n')
+}
+
+// Reads advice written in the plain-text format, for when the model ignores the JSON instructions
+// Every point gets the "info" severity since the text doesn't tell us any better
+export function parseAdviceText(text) {
+  const advice = createEmptyAdvice()
+  let current = advice.general
+
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.replace(/[*#]/g, '').trim()
+    if (!line) continue
+
+    const point = line.match(/^(?:->|-|•)\s*(.+)$/)?.[1]
+    if (point) {
+      current.push({ text: point, severity: 'info', sources: [] })
+    } else if (/^answer:/i.test(line)) {
+      advice.answer = line.replace(/^answer:\s*/i, '') || null
+    } else if (/^general advice:?$/i.test(line)) {
+      current = advice.general
+    } else if (/^when to seek (?:medical|professional) help:?$/i.test(line)) {
+      current = advice.seekCare
+    } else if (/^symptom-specific advice:?$/i.test(line)) {
+      continue
+    } else if (/^\[?[^:]{1,60}\]?:$/.test(line)) {
+      const block = { symptom: line.replace(/[[\]:]/g, '').trim(), items: [] }
+      advice.symptoms.push(block)
+      current = block.items
+    } else {
+      current.push({ text: line, severity: 'info', sources: [] })
+    }
+  }
+
+  advice.symptoms = advice.symptoms.filter(block => block.items.length > 0)
+  return advice
+}
@@ -0,0 +1,200 @@
+import { getProvider } from '@/lib/llm'
+import { parseModelJson, buildRepairPrompt } from '@/lib/llm/json'
+import { validate, formatErrors } from '@/lib/validation'
+import { describeAge, describeLocation, describeSymptom } from '@/lib/extraction/format'
+import { LANGUAGES, DEFAULT_LANGUAGE } from '@/lib/i18n'
+import { createLogger } from '@/lib/logger'
+import { createCache, secondsFromEnv } from '@/lib/cache'
+import { adviceSchema, adviceExample, coerceAdvice, createEmptyAdvice } from './schema'
+import { formatAdviceText, parseAdviceText } from './format'
+import { describeTrend, trendWarnings } from './escalation'
+
+const logger = createLogger('advice')
+
+// How many times we ask the model for valid advice before making do with what it wrote
+const MAX_ATTEMPTS = Math.max(1, parseInt(process.env.ADVICE_MAX_ATTEMPTS) || 2)
+
+// The same prompt to the same model gets the same advice, so a repeated question is answered from the cache
+// ADVICE_CACHE_TTL is how long, in seconds (default 6 hours, 0 turns it off)
+// Prompts are pseudonymized before they get here (see `@/lib/pipeline`), but the advice still describes someone's health,
+// so it's only ever kept in memory, whatever CACHE_ADAPTER says
+// Only advice the model got right is kept: a salvaged answer is worth asking for again
+const adviceCache = createCache('advice', {
+  ttl: secondsFromEnv('ADVICE_CACHE_TTL', 6 * 60 * 60),
+  cacheIf: ({ complete }) => complete,
+  persistent: false,
+})
+
+// Streams the answer through `onToken` when the caller wants it and the model can, and returns the full text
+async function complete(model, prompt, options, onToken) {
+  if (!onToken || !model.streamText) {
+    return model.generateText(prompt, options)
+  }
+
+  let text = ''
+  for await (const chunk of model.streamText(prompt, options)) {
+    text += chunk
+    onToken(chunk)
+  }
+  return text
+}
+
+// Keeps the parts of an invalid answer that are valid on their own,
+// or reads the answer as plain text if it isn't JSON at all
+function salvageAdvice(text) {
+  let candidate
+  try {
+    candidate = coerceAdvice(parseModelJson(text))
+  } catch {
+    return parseAdviceText(text)
+  }
+
+  const advice = createEmptyAdvice()
+  for (const [key, property] of Object.entries(adviceSchema.properties)) {
+    const value = candidate?.[key]
+    if (Array.isArray(value)) {
+      advice[key] = value.filter(entry => validate(property.items, entry).valid)
+    } else if (validate(property, value).valid) {
+      advice[key] = value
+    }
+  }
+  return advice
+}
+
+// This function uses the advice model to generate health advice based on the extracted information
+// The answer is structured (see `./schema`) and validated like the extraction: repaired by the model
+// up to MAX_ATTEMPTS times, after which we keep whatever part of it is usable
+// When `onToken` is given, the first answer is streamed as raw model output and every chunk is passed to it
+// The advice is written in `language` (see `@/lib/i18n`), only the JSON keys stay in English
+// `trends` is how the symptoms changed over the last days (see `@/lib/diary/trends`): the model is told,
+// and symptoms that last or get worse always get a firmer when-to-seek-care item at the top (see `./escalation`)
+// Returns { advice, healthAdvice }, where `healthAdvice` is the same advice as plain text for older clients
+// A cached answer comes back without any tokens
+export async function generateHealthAdvice(
+  { age, sex, location, symptoms, conditions, medications = [], allergies = [], isFollowUp, followUpTopic, conversationHistory = [], trends = [], language = DEFAULT_LANGUAGE },
+  { onToken, signal } = {}
+) {
+  // Get the model configured for the advice stage
+  const model = getProvider('advice')
+  
+  // Construct a prompt for the model to generate health advice
+  // We include the extracted age, location, symptoms, and conditions (if any) in the prompt
+  let prompt = `Given the following conversation history and current health information, `
+  
+  if (isFollowUp) {
+    prompt += `provide a detailed answer to the user's follow-up question or comment about ${followUpTopic || 'their previous health issue'}. `
+    prompt += `Consider the previous health information and advice given when formulating your response.`
+  } else {
+    prompt += `generate health advice for a person`
+    
+    if (age) {
+      prompt += ` aged ${describeAge(age)}`
+    }
+    
+    if (location) {
+      prompt += ` in ${describeLocation(location)}`
+    }
+    
+    if (symptoms.length > 0) {
+      prompt += ` experiencing the following symptom${symptoms.length > 1 ? 's' : ''}: ${symptoms.map(describeSymptom).join(', ')}.`
+    } else {
+      prompt += ` with no reported symptoms.`
+    }
+    
+    if (conditions.length > 0) {
+      prompt += ` They have the following pre-existing condition${conditions.length > 1 ? 's' : ''}: ${conditions.join(', ')}.`
+    }
+  }
+
+  // What we know from the user's stored profile applies to follow-ups as well
+  if (sex) {
+    prompt += ` The person is ${sex === 'FEMALE' ? 'female' : 'male'}.`
+  }
+
+  if (medications.length > 0) {
+    prompt += ` They currently take: ${medications.map(({ name, dose }) => dose ? `${name} (${dose})` : name).join(', ')}.`
+  }
+
+  if (allergies.length > 0) {
+    prompt += ` They are allergic to: ${allergies.join(', ')}. Never recommend anything they are allergic to.`
+  }
+
+  if (trends.length > 0) {
+    prompt += ` How their symptoms changed over the last days: ${trends.map(describeTrend).join('; ')}.`
+    prompt += ` A symptom that lasts or gets worse needs to be seen sooner: say so in when to seek professional help.`
+  }
+
+  // Photos are described by a model (see `@/lib/extraction/visual`), which is no way to tell what something is
+  if (symptoms?.some(symptom => symptom.visual)) {
+    prompt += ` Some symptoms were only seen in a photo: treat those descriptions as uncertain, never as a diagnosis, and suggest having them looked at by a health worker.`
+  }
+  
+  prompt += `
+    Provide specific recommendations for each symptom (if any) and when to seek professional medical help. 
+    If there are pre-existing conditions or current medications, consider how they might interact with the symptoms and with any remedy you suggest.
+    Tag every point with a severity: "info" for self-care, "caution" for things to watch closely, "urgent" for situations that need help right away.
+    Cite well-known public health sources (WHO, CDC, NHS, national health ministries) in "sources" and refer to them by index from each point. Never invent a URL, use null if you are not sure of it.
+    
+    Conversation history:
+    ${conversationHistory.join('\n')}
+    
+    ${isFollowUp
+      ? 'Put the answer to the follow-up in "answer". The other sections can be empty if they do not apply.'
+      : `Leave "answer" null.${symptoms.length > 0 ? ` Add one "symptoms" entry for each of: ${symptoms.map(({ name }) => name).join(', ')}.` : ''}`}
+    
+    Write every text value in ${LANGUAGES[language].name}, but keep the JSON keys and the severity values exactly as shown.
+    
+    Respond with only a JSON object of exactly this shape, without markdown:
+    ${adviceExample}
+  `
+  
+  const options = {
+    json: true,
+    context: { age, sex, location, symptoms, conditions, medications, allergies, isFollowUp, followUpTopic, conversationHistory, trends, language },
+  }
+
+  // Identical questions asked at the same time share one request: it streams to all of them,
+  // and is only cancelled once every one of them has gone
+  const { advice: answer } = await adviceCache.getOrLoad(
+    `${model.name}:${model.model}\n${prompt}`,
+    ({ signal: sharedSignal, onToken: sharedOnToken }) => requestAdvice(model, prompt, { ...options, signal: sharedSignal }, sharedOnToken),
+    { signal, onToken }
+  )
+
+  // Added after the cache, the prompt already holds the trends so the key covers them
+  const warnings = trendWarnings(trends, language)
+  const advice = warnings.length > 0 ? { ...answer, seekCare: [...warnings, ...answer.seekCare] } : answer
+  return { advice, healthAdvice: formatAdviceText(advice) }
+}
+
+// Asks the model, repairs its answer up to MAX_ATTEMPTS times, and salvages what it can after that
+// `complete` tells whether the advice is the model's own valid answer
+async function requestAdvice(model, prompt, options, onToken) {
+  let currentPrompt = prompt
+  let lastText = ''
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    // Only the first answer is streamed, repairs are short and replace it anyway
+    const responseText = attempt === 1
+      ? await complete(model, currentPrompt, options, onToken)
+      : await model.generateText(currentPrompt, options)
+
+    let problems
+    try {
+      const candidate = coerceAdvice(parseModelJson(responseText))
+      const { valid, errors } = validate(adviceSchema, candidate)
+      if (valid) {
+        return { advice: candidate, complete: true }
+      }
+      problems = formatErrors(errors)
+    } catch (error) {
+      problems = `The response could not be parsed as JSON (${error.message}).`
+    }
+
+    logger.warn(`Invalid ${model.name} advice`, { attempt, maxAttempts: MAX_ATTEMPTS, problems })
+    lastText = responseText
+    currentPrompt = buildRepairPrompt(prompt, responseText, problems)
+  }
+
+  return { advice: salvageAdvice(lastText), complete: false }
+}
@@ -0,0 +1,38 @@
+import { parsePartialJson } from '@/lib/llm/json'
+import { ADVICE_SEVERITIES, createEmptyAdvice } from './schema'
+
+// The advice as far as the model has written it, so the sections fill in while it streams
+// Only the parts that can already be shown are kept: items with some text, symptoms with a name,
+// and sources with a title. A severity that hasn't arrived yet shows as "info" until the final advice replaces it
+// Returns null until there is something to show
+
+const list = value => Array.isArray(value) ? value : []
+
+const items = value => list(value)
+  .filter(item => typeof item?.text === 'string' && item.text)
+  .map(item => ({
+    text: item.text,
+    severity: ADVICE_SEVERITIES.includes(item.severity) ? item.severity : 'info',
+    sources: list(item.sources).filter(Number.isInteger),
+  }))
+
+export function readPartialAdvice(text) {
+  const raw = parsePartialJson(text)
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null
+
+  const advice = {
+    ...createEmptyAdvice(),
+    answer: typeof raw.answer === 'string' && raw.answer ? raw.answer : null,
+    general: items(raw.general),
+    symptoms: list(raw.symptoms)
+      .filter(block => typeof block?.symptom === 'string' && block.symptom)
+      .map(block => ({ symptom: block.symptom, items: items(block.items) })),
+    seekCare: items(raw.seekCare),
+    sources: list(raw.sources)
+      .filter(source => typeof source?.title === 'string' && source.title)
+      .map(source => ({ title: source.title, url: typeof source.url === 'string' && source.url.startsWith('https://') ? source.url : null })),
+  }
+
+  const isEmpty = !advice.answer && ['general', 'symptoms', 'seekCare'].every(section => advice[section].length === 0)
+  return isEmpty ? null : advice
+}
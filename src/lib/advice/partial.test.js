@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest'
+import { readPartialAdvice } from './partial'
+
+const ADVICE = {
+  answer: null,
+  general: [{ text: 'Drink plenty of fluids', severity: 'info', sources: [0] }],
+  symptoms: [{ symptom: 'fever', items: [{ text: 'Take paracetamol if you are uncomfortable', severity: 'caution', sources: [] }] }],
+  seekCare: [{ text: 'Call a doctor if the fever lasts more than 3 days', severity: 'urgent', sources: [] }],
+  sources: [{ title: 'NHS - Fever in adults', url: 'https://www.nhs.uk/conditions/fever-in-adults/' }],
+}
+
+describe('readPartialAdvice', () => {
+  it('has nothing to show before the first piece of advice', () => {
+    expect(readPartialAdvice('')).toBeNull()
+    expect(readPartialAdvice('{"answer": null, "general": [{"sev')).toBeNull()
+  })
+
+  it('shows a piece of advice while its text is written', () => {
+    expect(readPartialAdvice('{"answer": null, "general": [{"text": "Drink pl')).toEqual({
+      answer: null,
+      general: [{ text: 'Drink pl', severity: 'info', sources: [] }],
+      symptoms: [],
+      seekCare: [],
+      sources: [],
+    })
+  })
+
+  it('reads every prefix of the answer and ends with the whole advice', () => {
+    const text = JSON.stringify(ADVICE, null, 2)
+    let shown = 0
+    for (let end = 1; end <= text.length; end++) {
+      const advice = readPartialAdvice(text.slice(0, end))
+      if (advice) shown++
+    }
+    expect(shown).toBeGreaterThan(text.length / 2)
+    expect(readPartialAdvice(text)).toEqual(ADVICE)
+  })
+
+  it('leaves out links that are not https', () => {
+    const advice = readPartialAdvice('{"general": [{"text": "Rest"}], "sources": [{"title": "Somewhere", "url": "http://example.com"}')
+    expect(advice.sources).toEqual([{ title: 'Somewhere', url: null }])
+  })
+})
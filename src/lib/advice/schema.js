@@ -0,0 +1,108 @@
+// The shape of the advice we generate for one message
+// Every model response is validated against this before it's sent to the client or stored
+
+// How much attention an item needs: "info" is self-care, "caution" means keep an eye on it,
+// "urgent" means get help now
+export const ADVICE_SEVERITIES = ['info', 'caution', 'urgent']
+
+const item = {
+  type: 'object',
+  required: ['text', 'severity'],
+  additionalProperties: false,
+  properties: {
+    text: { type: 'string', minLength: 1 },
+    severity: { enum: ADVICE_SEVERITIES },
+    // Indexes into `sources` backing this item
+    sources: { type: 'array', items: { type: 'integer', minimum: 0 } },
+  },
+}
+
+export const adviceSchema = {
+  type: 'object',
+  required: ['answer', 'general', 'symptoms', 'seekCare', 'sources'],
+  additionalProperties: false,
+  properties: {
+    // A direct answer for follow-up questions, null for a new health issue
+    answer: { type: ['string', 'null'] },
+    general: { type: 'array', items: item },
+    symptoms: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['symptom', 'items'],
+        additionalProperties: false,
+        properties: {
+          symptom: { type: 'string', minLength: 1 },
+          items: { type: 'array', minItems: 1, items: item },
+        },
+      },
+    },
+    seekCare: { type: 'array', items: item },
+    // Well-known public health sources only, the UI links to them
+    sources: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['title', 'url'],
+        additionalProperties: false,
+        properties: {
+          title: { type: 'string', minLength: 1 },
+          url: { type: ['string', 'null'], pattern: '^https://' },
+        },
+      },
+    },
+  },
+}
+
+// Shown to the model so it knows exactly what to return
+export const adviceExample = `{
+  "answer": "a direct answer to a follow-up question, or null",
+  "general": [{ "text": "one piece of general advice", "severity": "info" | "caution" | "urgent", "sources": [0] }],
+  "symptoms": [{ "symptom": "symptom name", "items": [{ "text": "advice for this symptom", "severity": "info" | "caution" | "urgent", "sources": [] }] }],
+  "seekCare": [{ "text": "a situation in which to seek medical help", "severity": "info" | "caution" | "urgent", "sources": [] }],
+  "sources": [{ "title": "name of a public health source, e.g. NHS - Fever in adults", "url": "https://... or null" }]
+}`
+
+export function createEmptyAdvice() {
+  return { answer: null, general: [], symptoms: [], seekCare: [], sources: [] }
+}
+
+function coerceItem(raw) {
+  if (typeof raw === 'string') return { text: raw, severity: 'info', sources: [] }
+  if (!raw || typeof raw !== 'object') return raw
+  return {
+    ...raw,
+    severity: typeof raw.severity === 'string' ? raw.severity.toLowerCase() : raw.severity ?? 'info',
+    sources: raw.sources ?? [],
+  }
+}
+
+// Fixes the mistakes models make most often without another round-trip:
+// plain strings as items, missing sections, a missing severity or an upper-case one
+// Anything it can't make sense of is left alone so validation can report it
+export function coerceAdvice(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return raw
+
+  const advice = { ...createEmptyAdvice(), ...raw }
+
+  for (const section of ['general', 'seekCare']) {
+    if (advice[section] === null) advice[section] = []
+    if (Array.isArray(advice[section])) advice[section] = advice[section].map(coerceItem)
+  }
+
+  if (advice.symptoms === null) advice.symptoms = []
+  if (Array.isArray(advice.symptoms)) {
+    advice.symptoms = advice.symptoms.map(block => block && typeof block === 'object' && Array.isArray(block.items)
+      ? { symptom: block.symptom, items: block.items.map(coerceItem) }
+      : block)
+  }
+
+  if (advice.sources === null) advice.sources = []
+  if (Array.isArray(advice.sources)) {
+    advice.sources = advice.sources.map(source => typeof source === 'string'
+      ? { title: source, url: null }
+      : source && typeof source === 'object' ? { title: source.title, url: source.url ?? null } : source)
+  }
+
+  return advice
+}
@@ -0,0 +1,206 @@
+import { randomBytes, randomUUID, createHash } from 'crypto'
+import { getStore } from '@/lib/storage'
+import { createDataKey, unwrapDataKey } from '@/lib/vault'
+import { sendMail } from '@/lib/mail'
+import { translate } from '@/lib/i18n'
+
+// Accounts, signed in to with a link sent by email, there are no passwords:
+//   user          { id, email, createdAt, wrappedKey, sessionIds: [sessionId], profileId }   "users" store, by id
+//                 `wrappedKey` is the user's data key (see `@/lib/vault`), `sessionIds` their consultations,
+//                 `profileId` their health profile and symptom diary (see `@/lib/account`), null until they have one
+//   by email      "user-emails" store, hash(email) -> { userId }
+//   sign-in link  "sign-in-links" store, hash(token) -> { email, expiresAt }, works once for SIGN_IN_LINK_MINUTES
+//   signed in     "auth-sessions" store, hash(token) -> { userId, expiresAt }, the token itself is in an httpOnly cookie
+// Only hashes of tokens are stored, so reading the storage isn't enough to sign in as someone
+//
+// A link opens a page that asks to confirm (see `@/app/sign-in/confirm`), only the POST from there uses it:
+// mail scanners and link previews fetch every link they see, and would use it up before the user gets to it
+//
+// Links point to APP_URL (required in production, so a forged Host header can't send links elsewhere),
+// or to wherever the request came from in development
+
+export const AUTH_COOKIE = 'simplihealth.auth'
+
+const SIGN_IN_LINK_MINUTES = 15
+const SIGNED_IN_DAYS = 30
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const MAX_EMAIL_LENGTH = 254
+
+const users = () => getStore('users')
+const userEmails = () => getStore('user-emails')
+const signInLinks = () => getStore('sign-in-links')
+const authSessions = () => getStore('auth-sessions')
+
+// A user record is changed by concurrent requests (two tabs each starting a consultation...), so changes to one
+// user are made one at a time: each reads the record only once the previous change is saved
+const writing = new Map()
+
+function serialized(id, task) {
+  const previous = writing.get(id) || Promise.resolve()
+  const next = previous.then(task)
+  const tail = next.catch(() => {})
+  writing.set(id, tail)
+  tail.then(() => {
+    if (writing.get(id) === tail) writing.delete(id)
+  })
+  return next
+}
+
+// Saves `change(user)` in turn with other changes, nothing when the user is gone or `change` returns null
+function updateUser(userId, change) {
+  return serialized(userId, async () => {
+    const user = await getUser(userId)
+    const changed = user && change(user)
+    if (changed) await users().set(userId, changed)
+  })
+}
+
+const hash = text => createHash('sha256').update(text).digest('hex')
+const newToken = () => randomBytes(32).toString('base64url')
+
+// The address to sign in with, lowercased, or null when it isn't one
+export function normalizeEmail(email) {
+  if (typeof email !== 'string') return null
+  const normalized = email.trim().toLowerCase()
+  return normalized.length <= MAX_EMAIL_LENGTH && EMAIL.test(normalized) ? normalized : null
+}
+
+function appUrl(origin) {
+  if (process.env.APP_URL) return process.env.APP_URL.replace(/\/$/, '')
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('APP_URL must be set in production')
+  }
+  return origin
+}
+
+// Whether `request` was posted from a page of this app, going by the Origin header browsers send with every POST:
+// from APP_URL, or from wherever the request went to
+export function isFromApp(request) {
+  const origin = request.headers.get('origin')
+  if (!origin) return false
+  return origin === new URL(request.url).origin || (Boolean(process.env.APP_URL) && origin === new URL(process.env.APP_URL).origin)
+}
+
+// Emails a sign-in link to `email`, whether or not it has an account yet (the first sign-in creates it)
+export async function requestSignInLink(email, { origin, language }) {
+  const token = newToken()
+  const expiresAt = Date.now() + SIGN_IN_LINK_MINUTES * 60 * 1000
+  await signInLinks().set(hash(token), { email, expiresAt })
+
+  const link = `${appUrl(origin)}/sign-in/confirm?token=${token}`
+  const values = { link, minutes: SIGN_IN_LINK_MINUTES }
+  await sendMail({
+    to: email,
+    subject: translate(language, 'mail.signIn.subject'),
+    text: translate(language, 'mail.signIn.text', values),
+    html: `<p>${translate(language, 'mail.signIn.intro', values)}</p><p><a href="${link}">${translate(language, 'mail.signIn.button')}</a></p>`
+      + `<p>${translate(language, 'mail.signIn.ignore', values)}</p>`,
+  })
+}
+
+async function findOrCreateUser(email) {
+  const existing = await userEmails().get(hash(email))
+  const user = existing && await users().get(existing.userId)
+  if (user) return user
+
+  const id = randomUUID()
+  const { wrappedKey } = await createDataKey(id)
+  const created = { id, email, createdAt: new Date().toISOString(), wrappedKey, sessionIds: [], profileId: null }
+  await users().set(id, created)
+  await userEmails().set(hash(email), { userId: id })
+  return created
+}
+
+// Trades the token from a sign-in link for a signed-in session: { user, token, expiresAt }
+// Returns null for a link that is unknown, used already or expired
+export async function completeSignIn(linkToken) {
+  if (typeof linkToken !== 'string' || !linkToken) return null
+  const key = hash(linkToken)
+  const link = await signInLinks().get(key)
+  if (!link) return null
+
+  await signInLinks().delete(key)
+  if (link.expiresAt < Date.now()) return null
+
+  const user = await findOrCreateUser(link.email)
+  const token = newToken()
+  const expiresAt = Date.now() + SIGNED_IN_DAYS * 24 * 60 * 60 * 1000
+  await authSessions().set(hash(token), { userId: user.id, expiresAt })
+  return { user, token, expiresAt }
+}
+
+export async function getUser(id) {
+  if (typeof id !== 'string' || !id) return null
+  return users().get(id)
+}
+
+// The signed-in user making `request`, or null
+export async function getCurrentUser(request) {
+  const token = request.cookies.get(AUTH_COOKIE)?.value
+  if (!token) return null
+
+  const session = await authSessions().get(hash(token))
+  if (!session) return null
+  if (session.expiresAt < Date.now()) {
+    await authSessions().delete(hash(token))
+    return null
+  }
+  return getUser(session.userId)
+}
+
+export async function signOut(request) {
+  const token = request.cookies.get(AUTH_COOKIE)?.value
+  if (token) await authSessions().delete(hash(token))
+}
+
+export function setAuthCookie(response, { token, expiresAt }) {
+  response.cookies.set(AUTH_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/',
+    expires: new Date(expiresAt),
+  })
+  return response
+}
+
+export function clearAuthCookie(response) {
+  response.cookies.set(AUTH_COOKIE, '', { httpOnly: true, sameSite: 'lax', path: '/', maxAge: 0 })
+  return response
+}
+
+// The key the user's records are sealed with, null once the user is gone
+export async function getUserDataKey(userId) {
+  const user = await getUser(userId)
+  return user ? unwrapDataKey(user.id, user.wrappedKey) : null
+}
+
+export function addUserSession(userId, sessionId) {
+  return updateUser(userId, user => user.sessionIds.includes(sessionId) ? null : { ...user, sessionIds: [...user.sessionIds, sessionId] })
+}
+
+// Makes `profileId` the user's profile unless they have one already, returns the one they have then
+export async function setUserProfile(userId, profileId) {
+  let current = null
+  await updateUser(userId, user => {
+    current = user.profileId || profileId
+    return user.profileId ? null : { ...user, profileId }
+  })
+  return current
+}
+
+// The account itself: the user with their data key, the email lookup and every device they are signed in on
+// Their consultations are deleted by `@/lib/account`, which calls this last
+// It waits for other changes to the user, so none of them writes the record back afterwards
+export function deleteUser(userId) {
+  return serialized(userId, async () => {
+    const user = await getUser(userId)
+    if (!user) return
+
+    const signIns = await Promise.all((await authSessions().list()).map(async key => [key, await authSessions().get(key)]))
+    await Promise.all(signIns.filter(([, session]) => session?.userId === userId).map(([key]) => authSessions().delete(key)))
+    await userEmails().delete(hash(user.email))
+    await users().delete(userId)
+  })
+}
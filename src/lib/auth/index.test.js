@@ -0,0 +1,41 @@
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import { requestSignInLink, completeSignIn, getUser, isFromApp } from './index'
+import { getOrCreateSession } from '@/lib/sessions'
+import { getStore } from '@/lib/storage'
+
+async function signIn(email) {
+  await requestSignInLink(email, { origin: 'http://localhost', language: 'en' })
+  const outbox = getStore('outbox')
+  const message = await outbox.get((await outbox.list()).sort().at(-1))
+  const { user } = await completeSignIn(message.text.match(/token=([\w-]+)/)[1])
+  return user
+}
+
+describe('user record', () => {
+  it('keeps every consultation started at the same time', async () => {
+    const user = await signIn('tabs@example.com')
+    const sessions = await Promise.all(Array.from({ length: 5 }, () => getOrCreateSession(null, { userId: user.id })))
+
+    expect((await getUser(user.id)).sessionIds.sort()).toEqual(sessions.map(session => session.id).sort())
+  })
+})
+
+describe('isFromApp', () => {
+  afterEach(() => vi.unstubAllEnvs())
+
+  const post = origin => new Request('http://localhost:3000/api/auth/callback', {
+    method: 'POST',
+    headers: origin ? { Origin: origin } : {},
+  })
+
+  it('takes posts from the app itself or APP_URL', () => {
+    vi.stubEnv('APP_URL', 'https://simplihealth.example/')
+    expect(isFromApp(post('http://localhost:3000'))).toBe(true)
+    expect(isFromApp(post('https://simplihealth.example'))).toBe(true)
+  })
+
+  it('refuses posts from another site or without an origin', () => {
+    expect(isFromApp(post('https://attacker.example'))).toBe(false)
+    expect(isFromApp(post(null))).toBe(false)
+  })
+})
@@ -0,0 +1,158 @@
+import path from 'path'
+import { createHash } from 'crypto'
+import { createFileStore } from '@/lib/storage/file'
+import { createLogger } from '@/lib/logger'
+import { createLruStore } from './lru'
+
+// Caches for slow or costly lookups (clinical trial searches, model advice):
+//   const cache = createCache('trials', { ttl: 3600, staleTtl: 86400 })
+//   const result = await cache.getOrLoad(key, ({ signal, onToken }) => load(signal, onToken), { signal, onToken })
+// An entry is fresh for `ttl` seconds, then stale for another `staleTtl`:
+//   -> fresh: returned straight away
+//   -> stale: also returned straight away, and reloaded in the background for the next caller,
+//      so results keep coming when the upstream is slow or down
+//   -> older, or missing: loaded now, and callers asking for the same key meanwhile share that one load
+// Keys are hashed, so the text they're made of (symptoms, prompts) never ends up in a file name
+//
+// CACHE_ADAPTER picks where entries live: memory (default, an LRU of CACHE_MAX_ENTRIES per cache) or disk,
+// which keeps them across restarts in CACHE_DIR (".data/cache" by default)
+// Caches created with `persistent: false` stay in memory either way, for values that shouldn't sit in a file
+
+const MAX_ENTRIES = Math.max(1, parseInt(process.env.CACHE_MAX_ENTRIES) || 500)
+
+// How often expired entries are dropped from the store, LRU stores also drop them when full
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000
+
+const logger = createLogger('cache')
+
+function createStore(name, persistent) {
+  const adapter = persistent ? (process.env.CACHE_ADAPTER || 'memory').toLowerCase() : 'memory'
+  if (adapter === 'memory') return createLruStore(MAX_ENTRIES)
+  if (adapter === 'disk') {
+    return createFileStore(path.join(process.env.CACHE_DIR || path.join(process.cwd(), '.data', 'cache'), name))
+  }
+  throw new Error(`Unknown cache adapter "${adapter}". Expected "memory" or "disk"`)
+}
+
+// Cache lifetimes are configured in seconds, 0 being a valid setting
+export function secondsFromEnv(name, fallback) {
+  const seconds = parseInt(process.env[name])
+  return Number.isNaN(seconds) ? fallback : Math.max(0, seconds)
+}
+
+const hashKey = key => createHash('sha256').update(key).digest('hex')
+
+// Lets one caller stop waiting without cancelling a load other callers share, `onAbort` runs when it stops
+function abortable(promise, signal, onAbort) {
+  if (!signal) return promise
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      onAbort()
+      reject(signal.reason)
+    }
+    if (signal.aborted) abort()
+    signal.addEventListener('abort', abort, { once: true })
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', abort))
+  })
+}
+
+// `ttl` and `staleTtl` are in seconds, a `ttl` of 0 turns the cache off (every call loads)
+// `cacheIf(value)` can keep a result out of the cache, e.g. a partial answer worth asking for again
+// `loader({ signal, onToken })` gets a signal that aborts once every caller waiting for it has given up,
+// and an `onToken` that passes what it streams on to all of them
+export function createCache(name, { ttl, staleTtl = 0, cacheIf = () => true, persistent = true }) {
+  let store = null
+  // hashed key -> the load in progress: { promise, controller, waiters, tokens, background }
+  const loading = new Map()
+  let lastPrune = Date.now()
+
+  const getStore = () => {
+    if (!store) store = createStore(name, persistent)
+    return store
+  }
+
+  // Tokens are kept for the length of the load, so a caller joining halfway gets the beginning too
+  function startLoad(hashed, loader) {
+    const shared = { controller: new AbortController(), waiters: new Set(), tokens: [], background: false }
+    const onToken = token => {
+      shared.tokens.push(token)
+      for (const waiter of shared.waiters) waiter.onToken?.(token)
+    }
+    shared.promise = Promise.resolve()
+      .then(() => loader({ signal: shared.controller.signal, onToken }))
+      .then(async value => {
+        if (cacheIf(value)) await getStore().set(hashed, { value, storedAt: Date.now() })
+        return value
+      })
+      .finally(() => {
+        if (loading.get(hashed) === shared) loading.delete(hashed)
+      })
+    loading.set(hashed, shared)
+    return shared
+  }
+
+  // A load that was given up on by everyone is not joined, the next caller starts over
+  function currentLoad(hashed, loader) {
+    const shared = loading.get(hashed)
+    return shared && !shared.controller.signal.aborted ? shared : startLoad(hashed, loader)
+  }
+
+  function reloadInBackground(hashed, loader) {
+    const shared = currentLoad(hashed, loader)
+    shared.background = true
+    return shared.promise
+  }
+
+  function join(hashed, loader, { signal, onToken }) {
+    const shared = currentLoad(hashed, loader)
+    const waiter = { onToken }
+    shared.waiters.add(waiter)
+    shared.tokens.forEach(token => onToken?.(token))
+
+    const leave = () => {
+      shared.waiters.delete(waiter)
+      // A background reload is for the next caller, it carries on without anyone waiting
+      if (shared.waiters.size === 0 && !shared.background) shared.controller.abort(signal.reason)
+    }
+    return abortable(shared.promise, signal, leave).finally(() => shared.waiters.delete(waiter))
+  }
+
+  async function prune(now) {
+    if (now - lastPrune < PRUNE_INTERVAL_MS) return
+    lastPrune = now
+    for (const key of await getStore().list()) {
+      const entry = await getStore().get(key)
+      if (!entry || now - entry.storedAt >= (ttl + staleTtl) * 1000) await getStore().delete(key)
+    }
+  }
+
+  async function getOrLoad(key, loader, { signal, onToken } = {}) {
+    if (ttl <= 0) return loader({ signal, onToken })
+
+    const now = Date.now()
+    const hashed = hashKey(key)
+    prune(now).catch(error => logger.warn('Could not prune cache', { cache: name, error }))
+
+    const entry = await getStore().get(hashed)
+    const age = entry ? (now - entry.storedAt) / 1000 : Infinity
+
+    if (age < ttl) {
+      logger.debug('Cache hit', { cache: name })
+      return entry.value
+    }
+
+    if (age < ttl + staleTtl) {
+      logger.debug('Serving stale entry while reloading', { cache: name })
+      reloadInBackground(hashed, loader).catch(error => logger.warn('Background reload failed', { cache: name, error }))
+      return entry.value
+    }
+
+    logger.debug('Cache miss', { cache: name, coalesced: loading.has(hashed) })
+    return join(hashed, loader, { signal, onToken })
+  }
+
+  return {
+    getOrLoad,
+    delete: key => getStore().delete(hashKey(key)),
+  }
+}
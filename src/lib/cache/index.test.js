@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest'
+import { createCache } from '.'
+
+// A load that streams `tokens` and finishes when told to
+function controlledLoader(tokens) {
+  const calls = []
+  let finish
+  const loader = ({ signal, onToken }) => {
+    calls.push({ signal })
+    tokens.forEach(token => onToken(token))
+    return new Promise((resolve, reject) => {
+      finish = resolve
+      signal.addEventListener('abort', () => reject(signal.reason), { once: true })
+    })
+  }
+  return { loader, calls, finish: value => finish(value) }
+}
+
+// Lets getOrLoad look in the store and start (or join) the load
+const tick = () => new Promise(resolve => setTimeout(resolve))
+
+describe('getOrLoad', () => {
+  it('shares one load between callers and streams it to each of them', async () => {
+    const cache = createCache('test-share', { ttl: 60 })
+    const { loader, calls, finish } = controlledLoader(['a', 'b'])
+    const first = []
+    const second = []
+
+    const results = [
+      cache.getOrLoad('key', loader, { onToken: token => first.push(token) }),
+      cache.getOrLoad('key', loader, { onToken: token => second.push(token) }),
+    ]
+    await tick()
+    finish('value')
+
+    expect(await Promise.all(results)).toEqual(['value', 'value'])
+    expect(calls).toHaveLength(1)
+    expect(first).toEqual(['a', 'b'])
+    expect(second).toEqual(['a', 'b'])
+  })
+
+  it('keeps loading for the callers still waiting when one gives up', async () => {
+    const cache = createCache('test-one-aborts', { ttl: 60 })
+    const { loader, calls, finish } = controlledLoader([])
+    const gone = new AbortController()
+
+    const leaving = cache.getOrLoad('key', loader, { signal: gone.signal })
+    const staying = cache.getOrLoad('key', loader, { signal: new AbortController().signal })
+    await tick()
+    gone.abort(new Error('closed'))
+
+    await expect(leaving).rejects.toThrow('closed')
+    expect(calls[0].signal.aborted).toBe(false)
+    finish('value')
+    await expect(staying).resolves.toBe('value')
+  })
+
+  it('cancels the load once every caller has given up, and starts over for the next one', async () => {
+    const cache = createCache('test-all-abort', { ttl: 60 })
+    const { loader, calls, finish } = controlledLoader([])
+    const first = new AbortController()
+    const second = new AbortController()
+
+    const results = [
+      cache.getOrLoad('key', loader, { signal: first.signal }),
+      cache.getOrLoad('key', loader, { signal: second.signal }),
+    ]
+    await tick()
+    first.abort(new Error('closed'))
+    second.abort(new Error('closed'))
+    await Promise.allSettled(results)
+    expect(calls[0].signal.aborted).toBe(true)
+
+    const next = cache.getOrLoad('key', loader)
+    await tick()
+    finish('value')
+    await expect(next).resolves.toBe('value')
+    expect(calls).toHaveLength(2)
+  })
+})
@@ -0,0 +1,32 @@
+// Keeps the `maxEntries` most recently used entries in a Map, lost on restart
+// A Map remembers insertion order, so moving an entry to the end on every read makes the first one the least recently used
+// Same async surface as the stores in `@/lib/storage`
+export function createLruStore(maxEntries) {
+  const items = new Map()
+
+  return {
+    async get(key) {
+      if (!items.has(key)) return null
+      const value = items.get(key)
+      items.delete(key)
+      items.set(key, value)
+      return structuredClone(value)
+    },
+
+    async set(key, value) {
+      items.delete(key)
+      items.set(key, structuredClone(value))
+      while (items.size > maxEntries) {
+        items.delete(items.keys().next().value)
+      }
+    },
+
+    async delete(key) {
+      items.delete(key)
+    },
+
+    async list() {
+      return [...items.keys()]
+    },
+  }
+}
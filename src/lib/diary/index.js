@@ -0,0 +1,173 @@
+import { randomUUID } from 'crypto'
+import { getStore } from '@/lib/storage'
+import { validate, formatErrors } from '@/lib/validation'
+import { isValidProfileId, ProfileAccessError } from '@/lib/profile'
+import { openRecord, sealRecord } from '@/lib/vault/records'
+import { normalizeTerm, symptomKey } from '@/lib/terminology'
+import { diaryEntrySchema } from './schema'
+
+// The symptom diary: how each symptom was, and when, over the days
+// Kept next to the health profile, under the same id (see `@/lib/profile`), as a list of entries:
+//   { id, symptom, concept, severity: 'none' | 'mild' | 'moderate' | 'severe', note, recordedAt, source: 'diary' | 'message' }
+// Users log entries themselves, and symptoms a message gives a severity for are logged on the way (see `@/lib/pipeline`)
+// `./trends` reads it to tell how long each symptom has lasted and which way it's going
+// Like the profile, a signed-in user's diary is sealed with their key and only theirs to read or change
+
+const store = () => getStore('diaries')
+
+// Enough for a few entries a day over several months, the oldest go first
+const MAX_ENTRIES = 500
+
+// A phone whose clock is a little ahead shouldn't be refused, an entry dated next week should
+const CLOCK_SKEW_MS = 10 * 60 * 1000
+
+export class DiaryValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid diary entry:\n${formatErrors(errors)}`)
+    this.name = 'DiaryValidationError'
+    this.errors = errors
+  }
+}
+
+const byTime = (a, b) => a.recordedAt.localeCompare(b.recordedAt)
+
+// Entries are added by concurrent requests (the diary page while a message logs its symptoms), so changes to one
+// diary are made one at a time: each reads the entries only once the previous change is saved
+const writing = new Map()
+
+function serialized(id, task) {
+  const previous = writing.get(id) || Promise.resolve()
+  const next = previous.then(task)
+  const tail = next.catch(() => {})
+  writing.set(id, tail)
+  tail.then(() => {
+    if (writing.get(id) === tail) writing.delete(id)
+  })
+  return next
+}
+
+// { userId, value }, see `@/lib/vault/records`
+async function load(profileId) {
+  return isValidProfileId(profileId) ? openRecord(await store().get(profileId), `diary:${profileId}`) : null
+}
+
+// The entries, oldest first, [] for an id we haven't seen or a diary of someone else's account
+export async function getDiary(profileId, { userId = null } = {}) {
+  const record = await load(profileId)
+  if (!record || (record.userId && record.userId !== userId)) return []
+  return record.value.entries || []
+}
+
+// The entries of a diary `userId` may change
+async function editableEntries(profileId, userId) {
+  const record = await load(profileId)
+  if (record?.userId && record.userId !== userId) {
+    throw new ProfileAccessError()
+  }
+  return record?.value.entries || []
+}
+
+async function saveEntries(profileId, entries, userId) {
+  const diary = { entries: entries.sort(byTime).slice(-MAX_ENTRIES), updatedAt: new Date().toISOString() }
+  await store().set(profileId, await sealRecord(userId, diary, `diary:${profileId}`))
+}
+
+function toEntry({ symptom, severity, note = null, recordedAt = new Date().toISOString() }, source) {
+  const trim = value => typeof value === 'string' ? value.trim() : value
+  const candidate = { symptom: trim(symptom), severity, note: trim(note) || null, recordedAt }
+  const { valid, errors } = validate(diaryEntrySchema, candidate)
+  if (!valid) {
+    throw new DiaryValidationError(errors)
+  }
+
+  const time = Date.parse(candidate.recordedAt)
+  if (Number.isNaN(time)) {
+    throw new DiaryValidationError([{ path: 'recordedAt', message: 'must be a valid date' }])
+  }
+  if (time > Date.now() + CLOCK_SKEW_MS) {
+    throw new DiaryValidationError([{ path: 'recordedAt', message: 'must not be in the future' }])
+  }
+
+  // Matched to the standard term, so "temperature" today and "fever" tomorrow are one line on the timeline
+  return {
+    id: randomUUID(),
+    ...candidate,
+    recordedAt: new Date(time).toISOString(),
+    concept: normalizeTerm(candidate.symptom),
+    source,
+  }
+}
+
+// Logs one entry { symptom, severity, note?, recordedAt? } and returns it, `recordedAt` defaults to now
+// `userId` is the signed-in user, if any, as for everything that changes the diary
+export async function addDiaryEntry(profileId, entry, { userId = null } = {}) {
+  if (!isValidProfileId(profileId)) {
+    throw new Error('Invalid profile id')
+  }
+
+  const added = toEntry(entry || {}, 'diary')
+  await serialized(profileId, async () => {
+    await saveEntries(profileId, [...await editableEntries(profileId, userId), added], userId)
+  })
+  return added
+}
+
+// Returns false when there was no such entry
+export async function deleteDiaryEntry(profileId, entryId, { userId = null } = {}) {
+  if (!isValidProfileId(profileId)) return false
+  return serialized(profileId, async () => {
+    const entries = await editableEntries(profileId, userId)
+    const remaining = entries.filter(entry => entry.id !== entryId)
+    if (remaining.length === entries.length) return false
+
+    await saveEntries(profileId, remaining, userId)
+    return true
+  })
+}
+
+// Seals an anonymous diary for `userId`, along with the profile it belongs to (see `@/lib/account`),
+// an empty one when there's none yet
+export async function claimDiary(profileId, userId) {
+  if (!isValidProfileId(profileId)) return
+  return serialized(profileId, async () => {
+    const record = await load(profileId)
+    if (record?.userId === userId) return
+    if (record?.userId) {
+      throw new ProfileAccessError()
+    }
+    const diary = record?.value || { entries: [], updatedAt: new Date().toISOString() }
+    await store().set(profileId, await sealRecord(userId, diary, `diary:${profileId}`))
+  })
+}
+
+export async function deleteDiary(profileId) {
+  if (isValidProfileId(profileId)) await store().delete(profileId)
+}
+
+// Logs the symptoms of a message that said how bad they are, so the timeline fills in without the user doing it twice
+// Symptoms without a severity say nothing the timeline can show, they still count for the trends of that message
+// `reported` are the symptoms the conversation had before this message, oldest first: one it repeats as it was
+// last (the model reads the whole conversation, an answer to an intake question brings back all the others)
+// was logged then. Back to how it was before that ("moderate", "severe", "moderate") is a change, and logged
+export async function recordMessageSymptoms(profileId, symptoms, { recordedAt = new Date().toISOString(), userId = null, reported = [] } = {}) {
+  if (!isValidProfileId(profileId)) return []
+
+  const latest = new Map(reported.filter(symptom => symptom.severity).map(symptom => [symptomKey(symptom), symptom.severity]))
+  const seen = new Set()
+  const added = symptoms
+    .filter(symptom => symptom.severity && latest.get(symptomKey(symptom)) !== symptom.severity)
+    .filter(symptom => !seen.has(symptomKey(symptom)) && seen.add(symptomKey(symptom)))
+    .map(symptom => toEntry({ symptom: symptom.name.slice(0, 100), severity: symptom.severity, recordedAt }, 'message'))
+  if (added.length === 0) return added
+
+  return serialized(profileId, async () => {
+    // Someone else's diary isn't for this message to fill in, it's simply not logged
+    const record = await load(profileId)
+    if (record?.userId && record.userId !== userId) return []
+    await saveEntries(profileId, [...record?.value.entries || [], ...added], userId)
+    return added
+  })
+}
+
+export { DIARY_SEVERITIES } from './schema'
+export { assessTrends, parseDurationDays } from './trends'
@@ -0,0 +1,66 @@
+import { randomUUID } from 'crypto'
+import { describe, it, expect } from 'vitest'
+import { addDiaryEntry, getDiary, recordMessageSymptoms, DiaryValidationError } from './index'
+
+const HEADACHE = { id: 'headache', term: 'Headache' }
+const COUGH = { id: 'cough', term: 'Cough' }
+
+describe('addDiaryEntry', () => {
+  it.each([42, { text: 'after lunch' }, ['after lunch']])('refuses %j as a note', async note => {
+    const profileId = randomUUID()
+    await expect(addDiaryEntry(profileId, { symptom: 'headache', severity: 'mild', note })).rejects.toThrow(DiaryValidationError)
+    expect(await getDiary(profileId)).toEqual([])
+  })
+
+  it('keeps a note without the spaces around it, and none for a blank one', async () => {
+    const profileId = randomUUID()
+    expect((await addDiaryEntry(profileId, { symptom: 'headache', severity: 'mild', note: ' after lunch ' })).note).toBe('after lunch')
+    expect((await addDiaryEntry(profileId, { symptom: 'headache', severity: 'mild', note: '  ' })).note).toBeNull()
+  })
+})
+
+describe('recordMessageSymptoms', () => {
+  it('logs only what the message adds to the symptoms reported before it', async () => {
+    const profileId = randomUUID()
+    const reported = [
+      { name: 'headache', concept: HEADACHE, severity: 'moderate' },
+      { name: 'cough', concept: COUGH, severity: null },
+    ]
+    // The answer to "how bad is the cough", with the headache brought back from the conversation
+    const symptoms = [
+      { name: 'headache', concept: HEADACHE, severity: 'moderate' },
+      { name: 'cough', concept: COUGH, severity: 'mild' },
+    ]
+
+    const added = await recordMessageSymptoms(profileId, symptoms, { reported })
+    expect(added.map(entry => [entry.symptom, entry.severity])).toEqual([['cough', 'mild']])
+    expect(await getDiary(profileId)).toHaveLength(1)
+  })
+
+  it('logs a symptom again when the message says it changed', async () => {
+    const profileId = randomUUID()
+    const added = await recordMessageSymptoms(profileId, [{ name: 'headache', concept: HEADACHE, severity: 'severe' }], {
+      reported: [{ name: 'headache', concept: HEADACHE, severity: 'moderate' }],
+    })
+    expect(added.map(entry => entry.severity)).toEqual(['severe'])
+  })
+
+  it('logs a symptom going back to how it was before its latest change', async () => {
+    const profileId = randomUUID()
+    const headache = severity => ({ name: 'headache', concept: HEADACHE, severity })
+    const added = await recordMessageSymptoms(profileId, [headache('moderate')], {
+      reported: [headache('moderate'), headache('severe')],
+    })
+    expect(added.map(entry => entry.severity)).toEqual(['moderate'])
+  })
+
+  it('keeps an entry logged on the diary page at the same time', async () => {
+    const profileId = randomUUID()
+    await Promise.all([
+      addDiaryEntry(profileId, { symptom: 'cough', severity: 'mild' }),
+      recordMessageSymptoms(profileId, [{ name: 'headache', concept: HEADACHE, severity: 'severe' }]),
+      addDiaryEntry(profileId, { symptom: 'fever', severity: 'moderate' }),
+    ])
+    expect((await getDiary(profileId)).map(entry => entry.symptom).sort()).toEqual(['cough', 'fever', 'headache'])
+  })
+})
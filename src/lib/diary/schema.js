@@ -0,0 +1,20 @@
+// One entry of the symptom diary: how a symptom was at one moment, as the user logged it
+// or as a message described it (see `recordMessageSymptoms`)
+
+// "none" is worth logging too: it's how a symptom that went away shows on the timeline
+export const DIARY_SEVERITIES = ['none', 'mild', 'moderate', 'severe']
+
+export const DIARY_SOURCES = ['diary', 'message']
+
+export const diaryEntrySchema = {
+  type: 'object',
+  required: ['symptom', 'severity', 'note', 'recordedAt'],
+  additionalProperties: false,
+  properties: {
+    symptom: { type: 'string', minLength: 1, maxLength: 100 },
+    severity: { enum: DIARY_SEVERITIES },
+    note: { type: ['string', 'null'], maxLength: 500 },
+    // ISO 8601, in UTC or with an offset
+    recordedAt: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}' },
+  },
+}
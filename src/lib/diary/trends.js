@@ -0,0 +1,138 @@
+import { symptomKey } from '@/lib/terminology'
+
+// How long each symptom has been going on and which way it's going, from the diary and from what the message says
+// ("fever for 4 days, getting worse"), for the advice to take into account (see `@/lib/advice/escalation`)
+// A trend is { key, symptom, concept, days, direction: 'worsening' | 'improving' | 'stable' | null, severity }
+// where `days` counts the days since the symptom started (1 is today)
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Entries further apart than this are two separate episodes: a cold in March says nothing about a cough in May
+const EPISODE_GAP_DAYS = 3
+
+export const LEVELS = { none: 0, mild: 1, moderate: 2, severe: 3 }
+
+// Durations as the extraction writes them ("4 days", "more than a week", "1 to 3 days") and as users type them
+// in English, French, Spanish and Swahili. A range counts from its low end, it's what we know for sure
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, un: 1, une: 1, uno: 1, una: 1, moja: 1,
+  two: 2, couple: 2, deux: 2, dos: 2, mbili: 2,
+  three: 3, trois: 3, tres: 3, tatu: 3,
+  four: 4, quatre: 4, cuatro: 4, nne: 4,
+  five: 5, cinq: 5, cinco: 5, tano: 5,
+  six: 6, seis: 6, sita: 6,
+  seven: 7, sept: 7, siete: 7, saba: 7,
+  ten: 10, dix: 10, diez: 10, kumi: 10,
+}
+
+const NUMBER = `(\\d+(?:[.,]\\d+)?|${Object.keys(NUMBER_WORDS).join('|')})`
+const UNIT = '(hours?|heures?|horas?|saa|days?|jours?|d[ií]as?|siku|weeks?|semaines?|semanas?|wiki|months?|mois|meses|mes|mwezi|miezi|years?|ans?|años?|mwaka|miaka)'
+
+// "4 days", "a couple of weeks", "3 jours" / Swahili puts the unit first: "siku 4", "wiki mbili"
+const DURATION_PATTERNS = [
+  { pattern: new RegExp(`(?:^|[^\\p{L}])${NUMBER}(?:\\s*(?:-|to|à|a|hadi)\\s*\\d+)?\\s*(?:of\\s+)?${UNIT}(?![\\p{L}])`, 'iu'), number: 1, unit: 2 },
+  { pattern: new RegExp(`(?:^|[^\\p{L}])${UNIT}\\s+${NUMBER}(?![\\p{L}])`, 'iu'), number: 2, unit: 1 },
+]
+
+function unitDays(unit) {
+  if (/^(hour|heure|hora|saa)/i.test(unit)) return 1 / 24
+  if (/^(week|semaine|semana|wiki)/i.test(unit)) return 7
+  if (/^(month|mois|mes|mwezi|miezi)/i.test(unit)) return 30
+  if (/^(year|an|año|mwaka|miaka)/i.test(unit)) return 365
+  return 1
+}
+
+// "4 days" -> 4, "a week" -> 7, "12 hours" -> 1, null when there is no length of time in it
+export function parseDurationDays(text) {
+  if (typeof text !== 'string') return null
+
+  for (const { pattern, number, unit } of DURATION_PATTERNS) {
+    const match = text.match(pattern)
+    if (!match) continue
+    const word = match[number].toLowerCase()
+    const count = NUMBER_WORDS[word] ?? parseFloat(word.replace(',', '.'))
+    return Math.max(1, Math.round(count * unitDays(match[unit])))
+  }
+  return null
+}
+
+const entryKey = entry => symptomKey({ name: entry.symptom, concept: entry.concept })
+
+const daysSince = (time, now) => Math.floor((now - time) / DAY_MS) + 1
+
+// The current episode of one symptom: its latest entries, as long as the newest is recent and says it's still there
+function currentEpisode(entries, now) {
+  const latest = entries.at(-1)
+  if (!latest || latest.severity === 'none' || now - Date.parse(latest.recordedAt) > EPISODE_GAP_DAYS * DAY_MS) return []
+
+  let start = entries.length - 1
+  while (start > 0 && Date.parse(entries[start].recordedAt) - Date.parse(entries[start - 1].recordedAt) <= EPISODE_GAP_DAYS * DAY_MS) {
+    start--
+  }
+  return entries.slice(start)
+}
+
+// Worse when the latest entry is worse than where it started and than the one before it, better the other way round
+function directionOf(episode) {
+  if (episode.length < 2) return null
+  const [first, previous, latest] = [episode[0], episode.at(-2), episode.at(-1)].map(entry => LEVELS[entry.severity])
+  if (latest > first && latest >= previous) return 'worsening'
+  if (latest < first && latest <= previous) return 'improving'
+  return 'stable'
+}
+
+function fromDiary(entries, now) {
+  const episode = currentEpisode(entries, now)
+  if (episode.length === 0) return null
+
+  const latest = episode.at(-1)
+  return {
+    key: entryKey(latest),
+    symptom: latest.concept?.term || latest.symptom,
+    concept: latest.concept?.id ?? null,
+    days: daysSince(Date.parse(episode[0].recordedAt), now),
+    direction: directionOf(episode),
+    severity: latest.severity,
+  }
+}
+
+// What the message says wins over the diary for direction and severity, the longer of the two durations is kept
+function withMessage(trend, symptom) {
+  const days = parseDurationDays(symptom.duration) ?? parseDurationDays(symptom.onset)
+  return {
+    key: symptomKey(symptom),
+    symptom: trend?.symptom || symptom.concept?.term || symptom.name,
+    concept: symptom.concept?.id ?? trend?.concept ?? null,
+    days: Math.max(days ?? 0, trend?.days ?? 0) || null,
+    direction: symptom.trend || trend?.direction || null,
+    severity: symptom.severity || trend?.severity || null,
+  }
+}
+
+// `entries` is the diary (see `getDiary`), `symptoms` the symptoms of the current message, matched to their concepts
+// A severity in the message counts as one more entry, so "severe" today after "mild" yesterday is worsening
+// Only symptoms we know something about over time are returned
+export function assessTrends({ entries = [], symptoms = [], now = Date.now() }) {
+  const recordedAt = new Date(now).toISOString()
+  const current = symptoms
+    .filter(symptom => symptom.severity)
+    .map(symptom => ({ symptom: symptom.name, concept: symptom.concept, severity: symptom.severity, recordedAt }))
+
+  const byKey = new Map()
+  for (const entry of [...entries, ...current]) {
+    const key = entryKey(entry)
+    byKey.set(key, [...byKey.get(key) || [], entry])
+  }
+
+  const trends = new Map()
+  for (const [key, symptomEntries] of byKey) {
+    const trend = fromDiary(symptomEntries, now)
+    if (trend) trends.set(key, trend)
+  }
+  for (const symptom of symptoms) {
+    const key = symptomKey(symptom)
+    trends.set(key, withMessage(trends.get(key), symptom))
+  }
+
+  return [...trends.values()].filter(trend => trend.days > 1 || trend.direction !== null)
+}
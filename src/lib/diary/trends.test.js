@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest'
+import { parseDurationDays, assessTrends } from './trends'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const NOW = Date.parse('2026-03-10T12:00:00Z')
+const FEVER = { id: 'fever', term: 'Fever' }
+
+const entry = (daysAgo, severity, { symptom = 'fever', concept = FEVER } = {}) =>
+  ({ symptom, concept, severity, recordedAt: new Date(NOW - daysAgo * DAY_MS).toISOString() })
+
+describe('parseDurationDays', () => {
+  it.each([
+    ['4 days', 4],
+    ['more than a week', 7],
+    ['1 to 3 days', 1],
+    ['4 to 7 days', 4],
+    ['12 hours', 1],
+    ['a couple of weeks', 14],
+    ['depuis 3 jours', 3],
+    ['desde hace una semana', 7],
+    ['siku 4', 4],
+    ['wiki mbili', 14],
+  ])('reads "%s" as %i days', (text, days) => {
+    expect(parseDurationDays(text)).toBe(days)
+  })
+
+  it.each(['Monday', '', null])('has no duration in %j', text => {
+    expect(parseDurationDays(text)).toBeNull()
+  })
+})
+
+describe('assessTrends', () => {
+  it('follows a symptom across entries with different words for it', () => {
+    const entries = [entry(3, 'mild', { symptom: 'temperature' }), entry(1, 'moderate', { symptom: 'homa' })]
+    expect(assessTrends({ entries, now: NOW })).toEqual([
+      { key: 'fever', symptom: 'Fever', concept: 'fever', days: 4, direction: 'worsening', severity: 'moderate' },
+    ])
+  })
+
+  it.each([
+    ['improving', ['severe', 'moderate', 'mild']],
+    ['stable', ['moderate', 'moderate']],
+    ['worsening', ['mild', 'mild', 'severe']],
+  ])('tells when it is %s', (direction, severities) => {
+    const entries = severities.map((severity, index) => entry(severities.length - index, severity))
+    expect(assessTrends({ entries, now: NOW })[0].direction).toBe(direction)
+  })
+
+  it('forgets episodes that ended or are long over', () => {
+    const entries = [
+      entry(20, 'severe', { symptom: 'cough', concept: null }),
+      entry(15, 'moderate', { symptom: 'cough', concept: null }),
+      entry(3, 'mild'),
+      entry(2, 'none'),
+    ]
+    expect(assessTrends({ entries, now: NOW })).toEqual([])
+  })
+
+  it('starts the episode after a long gap', () => {
+    const entries = [entry(30, 'mild'), entry(2, 'mild'), entry(1, 'mild')]
+    expect(assessTrends({ entries, now: NOW })[0].days).toBe(3)
+  })
+
+  it('takes the duration and trend the message gives', () => {
+    const symptoms = [{ name: 'fever', concept: FEVER, onset: null, duration: '4 days', severity: null, trend: 'worsening' }]
+    expect(assessTrends({ symptoms, now: NOW })).toEqual([
+      { key: 'fever', symptom: 'Fever', concept: 'fever', days: 4, direction: 'worsening', severity: null },
+    ])
+  })
+
+  it('counts a severity in the message as today\'s entry', () => {
+    const symptoms = [{ name: 'fever', concept: FEVER, onset: null, duration: null, severity: 'severe', trend: null }]
+    const [trend] = assessTrends({ entries: [entry(2, 'mild')], symptoms, now: NOW })
+    expect(trend).toMatchObject({ days: 3, direction: 'worsening', severity: 'severe' })
+  })
+
+  it('leaves out symptoms it knows nothing about over time', () => {
+    const symptoms = [{ name: 'headache', concept: null, onset: null, duration: null, severity: 'mild', trend: null }]
+    expect(assessTrends({ symptoms, now: NOW })).toEqual([])
+  })
+})
@@ -0,0 +1,42 @@
+// Helpers to turn an extracted record back into readable text, for prompts and for the UI
+
+export function describeAge(age) {
+  if (!age) return null
+  if (age.min !== null && age.min === age.max) return `${age.min}`
+  if (age.min !== null && age.max !== null) return `${age.min}-${age.max}`
+  if (age.min !== null) return `${age.min}+`
+  if (age.max !== null) return `under ${age.max}`
+  return null
+}
+
+const countryNames = new Intl.DisplayNames(['en'], { type: 'region' })
+
+// Details that only repeat what the user wrote are left out: "Nairobi (Nairobi, Kenya)" becomes "Nairobi (Kenya)"
+export function describeLocation(location) {
+  if (!location) return null
+  const text = location.text.toLowerCase()
+  const details = [location.region, location.country && countryNames.of(location.country)]
+    .filter(detail => detail && detail.toLowerCase() !== text)
+    .join(', ')
+  return details ? `${location.text} (${details})` : location.text
+}
+
+// What the user wrote, with the standard term next to it when it says something else (see `@/lib/terminology`):
+// "stomach hurts [Abdominal pain]", but just "Fever" for "fever"
+export function describeTerm(text, concept) {
+  return concept && concept.term.toLowerCase() !== text.toLowerCase() ? `${text} [${concept.term}]` : text
+}
+
+const TREND_TEXT = { worsening: 'getting worse', improving: 'getting better', stable: 'not changing' }
+
+export function describeSymptom(symptom) {
+  const details = [
+    symptom.severity,
+    symptom.onset && `since ${symptom.onset}`,
+    symptom.duration && `for ${symptom.duration}`,
+    symptom.trend && TREND_TEXT[symptom.trend],
+    symptom.visual && `seen in a photo: ${symptom.visual.description}`,
+  ].filter(Boolean)
+  const name = describeTerm(symptom.name, symptom.concept)
+  return details.length > 0 ? `${name} (${details.join(', ')})` : name
+}
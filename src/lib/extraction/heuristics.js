@@ -0,0 +1,116 @@
+// Rule-based extraction used when the model can't give us a valid record,
+// and to fill in fields the model left empty
+// It only picks up explicit phrasings, so a random number in the message is not taken as an age
+// Phrasings are covered in English, French, Spanish and Swahili; conditions and symptoms are kept
+// in the user's words, only the model translates them
+
+// Every pattern needs something that says it's an age: "asthma for 10 years" or "depuis 10 ans" is how long, not how old
+const AGE_PATTERNS = [
+  // "I'm 43", "aged 43", "age: 43", but not "I'm 30 weeks pregnant" or "I am 2 days late"
+  /\b(?:i am|i'm|im|aged?:?)\s+(\d{1,3})\b(?!\s*(?:-\s*)?(?:days?|weeks?|months?|hours?|kg|kilos?|lbs?|cm|%|times?))/i,
+  /\b(\d{1,3})[\s-]*(?:years?|yrs?)[\s-]*old\b/i,
+  /\b(\d{1,3})\s*(?:y\/o|yo)\b/i,
+  // fr: "j'ai 43 ans", "âgé de 43 ans" / es: "tengo 43 años", "edad: 43" / sw: "nina miaka 43", "umri wangu ni 43"
+  /(?:^|[^\p{L}])(?:j'ai|j’ai|âgée? de|agée? de)\s+(\d{1,3})\s*ans(?![\p{L}])/iu,
+  /(?:^|[^\p{L}])(?:tengo|edad(?: de)?:?)\s+(\d{1,3})\s*años(?![\p{L}])/iu,
+  /(?:^|[^\p{L}])edad:?\s+(\d{1,3})(?![\p{L}\d])/iu,
+  /\b(?:nina miaka|umri wangu ni|umri:?)\s+(\d{1,3})\b/i,
+]
+
+const AGE_DECADE_PATTERN = /\b(?:in )?my\s+(\d)0s\b/i
+
+// "in", "from" and their French ("à", "au", "en"), Spanish ("en", "soy de", "desde") and Swahili ("ninaishi", "niko", "kutoka") counterparts
+const LOCATION_PATTERN = /(?:^|[^\p{L}])(?:[Ll]iving in|[Ff]rom|at|in|à|au|en|[Ss]oy de|desde|[Nn]inaishi|[Nn]iko|kutoka)\s+(\p{Lu}[\p{L}'-]*(?:[ ,]+(?!I\b)\p{Lu}[\p{L}'-]*)*)/u
+
+const CONDITION_PATTERNS = [
+  /\b(?:i have|i've got|diagnosed with|living with|suffer from)\s+(?!a |an |no |been )([a-z][a-z -]*?)(?:\s+condition)?(?=[,.;]|\s+and\b|$)/gi,
+  /(?:diagnostiquée? (?:avec|d'un|d'une)|je souffre d(?:e |u |es |')|atteinte? d(?:e |u |')|diagnosticad[oa] (?:con|de)|padezco(?: de)?|sufro de|nimegundulika (?:kuwa na|na)|ninaugua)\s*(?!un |une |una |le |la |el )([\p{L}][\p{L} '-]*?)(?=[,.;]|\s+(?:and|et|y|na)\b|$)/giu,
+]
+
+const SYMPTOM_PATTERN = /(?:symptoms?|symptômes?|síntomas?|dalili)\s*:?\s*(.+)$/imu
+
+const LIST_SEPARATOR = /\s*,\s*|\s+(?:and|et|y|na)\s+/
+
+const SEVERITY_WORDS = {
+  severe: /\b(severe|terrible|unbearable|worst|a lot of|sévère|grave|insupportable|fort|forte|severo|severa|fuerte|insoportable|kali|makali)\b/iu,
+  moderate: /\b(moderate|quite|pretty bad|modérée?|moderad[oa]|kiasi)\b/iu,
+  mild: /\b(mild|slight|a little|a bit of|légère?|un peu|leve|un poco|kidogo)\b/iu,
+}
+
+const TREND_WORDS = {
+  worsening: /\b(worse|worsening|pire|s'aggrave|aggrave|empire|peor|empeora|empeorando|inazidi|mbaya zaidi)\b/iu,
+  improving: /\b(better|improving|mieux|s'améliore|améliore|mejor|mejora|mejorando|nafuu|inapungua)\b/iu,
+  stable: /\b(the same|unchanged|not changing|pareil|stable|igual|sin cambios|estable|vile vile|haibadiliki)\b/iu,
+}
+
+// What's left of "and getting worse" once the trend is taken out: it says how the symptom before it goes
+const TREND_FILLER = /\b(it|it's|is|getting|now|but|and|also|ça|c'est|de plus en plus|cada vez|está|inazidi)\b/giu
+
+// "for 4 days", "depuis 3 jours", "desde hace una semana", "kwa siku 4"
+const DURATION_PATTERN = /\b(?:for|since|depuis|desde hace|durante|kwa)\s+(.*?(?:hours?|days?|weeks?|months?|heures?|jours?|semaines?|mois|horas?|d[ií]as?|semanas?|meses|saa|siku|wiki|mwezi|miezi)(?:\s+\d+)?)(?![\p{L}])/iu
+
+const FOLLOW_UP_WORDS = /\b(previous|earlier|précédent|précédente|plus tôt|anterior|antes|awali|mapema)\b/iu
+
+export function extractAge(input) {
+  for (const pattern of AGE_PATTERNS) {
+    const age = parseInt(input.match(pattern)?.[1])
+    if (age >= 0 && age <= 130) return { min: age, max: age }
+  }
+  const decade = parseInt(input.match(AGE_DECADE_PATTERN)?.[1])
+  if (decade) return { min: decade * 10, max: decade * 10 + 9 }
+  return null
+}
+
+export function extractSeverity(text) {
+  return Object.keys(SEVERITY_WORDS).find(severity => SEVERITY_WORDS[severity].test(text)) || null
+}
+
+export function extractTrend(text) {
+  return Object.keys(TREND_WORDS).find(trend => TREND_WORDS[trend].test(text)) || null
+}
+
+function isTrendOnly(text, trend) {
+  return !text.replace(TREND_WORDS[trend], '').replace(TREND_FILLER, '').trim()
+}
+
+// One symptom per list item, "fever for 4 days and getting worse" is one symptom with its duration and trend
+function extractSymptoms(items) {
+  const symptoms = []
+  for (const text of items) {
+    const trend = extractTrend(text)
+    if (trend && isTrendOnly(text, trend)) {
+      if (symptoms.length > 0) symptoms.at(-1).trend = trend
+      continue
+    }
+    const duration = text.match(DURATION_PATTERN)
+    symptoms.push({
+      name: duration ? text.replace(duration[0], '').trim() || text : text,
+      onset: null,
+      duration: duration?.[1] ?? null,
+      severity: extractSeverity(text),
+      trend,
+    })
+  }
+  return symptoms
+}
+
+export function heuristicExtraction(input) {
+  const location = input.match(LOCATION_PATTERN)?.[1]?.trim()
+  const conditions = CONDITION_PATTERNS
+    .flatMap(pattern => [...input.matchAll(pattern)])
+    .map(match => match[1].trim())
+    .filter(Boolean)
+  const symptoms = extractSymptoms((input.match(SYMPTOM_PATTERN)?.[1] || '')
+    .split(LIST_SEPARATOR)
+    .map(text => text.replace(/[.!]+$/, '').trim())
+    .filter(Boolean))
+
+  return {
+    age: extractAge(input),
+    location: location ? { text: location, country: null, region: null } : null,
+    conditions,
+    symptoms,
+    isFollowUp: FOLLOW_UP_WORDS.test(input) || input.trim().endsWith('?'),
+    followUpTopic: null, // We can't reliably extract this manually
+  }
+}
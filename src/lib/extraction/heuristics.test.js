@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest'
+import { extractAge, extractTrend, heuristicExtraction } from './heuristics'
+
+describe('extractAge', () => {
+  it.each([
+    ["I'm 43 and have asthma", 43],
+    ['I am 67', 67],
+    ['43 years old', 43],
+    ['a 43-year-old woman', 43],
+    ['male, 52 y/o', 52],
+    ['aged 70', 70],
+    ['age: 35', 35],
+    ["j'ai 43 ans", 43],
+    ['âgée de 58 ans', 58],
+    ['tengo 43 años', 43],
+    ['edad: 61', 61],
+    ['nina miaka 43', 43],
+    ['umri wangu ni 29', 29],
+  ])('reads %j as %i', (text, age) => {
+    expect(extractAge(text)).toEqual({ min: age, max: age })
+  })
+
+  it('reads a decade as a range', () => {
+    expect(extractAge("I'm in my 40s")).toEqual({ min: 40, max: 49 })
+  })
+
+  it.each([
+    'asthma for 10 years',
+    "I've had diabetes for 12 years",
+    'smoked 20 years',
+    'diagnosed 5 yrs ago',
+    "j'ai de l'asthme depuis 10 ans",
+    'tengo asma desde hace 10 años',
+    'nina pumu kwa miaka 10',
+    "I'm 30 weeks pregnant",
+    'I am 2 days late',
+    'my son is 3 and I have a fever',
+  ])('reads no age from %j', (text) => {
+    expect(extractAge(text)).toBeNull()
+  })
+})
+
+describe('extractTrend', () => {
+  it.each([
+    ['it is getting worse', 'worsening'],
+    ['getting better', 'improving'],
+    ['the same as yesterday', 'stable'],
+    ['just a headache', null],
+  ])('reads %j as %s', (text, trend) => {
+    expect(extractTrend(text)).toBe(trend)
+  })
+})
+
+describe('heuristicExtraction', () => {
+  it('keeps a duration with the symptom and reads no age from it', () => {
+    const result = heuristicExtraction('Symptoms: cough for 10 days, mild fever')
+    expect(result.age).toBeNull()
+    expect(result.symptoms).toEqual([
+      expect.objectContaining({ name: 'cough', duration: '10 days' }),
+      expect.objectContaining({ name: 'mild fever', severity: 'mild' }),
+    ])
+  })
+
+  it('picks up conditions, location and age together', () => {
+    const result = heuristicExtraction("I'm 58 from Nairobi. I have asthma.")
+    expect(result.age).toEqual({ min: 58, max: 58 })
+    expect(result.location).toEqual(expect.objectContaining({ text: 'Nairobi' }))
+    expect(result.conditions).toEqual(['asthma'])
+  })
+
+  it('treats a question as a follow-up', () => {
+    expect(heuristicExtraction('What about the earlier advice?').isFollowUp).toBe(true)
+  })
+})
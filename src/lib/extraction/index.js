@@ -0,0 +1,112 @@
+import { getProvider } from '@/lib/llm'
+import { parseModelJson, buildRepairPrompt } from '@/lib/llm/json'
+import { validate, formatErrors } from '@/lib/validation'
+import { createLogger } from '@/lib/logger'
+import { UpstreamError } from '@/lib/upstream'
+import { extractionSchema, extractionExample, coerceExtraction, EXTRACTED_FIELDS } from './schema'
+import { heuristicExtraction } from './heuristics'
+
+const logger = createLogger('extraction')
+
+// How many times we ask the model before giving up on it and using the heuristics
+const MAX_ATTEMPTS = Math.max(1, parseInt(process.env.EXTRACTION_MAX_ATTEMPTS) || 3)
+
+// Confidence we give to a value that came from the rule-based extraction
+const HEURISTIC_CONFIDENCE = 0.4
+
+function buildPrompt(input, conversationHistory) {
+  return `
+    Given the following conversation history and new input, extract the age, location, pre-existing conditions, and symptoms.
+    If the new input is a question or comment about a previous health issue, use the most recent health information from the conversation history.
+    If it's a new health issue, extract the information from the new input.
+    For each symptom, also extract when it started (onset), how long it has lasted (duration) and how severe it is, if the user says so.
+    Set "trend" when the user says the symptom is getting worse ("worsening"), getting better ("improving") or staying the same ("stable").
+    Never guess: use null (or an empty list) for anything that is not stated.
+    The input can be in any language (for example English, French, Spanish or Swahili).
+    Always write condition and symptom names, onset, duration and followUpTopic in English, but keep the location text as the user wrote it.
+
+    Conversation history:
+    ${conversationHistory.join('\n')}
+
+    New input: "${input}"
+
+    Respond with only a JSON object of exactly this shape, without markdown:
+    ${extractionExample}
+  `
+}
+
+function isEmpty(field, value) {
+  if (field === 'isFollowUp') return false
+  return value === null || (Array.isArray(value) && value.length === 0)
+}
+
+// Combines the model's record (if any) with the heuristic one, field by field,
+// recording where every value came from and how sure we are about it
+function mergeWithProvenance(modelRecord, heuristicRecord) {
+  const { confidence = {}, ...record } = modelRecord || heuristicRecord
+  const provenance = {}
+
+  for (const field of EXTRACTED_FIELDS) {
+    if (modelRecord && !isEmpty(field, modelRecord[field])) {
+      provenance[field] = { source: 'model', confidence: confidence[field] ?? null }
+    } else if (!isEmpty(field, heuristicRecord[field])) {
+      record[field] = heuristicRecord[field]
+      provenance[field] = { source: 'heuristic', confidence: HEURISTIC_CONFIDENCE }
+    } else {
+      // Nothing found anywhere, keep whichever empty value we have
+      provenance[field] = modelRecord
+        ? { source: 'model', confidence: confidence[field] ?? null }
+        : { source: 'heuristic', confidence: null }
+    }
+  }
+
+  return { ...record, provenance }
+}
+
+// This function uses the extraction model to process the user's input and extract key health information
+// The model's answer is validated against `extractionSchema`; invalid answers are repaired locally when
+// possible and otherwise sent back to the model with the validation errors, up to MAX_ATTEMPTS times
+// When the model can't be reached at all (see `@/lib/upstream`), the rule-based extraction is all we have
+export async function processHealthInput(input, conversationHistory = [], { signal } = {}) {
+  const model = getProvider('extraction')
+  const prompt = buildPrompt(input, conversationHistory)
+  const heuristicRecord = heuristicExtraction(input)
+
+  let currentPrompt = prompt
+  let modelRecord = null
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS && !modelRecord; attempt++) {
+    let responseText
+    try {
+      responseText = await model.generateText(currentPrompt, { json: true, context: { input, conversationHistory }, signal })
+    } catch (error) {
+      if (!(error instanceof UpstreamError)) throw error
+      logger.warn(`${model.name} extraction unavailable`, { error })
+      break
+    }
+
+    let problems
+    try {
+      const candidate = coerceExtraction(parseModelJson(responseText))
+      const { valid, errors } = validate(extractionSchema, candidate)
+      if (valid) {
+        modelRecord = candidate
+      } else {
+        problems = formatErrors(errors)
+      }
+    } catch (error) {
+      problems = `The response could not be parsed as JSON (${error.message}).`
+    }
+
+    if (problems) {
+      logger.warn(`Invalid ${model.name} extraction`, { attempt, maxAttempts: MAX_ATTEMPTS, problems })
+      currentPrompt = buildRepairPrompt(prompt, responseText, problems)
+    }
+  }
+
+  if (!modelRecord) {
+    logger.warn('Falling back to heuristic extraction')
+  }
+
+  return mergeWithProvenance(modelRecord, heuristicRecord)
+}
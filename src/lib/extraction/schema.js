@@ -0,0 +1,138 @@
+// The shape of the record we extract from a user's message
+// Every model response is validated against this before anything downstream sees it
+
+const nullableString = { type: ['string', 'null'] }
+const confidence = { type: 'number', minimum: 0, maximum: 1 }
+
+export const SEVERITIES = ['mild', 'moderate', 'severe']
+
+// Which way a symptom is going, when the user says so ("getting worse")
+export const TRENDS = ['worsening', 'improving', 'stable']
+
+export const EXTRACTED_FIELDS = ['age', 'location', 'conditions', 'symptoms', 'isFollowUp']
+
+export const extractionSchema = {
+  type: 'object',
+  required: ['age', 'location', 'conditions', 'symptoms', 'isFollowUp', 'followUpTopic'],
+  additionalProperties: false,
+  properties: {
+    // An exact age is a range where min === max ("I am 43"), "in my 40s" is { min: 40, max: 49 }
+    age: {
+      anyOf: [
+        { type: 'null' },
+        {
+          type: 'object',
+          required: ['min', 'max'],
+          additionalProperties: false,
+          properties: {
+            min: { type: ['integer', 'null'], minimum: 0, maximum: 130 },
+            max: { type: ['integer', 'null'], minimum: 0, maximum: 130 },
+          },
+        },
+      ],
+    },
+    // `text` is what the user wrote, `country` is an ISO 3166-1 alpha-2 code
+    location: {
+      anyOf: [
+        { type: 'null' },
+        {
+          type: 'object',
+          required: ['text', 'country', 'region'],
+          additionalProperties: false,
+          properties: {
+            text: { type: 'string', minLength: 1 },
+            country: { type: ['string', 'null'], pattern: '^[A-Z]{2}$' },
+            region: nullableString,
+          },
+        },
+      ],
+    },
+    conditions: {
+      type: 'array',
+      items: { type: 'string', minLength: 1 },
+    },
+    symptoms: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'onset', 'duration', 'severity', 'trend'],
+        additionalProperties: false,
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          onset: nullableString,
+          duration: nullableString,
+          severity: { enum: [...SEVERITIES, null] },
+          trend: { enum: [...TRENDS, null] },
+        },
+      },
+    },
+    isFollowUp: { type: 'boolean' },
+    followUpTopic: nullableString,
+    // The model's own confidence for each extracted field, between 0 and 1
+    confidence: {
+      type: 'object',
+      additionalProperties: false,
+      properties: Object.fromEntries(EXTRACTED_FIELDS.map(field => [field, confidence])),
+    },
+  },
+}
+
+// Shown to the model so it knows exactly what to return
+export const extractionExample = `{
+  "age": { "min": 43, "max": 43 } or null,
+  "location": { "text": "as written by the user", "country": "ISO 3166-1 alpha-2 code or null", "region": "state/province/city or null" } or null,
+  "conditions": ["pre-existing conditions, can be empty"],
+  "symptoms": [{ "name": "symptom", "onset": "when it started or null", "duration": "how long it has lasted or null", "severity": "mild" | "moderate" | "severe" | null, "trend": "worsening" | "improving" | "stable" | null }],
+  "isFollowUp": true or false,
+  "followUpTopic": "main topic of the follow-up, or null",
+  "confidence": { "age": 0.0-1.0, "location": 0.0-1.0, "conditions": 0.0-1.0, "symptoms": 0.0-1.0, "isFollowUp": 0.0-1.0 }
+}`
+
+// Fixes the mistakes models make most often without another round-trip:
+// a bare number for age, a string for location, a single "condition", plain strings as symptoms
+// Anything it can't make sense of is left alone so validation can report it
+export function coerceExtraction(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return raw
+
+  const record = { ...raw }
+
+  if (typeof record.age === 'number' || (typeof record.age === 'string' && /^\d+$/.test(record.age.trim()))) {
+    const age = Math.round(Number(record.age))
+    record.age = { min: age, max: age }
+  }
+
+  if (typeof record.location === 'string') {
+    record.location = record.location.trim() ? { text: record.location.trim(), country: null, region: null } : null
+  }
+  if (record.location && typeof record.location === 'object') {
+    record.location = { text: record.location.text, country: record.location.country ?? null, region: record.location.region ?? null }
+    if (typeof record.location.country === 'string') {
+      record.location.country = record.location.country.trim().toUpperCase()
+    }
+  }
+
+  if (record.conditions === undefined && 'condition' in record) {
+    record.conditions = record.condition ? [record.condition] : []
+  }
+  delete record.condition
+  if (record.conditions === null) record.conditions = []
+
+  if (record.symptoms === null) record.symptoms = []
+  if (Array.isArray(record.symptoms)) {
+    record.symptoms = record.symptoms.map(symptom => typeof symptom === 'string'
+      ? { name: symptom, onset: null, duration: null, severity: null, trend: null }
+      : symptom && typeof symptom === 'object'
+        ? {
+            name: symptom.name,
+            onset: symptom.onset ?? null,
+            duration: symptom.duration ?? null,
+            severity: typeof symptom.severity === 'string' ? symptom.severity.toLowerCase() : symptom.severity ?? null,
+            trend: typeof symptom.trend === 'string' ? symptom.trend.toLowerCase() : symptom.trend ?? null,
+          }
+        : symptom)
+  }
+
+  if (record.followUpTopic === undefined) record.followUpTopic = null
+
+  return record
+}
@@ -0,0 +1,105 @@
+import { getProvider } from '@/lib/llm'
+import { parseModelJson, buildRepairPrompt } from '@/lib/llm/json'
+import { validate, formatErrors } from '@/lib/validation'
+import { stripMetadata } from '@/lib/images'
+import { createLogger } from '@/lib/logger'
+import { UpstreamError } from '@/lib/upstream'
+import { SEVERITIES } from './schema'
+
+// What the photos sent with a message show (a rash, a wound, swelling...), described by a model that can see
+// LLM_VISION_PROVIDER / LLM_VISION_MODEL pick it like any other stage (see `@/lib/llm`), the model has to accept images
+// The findings are descriptions, not diagnoses: they join the message's symptoms with `visual` set,
+// so the advice takes them into account and the page can say they came from a photo and what that is worth
+
+const logger = createLogger('vision')
+
+const MAX_ATTEMPTS = 2
+
+const visualSchema = {
+  type: 'object',
+  required: ['findings', 'unclear'],
+  additionalProperties: false,
+  properties: {
+    findings: {
+      type: 'array',
+      maxItems: 5,
+      items: {
+        type: 'object',
+        required: ['name', 'description', 'severity', 'confidence'],
+        additionalProperties: false,
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          description: { type: 'string', minLength: 1 },
+          severity: { enum: [...SEVERITIES, null] },
+          confidence: { type: 'number', minimum: 0, maximum: 1 },
+        },
+      },
+    },
+    unclear: { type: 'boolean' },
+  },
+}
+
+function buildPrompt(input, count) {
+  return `
+    A person sent ${count === 1 ? 'a photo' : `${count} photos`} of a health problem they can see, with this message: "${input}"
+    Describe the visible signs only: rashes, spots, redness, swelling, wounds, burns, bruises, discoloration, discharge.
+    Name each one with a plain symptom word in English ("rash", "swelling", "open wound"), and describe it in one short sentence:
+    where it is, its size, color and shape. Give its severity only when it is obvious from the photo.
+    Do not diagnose and do not name diseases. Never describe the person, their face, tattoos, text or the surroundings.
+    If there is no visible health problem, or the photo is too blurry or dark to tell, return no findings and "unclear": true.
+
+    Respond with only a JSON object of exactly this shape, without markdown:
+    {
+      "findings": [{ "name": "rash", "description": "one sentence", "severity": "mild" | "moderate" | "severe" | null, "confidence": 0.0-1.0 }],
+      "unclear": true or false
+    }
+  `
+}
+
+// { status: 'ok' | 'failed', unclear, findings: [{ name, description, severity, confidence }] }
+// 'failed' when the model couldn't be reached or kept answering something invalid, the message is then read without them
+export async function describeImages(images, input, { signal } = {}) {
+  const model = getProvider('vision')
+  const prompt = buildPrompt(input, images.length)
+  const cleaned = images.map(stripMetadata)
+
+  let currentPrompt = prompt
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    let responseText
+    try {
+      responseText = await model.generateText(currentPrompt, { json: true, images: cleaned, context: { imageCount: images.length }, signal })
+    } catch (error) {
+      if (!(error instanceof UpstreamError)) throw error
+      logger.warn(`${model.name} vision unavailable`, { error })
+      break
+    }
+
+    let problems
+    try {
+      const candidate = parseModelJson(responseText)
+      const { valid, errors } = validate(visualSchema, candidate)
+      if (valid) return { status: 'ok', ...candidate }
+      problems = formatErrors(errors)
+    } catch (error) {
+      problems = `The response could not be parsed as JSON (${error.message}).`
+    }
+
+    logger.warn(`Invalid ${model.name} image description`, { attempt, maxAttempts: MAX_ATTEMPTS, problems })
+    currentPrompt = buildRepairPrompt(prompt, responseText, problems)
+  }
+
+  return { status: 'failed', unclear: false, findings: [] }
+}
+
+// The findings as symptoms of the extracted record, `visual` keeps what the photo showed
+export function withVisualFindings(extractedData, { findings }) {
+  const symptoms = findings.map(({ name, description, severity, confidence }) => ({
+    name,
+    onset: null,
+    duration: null,
+    severity,
+    trend: null,
+    visual: { description, confidence },
+  }))
+  return { ...extractedData, symptoms: [...extractedData.symptoms, ...symptoms] }
+}
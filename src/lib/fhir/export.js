@@ -0,0 +1,119 @@
+import { randomUUID } from 'crypto'
+import { buildVisitSummary } from '@/lib/summary'
+
+// One conversation as a FHIR R4 "collection" Bundle:
+//   Patient      with the age only: no name, sex or location ever leaves in an export
+//   Condition    per condition the user has, as reported by them (verificationStatus "unconfirmed")
+//   Observation  per symptom, coded as LOINC 75325-1 "Symptom" with its severity as a component
+// Conditions and symptoms carry their SNOMED CT and ICD-10-CM codes when we recognized them (see `@/lib/terminology`),
+// and always the user's own wording as the text
+// Resources reference each other by their urn:uuid fullUrl, as the specification asks for bundles without a server
+
+// Extensions and systems of our own, for what FHIR has no element for
+export const AGE_EXTENSION = 'urn:simplihealth:fhir:StructureDefinition:patient-age'
+
+const LOINC = 'http://loinc.org'
+const SNOMED = 'http://snomed.info/sct'
+const UCUM = 'http://unitsofmeasure.org'
+const ICD10CM = 'http://hl7.org/fhir/sid/icd-10-cm'
+const CONDITION_CLINICAL = 'http://terminology.hl7.org/CodeSystem/condition-clinical'
+const CONDITION_VERIFICATION = 'http://terminology.hl7.org/CodeSystem/condition-ver-status'
+const CONDITION_CATEGORY = 'http://terminology.hl7.org/CodeSystem/condition-category'
+
+const SEVERITY_CODES = {
+  mild: { system: SNOMED, code: '255604002', display: 'Mild' },
+  moderate: { system: SNOMED, code: '6736007', display: 'Moderate' },
+  severe: { system: SNOMED, code: '24484000', display: 'Severe' },
+}
+
+const years = value => ({ value, unit: 'years', system: UCUM, code: 'a' })
+
+const concept = (system, code, display) => ({ coding: [{ system, code, display }] })
+
+// The user's wording, coded when the vocabulary knows it
+const coded = (text, standard) => standard
+  ? {
+    coding: [
+      { system: SNOMED, code: standard.snomed, display: standard.term },
+      { system: ICD10CM, code: standard.icd10 },
+    ],
+    text,
+  }
+  : { text }
+
+// An exact age is an Age, "in my 40s" a Range of ages
+function ageExtension(age) {
+  if (!age || (age.min === null && age.max === null)) return null
+  if (age.min === age.max) return { url: AGE_EXTENSION, valueAge: years(age.min) }
+  return {
+    url: AGE_EXTENSION,
+    valueRange: {
+      ...(age.min !== null && { low: years(age.min) }),
+      ...(age.max !== null && { high: years(age.max) }),
+    },
+  }
+}
+
+function patientResource(id, age) {
+  const extension = ageExtension(age)
+  return { resourceType: 'Patient', id, ...(extension && { extension: [extension] }) }
+}
+
+function conditionResource(id, { text, concept: standard }, subject, recordedDate) {
+  return {
+    resourceType: 'Condition',
+    id,
+    clinicalStatus: concept(CONDITION_CLINICAL, 'active', 'Active'),
+    verificationStatus: concept(CONDITION_VERIFICATION, 'unconfirmed', 'Unconfirmed'),
+    category: [concept(CONDITION_CATEGORY, 'problem-list-item', 'Problem List Item')],
+    code: coded(text, standard),
+    subject,
+    recordedDate,
+  }
+}
+
+// Onset and duration are whatever the user wrote ("since Monday"), so they go in a note rather than a date
+function symptomObservation(id, symptom, subject) {
+  const details = [
+    symptom.onset && `Onset: ${symptom.onset}`,
+    symptom.duration && `Duration: ${symptom.duration}`,
+  ].filter(Boolean)
+
+  return {
+    resourceType: 'Observation',
+    id,
+    status: 'preliminary',
+    code: concept(LOINC, '75325-1', 'Symptom'),
+    subject,
+    effectiveDateTime: symptom.firstReportedAt,
+    issued: symptom.lastReportedAt,
+    valueCodeableConcept: coded(symptom.name, symptom.concept),
+    ...(symptom.severity && {
+      component: [{
+        code: concept(SNOMED, '246112005', 'Severity'),
+        valueCodeableConcept: { coding: [SEVERITY_CODES[symptom.severity]] },
+      }],
+    }),
+    ...(details.length > 0 && { note: [{ text: details.join('\n') }] }),
+  }
+}
+
+export function consultationBundle(session) {
+  const summary = buildVisitSummary(session)
+  const entry = resource => ({ fullUrl: `urn:uuid:${resource.id}`, resource })
+
+  const patient = patientResource(randomUUID(), summary.profile.age)
+  const subject = { reference: `urn:uuid:${patient.id}` }
+
+  return {
+    resourceType: 'Bundle',
+    id: randomUUID(),
+    type: 'collection',
+    timestamp: new Date().toISOString(),
+    entry: [
+      entry(patient),
+      ...summary.profile.conditions.map(condition => entry(conditionResource(randomUUID(), condition, subject, summary.endedAt))),
+      ...summary.symptoms.map(symptom => entry(symptomObservation(randomUUID(), symptom, subject))),
+    ],
+  }
+}
@@ -0,0 +1,114 @@
+import { createEmptyProfile } from '@/lib/profile/schema'
+import { getCountryName } from '@/lib/geo'
+import { FhirValidationError } from './index'
+import { AGE_EXTENSION } from './export'
+
+// Prefills a health profile from a partner's Bundle, for the user to check and save:
+//   Patient              age (our extension, or worked out from birthDate), sex (gender), location (first current address)
+//   Condition            current ones only: no clinicalStatus, or active / recurrence / relapse, and not refuted
+//   MedicationStatement  ones still taken, named by medicationCodeableConcept or by the Medication it references
+// Everything else in the bundle is ignored. Values from the bundle replace the profile's demographics,
+// conditions and medications are added to the ones the profile already has
+// The bundle is expected to be valid already (see `validateResource`)
+
+const CURRENT_CONDITION = ['active', 'recurrence', 'relapse']
+const DISMISSED_VERIFICATION = ['refuted', 'entered-in-error']
+const NOT_TAKEN = ['stopped', 'completed', 'entered-in-error', 'not-taken']
+
+const codeOf = concept => concept?.coding?.[0]?.code
+const textOf = concept => concept?.text || concept?.coding?.find(coding => coding.display)?.display || null
+
+function ageFromBirthDate(birthDate, now = new Date()) {
+  // A year or year-month alone counts from its first day, so the age may be one year too high
+  const [year, month = 1, day = 1] = birthDate.split('-').map(Number)
+  const hadBirthday = now.getMonth() + 1 > month || (now.getMonth() + 1 === month && now.getDate() >= day)
+  return now.getFullYear() - year - (hadBirthday ? 0 : 1)
+}
+
+function patientAge(patient) {
+  const extension = patient.extension?.find(candidate => candidate.url === AGE_EXTENSION)
+  const exact = extension?.valueAge?.value ??
+    (extension?.valueRange?.low?.value === extension?.valueRange?.high?.value ? extension?.valueRange?.low?.value : undefined)
+  if (exact !== undefined && exact !== null) return Math.round(exact)
+  return patient.birthDate ? ageFromBirthDate(patient.birthDate) : null
+}
+
+function patientLocation(patient) {
+  const address = patient.address?.find(candidate => candidate.use !== 'old')
+  if (!address) return null
+
+  const country = /^[A-Za-z]{2}$/.test(address.country || '') ? address.country.toUpperCase() : null
+  const text = address.city || address.district || address.state || (country ? null : address.country) || address.text
+  if (!text && !country) return null
+  return { text: text || getCountryName(country) || country, country, region: address.state || null }
+}
+
+// "Medication/123" or a fullUrl, the way a reference points at another entry of the same bundle
+function resolveReference(entries, reference) {
+  return entries.find(({ fullUrl, resource }) => fullUrl === reference || `${resource.resourceType}/${resource.id}` === reference)?.resource
+}
+
+function medicationName(entries, statement) {
+  if (statement.medicationCodeableConcept) return textOf(statement.medicationCodeableConcept)
+  const medication = resolveReference(entries, statement.medicationReference?.reference)
+  return textOf(medication?.code) || statement.medicationReference?.display || null
+}
+
+const addMissing = (list, names) => {
+  const known = new Set(list.map(name => name.toLowerCase()))
+  return names.filter(name => !known.has(name.toLowerCase()) && known.add(name.toLowerCase()))
+}
+
+// Returns { profile, imported } where `imported` lists what the bundle added:
+//   { demographics: ['age', 'sex', 'location'], conditions: [name], medications: [name] }
+// and throws when the bundle describes more than one patient, since we couldn't tell whose data is whose
+export function profileFromBundle(bundle, profile = createEmptyProfile()) {
+  const entries = (bundle.entry || []).filter(entry => entry.resource)
+  const ofType = type => entries.map(entry => entry.resource).filter(resource => resource.resourceType === type)
+
+  const patients = ofType('Patient')
+  if (patients.length > 1) {
+    throw new FhirValidationError([{ path: 'entry', message: 'must not describe more than one Patient' }])
+  }
+
+  const demographics = { ...profile.demographics }
+  const importedDemographics = []
+  if (patients[0]) {
+    const patient = patients[0]
+    const found = {
+      age: patientAge(patient),
+      sex: { female: 'FEMALE', male: 'MALE' }[patient.gender] || null,
+      location: patientLocation(patient),
+    }
+    for (const [field, value] of Object.entries(found)) {
+      if (value === null) continue
+      demographics[field] = value
+      importedDemographics.push(field)
+    }
+  }
+
+  const conditions = ofType('Condition')
+    .filter(condition => !condition.clinicalStatus || CURRENT_CONDITION.includes(codeOf(condition.clinicalStatus)))
+    .filter(condition => !DISMISSED_VERIFICATION.includes(codeOf(condition.verificationStatus)))
+    .map(condition => textOf(condition.code))
+    .filter(Boolean)
+
+  const medications = ofType('MedicationStatement')
+    .filter(statement => !NOT_TAKEN.includes(statement.status))
+    .map(statement => ({ name: medicationName(entries, statement), dose: statement.dosage?.[0]?.text || null }))
+    .filter(medication => medication.name)
+
+  const newConditions = addMissing(profile.conditions, conditions)
+  const newMedicationNames = addMissing(profile.medications.map(medication => medication.name), medications.map(medication => medication.name))
+  const newMedications = newMedicationNames.map(name => medications.find(medication => medication.name === name))
+
+  return {
+    profile: {
+      ...profile,
+      demographics,
+      conditions: [...profile.conditions, ...newConditions],
+      medications: [...profile.medications, ...newMedications],
+    },
+    imported: { demographics: importedDemographics, conditions: newConditions, medications: newMedicationNames },
+  }
+}
@@ -0,0 +1,43 @@
+import { validate, formatErrors } from '@/lib/validation'
+import { fhirSchema, RESOURCE_TYPES } from './schema'
+
+// FHIR R4, so clinic partners can move data in and out of SimpliHealth:
+//   export  a conversation as a Bundle of Patient, Condition and Observation resources (./export)
+//   import  a Bundle of Patient, Condition and MedicationStatement resources into a health profile (./import)
+// Both ways the bundle is validated against the bundled schemas (./schema), with the helpers below
+
+export class FhirValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid FHIR resource:\n${formatErrors(errors)}`)
+    this.name = 'FhirValidationError'
+    this.errors = errors
+  }
+}
+
+const prefixErrors = (errors, prefix) => errors.map(({ path, message }) => ({ path: path ? `${prefix}.${path}` : prefix, message }))
+
+// Checks a resource against the definition for its resourceType, and every resource inside a Bundle too
+// Returns { valid, errors } like `validate`, with paths such as "entry[2].resource.subject"
+export function validateResource(resource) {
+  const type = resource?.resourceType
+  if (!RESOURCE_TYPES.includes(type)) {
+    return { valid: false, errors: [{ path: 'resourceType', message: `must be one of ${RESOURCE_TYPES.join(', ')}` }] }
+  }
+
+  const { errors } = validate({ $ref: `#/definitions/${type}` }, resource, fhirSchema)
+  if (type === 'Bundle' && errors.length === 0) {
+    (resource.entry || []).forEach((entry, index) => {
+      if (!RESOURCE_TYPES.includes(entry.resource?.resourceType)) return
+      errors.push(...prefixErrors(validateResource(entry.resource).errors, `entry[${index}].resource`))
+    })
+  }
+  return { valid: errors.length === 0, errors }
+}
+
+export function assertValidResource(resource) {
+  const { valid, errors } = validateResource(resource)
+  if (!valid) {
+    throw new FhirValidationError(errors)
+  }
+  return resource
+}
@@ -0,0 +1,258 @@
+// The FHIR R4 JSON schemas we validate against, in the layout of the official fhir.schema.json
+// (http://hl7.org/fhir/R4/fhir.schema.json) so a definition can be checked against it line by line
+// Trimmed to the resources and elements we read or write:
+//   Bundle, Patient, Condition, Observation, MedicationStatement and Medication
+// Elements that aren't listed are let through unchecked rather than rejected (the official schema forbids them),
+// so a partner's bundle with names, identifiers or narrative in it still imports; we just never read those
+
+const primitive = (type, pattern) => pattern ? { type, pattern } : { type }
+
+const definitions = {
+  // Primitive types, with the patterns from the specification
+  id: primitive('string', '^[A-Za-z0-9\\-\\.]{1,64}$'),
+  uri: primitive('string', '^\\S*$'),
+  code: primitive('string', '^[^\\s]+(\\s[^\\s]+)*$'),
+  string: primitive('string', '^[ \\r\\n\\t\\S]+$'),
+  markdown: primitive('string', '^[ \\r\\n\\t\\S]+$'),
+  decimal: primitive('number'),
+  boolean: primitive('boolean'),
+  date: primitive('string', '^([0-9]([0-9]([0-9][1-9]|[1-9]0)|[1-9]00)|[1-9]000)(-(0[1-9]|1[0-2])(-(0[1-9]|[1-2][0-9]|3[0-1]))?)?$'),
+  dateTime: primitive('string', '^([0-9]([0-9]([0-9][1-9]|[1-9]0)|[1-9]00)|[1-9]000)(-(0[1-9]|1[0-2])(-(0[1-9]|[1-2][0-9]|3[0-1])(T([01][0-9]|2[0-3]):[0-5][0-9]:([0-5][0-9]|60)(\\.[0-9]+)?(Z|(\\+|-)((0[0-9]|1[0-3]):[0-5][0-9]|14:00)))?)?)?$'),
+  instant: primitive('string', '^([0-9]([0-9]([0-9][1-9]|[1-9]0)|[1-9]00)|[1-9]000)-(0[1-9]|1[0-2])-(0[1-9]|[1-2][0-9]|3[0-1])T([01][0-9]|2[0-3]):[0-5][0-9]:([0-5][0-9]|60)(\\.[0-9]+)?(Z|(\\+|-)((0[0-9]|1[0-3]):[0-5][0-9]|14:00))$'),
+
+  // Data types
+  Coding: {
+    type: 'object',
+    properties: {
+      system: { $ref: '#/definitions/uri' },
+      version: { $ref: '#/definitions/string' },
+      code: { $ref: '#/definitions/code' },
+      display: { $ref: '#/definitions/string' },
+      userSelected: { $ref: '#/definitions/boolean' },
+    },
+  },
+  CodeableConcept: {
+    type: 'object',
+    properties: {
+      coding: { type: 'array', items: { $ref: '#/definitions/Coding' } },
+      text: { $ref: '#/definitions/string' },
+    },
+  },
+  Reference: {
+    type: 'object',
+    properties: {
+      reference: { $ref: '#/definitions/string' },
+      type: { $ref: '#/definitions/uri' },
+      display: { $ref: '#/definitions/string' },
+    },
+  },
+  Quantity: {
+    type: 'object',
+    properties: {
+      value: { $ref: '#/definitions/decimal' },
+      comparator: { enum: ['<', '<=', '>=', '>'] },
+      unit: { $ref: '#/definitions/string' },
+      system: { $ref: '#/definitions/uri' },
+      code: { $ref: '#/definitions/code' },
+    },
+  },
+  Age: { $ref: '#/definitions/Quantity' },
+  Range: {
+    type: 'object',
+    properties: {
+      low: { $ref: '#/definitions/Quantity' },
+      high: { $ref: '#/definitions/Quantity' },
+    },
+  },
+  Period: {
+    type: 'object',
+    properties: {
+      start: { $ref: '#/definitions/dateTime' },
+      end: { $ref: '#/definitions/dateTime' },
+    },
+  },
+  Annotation: {
+    type: 'object',
+    required: ['text'],
+    properties: {
+      authorString: { $ref: '#/definitions/string' },
+      time: { $ref: '#/definitions/dateTime' },
+      text: { $ref: '#/definitions/markdown' },
+    },
+  },
+  Address: {
+    type: 'object',
+    properties: {
+      use: { enum: ['home', 'work', 'temp', 'old', 'billing'] },
+      text: { $ref: '#/definitions/string' },
+      city: { $ref: '#/definitions/string' },
+      district: { $ref: '#/definitions/string' },
+      state: { $ref: '#/definitions/string' },
+      country: { $ref: '#/definitions/string' },
+    },
+  },
+  Extension: {
+    type: 'object',
+    required: ['url'],
+    properties: {
+      url: { $ref: '#/definitions/uri' },
+      valueString: { $ref: '#/definitions/string' },
+      valueCode: { $ref: '#/definitions/code' },
+      valueAge: { $ref: '#/definitions/Age' },
+      valueRange: { $ref: '#/definitions/Range' },
+      valueCodeableConcept: { $ref: '#/definitions/CodeableConcept' },
+    },
+  },
+  Meta: {
+    type: 'object',
+    properties: {
+      versionId: { $ref: '#/definitions/id' },
+      lastUpdated: { $ref: '#/definitions/instant' },
+      profile: { type: 'array', items: { $ref: '#/definitions/uri' } },
+    },
+  },
+  Dosage: {
+    type: 'object',
+    properties: {
+      sequence: { type: 'integer' },
+      text: { $ref: '#/definitions/string' },
+      patientInstruction: { $ref: '#/definitions/string' },
+      asNeededBoolean: { $ref: '#/definitions/boolean' },
+    },
+  },
+
+  // Resources
+  Patient: {
+    type: 'object',
+    required: ['resourceType'],
+    properties: {
+      resourceType: { const: 'Patient' },
+      id: { $ref: '#/definitions/id' },
+      meta: { $ref: '#/definitions/Meta' },
+      extension: { type: 'array', items: { $ref: '#/definitions/Extension' } },
+      active: { $ref: '#/definitions/boolean' },
+      gender: { enum: ['male', 'female', 'other', 'unknown'] },
+      birthDate: { $ref: '#/definitions/date' },
+      deceasedBoolean: { $ref: '#/definitions/boolean' },
+      address: { type: 'array', items: { $ref: '#/definitions/Address' } },
+    },
+  },
+  Condition: {
+    type: 'object',
+    required: ['resourceType', 'subject'],
+    properties: {
+      resourceType: { const: 'Condition' },
+      id: { $ref: '#/definitions/id' },
+      meta: { $ref: '#/definitions/Meta' },
+      extension: { type: 'array', items: { $ref: '#/definitions/Extension' } },
+      clinicalStatus: { $ref: '#/definitions/CodeableConcept' },
+      verificationStatus: { $ref: '#/definitions/CodeableConcept' },
+      category: { type: 'array', items: { $ref: '#/definitions/CodeableConcept' } },
+      severity: { $ref: '#/definitions/CodeableConcept' },
+      code: { $ref: '#/definitions/CodeableConcept' },
+      subject: { $ref: '#/definitions/Reference' },
+      onsetDateTime: { $ref: '#/definitions/dateTime' },
+      onsetString: { $ref: '#/definitions/string' },
+      abatementDateTime: { $ref: '#/definitions/dateTime' },
+      recordedDate: { $ref: '#/definitions/dateTime' },
+      note: { type: 'array', items: { $ref: '#/definitions/Annotation' } },
+    },
+  },
+  Observation_Component: {
+    type: 'object',
+    required: ['code'],
+    properties: {
+      code: { $ref: '#/definitions/CodeableConcept' },
+      valueQuantity: { $ref: '#/definitions/Quantity' },
+      valueCodeableConcept: { $ref: '#/definitions/CodeableConcept' },
+      valueString: { $ref: '#/definitions/string' },
+    },
+  },
+  Observation: {
+    type: 'object',
+    required: ['resourceType', 'status', 'code'],
+    properties: {
+      resourceType: { const: 'Observation' },
+      id: { $ref: '#/definitions/id' },
+      meta: { $ref: '#/definitions/Meta' },
+      extension: { type: 'array', items: { $ref: '#/definitions/Extension' } },
+      status: { enum: ['registered', 'preliminary', 'final', 'amended', 'corrected', 'cancelled', 'entered-in-error', 'unknown'] },
+      category: { type: 'array', items: { $ref: '#/definitions/CodeableConcept' } },
+      code: { $ref: '#/definitions/CodeableConcept' },
+      subject: { $ref: '#/definitions/Reference' },
+      effectiveDateTime: { $ref: '#/definitions/dateTime' },
+      effectivePeriod: { $ref: '#/definitions/Period' },
+      issued: { $ref: '#/definitions/instant' },
+      valueQuantity: { $ref: '#/definitions/Quantity' },
+      valueCodeableConcept: { $ref: '#/definitions/CodeableConcept' },
+      valueString: { $ref: '#/definitions/string' },
+      note: { type: 'array', items: { $ref: '#/definitions/Annotation' } },
+      component: { type: 'array', items: { $ref: '#/definitions/Observation_Component' } },
+    },
+  },
+  Medication: {
+    type: 'object',
+    required: ['resourceType'],
+    properties: {
+      resourceType: { const: 'Medication' },
+      id: { $ref: '#/definitions/id' },
+      meta: { $ref: '#/definitions/Meta' },
+      code: { $ref: '#/definitions/CodeableConcept' },
+    },
+  },
+  // medication[x] is required: one of medicationCodeableConcept or medicationReference
+  MedicationStatement: {
+    type: 'object',
+    required: ['resourceType', 'status', 'subject'],
+    anyOf: [{ required: ['medicationCodeableConcept'] }, { required: ['medicationReference'] }],
+    properties: {
+      resourceType: { const: 'MedicationStatement' },
+      id: { $ref: '#/definitions/id' },
+      meta: { $ref: '#/definitions/Meta' },
+      extension: { type: 'array', items: { $ref: '#/definitions/Extension' } },
+      status: { enum: ['active', 'completed', 'entered-in-error', 'intended', 'stopped', 'on-hold', 'unknown', 'not-taken'] },
+      medicationCodeableConcept: { $ref: '#/definitions/CodeableConcept' },
+      medicationReference: { $ref: '#/definitions/Reference' },
+      subject: { $ref: '#/definitions/Reference' },
+      effectiveDateTime: { $ref: '#/definitions/dateTime' },
+      effectivePeriod: { $ref: '#/definitions/Period' },
+      dateAsserted: { $ref: '#/definitions/dateTime' },
+      dosage: { type: 'array', items: { $ref: '#/definitions/Dosage' } },
+      note: { type: 'array', items: { $ref: '#/definitions/Annotation' } },
+    },
+  },
+  // Entries are only checked for having a resourceType here, each resource is then checked against its own definition
+  Bundle_Entry: {
+    type: 'object',
+    properties: {
+      fullUrl: { $ref: '#/definitions/uri' },
+      resource: {
+        type: 'object',
+        required: ['resourceType'],
+        properties: { resourceType: { type: 'string', pattern: '^[A-Z][A-Za-z]+$' } },
+      },
+    },
+  },
+  Bundle: {
+    type: 'object',
+    required: ['resourceType', 'type'],
+    properties: {
+      resourceType: { const: 'Bundle' },
+      id: { $ref: '#/definitions/id' },
+      meta: { $ref: '#/definitions/Meta' },
+      type: { enum: ['document', 'message', 'transaction', 'transaction-response', 'batch', 'batch-response', 'history', 'searchset', 'collection'] },
+      timestamp: { $ref: '#/definitions/instant' },
+      total: { type: 'integer', minimum: 0 },
+      entry: { type: 'array', items: { $ref: '#/definitions/Bundle_Entry' } },
+    },
+  },
+}
+
+export const fhirSchema = {
+  $schema: 'http://json-schema.org/draft-06/schema#',
+  id: 'http://hl7.org/fhir/json-schema/4.0',
+  definitions,
+}
+
+// The resource types we have a definition for, anything else in a bundle is only checked for a resourceType
+export const RESOURCE_TYPES = ['Bundle', 'Patient', 'Condition', 'Observation', 'MedicationStatement', 'Medication']
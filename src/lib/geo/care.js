@@ -0,0 +1,47 @@
+import { emergencyNumbers, DEFAULT_EMERGENCY_NUMBER } from '@/lib/triage/emergencyNumbers'
+import { getCountryName } from './index'
+
+// National health information lines (health ministry or public health service) by ISO country code
+// For questions that aren't emergencies: where to get tested, which clinic to go to, what a symptom means
+// Only lines we could confirm are listed, countries without one just get their emergency number
+export const healthHotlines = {
+  GB: { name: 'NHS 111', number: '111' },
+  IE: { name: 'HSE Live', number: '1800 700 700' },
+  US: { name: 'CDC-INFO', number: '1-800-232-4636' },
+  CA: { name: 'Health Link (most provinces)', number: '811' },
+  FR: { name: 'Médecin de garde', number: '116 117' },
+  DE: { name: 'Ärztlicher Bereitschaftsdienst', number: '116 117' },
+  AU: { name: 'healthdirect', number: '1800 022 222' },
+  NZ: { name: 'Healthline', number: '0800 611 116' },
+  BR: { name: 'Disque Saúde', number: '136' },
+  AR: { name: 'Salud Responde', number: '0800 222 1002' },
+  IN: { name: 'Ministry of Health helpline', number: '1075' },
+  PK: { name: 'Sehat Tahaffuz helpline', number: '1166' },
+  PH: { name: 'Department of Health hotline', number: '1555' },
+  EG: { name: 'Ministry of Health hotline', number: '105' },
+  KE: { name: 'Ministry of Health toll-free line', number: '719' },
+  UG: { name: 'Ministry of Health toll-free line', number: '0800 100 066' },
+  RW: { name: 'Rwanda Biomedical Centre', number: '114' },
+  TZ: { name: 'Ministry of Health call centre', number: '199' },
+  ET: { name: 'Ethiopian Public Health Institute', number: '8335' },
+  NG: { name: 'NCDC toll-free line', number: '6232' },
+  ZA: { name: 'National Department of Health hotline', number: '0800 029 999' },
+  CM: { name: 'Ministry of Public Health hotline', number: '1510' },
+}
+
+// The "nearby care" card for a resolved location (see `resolveLocation`):
+//   { country, countryName, city, emergencyNumber, fallbackNumber, hotline: { name, number } | null }
+// `emergencyNumber` is null when we don't have the country's number, the card then suggests `fallbackNumber`
+// Returns null when we couldn't place the user at all
+export function buildNearbyCare(geo) {
+  if (!geo?.country) return null
+
+  return {
+    country: geo.country,
+    countryName: getCountryName(geo.country),
+    city: geo.city,
+    emergencyNumber: emergencyNumbers[geo.country]?.emergency || null,
+    fallbackNumber: DEFAULT_EMERGENCY_NUMBER,
+    hotline: healthHotlines[geo.country] || null,
+  }
+}
@@ -0,0 +1,324 @@
+// Offline gazetteer used to turn what users write ("Kinshasa", "the US", "Nairobi, Kenya") into structured geography
+// It's a hand-picked subset: every country we have care numbers for plus the countries and cities our users
+// mention most, with names in English, French, Spanish and Swahili where they differ
+// Coordinates are approximate (a country's capital, a city's centre); they only need to be good enough
+// to measure distances to trial sites
+//
+// countries: { code (ISO 3166-1 alpha-2), name, aliases, lat, lon }
+// regions:   { name, aliases, country, lat, lon }
+// cities:    { name, aliases, country, region, lat, lon }
+// When two places share a name, the one listed first wins unless the text also names the country
+// Aliases of three letters or less ("us", "drc", "nyc") only match on their own, never inside a longer phrase
+
+export const countries = [
+  // Africa
+  { code: 'CD', name: 'Democratic Republic of the Congo', aliases: ['congo', 'drc', 'dr congo', 'congo kinshasa', 'rdc', 'republique democratique du congo', 'republica democratica del congo', 'jamhuri ya kidemokrasia ya kongo', 'kongo'], lat: -4.32, lon: 15.31 },
+  { code: 'CG', name: 'Republic of the Congo', aliases: ['congo brazzaville', 'republic of congo', 'republique du congo', 'congo republic'], lat: -4.27, lon: 15.28 },
+  { code: 'NG', name: 'Nigeria', aliases: ['nigeria'], lat: 9.08, lon: 7.4 },
+  { code: 'GH', name: 'Ghana', aliases: ['ghana'], lat: 5.6, lon: -0.19 },
+  { code: 'KE', name: 'Kenya', aliases: ['kenya'], lat: -1.29, lon: 36.82 },
+  { code: 'TZ', name: 'Tanzania', aliases: ['tanzania', 'tanzanie', 'united republic of tanzania'], lat: -6.16, lon: 35.75 },
+  { code: 'UG', name: 'Uganda', aliases: ['uganda', 'ouganda'], lat: 0.35, lon: 32.58 },
+  { code: 'RW', name: 'Rwanda', aliases: ['rwanda', 'ruanda'], lat: -1.95, lon: 30.06 },
+  { code: 'BI', name: 'Burundi', aliases: ['burundi'], lat: -3.38, lon: 29.36 },
+  { code: 'ET', name: 'Ethiopia', aliases: ['ethiopia', 'ethiopie', 'etiopia', 'uhabeshi'], lat: 9.03, lon: 38.74 },
+  { code: 'SO', name: 'Somalia', aliases: ['somalia', 'somalie', 'somali'], lat: 2.05, lon: 45.32 },
+  { code: 'ZA', name: 'South Africa', aliases: ['south africa', 'afrique du sud', 'sudafrica', 'afrika kusini', 'rsa'], lat: -25.75, lon: 28.19 },
+  { code: 'ZM', name: 'Zambia', aliases: ['zambia', 'zambie'], lat: -15.39, lon: 28.32 },
+  { code: 'ZW', name: 'Zimbabwe', aliases: ['zimbabwe'], lat: -17.83, lon: 31.05 },
+  { code: 'MW', name: 'Malawi', aliases: ['malawi'], lat: -13.96, lon: 33.79 },
+  { code: 'MZ', name: 'Mozambique', aliases: ['mozambique', 'mozambico', 'msumbiji'], lat: -25.97, lon: 32.57 },
+  { code: 'AO', name: 'Angola', aliases: ['angola'], lat: -8.84, lon: 13.23 },
+  { code: 'CM', name: 'Cameroon', aliases: ['cameroon', 'cameroun', 'camerun', 'kamerun'], lat: 3.87, lon: 11.52 },
+  { code: 'CI', name: "Côte d'Ivoire", aliases: ['cote d ivoire', 'ivory coast', 'costa de marfil'], lat: 5.36, lon: -4.01 },
+  { code: 'SN', name: 'Senegal', aliases: ['senegal'], lat: 14.72, lon: -17.47 },
+  { code: 'ML', name: 'Mali', aliases: ['mali'], lat: 12.64, lon: -8.0 },
+  { code: 'BF', name: 'Burkina Faso', aliases: ['burkina faso', 'burkina'], lat: 12.37, lon: -1.53 },
+  { code: 'NE', name: 'Niger', aliases: ['niger'], lat: 13.51, lon: 2.11 },
+  { code: 'TD', name: 'Chad', aliases: ['chad', 'tchad'], lat: 12.13, lon: 15.06 },
+  { code: 'GN', name: 'Guinea', aliases: ['guinea', 'guinee'], lat: 9.64, lon: -13.58 },
+  { code: 'BJ', name: 'Benin', aliases: ['benin'], lat: 6.5, lon: 2.6 },
+  { code: 'TG', name: 'Togo', aliases: ['togo'], lat: 6.13, lon: 1.22 },
+  { code: 'SL', name: 'Sierra Leone', aliases: ['sierra leone'], lat: 8.48, lon: -13.23 },
+  { code: 'LR', name: 'Liberia', aliases: ['liberia'], lat: 6.3, lon: -10.8 },
+  { code: 'GA', name: 'Gabon', aliases: ['gabon'], lat: 0.42, lon: 9.47 },
+  { code: 'CF', name: 'Central African Republic', aliases: ['central african republic', 'centrafrique', 'republique centrafricaine'], lat: 4.39, lon: 18.56 },
+  { code: 'SS', name: 'South Sudan', aliases: ['south sudan', 'soudan du sud', 'sudan del sur', 'sudan kusini'], lat: 4.85, lon: 31.58 },
+  { code: 'SD', name: 'Sudan', aliases: ['sudan', 'soudan'], lat: 15.5, lon: 32.56 },
+  { code: 'EG', name: 'Egypt', aliases: ['egypt', 'egypte', 'egipto', 'misri'], lat: 30.04, lon: 31.24 },
+  { code: 'MA', name: 'Morocco', aliases: ['morocco', 'maroc', 'marruecos', 'moroko'], lat: 34.02, lon: -6.84 },
+  { code: 'DZ', name: 'Algeria', aliases: ['algeria', 'algerie', 'argelia'], lat: 36.75, lon: 3.06 },
+  { code: 'TN', name: 'Tunisia', aliases: ['tunisia', 'tunisie', 'tunez'], lat: 36.81, lon: 10.18 },
+  { code: 'MG', name: 'Madagascar', aliases: ['madagascar', 'madagaska'], lat: -18.88, lon: 47.51 },
+  // Americas
+  { code: 'US', name: 'United States', aliases: ['united states', 'united states of america', 'usa', 'us', 'the us', 'america', 'etats unis', 'estados unidos', 'marekani'], lat: 38.9, lon: -77.04 },
+  { code: 'CA', name: 'Canada', aliases: ['canada', 'kanada'], lat: 45.42, lon: -75.7 },
+  { code: 'MX', name: 'Mexico', aliases: ['mexico', 'mexique', 'meksiko'], lat: 19.43, lon: -99.13 },
+  { code: 'GT', name: 'Guatemala', aliases: ['guatemala'], lat: 14.63, lon: -90.51 },
+  { code: 'HN', name: 'Honduras', aliases: ['honduras'], lat: 14.07, lon: -87.19 },
+  { code: 'SV', name: 'El Salvador', aliases: ['el salvador', 'salvador'], lat: 13.69, lon: -89.22 },
+  { code: 'NI', name: 'Nicaragua', aliases: ['nicaragua'], lat: 12.11, lon: -86.24 },
+  { code: 'CR', name: 'Costa Rica', aliases: ['costa rica'], lat: 9.93, lon: -84.08 },
+  { code: 'PA', name: 'Panama', aliases: ['panama'], lat: 8.98, lon: -79.52 },
+  { code: 'CU', name: 'Cuba', aliases: ['cuba'], lat: 23.11, lon: -82.37 },
+  { code: 'DO', name: 'Dominican Republic', aliases: ['dominican republic', 'republica dominicana', 'republique dominicaine'], lat: 18.49, lon: -69.93 },
+  { code: 'HT', name: 'Haiti', aliases: ['haiti', 'ayiti'], lat: 18.54, lon: -72.34 },
+  { code: 'CO', name: 'Colombia', aliases: ['colombia', 'colombie'], lat: 4.71, lon: -74.07 },
+  { code: 'VE', name: 'Venezuela', aliases: ['venezuela'], lat: 10.48, lon: -66.9 },
+  { code: 'EC', name: 'Ecuador', aliases: ['ecuador', 'equateur'], lat: -0.18, lon: -78.47 },
+  { code: 'PE', name: 'Peru', aliases: ['peru', 'perou'], lat: -12.05, lon: -77.04 },
+  { code: 'BO', name: 'Bolivia', aliases: ['bolivia', 'bolivie'], lat: -16.5, lon: -68.15 },
+  { code: 'CL', name: 'Chile', aliases: ['chile', 'chili'], lat: -33.45, lon: -70.67 },
+  { code: 'AR', name: 'Argentina', aliases: ['argentina', 'argentine'], lat: -34.6, lon: -58.38 },
+  { code: 'UY', name: 'Uruguay', aliases: ['uruguay'], lat: -34.9, lon: -56.16 },
+  { code: 'PY', name: 'Paraguay', aliases: ['paraguay'], lat: -25.26, lon: -57.58 },
+  { code: 'BR', name: 'Brazil', aliases: ['brazil', 'brasil', 'bresil', 'brazili'], lat: -15.79, lon: -47.88 },
+  // Europe
+  { code: 'GB', name: 'United Kingdom', aliases: ['united kingdom', 'uk', 'the uk', 'britain', 'great britain', 'england', 'scotland', 'wales', 'northern ireland', 'royaume uni', 'reino unido', 'uingereza'], lat: 51.51, lon: -0.13 },
+  { code: 'IE', name: 'Ireland', aliases: ['ireland', 'irlande', 'irlanda', 'eire'], lat: 53.35, lon: -6.26 },
+  { code: 'FR', name: 'France', aliases: ['france', 'francia', 'ufaransa'], lat: 48.86, lon: 2.35 },
+  { code: 'BE', name: 'Belgium', aliases: ['belgium', 'belgique', 'belgica', 'ubelgiji'], lat: 50.85, lon: 4.35 },
+  { code: 'NL', name: 'Netherlands', aliases: ['netherlands', 'the netherlands', 'holland', 'pays bas', 'paises bajos', 'uholanzi'], lat: 52.37, lon: 4.9 },
+  { code: 'DE', name: 'Germany', aliases: ['germany', 'allemagne', 'alemania', 'ujerumani', 'deutschland'], lat: 52.52, lon: 13.4 },
+  { code: 'CH', name: 'Switzerland', aliases: ['switzerland', 'suisse', 'suiza', 'uswisi'], lat: 46.95, lon: 7.45 },
+  { code: 'AT', name: 'Austria', aliases: ['austria', 'autriche'], lat: 48.21, lon: 16.37 },
+  { code: 'ES', name: 'Spain', aliases: ['spain', 'espagne', 'espana', 'uhispania'], lat: 40.42, lon: -3.7 },
+  { code: 'PT', name: 'Portugal', aliases: ['portugal', 'ureno'], lat: 38.72, lon: -9.14 },
+  { code: 'IT', name: 'Italy', aliases: ['italy', 'italie', 'italia'], lat: 41.9, lon: 12.5 },
+  { code: 'SE', name: 'Sweden', aliases: ['sweden', 'suede', 'suecia'], lat: 59.33, lon: 18.07 },
+  { code: 'NO', name: 'Norway', aliases: ['norway', 'norvege', 'noruega'], lat: 59.91, lon: 10.75 },
+  { code: 'DK', name: 'Denmark', aliases: ['denmark', 'danemark', 'dinamarca'], lat: 55.68, lon: 12.57 },
+  { code: 'FI', name: 'Finland', aliases: ['finland', 'finlande', 'finlandia'], lat: 60.17, lon: 24.94 },
+  { code: 'PL', name: 'Poland', aliases: ['poland', 'pologne', 'polonia'], lat: 52.23, lon: 21.01 },
+  { code: 'UA', name: 'Ukraine', aliases: ['ukraine', 'ucrania'], lat: 50.45, lon: 30.52 },
+  { code: 'RU', name: 'Russia', aliases: ['russia', 'russie', 'rusia', 'urusi'], lat: 55.76, lon: 37.62 },
+  { code: 'TR', name: 'Turkey', aliases: ['turkey', 'turkiye', 'turquie', 'turquia', 'uturuki'], lat: 39.93, lon: 32.86 },
+  { code: 'GR', name: 'Greece', aliases: ['greece', 'grece', 'grecia', 'ugiriki'], lat: 37.98, lon: 23.73 },
+  // Asia and Oceania
+  { code: 'IN', name: 'India', aliases: ['india', 'inde', 'uhindi'], lat: 28.61, lon: 77.21 },
+  { code: 'PK', name: 'Pakistan', aliases: ['pakistan', 'pakistani'], lat: 33.68, lon: 73.05 },
+  { code: 'BD', name: 'Bangladesh', aliases: ['bangladesh'], lat: 23.81, lon: 90.41 },
+  { code: 'CN', name: 'China', aliases: ['china', 'chine', 'uchina'], lat: 39.9, lon: 116.4 },
+  { code: 'JP', name: 'Japan', aliases: ['japan', 'japon', 'ujapani'], lat: 35.68, lon: 139.69 },
+  { code: 'KR', name: 'South Korea', aliases: ['south korea', 'korea', 'coree du sud', 'corea del sur'], lat: 37.57, lon: 126.98 },
+  { code: 'PH', name: 'Philippines', aliases: ['philippines', 'filipinas', 'ufilipino'], lat: 14.6, lon: 120.98 },
+  { code: 'ID', name: 'Indonesia', aliases: ['indonesia', 'indonesie'], lat: -6.21, lon: 106.85 },
+  { code: 'VN', name: 'Vietnam', aliases: ['vietnam', 'viet nam'], lat: 21.03, lon: 105.85 },
+  { code: 'TH', name: 'Thailand', aliases: ['thailand', 'thailande', 'tailandia'], lat: 13.76, lon: 100.5 },
+  { code: 'SA', name: 'Saudi Arabia', aliases: ['saudi arabia', 'arabie saoudite', 'arabia saudita', 'saudia'], lat: 24.71, lon: 46.68 },
+  { code: 'AE', name: 'United Arab Emirates', aliases: ['united arab emirates', 'uae', 'emirats arabes unis', 'emiratos arabes unidos'], lat: 24.45, lon: 54.38 },
+  { code: 'IL', name: 'Israel', aliases: ['israel'], lat: 31.77, lon: 35.21 },
+  { code: 'AU', name: 'Australia', aliases: ['australia', 'australie'], lat: -35.28, lon: 149.13 },
+  { code: 'NZ', name: 'New Zealand', aliases: ['new zealand', 'nouvelle zelande', 'nueva zelanda'], lat: -41.29, lon: 174.78 },
+]
+
+// States and provinces, for the places whose name is also a country's ("New Mexico" is not Mexico)
+// and for users who give only their state. Coordinates are the state capital's
+export const regions = [
+  // United States
+  { name: 'Alabama', aliases: [], country: 'US', lat: 32.38, lon: -86.3 },
+  { name: 'Alaska', aliases: [], country: 'US', lat: 58.3, lon: -134.42 },
+  { name: 'Arizona', aliases: [], country: 'US', lat: 33.45, lon: -112.07 },
+  { name: 'Arkansas', aliases: [], country: 'US', lat: 34.75, lon: -92.29 },
+  { name: 'California', aliases: ['californie'], country: 'US', lat: 38.58, lon: -121.49 },
+  { name: 'Colorado', aliases: [], country: 'US', lat: 39.74, lon: -104.99 },
+  { name: 'Connecticut', aliases: [], country: 'US', lat: 41.76, lon: -72.68 },
+  { name: 'Delaware', aliases: [], country: 'US', lat: 39.16, lon: -75.52 },
+  { name: 'Florida', aliases: ['floride'], country: 'US', lat: 30.44, lon: -84.28 },
+  { name: 'Georgia', aliases: ['georgie'], country: 'US', lat: 33.75, lon: -84.39 },
+  { name: 'Hawaii', aliases: ['hawai', 'hawaï'], country: 'US', lat: 21.31, lon: -157.86 },
+  { name: 'Idaho', aliases: [], country: 'US', lat: 43.62, lon: -116.2 },
+  { name: 'Illinois', aliases: [], country: 'US', lat: 39.78, lon: -89.65 },
+  { name: 'Indiana', aliases: [], country: 'US', lat: 39.77, lon: -86.16 },
+  { name: 'Iowa', aliases: [], country: 'US', lat: 41.59, lon: -93.62 },
+  { name: 'Kansas', aliases: [], country: 'US', lat: 39.05, lon: -95.68 },
+  { name: 'Kentucky', aliases: [], country: 'US', lat: 38.2, lon: -84.87 },
+  { name: 'Louisiana', aliases: ['louisiane', 'luisiana'], country: 'US', lat: 30.45, lon: -91.19 },
+  { name: 'Maine', aliases: [], country: 'US', lat: 44.31, lon: -69.78 },
+  { name: 'Maryland', aliases: [], country: 'US', lat: 38.98, lon: -76.49 },
+  { name: 'Massachusetts', aliases: [], country: 'US', lat: 42.36, lon: -71.06 },
+  { name: 'Michigan', aliases: [], country: 'US', lat: 42.73, lon: -84.56 },
+  { name: 'Minnesota', aliases: [], country: 'US', lat: 44.95, lon: -93.09 },
+  { name: 'Mississippi', aliases: [], country: 'US', lat: 32.3, lon: -90.18 },
+  { name: 'Missouri', aliases: [], country: 'US', lat: 38.58, lon: -92.17 },
+  { name: 'Montana', aliases: [], country: 'US', lat: 46.59, lon: -112.04 },
+  { name: 'Nebraska', aliases: [], country: 'US', lat: 40.81, lon: -96.7 },
+  { name: 'Nevada', aliases: [], country: 'US', lat: 39.16, lon: -119.77 },
+  { name: 'New Hampshire', aliases: [], country: 'US', lat: 43.21, lon: -71.54 },
+  { name: 'New Jersey', aliases: [], country: 'US', lat: 40.22, lon: -74.76 },
+  { name: 'New Mexico', aliases: ['nouveau mexique', 'nuevo mexico'], country: 'US', lat: 35.69, lon: -105.94 },
+  { name: 'New York', aliases: ['new york state', 'etat de new york', 'estado de nueva york'], country: 'US', lat: 42.65, lon: -73.76 },
+  { name: 'North Carolina', aliases: ['caroline du nord', 'carolina del norte'], country: 'US', lat: 35.78, lon: -78.64 },
+  { name: 'North Dakota', aliases: ['dakota du nord', 'dakota del norte'], country: 'US', lat: 46.81, lon: -100.78 },
+  { name: 'Ohio', aliases: [], country: 'US', lat: 39.96, lon: -83.0 },
+  { name: 'Oklahoma', aliases: [], country: 'US', lat: 35.47, lon: -97.52 },
+  { name: 'Oregon', aliases: [], country: 'US', lat: 44.94, lon: -123.03 },
+  { name: 'Pennsylvania', aliases: ['pennsylvanie', 'pensilvania'], country: 'US', lat: 40.27, lon: -76.88 },
+  { name: 'Rhode Island', aliases: [], country: 'US', lat: 41.82, lon: -71.41 },
+  { name: 'South Carolina', aliases: ['caroline du sud', 'carolina del sur'], country: 'US', lat: 34.0, lon: -81.03 },
+  { name: 'South Dakota', aliases: ['dakota du sud', 'dakota del sur'], country: 'US', lat: 44.37, lon: -100.35 },
+  { name: 'Tennessee', aliases: [], country: 'US', lat: 36.16, lon: -86.78 },
+  { name: 'Texas', aliases: [], country: 'US', lat: 30.27, lon: -97.74 },
+  { name: 'Utah', aliases: [], country: 'US', lat: 40.76, lon: -111.89 },
+  { name: 'Vermont', aliases: [], country: 'US', lat: 44.26, lon: -72.58 },
+  { name: 'Virginia', aliases: ['virginie'], country: 'US', lat: 37.54, lon: -77.44 },
+  { name: 'Washington', aliases: ['washington state', 'etat de washington', 'estado de washington'], country: 'US', lat: 47.04, lon: -122.9 },
+  { name: 'West Virginia', aliases: ['virginie occidentale', 'virginia occidental'], country: 'US', lat: 38.35, lon: -81.63 },
+  { name: 'Wisconsin', aliases: [], country: 'US', lat: 43.07, lon: -89.4 },
+  { name: 'Wyoming', aliases: [], country: 'US', lat: 41.14, lon: -104.82 },
+]
+
+export const cities = [
+  // Africa
+  { name: 'Kinshasa', aliases: [], country: 'CD', region: 'Kinshasa', lat: -4.32, lon: 15.31 },
+  { name: 'Lubumbashi', aliases: [], country: 'CD', region: 'Haut-Katanga', lat: -11.66, lon: 27.48 },
+  { name: 'Goma', aliases: [], country: 'CD', region: 'North Kivu', lat: -1.68, lon: 29.22 },
+  { name: 'Bukavu', aliases: [], country: 'CD', region: 'South Kivu', lat: -2.51, lon: 28.86 },
+  { name: 'Kisangani', aliases: [], country: 'CD', region: 'Tshopo', lat: 0.52, lon: 25.19 },
+  { name: 'Mbuji-Mayi', aliases: ['mbuji mayi'], country: 'CD', region: 'Kasaï-Oriental', lat: -6.14, lon: 23.6 },
+  { name: 'Kananga', aliases: [], country: 'CD', region: 'Kasaï-Central', lat: -5.9, lon: 22.42 },
+  { name: 'Matadi', aliases: [], country: 'CD', region: 'Kongo Central', lat: -5.82, lon: 13.46 },
+  { name: 'Brazzaville', aliases: [], country: 'CG', region: 'Brazzaville', lat: -4.27, lon: 15.28 },
+  { name: 'Pointe-Noire', aliases: ['pointe noire'], country: 'CG', region: 'Pointe-Noire', lat: -4.78, lon: 11.86 },
+  { name: 'Lagos', aliases: [], country: 'NG', region: 'Lagos', lat: 6.52, lon: 3.38 },
+  { name: 'Abuja', aliases: [], country: 'NG', region: 'Federal Capital Territory', lat: 9.08, lon: 7.4 },
+  { name: 'Kano', aliases: [], country: 'NG', region: 'Kano', lat: 12.0, lon: 8.52 },
+  { name: 'Ibadan', aliases: [], country: 'NG', region: 'Oyo', lat: 7.38, lon: 3.95 },
+  { name: 'Port Harcourt', aliases: [], country: 'NG', region: 'Rivers', lat: 4.82, lon: 7.03 },
+  { name: 'Accra', aliases: [], country: 'GH', region: 'Greater Accra', lat: 5.6, lon: -0.19 },
+  { name: 'Kumasi', aliases: [], country: 'GH', region: 'Ashanti', lat: 6.69, lon: -1.62 },
+  { name: 'Nairobi', aliases: [], country: 'KE', region: 'Nairobi', lat: -1.29, lon: 36.82 },
+  { name: 'Mombasa', aliases: [], country: 'KE', region: 'Mombasa', lat: -4.04, lon: 39.67 },
+  { name: 'Kisumu', aliases: [], country: 'KE', region: 'Kisumu', lat: -0.09, lon: 34.77 },
+  { name: 'Nakuru', aliases: [], country: 'KE', region: 'Nakuru', lat: -0.3, lon: 36.07 },
+  { name: 'Eldoret', aliases: [], country: 'KE', region: 'Uasin Gishu', lat: 0.51, lon: 35.27 },
+  { name: 'Dar es Salaam', aliases: ['dar', 'dar es salam'], country: 'TZ', region: 'Dar es Salaam', lat: -6.79, lon: 39.21 },
+  { name: 'Dodoma', aliases: [], country: 'TZ', region: 'Dodoma', lat: -6.16, lon: 35.75 },
+  { name: 'Arusha', aliases: [], country: 'TZ', region: 'Arusha', lat: -3.39, lon: 36.68 },
+  { name: 'Mwanza', aliases: [], country: 'TZ', region: 'Mwanza', lat: -2.52, lon: 32.9 },
+  { name: 'Zanzibar', aliases: ['zanzibar city', 'unguja'], country: 'TZ', region: 'Zanzibar', lat: -6.17, lon: 39.2 },
+  { name: 'Kampala', aliases: [], country: 'UG', region: 'Central Region', lat: 0.35, lon: 32.58 },
+  { name: 'Gulu', aliases: [], country: 'UG', region: 'Northern Region', lat: 2.77, lon: 32.3 },
+  { name: 'Kigali', aliases: [], country: 'RW', region: 'Kigali', lat: -1.95, lon: 30.06 },
+  { name: 'Bujumbura', aliases: [], country: 'BI', region: 'Bujumbura Mairie', lat: -3.38, lon: 29.36 },
+  { name: 'Addis Ababa', aliases: ['addis', 'addis abeba'], country: 'ET', region: 'Addis Ababa', lat: 9.03, lon: 38.74 },
+  { name: 'Mogadishu', aliases: ['mogadiscio'], country: 'SO', region: 'Banaadir', lat: 2.05, lon: 45.32 },
+  { name: 'Johannesburg', aliases: ['joburg', 'jozi'], country: 'ZA', region: 'Gauteng', lat: -26.2, lon: 28.05 },
+  { name: 'Pretoria', aliases: ['tshwane'], country: 'ZA', region: 'Gauteng', lat: -25.75, lon: 28.19 },
+  { name: 'Cape Town', aliases: ['le cap', 'ciudad del cabo'], country: 'ZA', region: 'Western Cape', lat: -33.92, lon: 18.42 },
+  { name: 'Durban', aliases: [], country: 'ZA', region: 'KwaZulu-Natal', lat: -29.86, lon: 31.03 },
+  { name: 'Lusaka', aliases: [], country: 'ZM', region: 'Lusaka', lat: -15.39, lon: 28.32 },
+  { name: 'Harare', aliases: [], country: 'ZW', region: 'Harare', lat: -17.83, lon: 31.05 },
+  { name: 'Lilongwe', aliases: [], country: 'MW', region: 'Central Region', lat: -13.96, lon: 33.79 },
+  { name: 'Blantyre', aliases: [], country: 'MW', region: 'Southern Region', lat: -15.79, lon: 35.01 },
+  { name: 'Maputo', aliases: [], country: 'MZ', region: 'Maputo', lat: -25.97, lon: 32.57 },
+  { name: 'Luanda', aliases: [], country: 'AO', region: 'Luanda', lat: -8.84, lon: 13.23 },
+  { name: 'Douala', aliases: [], country: 'CM', region: 'Littoral', lat: 4.05, lon: 9.7 },
+  { name: 'Yaoundé', aliases: ['yaounde'], country: 'CM', region: 'Centre', lat: 3.87, lon: 11.52 },
+  { name: 'Abidjan', aliases: [], country: 'CI', region: 'Abidjan', lat: 5.36, lon: -4.01 },
+  { name: 'Dakar', aliases: [], country: 'SN', region: 'Dakar', lat: 14.72, lon: -17.47 },
+  { name: 'Bamako', aliases: [], country: 'ML', region: 'Bamako', lat: 12.64, lon: -8.0 },
+  { name: 'Ouagadougou', aliases: ['ouaga'], country: 'BF', region: 'Centre', lat: 12.37, lon: -1.53 },
+  { name: 'Niamey', aliases: [], country: 'NE', region: 'Niamey', lat: 13.51, lon: 2.11 },
+  { name: "N'Djamena", aliases: ['ndjamena', 'n djamena'], country: 'TD', region: "N'Djamena", lat: 12.13, lon: 15.06 },
+  { name: 'Conakry', aliases: [], country: 'GN', region: 'Conakry', lat: 9.64, lon: -13.58 },
+  { name: 'Cotonou', aliases: [], country: 'BJ', region: 'Littoral', lat: 6.37, lon: 2.39 },
+  { name: 'Lomé', aliases: ['lome'], country: 'TG', region: 'Maritime', lat: 6.13, lon: 1.22 },
+  { name: 'Freetown', aliases: [], country: 'SL', region: 'Western Area', lat: 8.48, lon: -13.23 },
+  { name: 'Monrovia', aliases: [], country: 'LR', region: 'Montserrado', lat: 6.3, lon: -10.8 },
+  { name: 'Libreville', aliases: [], country: 'GA', region: 'Estuaire', lat: 0.42, lon: 9.47 },
+  { name: 'Bangui', aliases: [], country: 'CF', region: 'Bangui', lat: 4.39, lon: 18.56 },
+  { name: 'Juba', aliases: [], country: 'SS', region: 'Central Equatoria', lat: 4.85, lon: 31.58 },
+  { name: 'Khartoum', aliases: ['jartum'], country: 'SD', region: 'Khartoum', lat: 15.5, lon: 32.56 },
+  { name: 'Cairo', aliases: ['le caire', 'el cairo', 'kairo'], country: 'EG', region: 'Cairo', lat: 30.04, lon: 31.24 },
+  { name: 'Alexandria', aliases: ['alexandrie', 'alejandria'], country: 'EG', region: 'Alexandria', lat: 31.2, lon: 29.92 },
+  { name: 'Casablanca', aliases: [], country: 'MA', region: 'Casablanca-Settat', lat: 33.57, lon: -7.59 },
+  { name: 'Rabat', aliases: [], country: 'MA', region: 'Rabat-Salé-Kénitra', lat: 34.02, lon: -6.84 },
+  { name: 'Algiers', aliases: ['alger', 'argel'], country: 'DZ', region: 'Algiers', lat: 36.75, lon: 3.06 },
+  { name: 'Tunis', aliases: [], country: 'TN', region: 'Tunis', lat: 36.81, lon: 10.18 },
+  { name: 'Antananarivo', aliases: ['tana'], country: 'MG', region: 'Analamanga', lat: -18.88, lon: 47.51 },
+  // Americas
+  { name: 'New York', aliases: ['new york city', 'nyc', 'nueva york'], country: 'US', region: 'New York', lat: 40.71, lon: -74.01 },
+  { name: 'Los Angeles', aliases: [], country: 'US', region: 'California', lat: 34.05, lon: -118.24 },
+  { name: 'Chicago', aliases: [], country: 'US', region: 'Illinois', lat: 41.88, lon: -87.63 },
+  { name: 'Houston', aliases: [], country: 'US', region: 'Texas', lat: 29.76, lon: -95.37 },
+  { name: 'Dallas', aliases: [], country: 'US', region: 'Texas', lat: 32.78, lon: -96.8 },
+  { name: 'San Antonio', aliases: [], country: 'US', region: 'Texas', lat: 29.42, lon: -98.49 },
+  { name: 'Phoenix', aliases: [], country: 'US', region: 'Arizona', lat: 33.45, lon: -112.07 },
+  { name: 'Philadelphia', aliases: ['philly'], country: 'US', region: 'Pennsylvania', lat: 39.95, lon: -75.17 },
+  { name: 'San Francisco', aliases: ['sf'], country: 'US', region: 'California', lat: 37.77, lon: -122.42 },
+  { name: 'Seattle', aliases: [], country: 'US', region: 'Washington', lat: 47.61, lon: -122.33 },
+  { name: 'Boston', aliases: [], country: 'US', region: 'Massachusetts', lat: 42.36, lon: -71.06 },
+  { name: 'Miami', aliases: [], country: 'US', region: 'Florida', lat: 25.76, lon: -80.19 },
+  { name: 'Atlanta', aliases: [], country: 'US', region: 'Georgia', lat: 33.75, lon: -84.39 },
+  { name: 'Washington', aliases: ['washington dc', 'washington d c', 'dc'], country: 'US', region: 'District of Columbia', lat: 38.9, lon: -77.04 },
+  { name: 'Baltimore', aliases: [], country: 'US', region: 'Maryland', lat: 39.29, lon: -76.61 },
+  { name: 'Minneapolis', aliases: [], country: 'US', region: 'Minnesota', lat: 44.98, lon: -93.27 },
+  { name: 'Denver', aliases: [], country: 'US', region: 'Colorado', lat: 39.74, lon: -104.99 },
+  { name: 'Toronto', aliases: [], country: 'CA', region: 'Ontario', lat: 43.65, lon: -79.38 },
+  { name: 'Montreal', aliases: ['montréal'], country: 'CA', region: 'Quebec', lat: 45.5, lon: -73.57 },
+  { name: 'Vancouver', aliases: [], country: 'CA', region: 'British Columbia', lat: 49.28, lon: -123.12 },
+  { name: 'Ottawa', aliases: [], country: 'CA', region: 'Ontario', lat: 45.42, lon: -75.7 },
+  { name: 'Mexico City', aliases: ['ciudad de mexico', 'cdmx', 'mexico df'], country: 'MX', region: 'Mexico City', lat: 19.43, lon: -99.13 },
+  { name: 'Guadalajara', aliases: [], country: 'MX', region: 'Jalisco', lat: 20.67, lon: -103.35 },
+  { name: 'Monterrey', aliases: [], country: 'MX', region: 'Nuevo León', lat: 25.69, lon: -100.32 },
+  { name: 'Bogotá', aliases: ['bogota'], country: 'CO', region: 'Bogotá', lat: 4.71, lon: -74.07 },
+  { name: 'Medellín', aliases: ['medellin'], country: 'CO', region: 'Antioquia', lat: 6.24, lon: -75.58 },
+  { name: 'Lima', aliases: [], country: 'PE', region: 'Lima', lat: -12.05, lon: -77.04 },
+  { name: 'Quito', aliases: [], country: 'EC', region: 'Pichincha', lat: -0.18, lon: -78.47 },
+  { name: 'Caracas', aliases: [], country: 'VE', region: 'Capital District', lat: 10.48, lon: -66.9 },
+  { name: 'Santiago', aliases: ['santiago de chile'], country: 'CL', region: 'Santiago Metropolitan', lat: -33.45, lon: -70.67 },
+  { name: 'Buenos Aires', aliases: [], country: 'AR', region: 'Buenos Aires', lat: -34.6, lon: -58.38 },
+  { name: 'São Paulo', aliases: ['sao paulo'], country: 'BR', region: 'São Paulo', lat: -23.55, lon: -46.63 },
+  { name: 'Rio de Janeiro', aliases: ['rio'], country: 'BR', region: 'Rio de Janeiro', lat: -22.91, lon: -43.17 },
+  { name: 'Port-au-Prince', aliases: ['port au prince'], country: 'HT', region: 'Ouest', lat: 18.54, lon: -72.34 },
+  { name: 'Santo Domingo', aliases: [], country: 'DO', region: 'Distrito Nacional', lat: 18.49, lon: -69.93 },
+  { name: 'Havana', aliases: ['la habana', 'la havane'], country: 'CU', region: 'Havana', lat: 23.11, lon: -82.37 },
+  { name: 'Guatemala City', aliases: ['ciudad de guatemala'], country: 'GT', region: 'Guatemala', lat: 14.63, lon: -90.51 },
+  // Europe
+  { name: 'London', aliases: ['londres', 'londra'], country: 'GB', region: 'England', lat: 51.51, lon: -0.13 },
+  { name: 'Manchester', aliases: [], country: 'GB', region: 'England', lat: 53.48, lon: -2.24 },
+  { name: 'Birmingham', aliases: [], country: 'GB', region: 'England', lat: 52.49, lon: -1.89 },
+  { name: 'Glasgow', aliases: [], country: 'GB', region: 'Scotland', lat: 55.86, lon: -4.25 },
+  { name: 'Edinburgh', aliases: [], country: 'GB', region: 'Scotland', lat: 55.95, lon: -3.19 },
+  { name: 'Dublin', aliases: [], country: 'IE', region: 'Leinster', lat: 53.35, lon: -6.26 },
+  { name: 'Paris', aliases: [], country: 'FR', region: 'Île-de-France', lat: 48.86, lon: 2.35 },
+  { name: 'Marseille', aliases: ['marseilles'], country: 'FR', region: "Provence-Alpes-Côte d'Azur", lat: 43.3, lon: 5.37 },
+  { name: 'Lyon', aliases: [], country: 'FR', region: 'Auvergne-Rhône-Alpes', lat: 45.76, lon: 4.84 },
+  { name: 'Brussels', aliases: ['bruxelles', 'bruselas', 'brussel'], country: 'BE', region: 'Brussels', lat: 50.85, lon: 4.35 },
+  { name: 'Amsterdam', aliases: [], country: 'NL', region: 'North Holland', lat: 52.37, lon: 4.9 },
+  { name: 'Berlin', aliases: [], country: 'DE', region: 'Berlin', lat: 52.52, lon: 13.4 },
+  { name: 'Munich', aliases: ['münchen', 'munchen'], country: 'DE', region: 'Bavaria', lat: 48.14, lon: 11.58 },
+  { name: 'Geneva', aliases: ['geneve', 'ginebra'], country: 'CH', region: 'Geneva', lat: 46.2, lon: 6.14 },
+  { name: 'Madrid', aliases: [], country: 'ES', region: 'Community of Madrid', lat: 40.42, lon: -3.7 },
+  { name: 'Barcelona', aliases: ['barcelone'], country: 'ES', region: 'Catalonia', lat: 41.39, lon: 2.17 },
+  { name: 'Lisbon', aliases: ['lisboa', 'lisbonne'], country: 'PT', region: 'Lisbon', lat: 38.72, lon: -9.14 },
+  { name: 'Rome', aliases: ['roma'], country: 'IT', region: 'Lazio', lat: 41.9, lon: 12.5 },
+  { name: 'Milan', aliases: ['milano', 'milan'], country: 'IT', region: 'Lombardy', lat: 45.46, lon: 9.19 },
+  { name: 'Stockholm', aliases: ['estocolmo'], country: 'SE', region: 'Stockholm', lat: 59.33, lon: 18.07 },
+  { name: 'Warsaw', aliases: ['varsovie', 'varsovia', 'warszawa'], country: 'PL', region: 'Masovia', lat: 52.23, lon: 21.01 },
+  { name: 'Kyiv', aliases: ['kiev'], country: 'UA', region: 'Kyiv', lat: 50.45, lon: 30.52 },
+  { name: 'Istanbul', aliases: ['estambul'], country: 'TR', region: 'Istanbul', lat: 41.01, lon: 28.98 },
+  { name: 'Athens', aliases: ['athenes', 'atenas'], country: 'GR', region: 'Attica', lat: 37.98, lon: 23.73 },
+  // Asia and Oceania
+  { name: 'Delhi', aliases: ['new delhi'], country: 'IN', region: 'Delhi', lat: 28.61, lon: 77.21 },
+  { name: 'Mumbai', aliases: ['bombay'], country: 'IN', region: 'Maharashtra', lat: 19.08, lon: 72.88 },
+  { name: 'Bangalore', aliases: ['bengaluru'], country: 'IN', region: 'Karnataka', lat: 12.97, lon: 77.59 },
+  { name: 'Chennai', aliases: ['madras'], country: 'IN', region: 'Tamil Nadu', lat: 13.08, lon: 80.27 },
+  { name: 'Kolkata', aliases: ['calcutta'], country: 'IN', region: 'West Bengal', lat: 22.57, lon: 88.36 },
+  { name: 'Karachi', aliases: [], country: 'PK', region: 'Sindh', lat: 24.86, lon: 67.01 },
+  { name: 'Lahore', aliases: [], country: 'PK', region: 'Punjab', lat: 31.55, lon: 74.34 },
+  { name: 'Dhaka', aliases: ['dacca'], country: 'BD', region: 'Dhaka', lat: 23.81, lon: 90.41 },
+  { name: 'Beijing', aliases: ['pekin', 'peking'], country: 'CN', region: 'Beijing', lat: 39.9, lon: 116.4 },
+  { name: 'Shanghai', aliases: [], country: 'CN', region: 'Shanghai', lat: 31.23, lon: 121.47 },
+  { name: 'Tokyo', aliases: ['tokio'], country: 'JP', region: 'Tokyo', lat: 35.68, lon: 139.69 },
+  { name: 'Seoul', aliases: ['seul'], country: 'KR', region: 'Seoul', lat: 37.57, lon: 126.98 },
+  { name: 'Manila', aliases: ['manille'], country: 'PH', region: 'Metro Manila', lat: 14.6, lon: 120.98 },
+  { name: 'Jakarta', aliases: ['djakarta', 'yakarta'], country: 'ID', region: 'Jakarta', lat: -6.21, lon: 106.85 },
+  { name: 'Bangkok', aliases: [], country: 'TH', region: 'Bangkok', lat: 13.76, lon: 100.5 },
+  { name: 'Dubai', aliases: ['dubaï'], country: 'AE', region: 'Dubai', lat: 25.2, lon: 55.27 },
+  { name: 'Riyadh', aliases: ['riyad', 'riad'], country: 'SA', region: 'Riyadh', lat: 24.71, lon: 46.68 },
+  { name: 'Sydney', aliases: [], country: 'AU', region: 'New South Wales', lat: -33.87, lon: 151.21 },
+  { name: 'Melbourne', aliases: [], country: 'AU', region: 'Victoria', lat: -37.81, lon: 144.96 },
+  { name: 'Auckland', aliases: [], country: 'NZ', region: 'Auckland', lat: -36.85, lon: 174.76 },
+]
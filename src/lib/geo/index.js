@@ -0,0 +1,161 @@
+import { countries, regions, cities } from './gazetteer'
+
+// Turns the free-text location from a message into structured geography:
+//   { text, city, region, country, countryName, lat, lon, precision: 'city' | 'region' | 'country' }
+// using the bundled gazetteer only, so it works offline and never sends the user's location anywhere
+// Anything we can't place ("at home", "work", a village we don't know) resolves to null rather than a guess
+
+// Longest place name we look for, in words ("united republic of tanzania")
+const MAX_NGRAM = 5
+
+const SHORT_ALIAS_LENGTH = 3
+
+// "Côte d'Ivoire" -> "cote d ivoire", so accents, case and punctuation don't matter
+export function normalizePlaceName(text) {
+  return text
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+}
+
+function buildIndex(entries) {
+  const index = new Map()
+  for (const entry of entries) {
+    for (const name of new Set([entry.name, ...entry.aliases].map(normalizePlaceName))) {
+      if (!index.has(name)) index.set(name, [])
+      index.get(name).push(entry)
+    }
+  }
+  return index
+}
+
+const countryIndex = buildIndex(countries)
+const regionIndex = buildIndex(regions)
+const cityIndex = buildIndex(cities)
+const countriesByCode = new Map(countries.map(country => [country.code, country]))
+
+const countryNames = new Intl.DisplayNames(['en'], { type: 'region' })
+
+export function getCountryName(code) {
+  if (!code) return null
+  try {
+    return countriesByCode.get(code)?.name || countryNames.of(code)
+  } catch {
+    return null
+  }
+}
+
+// Every run of words in the text, longest first, so "new york" is tried before "york"
+// Each comma-separated part is also tried on its own, which is the only way short aliases match
+function candidateNames(text) {
+  const parts = text.split(',').map(normalizePlaceName).filter(Boolean)
+  const names = []
+  for (const part of parts) {
+    const words = part.split(' ')
+    for (let size = Math.min(MAX_NGRAM, words.length); size > 0; size--) {
+      for (let start = 0; start + size <= words.length; start++) {
+        const name = words.slice(start, start + size).join(' ')
+        if (name.length > SHORT_ALIAS_LENGTH || name === part) names.push(name)
+      }
+    }
+  }
+  return names
+}
+
+function findFirst(index, names, accept = () => true) {
+  return findFirstName(index, names, accept)?.match || null
+}
+
+// Like findFirst, with the name it was found by
+function findFirstName(index, names, accept = () => true) {
+  for (const name of names) {
+    const match = index.get(name)?.find(accept)
+    if (match) return { name, match }
+  }
+  return null
+}
+
+// Whether `name` is some of the words of `longer`, e.g. "mexico" of "new mexico"
+function isPartOf(name, longer) {
+  return ` ${longer} `.includes(` ${name} `)
+}
+
+// `location` is an extracted location ({ text, country, region }) or plain text
+// A country code the model already resolved is used to pick between places with the same name
+export function resolveLocation(location) {
+  const text = typeof location === 'string' ? location : location?.text
+  const hint = typeof location === 'object' ? location?.country : null
+  if (!text && !hint) return null
+
+  const names = text ? candidateNames(text) : []
+  // States come first, and the words of a state's name aren't read again as a country: "New Mexico" is in the US
+  // A country named elsewhere in the text, or the one the model gave, that isn't the state's means the state
+  // was the wrong guess: "Tbilisi, Georgia" in GE, "Nuevo Mexico" in MX
+  let region = findFirstName(regionIndex, names)
+  if (region && hint && hint !== region.match.country) region = null
+  const countryNames = region ? names.filter(name => !isPartOf(name, region.name)) : names
+  const named = findFirst(countryIndex, countryNames)
+  if (region && named && named.code !== region.match.country) region = null
+  const country = named || (region && countriesByCode.get(region.match.country)) || (hint && countriesByCode.get(hint)) || null
+  const city = country
+    ? findFirst(cityIndex, names, candidate => candidate.country === country.code)
+    : findFirst(cityIndex, names)
+
+  if (city) {
+    return {
+      text,
+      city: city.name,
+      region: city.region,
+      country: city.country,
+      countryName: getCountryName(city.country),
+      lat: city.lat,
+      lon: city.lon,
+      precision: 'city',
+    }
+  }
+
+  if (region) {
+    return {
+      text,
+      city: null,
+      region: region.match.name,
+      country: region.match.country,
+      countryName: getCountryName(region.match.country),
+      lat: region.match.lat,
+      lon: region.match.lon,
+      precision: 'region',
+    }
+  }
+
+  const code = country?.code || hint
+  if (!code) return null
+
+  return {
+    text,
+    city: null,
+    region: null,
+    country: code,
+    countryName: getCountryName(code),
+    lat: country?.lat ?? null,
+    lon: country?.lon ?? null,
+    precision: 'country',
+  }
+}
+
+// Adds `geo` to an extracted record and fills in the country and region of its location when the model left them out
+export function withGeography(extractedData) {
+  const geo = resolveLocation(extractedData.location)
+  if (!geo) return { ...extractedData, geo: null }
+
+  return {
+    ...extractedData,
+    location: {
+      ...extractedData.location,
+      country: extractedData.location.country || geo.country,
+      region: extractedData.location.region || geo.region,
+    },
+    geo,
+  }
+}
@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest'
+import { resolveLocation } from '.'
+
+describe('resolveLocation', () => {
+  it.each([
+    ['New Mexico', { region: 'New Mexico', country: 'US', precision: 'region' }],
+    ['Albuquerque, New Mexico', { region: 'New Mexico', country: 'US' }],
+    ['Nuevo México', { region: 'New Mexico', country: 'US' }],
+    ['West Virginia', { region: 'West Virginia', country: 'US' }],
+    ['Houston, Texas', { city: 'Houston', region: 'Texas', country: 'US', precision: 'city' }],
+    ['Mexico', { city: null, country: 'MX', precision: 'country' }],
+    ['Guadalajara, Mexico', { city: 'Guadalajara', country: 'MX' }],
+    ['Nairobi, Kenya', { city: 'Nairobi', country: 'KE' }],
+  ])('places %s', (text, expected) => {
+    expect(resolveLocation(text)).toMatchObject(expected)
+  })
+
+  it.each([
+    [{ text: 'Tbilisi, Georgia', country: 'GE' }, 'GE'],
+    [{ text: 'Nuevo Mexico', country: 'MX' }, 'MX'],
+    [{ text: 'Atlanta, Georgia', country: 'US' }, 'US'],
+  ])('keeps to the country the model gave for %j', (location, country) => {
+    const resolved = resolveLocation(location)
+    expect(resolved.country).toBe(country)
+    expect(resolved.region === 'Georgia' || resolved.region === 'New Mexico').toBe(country === 'US')
+  })
+
+  it('leaves places it does not know alone', () => {
+    expect(resolveLocation('at home')).toBeNull()
+  })
+})
@@ -0,0 +1,46 @@
+// Guesses which of our languages a message is written in from common words and spellings
+// It's deliberately simple: health messages are short, and a wrong guess only means the
+// advice comes back in the language the user picked in the UI instead
+
+const MARKERS = {
+  en: {
+    words: ['i', 'am', 'my', 'the', 'and', 'have', 'is', 'it', 'with', 'of', 'pain', 'years', 'old', 'since', 'what', 'should', 'hurts', 'feel'],
+    patterns: [/\b\w+ing\b/, /'m\b/],
+  },
+  fr: {
+    words: ['je', 'j', 'ai', 'suis', 'mon', 'ma', 'mes', 'le', 'la', 'les', 'et', 'de', 'des', 'du', 'avec', 'ans', 'mal', 'depuis', 'très', 'est', 'que', 'une', 'un', 'au'],
+    patterns: [/[àâçèêëîïôûù]/, /\bj'/, /\bd'/],
+  },
+  es: {
+    words: ['yo', 'tengo', 'soy', 'mi', 'mis', 'el', 'la', 'los', 'las', 'y', 'de', 'con', 'años', 'dolor', 'desde', 'muy', 'me', 'duele', 'que', 'una', 'un', 'estoy', 'en'],
+    patterns: [/[ñ¿¡]/, /[áéíóú]/],
+  },
+  sw: {
+    words: ['nina', 'mimi', 'na', 'ya', 'wa', 'za', 'kwa', 'miaka', 'ninaishi', 'niko', 'maumivu', 'sana', 'tangu', 'siku', 'homa', 'kichwa', 'tumbo', 'nini', 'je', 'ni', 'damu', 'pia'],
+    patterns: [/\b(?:ni|na|ku|wa|m)\w+(?:a|i)\b/],
+  },
+}
+
+// Below this share of the score we'd rather not guess
+const MIN_CONFIDENCE = 0.4
+
+function score(words, text, { words: markers, patterns }) {
+  const wordHits = words.filter(word => markers.includes(word)).length
+  const patternHits = patterns.filter(pattern => pattern.test(text)).length
+  return wordHits + patternHits * 0.5
+}
+
+// Returns { language, confidence } for the most likely language, or null when the text gives us too little to go on
+export function detectLanguage(text) {
+  const lower = (text || '').toLowerCase()
+  const words = lower.split(/[^\p{L}]+/u).filter(Boolean)
+  if (words.length === 0) return null
+
+  const scores = Object.entries(MARKERS).map(([language, markers]) => ({ language, score: score(words, lower, markers) }))
+  const total = scores.reduce((sum, entry) => sum + entry.score, 0)
+  if (total === 0) return null
+
+  const best = scores.reduce((a, b) => (b.score > a.score ? b : a))
+  const confidence = best.score / total
+  return confidence >= MIN_CONFIDENCE ? { language: best.language, confidence } : null
+}
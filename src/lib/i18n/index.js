@@ -0,0 +1,38 @@
+import en from './messages/en'
+import fr from './messages/fr'
+import es from './messages/es'
+import sw from './messages/sw'
+
+// The languages we understand in messages and can show the UI and advice in
+// `name` is what we tell the model, `nativeName` is what the language switcher shows
+export const LANGUAGES = {
+  en: { name: 'English', nativeName: 'English' },
+  fr: { name: 'French', nativeName: 'Français' },
+  es: { name: 'Spanish', nativeName: 'Español' },
+  sw: { name: 'Swahili', nativeName: 'Kiswahili' },
+}
+
+export const DEFAULT_LANGUAGE = 'en'
+
+// The UI language is kept in this cookie so the server can render `<html lang>` to match
+export const LANGUAGE_COOKIE = 'simplihealth.language'
+
+const messages = { en, fr, es, sw }
+
+export function isSupportedLanguage(language) {
+  return typeof language === 'string' && Object.hasOwn(LANGUAGES, language)
+}
+
+// Looks up a UI string, falling back to English for anything not translated yet
+// `{name}` placeholders are filled in from `values`
+export function translate(language, key, values = {}) {
+  const text = messages[language]?.[key] ?? messages[DEFAULT_LANGUAGE][key] ?? key
+  return text.replace(/\{(\w+)\}/g, (placeholder, name) => values[name] ?? placeholder)
+}
+
+// The language for a new page load: the one the user picked before, otherwise the first of ours the browser asks for
+export function pickLanguage(cookieValue, acceptLanguage = '') {
+  if (isSupportedLanguage(cookieValue)) return cookieValue
+  const requested = acceptLanguage.split(',').map(part => part.split(';')[0].trim().slice(0, 2).toLowerCase())
+  return requested.find(isSupportedLanguage) ?? DEFAULT_LANGUAGE
+}
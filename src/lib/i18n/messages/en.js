@@ -0,0 +1,379 @@
+// UI strings, the other languages use the same keys
+const en = {
+  'header.logoAlt': 'SimpliHealth Logo',
+  'language.label': 'Language',
+
+  'chat.heading': 'What is going on?',
+  'chat.placeholder': 'Describe your health issue or ask a question...',
+  'chat.submit': 'Submit',
+  'chat.stop': 'Stop',
+  'chat.myProfile': 'My profile',
+  'chat.hint': 'Describe your age, location, any pre-existing conditions, and current symptoms.',
+  'chat.example': 'For example: "I am 43 at Congo. I have diabetes, and my stomach hurts. I am also vomiting blood."',
+  'chat.error': 'An error occurred: {message}',
+  'chat.rateLimited': 'You are sending messages faster than we can answer them. Please wait {seconds} seconds and try again.',
+  'chat.rateLimitedMinutes': 'You have sent a lot of messages in a short time. Please wait about {minutes} minutes and try again.',
+  'chat.tooLong': 'That message is too long for us to read ({length} characters). Please keep it under {maxLength} characters, the main points are enough.',
+  'chat.tooLarge': 'That message is too long for us to read. Please shorten it and try again.',
+  'chat.inputRejected': 'We could not process that message. Please describe your health question in your own words.',
+  'chat.queued': 'You are offline. This message will be sent as soon as you are back online.',
+  'chat.offline': 'Offline',
+  'chat.newConversation': 'New conversation',
+  'voice.start': 'Speak instead of typing',
+  'voice.stop': 'Stop listening',
+  'voice.listening': 'Listening... say what is going on',
+  'voice.transcribing': 'Writing down what you said...',
+  'voice.denied': 'Allow the microphone to speak your message, or type it.',
+  'voice.noSpeech': 'We did not hear anything. Press the microphone and try again.',
+  'voice.failed': 'We could not write down what you said. Please try again or type it.',
+  'readAloud.start': 'Read aloud',
+  'readAloud.pause': 'Pause',
+  'readAloud.resume': 'Resume',
+  'readAloud.stop': 'Stop reading',
+  'images.attach': 'Add a photo',
+  'images.remove': 'Remove photo',
+  'images.preparing': 'Preparing photo...',
+  'images.unreadable': 'That file could not be read as a photo.',
+  'images.tooMany': 'You can add up to {maxImages} photos to a message.',
+  'images.rejected': 'One of the photos could not be used. Please try another one.',
+  'images.caveat': 'A photo helps us understand what you see, but looking at a photo is not a diagnosis. Location details are removed before it is sent.',
+  'images.photoOnly': 'Here is a photo of what I see.',
+  'images.analyzed': 'We looked at your photo(s). What we describe from a photo is not a diagnosis: only a health worker who examines you can tell what it is.',
+  'images.unclear': 'We could not see a clear health problem in your photo. A sharp photo in good light, close to the problem, helps.',
+  'images.failed': 'We could not look at your photo this time. The advice is based on your message only.',
+  'chat.diary': 'Symptom diary',
+  'card.trends': 'Over the last days',
+  'trend.days': '{symptom}: {days} days',
+  'trend.direction.worsening': 'getting worse',
+  'trend.direction.improving': 'getting better',
+  'trend.direction.stable': 'not changing',
+  'trend.lastingFever': 'Your {symptom} has lasted {days} days. A fever that lasts 3 days or more needs to be checked: please see a health worker today.',
+  'trend.worsening': 'Your {symptom} started {days} days ago and is getting worse. Please see a health worker today rather than waiting for it to pass.',
+  'trend.severeLasting': 'Your {symptom} is severe and has lasted {days} days. Please see a health worker today.',
+  'trend.lasting': 'Your {symptom} has lasted {days} days without getting better. Make an appointment with a health worker to find out why.',
+  'diary.title': 'Symptom diary',
+  'diary.intro': 'Log how your symptoms are, day after day. The chart shows how each one changes, and the advice in the chat takes it into account.',
+  'diary.symptom': 'Symptom',
+  'diary.severity': 'How bad is it?',
+  'diary.severity.none': 'Gone',
+  'diary.severity.mild': 'Mild',
+  'diary.severity.moderate': 'Moderate',
+  'diary.severity.severe': 'Severe',
+  'diary.when': 'When',
+  'diary.note': 'Note (optional)',
+  'diary.add': 'Log it',
+  'diary.saving': 'Saving...',
+  'diary.saveFailed': 'This entry could not be saved.',
+  'diary.loading': 'Loading your diary...',
+  'diary.loadFailed': 'Your diary could not be loaded.',
+  'diary.empty': 'Nothing logged yet. Symptoms you describe in the chat with how bad they are show up here too.',
+  'diary.delete': 'Delete entry',
+  'diary.deleteFailed': 'This entry could not be deleted.',
+  'diary.fromMessage': 'from a message',
+  'diary.chartLabel': 'How {symptom} changed over time',
+
+  'card.title': 'Health Information',
+  'card.invalidData': 'Error: Invalid data received',
+  'card.extracted': 'Extracted Information:',
+  'card.reading': 'Reading your message...',
+  'card.advice': 'Health Advice:',
+  'card.writingAdvice': 'Writing advice',
+  'card.writingProgress': '({count} characters so far)',
+  'card.noAdvice': 'No advice was generated.',
+  'card.trials': 'Relevant Clinical Trials:',
+  'card.stopped': 'Stopped.',
+  'card.failed': 'Something went wrong before this answer was complete.',
+  'card.adviceFailed': 'The advice could not be written right now.',
+  'card.trialsFailed': 'Clinical trials could not be loaded right now.',
+  'card.retry': 'Try again',
+  'card.retrying': 'Trying again...',
+
+  'extracted.age': 'Age',
+  'extracted.location': 'Location',
+  'extracted.conditions': 'Conditions',
+  'extracted.medications': 'Medications',
+  'extracted.allergies': 'Allergies',
+  'extracted.symptoms': 'Symptoms',
+  'extracted.notProvided': 'Not provided',
+  'extracted.noSymptoms': 'None reported',
+  'extracted.estimated': '(estimated)',
+  'extracted.fromProfile': '(from your profile)',
+
+  'conflict.age': 'Your profile says your age is {profileValue}, this message says {messageValue}.',
+  'conflict.location': 'Your profile says your location is {profileValue}, this message says {messageValue}.',
+  'conflict.update': 'Update my profile',
+  'conflict.updated': 'Profile updated.',
+
+  'care.title': 'Care near {place}',
+  'care.emergency': 'Emergency:',
+  'care.noEmergencyNumber': 'We don\'t have the local emergency number yet. {number} works from most mobile phones.',
+  'care.hotline': 'Health information line ({name}):',
+
+  'intake.question.symptoms': 'What symptoms do you have?',
+  'intake.question.duration': 'How long have you had the {symptom}?',
+  'intake.question.severity': 'How bad is the {symptom}?',
+  'intake.question.fever': 'Do you also have a fever?',
+  'intake.question.age': 'How old are you?',
+  'intake.question.location': 'Where are you? A town or country is enough.',
+  'intake.choice.symptoms.fever': 'Fever',
+  'intake.choice.symptoms.cough': 'Cough',
+  'intake.choice.symptoms.headache': 'Headache',
+  'intake.choice.symptoms.abdominal-pain': 'Stomach pain',
+  'intake.choice.symptoms.diarrhea': 'Diarrhea',
+  'intake.choice.duration.today': 'Since today',
+  'intake.choice.duration.days-1-3': '1 to 3 days',
+  'intake.choice.duration.days-4-7': '4 to 7 days',
+  'intake.choice.duration.over-week': 'More than a week',
+  'intake.choice.duration.over-month': 'More than a month',
+  'intake.choice.severity.mild': 'Mild',
+  'intake.choice.severity.moderate': 'Moderate',
+  'intake.choice.severity.severe': 'Severe',
+  'intake.choice.fever.yes': 'Yes',
+  'intake.choice.fever.no': 'No',
+  'intake.choice.fever.unknown': 'I don\'t know',
+  'intake.choice.age.under-18': 'Under 18',
+  'intake.choice.age.18-39': '18 to 39',
+  'intake.choice.age.40-64': '40 to 64',
+  'intake.choice.age.65-plus': '65 or older',
+  'intake.typeAnswer': 'Type your answer below.',
+  'intake.skip': 'Skip questions and get advice',
+
+  'summary.button': 'Visit summary',
+  'summary.print': 'Printable page',
+  'summary.download': 'Download PDF',
+  'summary.fhir': 'Health record (FHIR)',
+  'summary.title': 'Visit summary',
+  'summary.period': 'Conversation from {start} to {end}',
+  'summary.generated': 'Generated on {date}',
+  'summary.disclaimer': 'Prepared automatically from a SimpliHealth conversation to share with a health professional. It is not a diagnosis.',
+  'summary.profile': 'About the patient',
+  'summary.sex': 'Sex',
+  'summary.female': 'Female',
+  'summary.male': 'Male',
+  'summary.triage': 'Triage level',
+  'summary.highestUrgency': 'Highest level reached in this conversation',
+  'summary.urgency.routine': 'Routine',
+  'summary.urgency.urgent': 'Urgent',
+  'summary.urgency.emergency': 'Emergency',
+  'summary.timeline': 'Symptom timeline',
+  'summary.firstReported': 'first reported {date}',
+  'summary.visits': 'Messages and advice given',
+  'summary.message': 'Message',
+  'summary.emergencyNoAdvice': 'Emergency: the user was told to call for help, no other advice was given.',
+  'summary.intakeAsked': 'Asked before giving advice: "{question}"',
+  'summary.general': 'General advice',
+  'summary.seekCare': 'When to seek medical help',
+  'summary.sources': 'Sources',
+  'summary.severity.info': 'Self-care',
+  'summary.severity.caution': 'Watch closely',
+  'summary.severity.urgent': 'Urgent',
+  'summary.interactions': 'Medicine warnings',
+  'summary.trials': 'Clinical trials shown',
+  'summary.noTrials': 'No clinical trials were shown.',
+
+  'account.signIn': 'Sign in',
+  'account.signOut': 'Sign out',
+  'account.history': 'My history',
+  'account.backToChat': '← Back to the chat',
+  'account.intro': 'Enter your email and we will send you a link to sign in. Your consultations are then kept in your history, encrypted, so you can come back to earlier advice.',
+  'account.email': 'Email address',
+  'account.sendLink': 'Send link',
+  'account.linkSent': 'We sent a sign-in link to {email}. It works once, for 15 minutes.',
+  'account.linkExpired': 'That sign-in link has expired or was already used. Please ask for a new one.',
+  'account.devOutbox': 'Development: open the outbox',
+  'account.invalidEmail': 'Please enter a valid email address.',
+  'account.rateLimited': 'Too many sign-in links were asked for. Please wait a while and try again.',
+  'account.sendFailed': 'The sign-in link could not be sent. Please try again.',
+  'account.signedInAs': 'Signed in as {email}.',
+  'account.confirmTitle': 'Finish signing in',
+  'account.confirmIntro': 'You opened a sign-in link. Confirm to sign in on this device.',
+  'account.confirmButton': 'Sign in',
+
+  'history.loading': 'Loading your consultations...',
+  'history.loadFailed': 'Your history could not be loaded.',
+  'history.empty': 'No consultations yet. Conversations you have while signed in will appear here.',
+  'history.signedOut': 'Sign in to see your earlier consultations.',
+  'history.messages': '{count} message(s)',
+  'history.open': 'Open summary',
+  'history.yourData': 'Your data',
+  'history.encrypted': 'Your consultations, health profile and symptom diary are stored encrypted with a key of your own. You can download everything we keep about you, or delete it for good.',
+  'history.download': 'Download my data',
+  'history.delete': 'Delete my data',
+  'history.confirmDelete': 'Delete your account, every consultation and your profile? This cannot be undone.',
+  'history.deleteFailed': 'Your data could not be deleted. Please try again.',
+
+  'mail.signIn.subject': 'Your SimpliHealth sign-in link',
+  'mail.signIn.intro': 'Use the link below to sign in to SimpliHealth. It works once, for {minutes} minutes.',
+  'mail.signIn.button': 'Sign in to SimpliHealth',
+  'mail.signIn.ignore': 'If you did not ask for this, you can ignore this email.',
+  'mail.signIn.text': 'Use this link to sign in to SimpliHealth. It works once, for {minutes} minutes:\n\n{link}\n\nIf you did not ask for this, you can ignore this email.',
+
+  'emergency.headingEmergency': 'This may be an emergency',
+  'emergency.headingUrgent': 'Get medical help soon',
+  'emergency.call': 'Call {number} for emergency help.',
+  'emergency.callLocal': 'Call your local emergency number. {number} works from most mobile phones.',
+  'emergency.crisisLine': 'Crisis line:',
+  'triage.chest-pain.label': 'Chest pain',
+  'triage.chest-pain.advice': 'Chest pain can be a sign of a heart attack. Call emergency services now, do not drive yourself.',
+  'triage.stroke.label': 'Signs of a stroke',
+  'triage.stroke.advice': 'These can be signs of a stroke. Call emergency services now and note the time the symptoms started.',
+  'triage.gi-bleeding.label': 'Bleeding from the stomach or bowel',
+  'triage.gi-bleeding.advice': 'Vomiting blood or passing black or bloody stool needs emergency care. Call emergency services or go to the nearest emergency department now.',
+  'triage.suicidal-ideation.label': 'Thoughts of suicide or self-harm',
+  'triage.suicidal-ideation.advice': 'You deserve support right now. If you are in immediate danger, call emergency services. You can also talk to a crisis line at any time.',
+  'triage.anaphylaxis.label': 'Severe allergic reaction',
+  'triage.anaphylaxis.advice': 'This may be anaphylaxis. Use an adrenaline (epinephrine) auto-injector if you have one and call emergency services now.',
+  'triage.cannot-breathe.label': 'Severe difficulty breathing',
+  'triage.cannot-breathe.advice': 'Severe difficulty breathing is an emergency. Call emergency services now.',
+  'triage.heavy-bleeding.label': 'Heavy bleeding',
+  'triage.heavy-bleeding.advice': 'Press firmly on the wound with a clean cloth and call emergency services now.',
+  'triage.seizure.label': 'Seizure or loss of consciousness',
+  'triage.seizure.advice': 'Call emergency services now. Do not put anything in the person\'s mouth and turn them on their side once the shaking stops.',
+  'triage.meningitis-signs.label': 'Fever with a stiff neck',
+  'triage.meningitis-signs.advice': 'A fever with a stiff neck can be a sign of meningitis. See a doctor today, or call emergency services if there is a rash, confusion or drowsiness.',
+  'triage.shortness-of-breath.label': 'Shortness of breath',
+  'triage.shortness-of-breath.advice': 'Shortness of breath should be checked by a doctor today. Call emergency services if it gets worse or you can\'t speak in full sentences.',
+  'triage.pregnancy-bleeding.label': 'Bleeding during pregnancy',
+  'triage.pregnancy-bleeding.advice': 'Bleeding during pregnancy should be checked by a health professional today. Call emergency services if it is heavy or comes with severe pain.',
+  'triage.infant-fever.label': 'Fever in a baby',
+  'triage.infant-fever.advice': 'Babies under one year old with a fever should be seen by a health professional today.',
+
+  'interactions.heading': 'Medicine Warnings:',
+  'interactions.severity.major': 'Serious interaction',
+  'interactions.severity.moderate': 'Use with care',
+  'interactions.severity.minor': 'Minor interaction',
+  'interactions.withCondition': 'with {condition}',
+  'interactions.age': 'age {age}',
+  'interactions.suggested': '{drug} is mentioned in the advice above.',
+  'interactions.checked': 'Checked against your profile with a fixed list of known interactions. Ask a pharmacist if you are unsure.',
+  'interactions.rule.anticoagulant-nsaid': 'Taking anti-inflammatory painkillers with a blood thinner greatly increases the risk of serious bleeding.',
+  'interactions.rule.anticoagulant-antiplatelet': 'Combining these increases the risk of bleeding. Only take them together if a doctor has told you to.',
+  'interactions.rule.warfarin-enzyme-inhibitors': 'This medicine can make warfarin much stronger. Your INR may need to be checked more often.',
+  'interactions.rule.warfarin-paracetamol': 'Regular paracetamol for more than a few days can raise your INR. Occasional doses are usually fine.',
+  'interactions.rule.ssri-nsaid': 'Antidepressants of this type together with anti-inflammatory painkillers raise the risk of stomach bleeding.',
+  'interactions.rule.ssri-anticoagulant': 'These antidepressants add to the bleeding risk of blood thinners. Watch for unusual bruising or bleeding.',
+  'interactions.rule.serotonin-syndrome': 'This combination can cause serotonin syndrome (agitation, fever, shaking). Ask a doctor or pharmacist first.',
+  'interactions.rule.raas-potassium-sparing': 'This combination can raise potassium to dangerous levels. Regular blood tests are needed.',
+  'interactions.rule.raas-diuretic-nsaid': 'Anti-inflammatory painkillers can make blood pressure medicines work less well and strain the kidneys.',
+  'interactions.rule.lithium-toxicity': 'This can raise lithium to toxic levels. Do not combine them without your doctor.',
+  'interactions.rule.statin-cyp3a4': 'This antibiotic can raise simvastatin levels and cause muscle damage. Simvastatin is usually paused during the course.',
+  'interactions.rule.opioid-sedatives': 'Together these can cause dangerous drowsiness and slow breathing.',
+  'interactions.rule.nitrate-pde5': 'This combination can cause a dangerous drop in blood pressure. Never take them together.',
+  'interactions.rule.digoxin-clarithromycin': 'Clarithromycin can raise digoxin to toxic levels.',
+  'interactions.rule.contraceptive-inducers': 'This can stop the contraceptive pill from working. Use another method of contraception.',
+  'interactions.rule.efavirenz-antimalarial': 'Efavirenz can make this malaria treatment less effective. Tell the prescriber about your HIV medicines.',
+  'interactions.rule.absorption-antacids': 'Antacids stop this medicine from being absorbed. Take them at least 2 hours apart.',
+  'interactions.rule.steroid-nsaid': 'Steroids with anti-inflammatory painkillers raise the risk of stomach ulcers and bleeding.',
+  'interactions.rule.nsaid-kidney': 'Anti-inflammatory painkillers can make kidney disease worse.',
+  'interactions.rule.nsaid-ulcer': 'Anti-inflammatory painkillers can cause stomach ulcers to bleed.',
+  'interactions.rule.nsaid-heart-failure': 'Anti-inflammatory painkillers can make heart failure worse.',
+  'interactions.rule.nsaid-hypertension': 'Anti-inflammatory painkillers can raise blood pressure.',
+  'interactions.rule.nsaid-asthma': 'In some people with asthma, anti-inflammatory painkillers trigger an attack.',
+  'interactions.rule.nsaid-pregnancy': 'Anti-inflammatory painkillers are generally not recommended during pregnancy. Paracetamol is usually preferred.',
+  'interactions.rule.aspirin-children': 'Aspirin should not be given to children under 16 because of the risk of Reye\'s syndrome.',
+  'interactions.rule.decongestant-cardiovascular': 'Decongestants can raise blood pressure and heart rate.',
+  'interactions.rule.paracetamol-liver': 'With liver disease, paracetamol may need a lower maximum dose. Check with a doctor.',
+  'interactions.rule.metformin-kidney': 'Metformin may need a lower dose or to be stopped when the kidneys are not working well.',
+  'interactions.rule.beta-blocker-asthma': 'This type of beta-blocker can trigger severe asthma attacks.',
+  'interactions.rule.steroid-diabetes': 'Steroids raise blood sugar. Check your sugar levels more often.',
+  'interactions.rule.sedating-antihistamine-glaucoma': 'Sedating antihistamines can make this condition worse.',
+
+  'advice.general': 'General Advice',
+  'advice.symptoms': 'Advice per Symptom',
+  'advice.seekCare': 'When to Seek Medical Help',
+  'advice.sources': 'Sources',
+  'advice.severity.info': 'Self-care',
+  'advice.severity.caution': 'Watch closely',
+  'advice.severity.urgent': 'Urgent',
+
+  'trials.status': 'Status',
+  'trials.phase': 'Phase',
+  'trials.sex': 'Sex',
+  'trials.any': 'Any',
+  'trials.recruitingSoonOrNow': 'Recruiting soon or now',
+  'trials.female': 'Female',
+  'trials.male': 'Male',
+  'trials.nearMe': 'Within {km} km of me',
+  'trials.showing': 'Showing {count} of {total}',
+  'trials.none': 'No relevant clinical trials found.',
+  'trials.loading': 'Loading...',
+  'trials.loadMore': 'Load more trials',
+  'trials.loadFailed': 'Could not load clinical trials.',
+  'trials.noGeolocation': 'Your browser cannot share your location.',
+  'trials.geolocationFailed': 'We could not get your location.',
+  'trials.statuses.RECRUITING': 'Recruiting',
+  'trials.statuses.NOT_YET_RECRUITING': 'Not yet recruiting',
+  'trials.statuses.ENROLLING_BY_INVITATION': 'Enrolling by invitation',
+  'trials.statuses.ACTIVE_NOT_RECRUITING': 'Active, not recruiting',
+  'trials.statuses.COMPLETED': 'Completed',
+  'trials.phases.EARLY_PHASE1': 'Early phase 1',
+  'trials.phases.PHASE1': 'Phase 1',
+  'trials.phases.PHASE2': 'Phase 2',
+  'trials.phases.PHASE3': 'Phase 3',
+  'trials.phases.PHASE4': 'Phase 4',
+  'trial.ages.between': '{min} to {max}',
+  'trial.ages.from': '{min} and older',
+  'trial.ages.upTo': 'Up to {max}',
+  'trial.ages.any': 'Any age',
+  'trial.contact': 'Study contact',
+  'trial.kmAway': '{km} km away',
+  'trial.preScreening': 'Pre-screening',
+  'trial.onlyStudyTeam': 'Only the study team can confirm whether you can take part.',
+  'trial.whoCanJoin': 'Who can join',
+  'trial.sex.ALL': 'All sexes',
+  'trial.sex.FEMALE': 'Women only',
+  'trial.sex.MALE': 'Men only',
+  'trial.healthyVolunteers': 'Accepts healthy volunteers',
+  'trial.sites': 'Sites',
+  'trial.moreSites': 'and {count} more',
+  'trial.contacts': 'Contact',
+  'trial.fullDetails': 'Full details on ClinicalTrials.gov',
+  'eligibility.label.likely-eligible': 'Likely eligible',
+  'eligibility.label.possibly': 'Possibly eligible',
+  'eligibility.label.ineligible': 'Likely not eligible',
+  'eligibility.months': '{months} months',
+  'eligibility.ages.range': 'ages {min}-{max}',
+  'eligibility.ages.from': 'ages {min}+',
+  'eligibility.age.noLimits': 'No age limits',
+  'eligibility.age.unknown': 'Trial is for {ages}, your age is not known',
+  'eligibility.age.outside': 'Trial is for {ages}',
+  'eligibility.age.fits': 'Your age fits ({ages})',
+  'eligibility.age.partly': 'Trial is for {ages}, your age range only partly fits',
+  'eligibility.sex.onlyWomen': 'Only for women',
+  'eligibility.sex.onlyMen': 'Only for men',
+  'eligibility.sex.openWomen': 'Open to women',
+  'eligibility.sex.openMen': 'Open to men',
+  'eligibility.healthyVolunteers': 'Accepts healthy volunteers',
+  'eligibility.noTerms': 'No conditions or symptoms to compare with',
+  'eligibility.studies': 'Studies {conditions}',
+  'eligibility.notMentioned': 'Your conditions are not mentioned in the trial criteria',
+  'eligibility.excludes': 'Excludes people with {condition}: "{criterion}"',
+
+  'profile.saving': 'Saving...',
+  'profile.saved': 'Saved',
+  'profile.location': 'Location',
+  'profile.locationHint': 'Country, region or city',
+  'profile.conditions': 'Long-term conditions',
+  'profile.onePerLine': 'One per line',
+  'profile.medications': 'Medications',
+  'profile.medicationsHint': 'One per line, e.g. Metformin 500 mg twice a day',
+  'profile.recognized': '{name}: recognized, checked for interactions',
+  'profile.notRecognized': '{name}: not in our medicine list, we can\'t check its interactions',
+  'profile.allergies': 'Allergies',
+  'profile.save': 'Save',
+  'profile.reading': 'Reading health record...',
+  'profile.imported': 'Filled in from your health record, check it and save',
+  'profile.nothingImported': 'Nothing new in this health record',
+  'profile.title': 'My health profile',
+  'profile.close': 'Close profile',
+  'profile.intro': 'We use this in every conversation. If a message says something different, the message is used for that answer and we ask whether to update your profile.',
+  'profile.import': 'Import from a health record',
+  'profile.importHint': 'A FHIR file (.json) from your clinic. Nothing is saved until you press Save',
+  'profile.age': 'Age',
+  'profile.sex': 'Sex',
+  'profile.sexUnknown': 'Prefer not to say',
+  'profile.female': 'Female',
+  'profile.male': 'Male',
+}
+
+export default en
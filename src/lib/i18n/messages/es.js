@@ -0,0 +1,378 @@
+const es = {
+  'header.logoAlt': 'Logotipo de SimpliHealth',
+  'language.label': 'Idioma',
+
+  'chat.heading': '¿Qué le pasa?',
+  'chat.placeholder': 'Describa su problema de salud o haga una pregunta...',
+  'chat.submit': 'Enviar',
+  'chat.stop': 'Detener',
+  'chat.myProfile': 'Mi perfil',
+  'chat.hint': 'Indique su edad, dónde vive, sus enfermedades previas y sus síntomas actuales.',
+  'chat.example': 'Por ejemplo: "Tengo 43 años y vivo en Lima. Tengo diabetes y me duele el estómago. También vomito sangre."',
+  'chat.error': 'Se produjo un error: {message}',
+  'chat.rateLimited': 'Está enviando mensajes más rápido de lo que podemos responder. Espere {seconds} segundos e inténtelo de nuevo.',
+  'chat.rateLimitedMinutes': 'Ha enviado muchos mensajes en poco tiempo. Espere unos {minutes} minutos e inténtelo de nuevo.',
+  'chat.tooLong': 'Ese mensaje es demasiado largo para leerlo ({length} caracteres). Manténgalo por debajo de {maxLength} caracteres, basta con lo esencial.',
+  'chat.tooLarge': 'Ese mensaje es demasiado largo para leerlo. Acórtelo e inténtelo de nuevo.',
+  'chat.inputRejected': 'No pudimos procesar ese mensaje. Describa su pregunta de salud con sus propias palabras.',
+  'chat.queued': 'No tiene conexión. Este mensaje se enviará en cuanto vuelva a estar en línea.',
+  'chat.offline': 'Sin conexión',
+  'chat.newConversation': 'Nueva conversación',
+  'voice.start': 'Hablar en lugar de escribir',
+  'voice.stop': 'Dejar de escuchar',
+  'voice.listening': 'Escuchando... diga qué le pasa',
+  'voice.transcribing': 'Escribiendo lo que dijo...',
+  'voice.denied': 'Permita el micrófono para dictar su mensaje, o escríbalo.',
+  'voice.noSpeech': 'No oímos nada. Pulse el micrófono e inténtelo de nuevo.',
+  'voice.failed': 'No pudimos escribir lo que dijo. Inténtelo de nuevo o escríbalo.',
+  'readAloud.start': 'Leer en voz alta',
+  'readAloud.pause': 'Pausa',
+  'readAloud.resume': 'Continuar',
+  'readAloud.stop': 'Dejar de leer',
+  'images.attach': 'Añadir una foto',
+  'images.remove': 'Quitar la foto',
+  'images.preparing': 'Preparando la foto...',
+  'images.unreadable': 'Ese archivo no se pudo leer como una foto.',
+  'images.tooMany': 'Puede añadir hasta {maxImages} fotos a un mensaje.',
+  'images.rejected': 'Una de las fotos no se pudo usar. Pruebe con otra.',
+  'images.caveat': 'Una foto nos ayuda a entender lo que usted ve, pero mirar una foto no es un diagnóstico. Los datos de ubicación se eliminan antes de enviarla.',
+  'images.photoOnly': 'Aquí tiene una foto de lo que veo.',
+  'images.analyzed': 'Miramos su(s) foto(s). Lo que describimos a partir de una foto no es un diagnóstico: solo un profesional de salud que le examine puede decir qué es.',
+  'images.unclear': 'No pudimos ver un problema de salud claro en su foto. Ayuda una foto nítida, con buena luz y tomada de cerca.',
+  'images.failed': 'No pudimos mirar su foto esta vez. El consejo se basa solo en su mensaje.',
+  'chat.diary': 'Diario de síntomas',
+  'card.trends': 'En los últimos días',
+  'trend.days': '{symptom}: {days} días',
+  'trend.direction.worsening': 'empeora',
+  'trend.direction.improving': 'mejora',
+  'trend.direction.stable': 'sin cambios',
+  'trend.lastingFever': 'Su síntoma ({symptom}) dura desde hace {days} días. Una fiebre que dura 3 días o más debe revisarse: consulte hoy a un profesional de salud.',
+  'trend.worsening': 'Su síntoma ({symptom}) empezó hace {days} días y está empeorando. Consulte hoy a un profesional de salud en lugar de esperar a que pase.',
+  'trend.severeLasting': 'Su síntoma ({symptom}) es fuerte y dura desde hace {days} días. Consulte hoy a un profesional de salud.',
+  'trend.lasting': 'Su síntoma ({symptom}) dura desde hace {days} días sin mejorar. Pida una cita con un profesional de salud para saber por qué.',
+  'diary.title': 'Diario de síntomas',
+  'diary.intro': 'Anote cómo están sus síntomas, día tras día. El gráfico muestra cómo cambia cada uno, y los consejos del chat lo tienen en cuenta.',
+  'diary.symptom': 'Síntoma',
+  'diary.severity': '¿Qué tan fuerte es?',
+  'diary.severity.none': 'Desaparecido',
+  'diary.severity.mild': 'Leve',
+  'diary.severity.moderate': 'Moderado',
+  'diary.severity.severe': 'Fuerte',
+  'diary.when': 'Cuándo',
+  'diary.note': 'Nota (opcional)',
+  'diary.add': 'Anotar',
+  'diary.saving': 'Guardando...',
+  'diary.saveFailed': 'No se pudo guardar esta entrada.',
+  'diary.loading': 'Cargando su diario...',
+  'diary.loadFailed': 'No se pudo cargar su diario.',
+  'diary.empty': 'Todavía no hay nada anotado. Los síntomas que describe en el chat con su intensidad también aparecen aquí.',
+  'diary.delete': 'Borrar entrada',
+  'diary.deleteFailed': 'No se pudo borrar esta entrada.',
+  'diary.fromMessage': 'de un mensaje',
+  'diary.chartLabel': 'Cómo cambió {symptom} con el tiempo',
+
+  'card.title': 'Información de salud',
+  'card.invalidData': 'Error: se recibieron datos no válidos',
+  'card.extracted': 'Información extraída:',
+  'card.reading': 'Leyendo su mensaje...',
+  'card.advice': 'Consejos de salud:',
+  'card.writingAdvice': 'Redactando consejos',
+  'card.writingProgress': '({count} caracteres por ahora)',
+  'card.noAdvice': 'No se generaron consejos.',
+  'card.trials': 'Ensayos clínicos relevantes:',
+  'card.stopped': 'Detenido.',
+  'card.failed': 'Algo falló antes de completar esta respuesta.',
+  'card.adviceFailed': 'No se pudieron redactar los consejos en este momento.',
+  'card.trialsFailed': 'No se pudieron cargar los ensayos clínicos en este momento.',
+  'card.retry': 'Intentar de nuevo',
+  'card.retrying': 'Intentando de nuevo...',
+
+  'extracted.age': 'Edad',
+  'extracted.location': 'Lugar',
+  'extracted.conditions': 'Enfermedades',
+  'extracted.medications': 'Medicamentos',
+  'extracted.allergies': 'Alergias',
+  'extracted.symptoms': 'Síntomas',
+  'extracted.notProvided': 'No indicado',
+  'extracted.noSymptoms': 'Ninguno',
+  'extracted.estimated': '(estimado)',
+  'extracted.fromProfile': '(de su perfil)',
+
+  'conflict.age': 'Su perfil indica {profileValue} años, este mensaje indica {messageValue}.',
+  'conflict.location': 'Su perfil indica {profileValue} como lugar, este mensaje indica {messageValue}.',
+  'conflict.update': 'Actualizar mi perfil',
+  'conflict.updated': 'Perfil actualizado.',
+
+  'care.title': 'Atención cerca de {place}',
+  'care.emergency': 'Emergencias:',
+  'care.noEmergencyNumber': 'Todavía no tenemos el número de emergencias local. El {number} funciona desde la mayoría de los teléfonos móviles.',
+  'care.hotline': 'Línea de información de salud ({name}):',
+
+  'intake.question.symptoms': '¿Qué síntomas tiene?',
+  'intake.question.duration': '¿Desde cuándo tiene este síntoma ({symptom})?',
+  'intake.question.severity': '¿Qué tan fuerte es ({symptom})?',
+  'intake.question.fever': '¿También tiene fiebre?',
+  'intake.question.age': '¿Cuántos años tiene?',
+  'intake.question.location': '¿Dónde se encuentra? Basta con una ciudad o un país.',
+  'intake.choice.symptoms.fever': 'Fiebre',
+  'intake.choice.symptoms.cough': 'Tos',
+  'intake.choice.symptoms.headache': 'Dolor de cabeza',
+  'intake.choice.symptoms.abdominal-pain': 'Dolor de estómago',
+  'intake.choice.symptoms.diarrhea': 'Diarrea',
+  'intake.choice.duration.today': 'Desde hoy',
+  'intake.choice.duration.days-1-3': 'De 1 a 3 días',
+  'intake.choice.duration.days-4-7': 'De 4 a 7 días',
+  'intake.choice.duration.over-week': 'Más de una semana',
+  'intake.choice.duration.over-month': 'Más de un mes',
+  'intake.choice.severity.mild': 'Leve',
+  'intake.choice.severity.moderate': 'Moderado',
+  'intake.choice.severity.severe': 'Grave',
+  'intake.choice.fever.yes': 'Sí',
+  'intake.choice.fever.no': 'No',
+  'intake.choice.fever.unknown': 'No lo sé',
+  'intake.choice.age.under-18': 'Menos de 18',
+  'intake.choice.age.18-39': 'De 18 a 39',
+  'intake.choice.age.40-64': 'De 40 a 64',
+  'intake.choice.age.65-plus': '65 o más',
+  'intake.typeAnswer': 'Escriba su respuesta abajo.',
+  'intake.skip': 'Saltar las preguntas y recibir consejos',
+
+  'summary.button': 'Resumen de consulta',
+  'summary.print': 'Versión para imprimir',
+  'summary.download': 'Descargar PDF',
+  'summary.fhir': 'Historia clínica (FHIR)',
+  'summary.title': 'Resumen de consulta',
+  'summary.period': 'Conversación del {start} al {end}',
+  'summary.generated': 'Generado el {date}',
+  'summary.disclaimer': 'Preparado automáticamente a partir de una conversación de SimpliHealth para mostrar a un profesional de la salud. No es un diagnóstico.',
+  'summary.profile': 'Sobre el paciente',
+  'summary.sex': 'Sexo',
+  'summary.female': 'Mujer',
+  'summary.male': 'Hombre',
+  'summary.triage': 'Nivel de triaje',
+  'summary.highestUrgency': 'Nivel más alto alcanzado en esta conversación',
+  'summary.urgency.routine': 'No urgente',
+  'summary.urgency.urgent': 'Urgente',
+  'summary.urgency.emergency': 'Emergencia',
+  'summary.timeline': 'Cronología de síntomas',
+  'summary.firstReported': 'informado por primera vez el {date}',
+  'summary.visits': 'Mensajes y consejos dados',
+  'summary.message': 'Mensaje',
+  'summary.emergencyNoAdvice': 'Emergencia: se indicó pedir ayuda de inmediato, no se dieron otros consejos.',
+  'summary.intakeAsked': 'Pregunta hecha antes de dar consejos: «{question}»',
+  'summary.general': 'Consejos generales',
+  'summary.seekCare': 'Cuándo buscar atención médica',
+  'summary.sources': 'Fuentes',
+  'summary.severity.info': 'Autocuidado',
+  'summary.severity.caution': 'Vigilar de cerca',
+  'summary.severity.urgent': 'Urgente',
+  'summary.interactions': 'Advertencias sobre medicamentos',
+  'summary.trials': 'Ensayos clínicos mostrados',
+  'summary.noTrials': 'No se mostraron ensayos clínicos.',
+
+  'account.signIn': 'Iniciar sesión',
+  'account.signOut': 'Cerrar sesión',
+  'account.history': 'Mi historial',
+  'account.backToChat': '← Volver a la conversación',
+  'account.intro': 'Escriba su correo y le enviaremos un enlace para iniciar sesión. Sus consultas se guardan cifradas en su historial, para volver a ver los consejos recibidos.',
+  'account.email': 'Correo electrónico',
+  'account.sendLink': 'Enviar enlace',
+  'account.linkSent': 'Enviamos un enlace para iniciar sesión a {email}. Funciona una vez, durante 15 minutos.',
+  'account.linkExpired': 'Ese enlace ha caducado o ya se usó. Pida uno nuevo.',
+  'account.devOutbox': 'Desarrollo: abrir la bandeja de salida',
+  'account.invalidEmail': 'Escriba un correo electrónico válido.',
+  'account.rateLimited': 'Se pidieron demasiados enlaces. Espere un rato y vuelva a intentarlo.',
+  'account.sendFailed': 'No se pudo enviar el enlace. Vuelva a intentarlo.',
+  'account.signedInAs': 'Sesión iniciada como {email}.',
+  'account.confirmTitle': 'Terminar de iniciar sesión',
+  'account.confirmIntro': 'Abriste un enlace de inicio de sesión. Confirma para iniciar sesión en este dispositivo.',
+  'account.confirmButton': 'Iniciar sesión',
+
+  'history.loading': 'Cargando sus consultas...',
+  'history.loadFailed': 'No se pudo cargar su historial.',
+  'history.empty': 'Todavía no hay consultas. Las conversaciones que tenga con la sesión iniciada aparecerán aquí.',
+  'history.signedOut': 'Inicie sesión para ver sus consultas anteriores.',
+  'history.messages': '{count} mensaje(s)',
+  'history.open': 'Abrir el resumen',
+  'history.yourData': 'Sus datos',
+  'history.encrypted': 'Sus consultas, su perfil de salud y su diario de síntomas se guardan cifrados con una clave propia. Puede descargar todo lo que guardamos sobre usted o borrarlo definitivamente.',
+  'history.download': 'Descargar mis datos',
+  'history.delete': 'Borrar mis datos',
+  'history.confirmDelete': '¿Borrar su cuenta, todas sus consultas y su perfil? No se puede deshacer.',
+  'history.deleteFailed': 'No se pudieron borrar sus datos. Vuelva a intentarlo.',
+
+  'mail.signIn.subject': 'Su enlace para iniciar sesión en SimpliHealth',
+  'mail.signIn.intro': 'Use el enlace de abajo para iniciar sesión en SimpliHealth. Funciona una vez, durante {minutes} minutos.',
+  'mail.signIn.button': 'Iniciar sesión en SimpliHealth',
+  'mail.signIn.ignore': 'Si no lo pidió, puede ignorar este correo.',
+  'mail.signIn.text': 'Use este enlace para iniciar sesión en SimpliHealth. Funciona una vez, durante {minutes} minutos:\n\n{link}\n\nSi no lo pidió, puede ignorar este correo.',
+
+  'emergency.headingEmergency': 'Esto puede ser una emergencia',
+  'emergency.headingUrgent': 'Busque ayuda médica pronto',
+  'emergency.call': 'Llame al {number} para recibir ayuda de emergencia.',
+  'emergency.callLocal': 'Llame al número de emergencias local. El {number} funciona desde la mayoría de los teléfonos móviles.',
+  'emergency.crisisLine': 'Línea de crisis:',
+  'triage.chest-pain.label': 'Dolor en el pecho',
+  'triage.chest-pain.advice': 'El dolor en el pecho puede ser señal de un ataque al corazón. Llame a emergencias ahora, no conduzca usted mismo.',
+  'triage.stroke.label': 'Signos de un ictus',
+  'triage.stroke.advice': 'Pueden ser signos de un ictus. Llame a emergencias ahora y anote la hora en que empezaron los síntomas.',
+  'triage.gi-bleeding.label': 'Sangrado del estómago o del intestino',
+  'triage.gi-bleeding.advice': 'Vomitar sangre o tener heces negras o con sangre requiere atención de urgencia. Llame a emergencias o vaya ahora al servicio de urgencias más cercano.',
+  'triage.suicidal-ideation.label': 'Pensamientos de suicidio o autolesión',
+  'triage.suicidal-ideation.advice': 'Mereces apoyo ahora mismo. Si estás en peligro inmediato, llama a emergencias. También puedes hablar con una línea de crisis en cualquier momento.',
+  'triage.anaphylaxis.label': 'Reacción alérgica grave',
+  'triage.anaphylaxis.advice': 'Puede ser una anafilaxia. Use un autoinyector de adrenalina (epinefrina) si tiene uno y llame a emergencias ahora.',
+  'triage.cannot-breathe.label': 'Dificultad grave para respirar',
+  'triage.cannot-breathe.advice': 'La dificultad grave para respirar es una emergencia. Llame a emergencias ahora.',
+  'triage.heavy-bleeding.label': 'Sangrado abundante',
+  'triage.heavy-bleeding.advice': 'Presione con firmeza la herida con un paño limpio y llame a emergencias ahora.',
+  'triage.seizure.label': 'Convulsiones o pérdida de conocimiento',
+  'triage.seizure.advice': 'Llame a emergencias ahora. No ponga nada en la boca de la persona y colóquela de lado cuando paren las sacudidas.',
+  'triage.meningitis-signs.label': 'Fiebre con rigidez de cuello',
+  'triage.meningitis-signs.advice': 'La fiebre con rigidez de cuello puede ser un signo de meningitis. Vea a un médico hoy, o llame a emergencias si hay sarpullido, confusión o somnolencia.',
+  'triage.shortness-of-breath.label': 'Falta de aire',
+  'triage.shortness-of-breath.advice': 'La falta de aire debe revisarla un médico hoy. Llame a emergencias si empeora o no puede hablar con frases completas.',
+  'triage.pregnancy-bleeding.label': 'Sangrado durante el embarazo',
+  'triage.pregnancy-bleeding.advice': 'El sangrado durante el embarazo debe revisarlo un profesional de salud hoy. Llame a emergencias si es abundante o viene con dolor intenso.',
+  'triage.infant-fever.label': 'Fiebre en un bebé',
+  'triage.infant-fever.advice': 'Los bebés menores de un año con fiebre deben ser vistos por un profesional de salud hoy.',
+
+  'interactions.heading': 'Advertencias sobre medicamentos:',
+  'interactions.severity.major': 'Interacción grave',
+  'interactions.severity.moderate': 'Usar con precaución',
+  'interactions.severity.minor': 'Interacción menor',
+  'interactions.withCondition': 'con {condition}',
+  'interactions.age': '{age} años',
+  'interactions.suggested': '{drug} se menciona en los consejos de arriba.',
+  'interactions.checked': 'Comprobado con tu perfil usando una lista fija de interacciones conocidas. Pregunta a un farmacéutico si tienes dudas.',
+  'interactions.rule.anticoagulant-nsaid': 'Tomar analgésicos antiinflamatorios con un anticoagulante aumenta mucho el riesgo de sangrado grave.',
+  'interactions.rule.anticoagulant-antiplatelet': 'Combinarlos aumenta el riesgo de sangrado. Tómelos juntos solo si un médico se lo ha indicado.',
+  'interactions.rule.warfarin-enzyme-inhibitors': 'Este medicamento puede hacer la warfarina mucho más potente. Puede que haya que controlar su INR más a menudo.',
+  'interactions.rule.warfarin-paracetamol': 'El paracetamol tomado a diario durante más de unos días puede subir su INR. Las dosis ocasionales no suelen ser un problema.',
+  'interactions.rule.ssri-nsaid': 'Los antidepresivos de este tipo junto con analgésicos antiinflamatorios aumentan el riesgo de sangrado de estómago.',
+  'interactions.rule.ssri-anticoagulant': 'Estos antidepresivos se suman al riesgo de sangrado de los anticoagulantes. Vigile moretones o sangrados inusuales.',
+  'interactions.rule.serotonin-syndrome': 'Esta combinación puede causar un síndrome serotoninérgico (agitación, fiebre, temblores). Consulte antes a un médico o farmacéutico.',
+  'interactions.rule.raas-potassium-sparing': 'Esta combinación puede subir el potasio a niveles peligrosos. Se necesitan análisis de sangre periódicos.',
+  'interactions.rule.raas-diuretic-nsaid': 'Los analgésicos antiinflamatorios pueden hacer que los medicamentos para la presión funcionen peor y sobrecargar los riñones.',
+  'interactions.rule.lithium-toxicity': 'Esto puede subir el litio a niveles tóxicos. No los combine sin su médico.',
+  'interactions.rule.statin-cyp3a4': 'Este antibiótico puede subir los niveles de simvastatina y dañar los músculos. La simvastatina suele suspenderse durante el tratamiento.',
+  'interactions.rule.opioid-sedatives': 'Juntos pueden causar una somnolencia peligrosa y respiración lenta.',
+  'interactions.rule.nitrate-pde5': 'Esta combinación puede causar una bajada peligrosa de la presión arterial. Nunca los tome juntos.',
+  'interactions.rule.digoxin-clarithromycin': 'La claritromicina puede subir la digoxina a niveles tóxicos.',
+  'interactions.rule.contraceptive-inducers': 'Esto puede hacer que la píldora anticonceptiva deje de funcionar. Use otro método anticonceptivo.',
+  'interactions.rule.efavirenz-antimalarial': 'El efavirenz puede hacer que este tratamiento de la malaria sea menos eficaz. Informe a quien lo receta de sus medicamentos para el VIH.',
+  'interactions.rule.absorption-antacids': 'Los antiácidos impiden que este medicamento se absorba. Tómelos con al menos 2 horas de diferencia.',
+  'interactions.rule.steroid-nsaid': 'Los corticoides con analgésicos antiinflamatorios aumentan el riesgo de úlceras y sangrado de estómago.',
+  'interactions.rule.nsaid-kidney': 'Los analgésicos antiinflamatorios pueden empeorar la enfermedad renal.',
+  'interactions.rule.nsaid-ulcer': 'Los analgésicos antiinflamatorios pueden hacer sangrar las úlceras de estómago.',
+  'interactions.rule.nsaid-heart-failure': 'Los analgésicos antiinflamatorios pueden empeorar la insuficiencia cardíaca.',
+  'interactions.rule.nsaid-hypertension': 'Los analgésicos antiinflamatorios pueden subir la presión arterial.',
+  'interactions.rule.nsaid-asthma': 'En algunas personas con asma, los analgésicos antiinflamatorios provocan una crisis.',
+  'interactions.rule.nsaid-pregnancy': 'Los analgésicos antiinflamatorios en general no se recomiendan durante el embarazo. Se suele preferir el paracetamol.',
+  'interactions.rule.aspirin-children': 'No se debe dar aspirina a menores de 16 años por el riesgo de síndrome de Reye.',
+  'interactions.rule.decongestant-cardiovascular': 'Los descongestionantes pueden subir la presión arterial y el ritmo cardíaco.',
+  'interactions.rule.paracetamol-liver': 'Con una enfermedad del hígado, puede que el paracetamol necesite una dosis máxima menor. Consulte a un médico.',
+  'interactions.rule.metformin-kidney': 'Puede que haya que bajar la dosis de metformina o suspenderla si los riñones no funcionan bien.',
+  'interactions.rule.beta-blocker-asthma': 'Este tipo de betabloqueante puede provocar crisis de asma graves.',
+  'interactions.rule.steroid-diabetes': 'Los corticoides suben el azúcar en sangre. Controle su azúcar más a menudo.',
+  'interactions.rule.sedating-antihistamine-glaucoma': 'Los antihistamínicos sedantes pueden empeorar esta enfermedad.',
+
+  'advice.general': 'Consejos generales',
+  'advice.symptoms': 'Consejos por síntoma',
+  'advice.seekCare': 'Cuándo buscar ayuda médica',
+  'advice.sources': 'Fuentes',
+  'advice.severity.info': 'Autocuidado',
+  'advice.severity.caution': 'Vigilar de cerca',
+  'advice.severity.urgent': 'Urgente',
+
+  'trials.status': 'Estado',
+  'trials.phase': 'Fase',
+  'trials.sex': 'Sexo',
+  'trials.any': 'Cualquiera',
+  'trials.recruitingSoonOrNow': 'Reclutando ahora o pronto',
+  'trials.female': 'Mujer',
+  'trials.male': 'Hombre',
+  'trials.nearMe': 'A menos de {km} km de mí',
+  'trials.showing': 'Mostrando {count} de {total}',
+  'trials.none': 'No se encontraron ensayos clínicos relevantes.',
+  'trials.loading': 'Cargando...',
+  'trials.loadMore': 'Cargar más ensayos',
+  'trials.loadFailed': 'No se pudieron cargar los ensayos clínicos.',
+  'trials.noGeolocation': 'Su navegador no puede compartir su ubicación.',
+  'trials.geolocationFailed': 'No pudimos obtener su ubicación.',
+  'trials.statuses.RECRUITING': 'Reclutando',
+  'trials.statuses.NOT_YET_RECRUITING': 'Aún no recluta',
+  'trials.statuses.ENROLLING_BY_INVITATION': 'Inscripción por invitación',
+  'trials.statuses.ACTIVE_NOT_RECRUITING': 'Activo, sin reclutamiento',
+  'trials.statuses.COMPLETED': 'Completado',
+  'trials.phases.EARLY_PHASE1': 'Fase 1 temprana',
+  'trials.phases.PHASE1': 'Fase 1',
+  'trials.phases.PHASE2': 'Fase 2',
+  'trials.phases.PHASE3': 'Fase 3',
+  'trials.phases.PHASE4': 'Fase 4',
+  'trial.ages.between': 'De {min} a {max}',
+  'trial.ages.from': '{min} o más',
+  'trial.ages.upTo': 'Hasta {max}',
+  'trial.ages.any': 'Cualquier edad',
+  'trial.contact': 'Contacto del estudio',
+  'trial.kmAway': 'A {km} km',
+  'trial.preScreening': 'Preselección',
+  'trial.onlyStudyTeam': 'Solo el equipo del estudio puede confirmar si puede participar.',
+  'trial.whoCanJoin': 'Quién puede participar',
+  'trial.sex.ALL': 'Todos los sexos',
+  'trial.sex.FEMALE': 'Solo mujeres',
+  'trial.sex.MALE': 'Solo hombres',
+  'trial.healthyVolunteers': 'Acepta voluntarios sanos',
+  'trial.sites': 'Centros',
+  'trial.moreSites': 'y {count} más',
+  'trial.contacts': 'Contacto',
+  'trial.fullDetails': 'Todos los detalles en ClinicalTrials.gov',
+  'eligibility.label.likely-eligible': 'Probablemente elegible',
+  'eligibility.label.possibly': 'Posiblemente elegible',
+  'eligibility.label.ineligible': 'Probablemente no elegible',
+  'eligibility.months': '{months} meses',
+  'eligibility.ages.range': 'de {min} a {max} años',
+  'eligibility.ages.from': '{min} años o más',
+  'eligibility.age.noLimits': 'Sin límite de edad',
+  'eligibility.age.unknown': 'El ensayo es para personas {ages}, no se conoce su edad',
+  'eligibility.age.outside': 'El ensayo es para personas {ages}',
+  'eligibility.age.fits': 'Su edad encaja ({ages})',
+  'eligibility.age.partly': 'El ensayo es para personas {ages}, su rango de edad solo encaja en parte',
+  'eligibility.sex.onlyWomen': 'Solo para mujeres',
+  'eligibility.sex.onlyMen': 'Solo para hombres',
+  'eligibility.sex.openWomen': 'Abierto a mujeres',
+  'eligibility.sex.openMen': 'Abierto a hombres',
+  'eligibility.healthyVolunteers': 'Acepta voluntarios sanos',
+  'eligibility.noTerms': 'No hay afecciones ni síntomas con los que comparar',
+  'eligibility.studies': 'Estudia: {conditions}',
+  'eligibility.notMentioned': 'Sus afecciones no se mencionan en los criterios del ensayo',
+  'eligibility.excludes': 'Excluye a personas con {condition}: "{criterion}"',
+
+  'profile.saving': 'Guardando...',
+  'profile.saved': 'Guardado',
+  'profile.location': 'Ubicación',
+  'profile.locationHint': 'País, región o ciudad',
+  'profile.conditions': 'Enfermedades crónicas',
+  'profile.onePerLine': 'Una por línea',
+  'profile.medications': 'Medicamentos',
+  'profile.medicationsHint': 'Uno por línea, p. ej. Metformina 500 mg dos veces al día',
+  'profile.recognized': '{name}: reconocido, se comprueban sus interacciones',
+  'profile.notRecognized': '{name}: no está en nuestra lista de medicamentos, no podemos comprobar sus interacciones',
+  'profile.allergies': 'Alergias',
+  'profile.save': 'Guardar',
+  'profile.reading': 'Leyendo el historial de salud...',
+  'profile.imported': 'Completado con su historial de salud, revíselo y guarde',
+  'profile.nothingImported': 'Nada nuevo en este historial de salud',
+  'profile.title': 'Mi perfil de salud',
+  'profile.close': 'Cerrar perfil',
+  'profile.intro': 'Usamos esto en cada conversación. Si un mensaje dice algo distinto, se usa el mensaje para esa respuesta y le preguntamos si quiere actualizar su perfil.',
+  'profile.import': 'Importar desde un historial de salud',
+  'profile.importHint': 'Un archivo FHIR (.json) de su clínica. No se guarda nada hasta que pulse Guardar',
+  'profile.age': 'Edad',
+  'profile.sex': 'Sexo',
+  'profile.sexUnknown': 'Prefiero no decirlo',
+  'profile.female': 'Mujer',
+  'profile.male': 'Hombre',
+}
+
+export default es
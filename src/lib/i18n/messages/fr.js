@@ -0,0 +1,378 @@
+const fr = {
+  'header.logoAlt': 'Logo SimpliHealth',
+  'language.label': 'Langue',
+
+  'chat.heading': 'Que se passe-t-il ?',
+  'chat.placeholder': 'Décrivez votre problème de santé ou posez une question...',
+  'chat.submit': 'Envoyer',
+  'chat.stop': 'Arrêter',
+  'chat.myProfile': 'Mon profil',
+  'chat.hint': 'Indiquez votre âge, où vous vivez, vos maladies connues et vos symptômes actuels.',
+  'chat.example': 'Par exemple : « J\'ai 43 ans, j\'habite à Kinshasa. J\'ai du diabète et j\'ai mal au ventre. Je vomis aussi du sang. »',
+  'chat.error': 'Une erreur est survenue : {message}',
+  'chat.rateLimited': 'Vous envoyez des messages plus vite que nous ne pouvons y répondre. Veuillez patienter {seconds} secondes puis réessayer.',
+  'chat.rateLimitedMinutes': 'Vous avez envoyé beaucoup de messages en peu de temps. Veuillez patienter environ {minutes} minutes puis réessayer.',
+  'chat.tooLong': 'Ce message est trop long pour que nous puissions le lire ({length} caractères). Limitez-le à {maxLength} caractères, l\'essentiel suffit.',
+  'chat.tooLarge': 'Ce message est trop long pour que nous puissions le lire. Raccourcissez-le puis réessayez.',
+  'chat.inputRejected': 'Nous n\'avons pas pu traiter ce message. Décrivez votre question de santé avec vos propres mots.',
+  'chat.queued': 'Vous êtes hors ligne. Ce message sera envoyé dès que la connexion reviendra.',
+  'chat.offline': 'Hors ligne',
+  'chat.newConversation': 'Nouvelle conversation',
+  'voice.start': 'Parler au lieu d\'écrire',
+  'voice.stop': 'Arrêter l\'écoute',
+  'voice.listening': 'Je vous écoute... dites ce qui ne va pas',
+  'voice.transcribing': 'Transcription de ce que vous avez dit...',
+  'voice.denied': 'Autorisez le micro pour dicter votre message, ou écrivez-le.',
+  'voice.noSpeech': 'Nous n\'avons rien entendu. Appuyez sur le micro et réessayez.',
+  'voice.failed': 'Nous n\'avons pas pu transcrire ce que vous avez dit. Réessayez ou écrivez-le.',
+  'readAloud.start': 'Lire à voix haute',
+  'readAloud.pause': 'Pause',
+  'readAloud.resume': 'Reprendre',
+  'readAloud.stop': 'Arrêter la lecture',
+  'images.attach': 'Ajouter une photo',
+  'images.remove': 'Retirer la photo',
+  'images.preparing': 'Préparation de la photo...',
+  'images.unreadable': 'Ce fichier n\'a pas pu être lu comme une photo.',
+  'images.tooMany': 'Vous pouvez ajouter jusqu\'à {maxImages} photos à un message.',
+  'images.rejected': 'Une des photos n\'a pas pu être utilisée. Essayez-en une autre.',
+  'images.caveat': 'Une photo nous aide à comprendre ce que vous voyez, mais regarder une photo n\'est pas un diagnostic. Les informations de localisation sont retirées avant l\'envoi.',
+  'images.photoOnly': 'Voici une photo de ce que je vois.',
+  'images.analyzed': 'Nous avons regardé votre ou vos photos. Ce que nous décrivons d\'une photo n\'est pas un diagnostic : seul un soignant qui vous examine peut dire ce que c\'est.',
+  'images.unclear': 'Nous n\'avons pas vu de problème de santé net sur votre photo. Une photo nette, bien éclairée et prise de près aide.',
+  'images.failed': 'Nous n\'avons pas pu regarder votre photo cette fois. Les conseils se basent uniquement sur votre message.',
+  'chat.diary': 'Journal des symptômes',
+  'card.trends': 'Ces derniers jours',
+  'trend.days': '{symptom} : {days} jours',
+  'trend.direction.worsening': 's\'aggrave',
+  'trend.direction.improving': 's\'améliore',
+  'trend.direction.stable': 'ne change pas',
+  'trend.lastingFever': 'Votre symptôme ({symptom}) dure depuis {days} jours. Une fièvre qui dure 3 jours ou plus doit être examinée : consultez un soignant aujourd\'hui.',
+  'trend.worsening': 'Votre symptôme ({symptom}) a commencé il y a {days} jours et s\'aggrave. Consultez un soignant aujourd\'hui plutôt que d\'attendre que ça passe.',
+  'trend.severeLasting': 'Votre symptôme ({symptom}) est sévère et dure depuis {days} jours. Consultez un soignant aujourd\'hui.',
+  'trend.lasting': 'Votre symptôme ({symptom}) dure depuis {days} jours sans s\'améliorer. Prenez rendez-vous avec un soignant pour en trouver la cause.',
+  'diary.title': 'Journal des symptômes',
+  'diary.intro': 'Notez comment vont vos symptômes, jour après jour. Le graphique montre comment chacun évolue, et les conseils du chat en tiennent compte.',
+  'diary.symptom': 'Symptôme',
+  'diary.severity': 'À quel point ?',
+  'diary.severity.none': 'Disparu',
+  'diary.severity.mild': 'Léger',
+  'diary.severity.moderate': 'Modéré',
+  'diary.severity.severe': 'Sévère',
+  'diary.when': 'Quand',
+  'diary.note': 'Note (facultatif)',
+  'diary.add': 'Noter',
+  'diary.saving': 'Enregistrement...',
+  'diary.saveFailed': 'Cette entrée n\'a pas pu être enregistrée.',
+  'diary.loading': 'Chargement de votre journal...',
+  'diary.loadFailed': 'Votre journal n\'a pas pu être chargé.',
+  'diary.empty': 'Rien de noté pour l\'instant. Les symptômes que vous décrivez dans le chat avec leur intensité apparaissent aussi ici.',
+  'diary.delete': 'Supprimer l\'entrée',
+  'diary.deleteFailed': 'Cette entrée n\'a pas pu être supprimée.',
+  'diary.fromMessage': 'd\'un message',
+  'diary.chartLabel': 'Évolution de {symptom} dans le temps',
+
+  'card.title': 'Informations de santé',
+  'card.invalidData': 'Erreur : données reçues invalides',
+  'card.extracted': 'Informations relevées :',
+  'card.reading': 'Lecture de votre message...',
+  'card.advice': 'Conseils de santé :',
+  'card.writingAdvice': 'Rédaction des conseils',
+  'card.writingProgress': '({count} caractères pour l\'instant)',
+  'card.noAdvice': 'Aucun conseil n\'a été généré.',
+  'card.trials': 'Essais cliniques pertinents :',
+  'card.stopped': 'Arrêté.',
+  'card.failed': 'Un problème est survenu avant la fin de cette réponse.',
+  'card.adviceFailed': 'Les conseils n\'ont pas pu être rédigés pour le moment.',
+  'card.trialsFailed': 'Les essais cliniques n\'ont pas pu être chargés pour le moment.',
+  'card.retry': 'Réessayer',
+  'card.retrying': 'Nouvelle tentative...',
+
+  'extracted.age': 'Âge',
+  'extracted.location': 'Lieu',
+  'extracted.conditions': 'Maladies',
+  'extracted.medications': 'Médicaments',
+  'extracted.allergies': 'Allergies',
+  'extracted.symptoms': 'Symptômes',
+  'extracted.notProvided': 'Non indiqué',
+  'extracted.noSymptoms': 'Aucun',
+  'extracted.estimated': '(estimé)',
+  'extracted.fromProfile': '(de votre profil)',
+
+  'conflict.age': 'Votre profil indique {profileValue} ans, ce message indique {messageValue}.',
+  'conflict.location': 'Votre profil indique {profileValue} comme lieu, ce message indique {messageValue}.',
+  'conflict.update': 'Mettre à jour mon profil',
+  'conflict.updated': 'Profil mis à jour.',
+
+  'care.title': 'Se soigner près de {place}',
+  'care.emergency': 'Urgences :',
+  'care.noEmergencyNumber': 'Nous n\'avons pas encore le numéro d\'urgence local. Le {number} fonctionne depuis la plupart des téléphones mobiles.',
+  'care.hotline': 'Ligne d\'information santé ({name}) :',
+
+  'intake.question.symptoms': 'Quels symptômes avez-vous ?',
+  'intake.question.duration': 'Depuis combien de temps avez-vous ce symptôme ({symptom}) ?',
+  'intake.question.severity': 'À quel point est-ce fort ({symptom}) ?',
+  'intake.question.fever': 'Avez-vous aussi de la fièvre ?',
+  'intake.question.age': 'Quel âge avez-vous ?',
+  'intake.question.location': 'Où êtes-vous ? Une ville ou un pays suffit.',
+  'intake.choice.symptoms.fever': 'Fièvre',
+  'intake.choice.symptoms.cough': 'Toux',
+  'intake.choice.symptoms.headache': 'Mal de tête',
+  'intake.choice.symptoms.abdominal-pain': 'Mal au ventre',
+  'intake.choice.symptoms.diarrhea': 'Diarrhée',
+  'intake.choice.duration.today': 'Depuis aujourd\'hui',
+  'intake.choice.duration.days-1-3': '1 à 3 jours',
+  'intake.choice.duration.days-4-7': '4 à 7 jours',
+  'intake.choice.duration.over-week': 'Plus d\'une semaine',
+  'intake.choice.duration.over-month': 'Plus d\'un mois',
+  'intake.choice.severity.mild': 'Léger',
+  'intake.choice.severity.moderate': 'Modéré',
+  'intake.choice.severity.severe': 'Sévère',
+  'intake.choice.fever.yes': 'Oui',
+  'intake.choice.fever.no': 'Non',
+  'intake.choice.fever.unknown': 'Je ne sais pas',
+  'intake.choice.age.under-18': 'Moins de 18 ans',
+  'intake.choice.age.18-39': '18 à 39 ans',
+  'intake.choice.age.40-64': '40 à 64 ans',
+  'intake.choice.age.65-plus': '65 ans ou plus',
+  'intake.typeAnswer': 'Écrivez votre réponse ci-dessous.',
+  'intake.skip': 'Passer les questions et obtenir des conseils',
+
+  'summary.button': 'Résumé de consultation',
+  'summary.print': 'Version imprimable',
+  'summary.download': 'Télécharger le PDF',
+  'summary.fhir': 'Dossier de santé (FHIR)',
+  'summary.title': 'Résumé de consultation',
+  'summary.period': 'Conversation du {start} au {end}',
+  'summary.generated': 'Généré le {date}',
+  'summary.disclaimer': 'Préparé automatiquement à partir d\'une conversation SimpliHealth, à montrer à un professionnel de santé. Ce n\'est pas un diagnostic.',
+  'summary.profile': 'À propos du patient',
+  'summary.sex': 'Sexe',
+  'summary.female': 'Femme',
+  'summary.male': 'Homme',
+  'summary.triage': 'Niveau de triage',
+  'summary.highestUrgency': 'Niveau le plus élevé atteint dans cette conversation',
+  'summary.urgency.routine': 'Non urgent',
+  'summary.urgency.urgent': 'Urgent',
+  'summary.urgency.emergency': 'Urgence vitale',
+  'summary.timeline': 'Chronologie des symptômes',
+  'summary.firstReported': 'signalé pour la première fois le {date}',
+  'summary.visits': 'Messages et conseils donnés',
+  'summary.message': 'Message',
+  'summary.emergencyNoAdvice': 'Urgence : il a été conseillé d\'appeler les secours, aucun autre conseil n\'a été donné.',
+  'summary.intakeAsked': 'Question posée avant de donner des conseils : « {question} »',
+  'summary.general': 'Conseils généraux',
+  'summary.seekCare': 'Quand consulter',
+  'summary.sources': 'Sources',
+  'summary.severity.info': 'Soins personnels',
+  'summary.severity.caution': 'À surveiller',
+  'summary.severity.urgent': 'Urgent',
+  'summary.interactions': 'Avertissements sur les médicaments',
+  'summary.trials': 'Essais cliniques présentés',
+  'summary.noTrials': 'Aucun essai clinique n\'a été présenté.',
+
+  'account.signIn': 'Se connecter',
+  'account.signOut': 'Se déconnecter',
+  'account.history': 'Mon historique',
+  'account.backToChat': '← Retour à la conversation',
+  'account.intro': 'Saisissez votre e-mail et nous vous enverrons un lien de connexion. Vos consultations sont alors conservées, chiffrées, dans votre historique, pour revoir les conseils reçus.',
+  'account.email': 'Adresse e-mail',
+  'account.sendLink': 'Envoyer le lien',
+  'account.linkSent': 'Nous avons envoyé un lien de connexion à {email}. Il fonctionne une fois, pendant 15 minutes.',
+  'account.linkExpired': 'Ce lien de connexion a expiré ou a déjà été utilisé. Demandez-en un nouveau.',
+  'account.devOutbox': 'Développement : ouvrir la boîte d\'envoi',
+  'account.invalidEmail': 'Veuillez saisir une adresse e-mail valide.',
+  'account.rateLimited': 'Trop de liens de connexion ont été demandés. Patientez un moment puis réessayez.',
+  'account.sendFailed': 'Le lien de connexion n\'a pas pu être envoyé. Veuillez réessayer.',
+  'account.signedInAs': 'Connecté en tant que {email}.',
+  'account.confirmTitle': 'Terminer la connexion',
+  'account.confirmIntro': 'Vous avez ouvert un lien de connexion. Confirmez pour vous connecter sur cet appareil.',
+  'account.confirmButton': 'Se connecter',
+
+  'history.loading': 'Chargement de vos consultations...',
+  'history.loadFailed': 'Votre historique n\'a pas pu être chargé.',
+  'history.empty': 'Aucune consultation pour l\'instant. Les conversations menées en étant connecté apparaîtront ici.',
+  'history.signedOut': 'Connectez-vous pour voir vos consultations précédentes.',
+  'history.messages': '{count} message(s)',
+  'history.open': 'Ouvrir le résumé',
+  'history.yourData': 'Vos données',
+  'history.encrypted': 'Vos consultations, votre profil de santé et votre journal de symptômes sont chiffrés avec une clé qui vous est propre. Vous pouvez télécharger tout ce que nous conservons sur vous, ou le supprimer définitivement.',
+  'history.download': 'Télécharger mes données',
+  'history.delete': 'Supprimer mes données',
+  'history.confirmDelete': 'Supprimer votre compte, toutes vos consultations et votre profil ? Cette action est irréversible.',
+  'history.deleteFailed': 'Vos données n\'ont pas pu être supprimées. Veuillez réessayer.',
+
+  'mail.signIn.subject': 'Votre lien de connexion SimpliHealth',
+  'mail.signIn.intro': 'Utilisez le lien ci-dessous pour vous connecter à SimpliHealth. Il fonctionne une fois, pendant {minutes} minutes.',
+  'mail.signIn.button': 'Se connecter à SimpliHealth',
+  'mail.signIn.ignore': 'Si vous n\'avez rien demandé, vous pouvez ignorer cet e-mail.',
+  'mail.signIn.text': 'Utilisez ce lien pour vous connecter à SimpliHealth. Il fonctionne une fois, pendant {minutes} minutes :\n\n{link}\n\nSi vous n\'avez rien demandé, vous pouvez ignorer cet e-mail.',
+
+  'emergency.headingEmergency': 'Il peut s\'agir d\'une urgence',
+  'emergency.headingUrgent': 'Consultez rapidement un professionnel de santé',
+  'emergency.call': 'Appelez le {number} pour les secours.',
+  'emergency.callLocal': 'Appelez le numéro d\'urgence local. Le {number} fonctionne depuis la plupart des téléphones portables.',
+  'emergency.crisisLine': 'Ligne d\'écoute :',
+  'triage.chest-pain.label': 'Douleur thoracique',
+  'triage.chest-pain.advice': 'Une douleur à la poitrine peut être le signe d\'une crise cardiaque. Appelez les secours maintenant, ne conduisez pas vous-même.',
+  'triage.stroke.label': 'Signes d\'AVC',
+  'triage.stroke.advice': 'Ce peuvent être des signes d\'AVC. Appelez les secours maintenant et notez l\'heure du début des symptômes.',
+  'triage.gi-bleeding.label': 'Saignement de l\'estomac ou de l\'intestin',
+  'triage.gi-bleeding.advice': 'Vomir du sang ou avoir des selles noires ou sanglantes nécessite des soins d\'urgence. Appelez les secours ou rendez-vous aux urgences les plus proches maintenant.',
+  'triage.suicidal-ideation.label': 'Pensées suicidaires ou d\'automutilation',
+  'triage.suicidal-ideation.advice': 'Vous méritez du soutien dès maintenant. Si vous êtes en danger immédiat, appelez les secours. Vous pouvez aussi parler à une ligne d\'écoute à tout moment.',
+  'triage.anaphylaxis.label': 'Réaction allergique grave',
+  'triage.anaphylaxis.advice': 'Il peut s\'agir d\'une anaphylaxie. Utilisez un stylo d\'adrénaline si vous en avez un et appelez les secours maintenant.',
+  'triage.cannot-breathe.label': 'Grande difficulté à respirer',
+  'triage.cannot-breathe.advice': 'Une grande difficulté à respirer est une urgence. Appelez les secours maintenant.',
+  'triage.heavy-bleeding.label': 'Saignement abondant',
+  'triage.heavy-bleeding.advice': 'Appuyez fermement sur la plaie avec un linge propre et appelez les secours maintenant.',
+  'triage.seizure.label': 'Convulsions ou perte de connaissance',
+  'triage.seizure.advice': 'Appelez les secours maintenant. Ne mettez rien dans la bouche de la personne et tournez-la sur le côté une fois les secousses terminées.',
+  'triage.meningitis-signs.label': 'Fièvre avec raideur de la nuque',
+  'triage.meningitis-signs.advice': 'Une fièvre avec une raideur de la nuque peut être un signe de méningite. Consultez un médecin aujourd\'hui, ou appelez les secours en cas d\'éruption, de confusion ou de somnolence.',
+  'triage.shortness-of-breath.label': 'Essoufflement',
+  'triage.shortness-of-breath.advice': 'Un essoufflement doit être vu par un médecin aujourd\'hui. Appelez les secours s\'il s\'aggrave ou si vous ne pouvez pas faire de phrases complètes.',
+  'triage.pregnancy-bleeding.label': 'Saignement pendant la grossesse',
+  'triage.pregnancy-bleeding.advice': 'Un saignement pendant la grossesse doit être vu par un professionnel de santé aujourd\'hui. Appelez les secours s\'il est abondant ou accompagné de fortes douleurs.',
+  'triage.infant-fever.label': 'Fièvre chez un bébé',
+  'triage.infant-fever.advice': 'Un bébé de moins d\'un an qui a de la fièvre doit être vu par un professionnel de santé aujourd\'hui.',
+
+  'interactions.heading': 'Mises en garde sur les médicaments :',
+  'interactions.severity.major': 'Interaction grave',
+  'interactions.severity.moderate': 'À utiliser avec prudence',
+  'interactions.severity.minor': 'Interaction mineure',
+  'interactions.withCondition': 'avec {condition}',
+  'interactions.age': '{age} ans',
+  'interactions.suggested': '{drug} est mentionné dans les conseils ci-dessus.',
+  'interactions.checked': 'Vérifié par rapport à votre profil avec une liste fixe d\'interactions connues. Demandez à un pharmacien en cas de doute.',
+  'interactions.rule.anticoagulant-nsaid': 'Prendre des anti-inflammatoires avec un anticoagulant augmente fortement le risque de saignement grave.',
+  'interactions.rule.anticoagulant-antiplatelet': 'Les associer augmente le risque de saignement. Ne les prenez ensemble que si un médecin vous l\'a dit.',
+  'interactions.rule.warfarin-enzyme-inhibitors': 'Ce médicament peut rendre la warfarine beaucoup plus forte. Votre INR devra peut-être être contrôlé plus souvent.',
+  'interactions.rule.warfarin-paracetamol': 'Du paracétamol pris régulièrement plus de quelques jours peut augmenter votre INR. Des prises occasionnelles ne posent en général pas de problème.',
+  'interactions.rule.ssri-nsaid': 'Les antidépresseurs de ce type associés à des anti-inflammatoires augmentent le risque de saignement de l\'estomac.',
+  'interactions.rule.ssri-anticoagulant': 'Ces antidépresseurs s\'ajoutent au risque de saignement des anticoagulants. Surveillez les bleus ou saignements inhabituels.',
+  'interactions.rule.serotonin-syndrome': 'Cette association peut provoquer un syndrome sérotoninergique (agitation, fièvre, tremblements). Demandez d\'abord à un médecin ou un pharmacien.',
+  'interactions.rule.raas-potassium-sparing': 'Cette association peut faire monter le potassium à des niveaux dangereux. Des prises de sang régulières sont nécessaires.',
+  'interactions.rule.raas-diuretic-nsaid': 'Les anti-inflammatoires peuvent rendre les médicaments contre la tension moins efficaces et fatiguer les reins.',
+  'interactions.rule.lithium-toxicity': 'Cela peut faire monter le lithium à des niveaux toxiques. Ne les associez pas sans votre médecin.',
+  'interactions.rule.statin-cyp3a4': 'Cet antibiotique peut augmenter le taux de simvastatine et abîmer les muscles. La simvastatine est en général suspendue pendant le traitement.',
+  'interactions.rule.opioid-sedatives': 'Ensemble, ils peuvent provoquer une somnolence dangereuse et ralentir la respiration.',
+  'interactions.rule.nitrate-pde5': 'Cette association peut provoquer une chute dangereuse de la tension. Ne les prenez jamais ensemble.',
+  'interactions.rule.digoxin-clarithromycin': 'La clarithromycine peut faire monter la digoxine à des niveaux toxiques.',
+  'interactions.rule.contraceptive-inducers': 'Cela peut empêcher la pilule contraceptive d\'agir. Utilisez une autre méthode de contraception.',
+  'interactions.rule.efavirenz-antimalarial': 'L\'éfavirenz peut rendre ce traitement du paludisme moins efficace. Parlez de vos médicaments contre le VIH à la personne qui le prescrit.',
+  'interactions.rule.absorption-antacids': 'Les antiacides empêchent ce médicament d\'être absorbé. Prenez-les à au moins 2 heures d\'intervalle.',
+  'interactions.rule.steroid-nsaid': 'Les corticoïdes associés aux anti-inflammatoires augmentent le risque d\'ulcère et de saignement de l\'estomac.',
+  'interactions.rule.nsaid-kidney': 'Les anti-inflammatoires peuvent aggraver une maladie des reins.',
+  'interactions.rule.nsaid-ulcer': 'Les anti-inflammatoires peuvent faire saigner un ulcère de l\'estomac.',
+  'interactions.rule.nsaid-heart-failure': 'Les anti-inflammatoires peuvent aggraver une insuffisance cardiaque.',
+  'interactions.rule.nsaid-hypertension': 'Les anti-inflammatoires peuvent augmenter la tension artérielle.',
+  'interactions.rule.nsaid-asthma': 'Chez certaines personnes asthmatiques, les anti-inflammatoires déclenchent une crise.',
+  'interactions.rule.nsaid-pregnancy': 'Les anti-inflammatoires sont en général déconseillés pendant la grossesse. Le paracétamol est habituellement préféré.',
+  'interactions.rule.aspirin-children': 'L\'aspirine ne doit pas être donnée aux enfants de moins de 16 ans en raison du risque de syndrome de Reye.',
+  'interactions.rule.decongestant-cardiovascular': 'Les décongestionnants peuvent augmenter la tension et le rythme cardiaque.',
+  'interactions.rule.paracetamol-liver': 'En cas de maladie du foie, la dose maximale de paracétamol doit parfois être réduite. Demandez à un médecin.',
+  'interactions.rule.metformin-kidney': 'La metformine peut devoir être réduite ou arrêtée quand les reins fonctionnent mal.',
+  'interactions.rule.beta-blocker-asthma': 'Ce type de bêtabloquant peut déclencher des crises d\'asthme graves.',
+  'interactions.rule.steroid-diabetes': 'Les corticoïdes font monter la glycémie. Contrôlez votre sucre plus souvent.',
+  'interactions.rule.sedating-antihistamine-glaucoma': 'Les antihistaminiques sédatifs peuvent aggraver cette maladie.',
+
+  'advice.general': 'Conseils généraux',
+  'advice.symptoms': 'Conseils par symptôme',
+  'advice.seekCare': 'Quand consulter un médecin',
+  'advice.sources': 'Sources',
+  'advice.severity.info': 'Soins personnels',
+  'advice.severity.caution': 'À surveiller',
+  'advice.severity.urgent': 'Urgent',
+
+  'trials.status': 'Statut',
+  'trials.phase': 'Phase',
+  'trials.sex': 'Sexe',
+  'trials.any': 'Tous',
+  'trials.recruitingSoonOrNow': 'Recrutement en cours ou à venir',
+  'trials.female': 'Femme',
+  'trials.male': 'Homme',
+  'trials.nearMe': 'À moins de {km} km de moi',
+  'trials.showing': '{count} sur {total} affichés',
+  'trials.none': 'Aucun essai clinique pertinent trouvé.',
+  'trials.loading': 'Chargement...',
+  'trials.loadMore': 'Voir plus d\'essais',
+  'trials.loadFailed': 'Impossible de charger les essais cliniques.',
+  'trials.noGeolocation': 'Votre navigateur ne peut pas partager votre position.',
+  'trials.geolocationFailed': 'Nous n\'avons pas pu obtenir votre position.',
+  'trials.statuses.RECRUITING': 'Recrutement en cours',
+  'trials.statuses.NOT_YET_RECRUITING': 'Recrutement pas encore ouvert',
+  'trials.statuses.ENROLLING_BY_INVITATION': 'Inscription sur invitation',
+  'trials.statuses.ACTIVE_NOT_RECRUITING': 'En cours, recrutement terminé',
+  'trials.statuses.COMPLETED': 'Terminé',
+  'trials.phases.EARLY_PHASE1': 'Phase 1 précoce',
+  'trials.phases.PHASE1': 'Phase 1',
+  'trials.phases.PHASE2': 'Phase 2',
+  'trials.phases.PHASE3': 'Phase 3',
+  'trials.phases.PHASE4': 'Phase 4',
+  'trial.ages.between': 'De {min} à {max}',
+  'trial.ages.from': '{min} et plus',
+  'trial.ages.upTo': 'Jusqu\'à {max}',
+  'trial.ages.any': 'Tout âge',
+  'trial.contact': 'Contact de l\'étude',
+  'trial.kmAway': 'À {km} km',
+  'trial.preScreening': 'Présélection',
+  'trial.onlyStudyTeam': 'Seule l\'équipe de l\'étude peut confirmer si vous pouvez participer.',
+  'trial.whoCanJoin': 'Qui peut participer',
+  'trial.sex.ALL': 'Tous les sexes',
+  'trial.sex.FEMALE': 'Femmes uniquement',
+  'trial.sex.MALE': 'Hommes uniquement',
+  'trial.healthyVolunteers': 'Accepte les volontaires sains',
+  'trial.sites': 'Centres',
+  'trial.moreSites': 'et {count} de plus',
+  'trial.contacts': 'Contact',
+  'trial.fullDetails': 'Tous les détails sur ClinicalTrials.gov',
+  'eligibility.label.likely-eligible': 'Probablement éligible',
+  'eligibility.label.possibly': 'Peut-être éligible',
+  'eligibility.label.ineligible': 'Probablement pas éligible',
+  'eligibility.months': '{months} mois',
+  'eligibility.ages.range': '{min} à {max} ans',
+  'eligibility.ages.from': '{min} ans et plus',
+  'eligibility.age.noLimits': 'Pas de limite d\'âge',
+  'eligibility.age.unknown': 'L\'essai est pour les {ages}, votre âge n\'est pas connu',
+  'eligibility.age.outside': 'L\'essai est pour les {ages}',
+  'eligibility.age.fits': 'Votre âge correspond ({ages})',
+  'eligibility.age.partly': 'L\'essai est pour les {ages}, votre tranche d\'âge ne correspond qu\'en partie',
+  'eligibility.sex.onlyWomen': 'Réservé aux femmes',
+  'eligibility.sex.onlyMen': 'Réservé aux hommes',
+  'eligibility.sex.openWomen': 'Ouvert aux femmes',
+  'eligibility.sex.openMen': 'Ouvert aux hommes',
+  'eligibility.healthyVolunteers': 'Accepte les volontaires sains',
+  'eligibility.noTerms': 'Aucune maladie ni aucun symptôme à comparer',
+  'eligibility.studies': 'Étudie : {conditions}',
+  'eligibility.notMentioned': 'Vos maladies ne sont pas mentionnées dans les critères de l\'essai',
+  'eligibility.excludes': 'Exclut les personnes atteintes de {condition} : « {criterion} »',
+
+  'profile.saving': 'Enregistrement...',
+  'profile.saved': 'Enregistré',
+  'profile.location': 'Lieu',
+  'profile.locationHint': 'Pays, région ou ville',
+  'profile.conditions': 'Maladies chroniques',
+  'profile.onePerLine': 'Une par ligne',
+  'profile.medications': 'Médicaments',
+  'profile.medicationsHint': 'Un par ligne, par ex. Metformine 500 mg deux fois par jour',
+  'profile.recognized': '{name} : reconnu, vérifié pour les interactions',
+  'profile.notRecognized': '{name} : absent de notre liste de médicaments, nous ne pouvons pas vérifier ses interactions',
+  'profile.allergies': 'Allergies',
+  'profile.save': 'Enregistrer',
+  'profile.reading': 'Lecture du dossier de santé...',
+  'profile.imported': 'Rempli à partir de votre dossier de santé, vérifiez-le et enregistrez',
+  'profile.nothingImported': 'Rien de nouveau dans ce dossier de santé',
+  'profile.title': 'Mon profil de santé',
+  'profile.close': 'Fermer le profil',
+  'profile.intro': 'Nous utilisons ces informations dans chaque conversation. Si un message dit autre chose, c\'est le message qui compte pour cette réponse et nous vous demandons s\'il faut mettre à jour votre profil.',
+  'profile.import': 'Importer depuis un dossier de santé',
+  'profile.importHint': 'Un fichier FHIR (.json) de votre clinique. Rien n\'est enregistré tant que vous n\'appuyez pas sur Enregistrer',
+  'profile.age': 'Âge',
+  'profile.sex': 'Sexe',
+  'profile.sexUnknown': 'Je préfère ne pas le dire',
+  'profile.female': 'Femme',
+  'profile.male': 'Homme',
+}
+
+export default fr
@@ -0,0 +1,378 @@
+const sw = {
+  'header.logoAlt': 'Nembo ya SimpliHealth',
+  'language.label': 'Lugha',
+
+  'chat.heading': 'Kuna nini?',
+  'chat.placeholder': 'Eleza tatizo lako la kiafya au uliza swali...',
+  'chat.submit': 'Tuma',
+  'chat.stop': 'Simamisha',
+  'chat.myProfile': 'Wasifu wangu',
+  'chat.hint': 'Eleza umri wako, mahali unapoishi, magonjwa uliyo nayo tayari na dalili zako za sasa.',
+  'chat.example': 'Kwa mfano: "Nina miaka 43, ninaishi Nairobi. Nina kisukari na tumbo linauma. Pia ninatapika damu."',
+  'chat.error': 'Hitilafu imetokea: {message}',
+  'chat.rateLimited': 'Unatuma ujumbe haraka kuliko tunavyoweza kujibu. Tafadhali subiri sekunde {seconds} kisha ujaribu tena.',
+  'chat.rateLimitedMinutes': 'Umetuma ujumbe mwingi kwa muda mfupi. Tafadhali subiri takriban dakika {minutes} kisha ujaribu tena.',
+  'chat.tooLong': 'Ujumbe huo ni mrefu mno kwetu kuusoma (herufi {length}). Tafadhali usizidi herufi {maxLength}, mambo makuu yanatosha.',
+  'chat.tooLarge': 'Ujumbe huo ni mrefu mno kwetu kuusoma. Tafadhali uufupishe kisha ujaribu tena.',
+  'chat.inputRejected': 'Hatukuweza kushughulikia ujumbe huo. Tafadhali eleza swali lako la afya kwa maneno yako mwenyewe.',
+  'chat.queued': 'Huna mtandao. Ujumbe huu utatumwa mara tu mtandao utakaporudi.',
+  'chat.offline': 'Nje ya mtandao',
+  'chat.newConversation': 'Mazungumzo mapya',
+  'voice.start': 'Ongea badala ya kuandika',
+  'voice.stop': 'Acha kusikiliza',
+  'voice.listening': 'Tunakusikiliza... sema kinachoendelea',
+  'voice.transcribing': 'Tunaandika ulichosema...',
+  'voice.denied': 'Ruhusu maikrofoni ili kutamka ujumbe wako, au uandike.',
+  'voice.noSpeech': 'Hatukusikia chochote. Bonyeza maikrofoni ujaribu tena.',
+  'voice.failed': 'Hatukuweza kuandika ulichosema. Jaribu tena au uandike.',
+  'readAloud.start': 'Soma kwa sauti',
+  'readAloud.pause': 'Simamisha',
+  'readAloud.resume': 'Endelea',
+  'readAloud.stop': 'Acha kusoma',
+  'images.attach': 'Ongeza picha',
+  'images.remove': 'Ondoa picha',
+  'images.preparing': 'Inaandaa picha...',
+  'images.unreadable': 'Faili hilo halikuweza kusomwa kama picha.',
+  'images.tooMany': 'Unaweza kuongeza hadi picha {maxImages} kwenye ujumbe mmoja.',
+  'images.rejected': 'Moja ya picha haikuweza kutumika. Tafadhali jaribu nyingine.',
+  'images.caveat': 'Picha inatusaidia kuelewa unachokiona, lakini kuangalia picha si utambuzi wa ugonjwa. Taarifa za mahali huondolewa kabla ya kutumwa.',
+  'images.photoOnly': 'Hii ni picha ya ninachokiona.',
+  'images.analyzed': 'Tumeangalia picha yako. Tunachoeleza kutoka kwenye picha si utambuzi wa ugonjwa: ni mhudumu wa afya anayekuchunguza pekee anayeweza kusema ni nini.',
+  'images.unclear': 'Hatukuona tatizo la afya lililo wazi kwenye picha yako. Picha iliyo wazi, yenye mwanga mzuri na iliyopigwa karibu inasaidia.',
+  'images.failed': 'Hatukuweza kuangalia picha yako wakati huu. Ushauri unategemea ujumbe wako pekee.',
+  'chat.diary': 'Shajara ya dalili',
+  'card.trends': 'Katika siku za karibuni',
+  'trend.days': '{symptom}: siku {days}',
+  'trend.direction.worsening': 'inazidi kuwa mbaya',
+  'trend.direction.improving': 'inapungua',
+  'trend.direction.stable': 'haibadiliki',
+  'trend.lastingFever': 'Dalili yako ({symptom}) imedumu siku {days}. Homa inayodumu siku 3 au zaidi inahitaji kuchunguzwa: tafadhali muone mhudumu wa afya leo.',
+  'trend.worsening': 'Dalili yako ({symptom}) ilianza siku {days} zilizopita na inazidi kuwa mbaya. Tafadhali muone mhudumu wa afya leo badala ya kusubiri iishe.',
+  'trend.severeLasting': 'Dalili yako ({symptom}) ni kali na imedumu siku {days}. Tafadhali muone mhudumu wa afya leo.',
+  'trend.lasting': 'Dalili yako ({symptom}) imedumu siku {days} bila kupungua. Panga miadi na mhudumu wa afya ili kujua sababu.',
+  'diary.title': 'Shajara ya dalili',
+  'diary.intro': 'Andika hali ya dalili zako, siku baada ya siku. Chati inaonyesha jinsi kila moja inavyobadilika, na ushauri katika mazungumzo unazingatia hilo.',
+  'diary.symptom': 'Dalili',
+  'diary.severity': 'Ni kali kiasi gani?',
+  'diary.severity.none': 'Imeisha',
+  'diary.severity.mild': 'Kidogo',
+  'diary.severity.moderate': 'Wastani',
+  'diary.severity.severe': 'Kali',
+  'diary.when': 'Lini',
+  'diary.note': 'Maelezo (si lazima)',
+  'diary.add': 'Andika',
+  'diary.saving': 'Inahifadhi...',
+  'diary.saveFailed': 'Ingizo hili halikuweza kuhifadhiwa.',
+  'diary.loading': 'Inapakia shajara yako...',
+  'diary.loadFailed': 'Shajara yako haikuweza kupakiwa.',
+  'diary.empty': 'Bado hakuna kilichoandikwa. Dalili unazoeleza katika mazungumzo pamoja na ukali wake zinaonekana hapa pia.',
+  'diary.delete': 'Futa ingizo',
+  'diary.deleteFailed': 'Ingizo hili halikuweza kufutwa.',
+  'diary.fromMessage': 'kutoka kwa ujumbe',
+  'diary.chartLabel': 'Jinsi {symptom} ilivyobadilika kwa muda',
+
+  'card.title': 'Taarifa za Afya',
+  'card.invalidData': 'Hitilafu: data iliyopokelewa si sahihi',
+  'card.extracted': 'Taarifa Zilizopatikana:',
+  'card.reading': 'Tunasoma ujumbe wako...',
+  'card.advice': 'Ushauri wa Afya:',
+  'card.writingAdvice': 'Tunaandika ushauri',
+  'card.writingProgress': '(herufi {count} hadi sasa)',
+  'card.noAdvice': 'Hakuna ushauri uliotolewa.',
+  'card.trials': 'Majaribio ya Kliniki Yanayohusika:',
+  'card.stopped': 'Imesimamishwa.',
+  'card.failed': 'Kuna tatizo lililotokea kabla jibu hili halijakamilika.',
+  'card.adviceFailed': 'Ushauri haukuweza kuandikwa kwa sasa.',
+  'card.trialsFailed': 'Majaribio ya kliniki hayakuweza kupakiwa kwa sasa.',
+  'card.retry': 'Jaribu tena',
+  'card.retrying': 'Inajaribu tena...',
+
+  'extracted.age': 'Umri',
+  'extracted.location': 'Mahali',
+  'extracted.conditions': 'Magonjwa',
+  'extracted.medications': 'Dawa',
+  'extracted.allergies': 'Mzio',
+  'extracted.symptoms': 'Dalili',
+  'extracted.notProvided': 'Haijatolewa',
+  'extracted.noSymptoms': 'Hakuna',
+  'extracted.estimated': '(makadirio)',
+  'extracted.fromProfile': '(kutoka kwenye wasifu wako)',
+
+  'conflict.age': 'Wasifu wako unasema umri wako ni {profileValue}, ujumbe huu unasema {messageValue}.',
+  'conflict.location': 'Wasifu wako unasema mahali pako ni {profileValue}, ujumbe huu unasema {messageValue}.',
+  'conflict.update': 'Sasisha wasifu wangu',
+  'conflict.updated': 'Wasifu umesasishwa.',
+
+  'care.title': 'Huduma karibu na {place}',
+  'care.emergency': 'Dharura:',
+  'care.noEmergencyNumber': 'Bado hatuna namba ya dharura ya eneo lako. Namba {number} inafanya kazi kwenye simu nyingi za mkononi.',
+  'care.hotline': 'Namba ya taarifa za afya ({name}):',
+
+  'intake.question.symptoms': 'Una dalili gani?',
+  'intake.question.duration': 'Umekuwa na dalili hii ({symptom}) kwa muda gani?',
+  'intake.question.severity': 'Dalili hii ({symptom}) ni kali kiasi gani?',
+  'intake.question.fever': 'Je, una homa pia?',
+  'intake.question.age': 'Una umri gani?',
+  'intake.question.location': 'Uko wapi? Mji au nchi inatosha.',
+  'intake.choice.symptoms.fever': 'Homa',
+  'intake.choice.symptoms.cough': 'Kikohozi',
+  'intake.choice.symptoms.headache': 'Maumivu ya kichwa',
+  'intake.choice.symptoms.abdominal-pain': 'Maumivu ya tumbo',
+  'intake.choice.symptoms.diarrhea': 'Kuhara',
+  'intake.choice.duration.today': 'Tangu leo',
+  'intake.choice.duration.days-1-3': 'Siku 1 hadi 3',
+  'intake.choice.duration.days-4-7': 'Siku 4 hadi 7',
+  'intake.choice.duration.over-week': 'Zaidi ya wiki moja',
+  'intake.choice.duration.over-month': 'Zaidi ya mwezi mmoja',
+  'intake.choice.severity.mild': 'Kidogo',
+  'intake.choice.severity.moderate': 'Wastani',
+  'intake.choice.severity.severe': 'Kali',
+  'intake.choice.fever.yes': 'Ndiyo',
+  'intake.choice.fever.no': 'Hapana',
+  'intake.choice.fever.unknown': 'Sijui',
+  'intake.choice.age.under-18': 'Chini ya 18',
+  'intake.choice.age.18-39': '18 hadi 39',
+  'intake.choice.age.40-64': '40 hadi 64',
+  'intake.choice.age.65-plus': '65 au zaidi',
+  'intake.typeAnswer': 'Andika jibu lako hapa chini.',
+  'intake.skip': 'Ruka maswali na upate ushauri',
+
+  'summary.button': 'Muhtasari wa ziara',
+  'summary.print': 'Ukurasa wa kuchapisha',
+  'summary.download': 'Pakua PDF',
+  'summary.fhir': 'Rekodi ya afya (FHIR)',
+  'summary.title': 'Muhtasari wa ziara',
+  'summary.period': 'Mazungumzo kuanzia {start} hadi {end}',
+  'summary.generated': 'Umetengenezwa {date}',
+  'summary.disclaimer': 'Umeandaliwa kiotomatiki kutoka kwa mazungumzo ya SimpliHealth ili kumwonyesha mtaalamu wa afya. Si utambuzi wa ugonjwa.',
+  'summary.profile': 'Kuhusu mgonjwa',
+  'summary.sex': 'Jinsia',
+  'summary.female': 'Mwanamke',
+  'summary.male': 'Mwanaume',
+  'summary.triage': 'Kiwango cha dharura',
+  'summary.highestUrgency': 'Kiwango cha juu zaidi kilichofikiwa katika mazungumzo haya',
+  'summary.urgency.routine': 'Si dharura',
+  'summary.urgency.urgent': 'Haraka',
+  'summary.urgency.emergency': 'Dharura',
+  'summary.timeline': 'Mfuatano wa dalili',
+  'summary.firstReported': 'iliripotiwa kwanza {date}',
+  'summary.visits': 'Ujumbe na ushauri uliotolewa',
+  'summary.message': 'Ujumbe',
+  'summary.emergencyNoAdvice': 'Dharura: mtumiaji aliambiwa aombe msaada mara moja, hakuna ushauri mwingine uliotolewa.',
+  'summary.intakeAsked': 'Swali lililoulizwa kabla ya kutoa ushauri: "{question}"',
+  'summary.general': 'Ushauri wa jumla',
+  'summary.seekCare': 'Wakati wa kutafuta msaada wa matibabu',
+  'summary.sources': 'Vyanzo',
+  'summary.severity.info': 'Kujitunza',
+  'summary.severity.caution': 'Fuatilia kwa karibu',
+  'summary.severity.urgent': 'Haraka',
+  'summary.interactions': 'Tahadhari za dawa',
+  'summary.trials': 'Majaribio ya kliniki yaliyoonyeshwa',
+  'summary.noTrials': 'Hakuna majaribio ya kliniki yaliyoonyeshwa.',
+
+  'account.signIn': 'Ingia',
+  'account.signOut': 'Toka',
+  'account.history': 'Historia yangu',
+  'account.backToChat': '← Rudi kwenye mazungumzo',
+  'account.intro': 'Andika barua pepe yako nasi tutakutumia kiungo cha kuingia. Mashauriano yako yatahifadhiwa kwenye historia yako, yakiwa yamesimbwa, ili uweze kurudi kwenye ushauri wa awali.',
+  'account.email': 'Barua pepe',
+  'account.sendLink': 'Tuma kiungo',
+  'account.linkSent': 'Tumetuma kiungo cha kuingia kwa {email}. Kinafanya kazi mara moja, kwa dakika 15.',
+  'account.linkExpired': 'Kiungo hicho kimeisha muda au kimeshatumika. Tafadhali omba kingine.',
+  'account.devOutbox': 'Maendeleo: fungua sanduku la barua zinazotoka',
+  'account.invalidEmail': 'Tafadhali andika barua pepe sahihi.',
+  'account.rateLimited': 'Viungo vingi sana vimeombwa. Tafadhali subiri kidogo kisha ujaribu tena.',
+  'account.sendFailed': 'Kiungo cha kuingia hakikuweza kutumwa. Tafadhali jaribu tena.',
+  'account.signedInAs': 'Umeingia kama {email}.',
+  'account.confirmTitle': 'Maliza kuingia',
+  'account.confirmIntro': 'Umefungua kiungo cha kuingia. Thibitisha ili uingie kwenye kifaa hiki.',
+  'account.confirmButton': 'Ingia',
+
+  'history.loading': 'Inapakia mashauriano yako...',
+  'history.loadFailed': 'Historia yako haikuweza kupakiwa.',
+  'history.empty': 'Bado hakuna mashauriano. Mazungumzo utakayofanya ukiwa umeingia yataonekana hapa.',
+  'history.signedOut': 'Ingia ili kuona mashauriano yako ya awali.',
+  'history.messages': 'Ujumbe {count}',
+  'history.open': 'Fungua muhtasari',
+  'history.yourData': 'Data yako',
+  'history.encrypted': 'Mashauriano yako, wasifu wako wa afya na shajara yako ya dalili vimehifadhiwa vikiwa vimesimbwa kwa ufunguo wako mwenyewe. Unaweza kupakua kila kitu tunachohifadhi kukuhusu, au kukifuta kabisa.',
+  'history.download': 'Pakua data yangu',
+  'history.delete': 'Futa data yangu',
+  'history.confirmDelete': 'Ufute akaunti yako, mashauriano yote na wasifu wako? Hili haliwezi kutenduliwa.',
+  'history.deleteFailed': 'Data yako haikuweza kufutwa. Tafadhali jaribu tena.',
+
+  'mail.signIn.subject': 'Kiungo chako cha kuingia SimpliHealth',
+  'mail.signIn.intro': 'Tumia kiungo kilicho hapa chini kuingia SimpliHealth. Kinafanya kazi mara moja, kwa dakika {minutes}.',
+  'mail.signIn.button': 'Ingia SimpliHealth',
+  'mail.signIn.ignore': 'Kama hukuomba hili, unaweza kupuuza barua pepe hii.',
+  'mail.signIn.text': 'Tumia kiungo hiki kuingia SimpliHealth. Kinafanya kazi mara moja, kwa dakika {minutes}:\n\n{link}\n\nKama hukuomba hili, unaweza kupuuza barua pepe hii.',
+
+  'emergency.headingEmergency': 'Hii inaweza kuwa dharura',
+  'emergency.headingUrgent': 'Pata msaada wa matibabu mapema',
+  'emergency.call': 'Piga {number} kupata msaada wa dharura.',
+  'emergency.callLocal': 'Piga namba ya dharura ya eneo lako. {number} inafanya kazi kwenye simu nyingi za mkononi.',
+  'emergency.crisisLine': 'Simu ya msaada wa dharura ya kihisia:',
+  'triage.chest-pain.label': 'Maumivu ya kifua',
+  'triage.chest-pain.advice': 'Maumivu ya kifua yanaweza kuwa dalili ya mshtuko wa moyo. Piga simu ya dharura sasa, usiendeshe gari mwenyewe.',
+  'triage.stroke.label': 'Dalili za kiharusi',
+  'triage.stroke.advice': 'Hizi zinaweza kuwa dalili za kiharusi. Piga simu ya dharura sasa na uandike saa dalili zilipoanza.',
+  'triage.gi-bleeding.label': 'Kutokwa na damu tumboni au utumbo',
+  'triage.gi-bleeding.advice': 'Kutapika damu au kupata kinyesi cheusi au chenye damu kunahitaji huduma ya dharura. Piga simu ya dharura au nenda idara ya dharura iliyo karibu sasa.',
+  'triage.suicidal-ideation.label': 'Mawazo ya kujiua au kujidhuru',
+  'triage.suicidal-ideation.advice': 'Unastahili msaada sasa hivi. Ikiwa uko katika hatari ya haraka, piga simu ya dharura. Unaweza pia kuzungumza na simu ya msaada wakati wowote.',
+  'triage.anaphylaxis.label': 'Mzio mkali',
+  'triage.anaphylaxis.advice': 'Huu unaweza kuwa mzio mkali (anaphylaxis). Tumia sindano ya adrenalini (epinephrine) ikiwa unayo na upige simu ya dharura sasa.',
+  'triage.cannot-breathe.label': 'Shida kubwa ya kupumua',
+  'triage.cannot-breathe.advice': 'Shida kubwa ya kupumua ni dharura. Piga simu ya dharura sasa.',
+  'triage.heavy-bleeding.label': 'Kutokwa na damu nyingi',
+  'triage.heavy-bleeding.advice': 'Bonyeza kidonda kwa nguvu kwa kitambaa safi na upige simu ya dharura sasa.',
+  'triage.seizure.label': 'Degedege au kupoteza fahamu',
+  'triage.seizure.advice': 'Piga simu ya dharura sasa. Usiweke kitu chochote mdomoni mwa mtu huyo na umlaze kwa ubavu mtetemeko ukikoma.',
+  'triage.meningitis-signs.label': 'Homa pamoja na shingo ngumu',
+  'triage.meningitis-signs.advice': 'Homa pamoja na shingo ngumu inaweza kuwa dalili ya uti wa mgongo. Muone daktari leo, au piga simu ya dharura kukiwa na vipele, kuchanganyikiwa au usingizi mzito.',
+  'triage.shortness-of-breath.label': 'Kupumua kwa shida',
+  'triage.shortness-of-breath.advice': 'Kupumua kwa shida kunapaswa kuchunguzwa na daktari leo. Piga simu ya dharura kukizidi au ukishindwa kuongea sentensi kamili.',
+  'triage.pregnancy-bleeding.label': 'Kutokwa na damu wakati wa ujauzito',
+  'triage.pregnancy-bleeding.advice': 'Kutokwa na damu wakati wa ujauzito kunapaswa kuchunguzwa na mhudumu wa afya leo. Piga simu ya dharura ikiwa ni nyingi au inaambatana na maumivu makali.',
+  'triage.infant-fever.label': 'Homa kwa mtoto mchanga',
+  'triage.infant-fever.advice': 'Mtoto chini ya mwaka mmoja mwenye homa anapaswa kuonwa na mhudumu wa afya leo.',
+
+  'interactions.heading': 'Tahadhari za dawa:',
+  'interactions.severity.major': 'Mwingiliano hatari',
+  'interactions.severity.moderate': 'Tumia kwa uangalifu',
+  'interactions.severity.minor': 'Mwingiliano mdogo',
+  'interactions.withCondition': 'pamoja na {condition}',
+  'interactions.age': 'umri miaka {age}',
+  'interactions.suggested': '{drug} imetajwa katika ushauri ulio juu.',
+  'interactions.checked': 'Imekaguliwa dhidi ya wasifu wako kwa orodha maalum ya mwingiliano unaojulikana. Muulize mfamasia ikiwa huna uhakika.',
+  'interactions.rule.anticoagulant-nsaid': 'Kutumia dawa za maumivu za kupunguza uvimbe pamoja na dawa ya kuyeyusha damu huongeza sana hatari ya kutokwa na damu nyingi.',
+  'interactions.rule.anticoagulant-antiplatelet': 'Kuzichanganya huongeza hatari ya kutokwa na damu. Zitumie pamoja tu kama daktari amekuambia.',
+  'interactions.rule.warfarin-enzyme-inhibitors': 'Dawa hii inaweza kuifanya warfarin kuwa na nguvu zaidi. INR yako inaweza kuhitaji kupimwa mara nyingi zaidi.',
+  'interactions.rule.warfarin-paracetamol': 'Kutumia paracetamol mara kwa mara kwa zaidi ya siku chache kunaweza kupandisha INR yako. Dozi za mara moja moja kwa kawaida hazina shida.',
+  'interactions.rule.ssri-nsaid': 'Dawa za msongo wa mawazo za aina hii pamoja na dawa za maumivu za kupunguza uvimbe huongeza hatari ya kutokwa na damu tumboni.',
+  'interactions.rule.ssri-anticoagulant': 'Dawa hizi za msongo wa mawazo huongeza hatari ya kutokwa na damu ya dawa za kuyeyusha damu. Angalia michubuko au kutokwa na damu kusiko kwa kawaida.',
+  'interactions.rule.serotonin-syndrome': 'Mchanganyiko huu unaweza kusababisha sindromu ya serotonini (kuhangaika, homa, kutetemeka). Muulize daktari au mfamasia kwanza.',
+  'interactions.rule.raas-potassium-sparing': 'Mchanganyiko huu unaweza kupandisha potasiamu kufikia kiwango hatari. Vipimo vya damu vya mara kwa mara vinahitajika.',
+  'interactions.rule.raas-diuretic-nsaid': 'Dawa za maumivu za kupunguza uvimbe zinaweza kupunguza ufanisi wa dawa za shinikizo la damu na kuchosha figo.',
+  'interactions.rule.lithium-toxicity': 'Hii inaweza kupandisha lithiamu kufikia kiwango cha sumu. Usizichanganye bila daktari wako.',
+  'interactions.rule.statin-cyp3a4': 'Antibiotiki hii inaweza kupandisha kiwango cha simvastatin na kuharibu misuli. Kwa kawaida simvastatin husitishwa wakati wa matibabu.',
+  'interactions.rule.opioid-sedatives': 'Pamoja zinaweza kusababisha usingizi hatari na kupumua polepole.',
+  'interactions.rule.nitrate-pde5': 'Mchanganyiko huu unaweza kushusha shinikizo la damu kwa hatari. Usizitumie pamoja kamwe.',
+  'interactions.rule.digoxin-clarithromycin': 'Clarithromycin inaweza kupandisha digoxin kufikia kiwango cha sumu.',
+  'interactions.rule.contraceptive-inducers': 'Hii inaweza kuzuia kidonge cha uzazi wa mpango kufanya kazi. Tumia njia nyingine ya uzazi wa mpango.',
+  'interactions.rule.efavirenz-antimalarial': 'Efavirenz inaweza kupunguza ufanisi wa tiba hii ya malaria. Mweleze anayekuandikia dawa kuhusu dawa zako za VVU.',
+  'interactions.rule.absorption-antacids': 'Dawa za kupunguza asidi huzuia dawa hii kufyonzwa. Zitumie kwa tofauti ya angalau saa 2.',
+  'interactions.rule.steroid-nsaid': 'Steroidi pamoja na dawa za maumivu za kupunguza uvimbe huongeza hatari ya vidonda vya tumbo na kutokwa na damu.',
+  'interactions.rule.nsaid-kidney': 'Dawa za maumivu za kupunguza uvimbe zinaweza kuzidisha ugonjwa wa figo.',
+  'interactions.rule.nsaid-ulcer': 'Dawa za maumivu za kupunguza uvimbe zinaweza kusababisha vidonda vya tumbo kutoa damu.',
+  'interactions.rule.nsaid-heart-failure': 'Dawa za maumivu za kupunguza uvimbe zinaweza kuzidisha moyo kushindwa kufanya kazi.',
+  'interactions.rule.nsaid-hypertension': 'Dawa za maumivu za kupunguza uvimbe zinaweza kupandisha shinikizo la damu.',
+  'interactions.rule.nsaid-asthma': 'Kwa baadhi ya watu wenye pumu, dawa za maumivu za kupunguza uvimbe huchochea shambulio la pumu.',
+  'interactions.rule.nsaid-pregnancy': 'Dawa za maumivu za kupunguza uvimbe kwa kawaida hazipendekezwi wakati wa ujauzito. Paracetamol hupendelewa.',
+  'interactions.rule.aspirin-children': 'Aspirini haipaswi kupewa watoto walio chini ya miaka 16 kwa sababu ya hatari ya sindromu ya Reye.',
+  'interactions.rule.decongestant-cardiovascular': 'Dawa za kuzibua pua zinaweza kupandisha shinikizo la damu na mapigo ya moyo.',
+  'interactions.rule.paracetamol-liver': 'Ukiwa na ugonjwa wa ini, paracetamol inaweza kuhitaji dozi ndogo zaidi. Wasiliana na daktari.',
+  'interactions.rule.metformin-kidney': 'Metformin inaweza kuhitaji dozi ndogo au kusitishwa figo zisipofanya kazi vizuri.',
+  'interactions.rule.beta-blocker-asthma': 'Aina hii ya beta-blocker inaweza kuchochea mashambulio makali ya pumu.',
+  'interactions.rule.steroid-diabetes': 'Steroidi hupandisha sukari kwenye damu. Pima sukari yako mara nyingi zaidi.',
+  'interactions.rule.sedating-antihistamine-glaucoma': 'Dawa za mzio zinazoleta usingizi zinaweza kuzidisha hali hii.',
+
+  'advice.general': 'Ushauri wa jumla',
+  'advice.symptoms': 'Ushauri kwa kila dalili',
+  'advice.seekCare': 'Wakati wa kutafuta msaada wa matibabu',
+  'advice.sources': 'Vyanzo',
+  'advice.severity.info': 'Kujitunza',
+  'advice.severity.caution': 'Fuatilia kwa karibu',
+  'advice.severity.urgent': 'Dharura',
+
+  'trials.status': 'Hali',
+  'trials.phase': 'Awamu',
+  'trials.sex': 'Jinsia',
+  'trials.any': 'Yoyote',
+  'trials.recruitingSoonOrNow': 'Wanaandikisha sasa au hivi karibuni',
+  'trials.female': 'Mwanamke',
+  'trials.male': 'Mwanamume',
+  'trials.nearMe': 'Ndani ya km {km} kutoka nilipo',
+  'trials.showing': 'Inaonyesha {count} kati ya {total}',
+  'trials.none': 'Hakuna majaribio ya kliniki yanayohusika yaliyopatikana.',
+  'trials.loading': 'Inapakia...',
+  'trials.loadMore': 'Pakia majaribio zaidi',
+  'trials.loadFailed': 'Imeshindwa kupakia majaribio ya kliniki.',
+  'trials.noGeolocation': 'Kivinjari chako hakiwezi kushiriki mahali ulipo.',
+  'trials.geolocationFailed': 'Hatukuweza kupata mahali ulipo.',
+  'trials.statuses.RECRUITING': 'Wanaandikisha',
+  'trials.statuses.NOT_YET_RECRUITING': 'Bado hawajaanza kuandikisha',
+  'trials.statuses.ENROLLING_BY_INVITATION': 'Kuandikisha kwa mwaliko',
+  'trials.statuses.ACTIVE_NOT_RECRUITING': 'Linaendelea, haliandikishi',
+  'trials.statuses.COMPLETED': 'Limekamilika',
+  'trials.phases.EARLY_PHASE1': 'Awamu ya 1 ya mapema',
+  'trials.phases.PHASE1': 'Awamu ya 1',
+  'trials.phases.PHASE2': 'Awamu ya 2',
+  'trials.phases.PHASE3': 'Awamu ya 3',
+  'trials.phases.PHASE4': 'Awamu ya 4',
+  'trial.ages.between': 'Kuanzia {min} hadi {max}',
+  'trial.ages.from': '{min} na zaidi',
+  'trial.ages.upTo': 'Hadi {max}',
+  'trial.ages.any': 'Umri wowote',
+  'trial.contact': 'Mawasiliano ya utafiti',
+  'trial.kmAway': 'Umbali wa km {km}',
+  'trial.preScreening': 'Uchunguzi wa awali',
+  'trial.onlyStudyTeam': 'Ni timu ya utafiti pekee inayoweza kuthibitisha kama unaweza kushiriki.',
+  'trial.whoCanJoin': 'Nani anaweza kujiunga',
+  'trial.sex.ALL': 'Jinsia zote',
+  'trial.sex.FEMALE': 'Wanawake pekee',
+  'trial.sex.MALE': 'Wanaume pekee',
+  'trial.healthyVolunteers': 'Inakubali wajitolea wenye afya',
+  'trial.sites': 'Vituo',
+  'trial.moreSites': 'na {count} zaidi',
+  'trial.contacts': 'Mawasiliano',
+  'trial.fullDetails': 'Maelezo kamili kwenye ClinicalTrials.gov',
+  'eligibility.label.likely-eligible': 'Huenda unastahili',
+  'eligibility.label.possibly': 'Labda unastahili',
+  'eligibility.label.ineligible': 'Huenda hustahili',
+  'eligibility.months': 'miezi {months}',
+  'eligibility.ages.range': 'umri wa {min} hadi {max}',
+  'eligibility.ages.from': 'umri wa {min} na zaidi',
+  'eligibility.age.noLimits': 'Hakuna kikomo cha umri',
+  'eligibility.age.unknown': 'Jaribio ni la watu wa {ages}, umri wako haujulikani',
+  'eligibility.age.outside': 'Jaribio ni la watu wa {ages}',
+  'eligibility.age.fits': 'Umri wako unafaa ({ages})',
+  'eligibility.age.partly': 'Jaribio ni la watu wa {ages}, umri wako unafaa kwa sehemu tu',
+  'eligibility.sex.onlyWomen': 'Kwa wanawake pekee',
+  'eligibility.sex.onlyMen': 'Kwa wanaume pekee',
+  'eligibility.sex.openWomen': 'Wazi kwa wanawake',
+  'eligibility.sex.openMen': 'Wazi kwa wanaume',
+  'eligibility.healthyVolunteers': 'Inakubali wajitolea wenye afya',
+  'eligibility.noTerms': 'Hakuna magonjwa au dalili za kulinganisha',
+  'eligibility.studies': 'Inachunguza: {conditions}',
+  'eligibility.notMentioned': 'Magonjwa yako hayatajwi katika vigezo vya jaribio',
+  'eligibility.excludes': 'Haiwahusishi watu wenye {condition}: "{criterion}"',
+
+  'profile.saving': 'Inahifadhi...',
+  'profile.saved': 'Imehifadhiwa',
+  'profile.location': 'Mahali',
+  'profile.locationHint': 'Nchi, mkoa au mji',
+  'profile.conditions': 'Magonjwa ya muda mrefu',
+  'profile.onePerLine': 'Moja kwa kila mstari',
+  'profile.medications': 'Dawa',
+  'profile.medicationsHint': 'Moja kwa kila mstari, mfano Metformin 500 mg mara mbili kwa siku',
+  'profile.recognized': '{name}: imetambuliwa, inakaguliwa kwa mwingiliano',
+  'profile.notRecognized': '{name}: haipo kwenye orodha yetu ya dawa, hatuwezi kukagua mwingiliano wake',
+  'profile.allergies': 'Mzio',
+  'profile.save': 'Hifadhi',
+  'profile.reading': 'Inasoma rekodi ya afya...',
+  'profile.imported': 'Imejazwa kutoka kwenye rekodi yako ya afya, ikague kisha uhifadhi',
+  'profile.nothingImported': 'Hakuna jipya katika rekodi hii ya afya',
+  'profile.title': 'Wasifu wangu wa afya',
+  'profile.close': 'Funga wasifu',
+  'profile.intro': 'Tunatumia haya katika kila mazungumzo. Ujumbe ukisema kitu tofauti, ujumbe ndio unatumika kwa jibu hilo na tunakuuliza kama usasishe wasifu wako.',
+  'profile.import': 'Leta kutoka kwenye rekodi ya afya',
+  'profile.importHint': 'Faili ya FHIR (.json) kutoka kliniki yako. Hakuna kinachohifadhiwa hadi ubonyeze Hifadhi',
+  'profile.age': 'Umri',
+  'profile.sex': 'Jinsia',
+  'profile.sexUnknown': 'Sipendi kusema',
+  'profile.female': 'Mwanamke',
+  'profile.male': 'Mwanamume',
+}
+
+export default sw
@@ -0,0 +1,79 @@
+// Photos sent with a message, e.g. of a rash or a wound, as { mimeType, data: Buffer }
+// The page already resizes them and re-encodes them without EXIF (see ./resize), but we don't rely on the client:
+// only JPEG and PNG are accepted, checked by their first bytes, and every metadata block is dropped again here
+// They are passed to the vision model (see `@/lib/extraction/visual`) and never stored
+
+export const MAX_IMAGES = Math.max(1, parseInt(process.env.MAX_IMAGES) || 3)
+
+// A phone photo resized to 1600 pixels is a few hundred KB, this leaves room for PNG screenshots
+export const MAX_IMAGE_BYTES = Math.max(1, parseInt(process.env.MAX_IMAGE_BYTES) || 2 * 1024 * 1024)
+
+const SIGNATURES = {
+  'image/jpeg': [0xff, 0xd8, 0xff],
+  'image/png': [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+}
+
+export const IMAGE_TYPES = Object.keys(SIGNATURES)
+
+// What the bytes are, whatever the upload claimed, or null for anything we don't take
+export function sniffImageType(data) {
+  return IMAGE_TYPES.find(type => SIGNATURES[type].every((byte, index) => data[index] === byte)) || null
+}
+
+// Returns null when the images are fine, or { status, code, error, details } describing why not,
+// like `checkUserInput` in `@/lib/protection/input`
+export function checkImages(images) {
+  if (images.length > MAX_IMAGES) {
+    return { status: 413, code: 'too_many_images', error: `At most ${MAX_IMAGES} images can be sent with a message`, details: { maxImages: MAX_IMAGES } }
+  }
+  if (images.some(image => image.data.length > MAX_IMAGE_BYTES)) {
+    return { status: 413, code: 'image_too_large', error: `Images can be at most ${MAX_IMAGE_BYTES} bytes`, details: { maxBytes: MAX_IMAGE_BYTES } }
+  }
+  if (images.some(image => !sniffImageType(image.data))) {
+    return { status: 415, code: 'invalid_image', error: 'Images must be JPEG or PNG', details: {} }
+  }
+  return null
+}
+
+// JPEG is a list of segments: FF xx and a 2-byte length. APP1 to APP15 carry EXIF (with GPS), XMP, IPTC and
+// maker notes, COM carries comments. APP0 (JFIF) and APP14 (Adobe) only say how to decode the pixels, they stay
+function stripJpeg(data) {
+  const kept = [data.subarray(0, 2)]
+  let offset = 2
+
+  while (offset + 4 <= data.length && data[offset] === 0xff) {
+    const marker = data[offset + 1]
+    // Start of scan: the compressed pixels follow, there is no metadata after this
+    if (marker === 0xda) break
+    const end = offset + 2 + data.readUInt16BE(offset + 2)
+    const isMetadata = (marker >= 0xe1 && marker <= 0xef && marker !== 0xee) || marker === 0xfe
+    if (!isMetadata) kept.push(data.subarray(offset, end))
+    offset = end
+  }
+
+  kept.push(data.subarray(offset))
+  return Buffer.concat(kept)
+}
+
+// PNG is a list of chunks: length, type, data, CRC. Text chunks and eXIf can say anything about the photo
+const PNG_METADATA_CHUNKS = new Set(['tEXt', 'zTXt', 'iTXt', 'eXIf', 'tIME'])
+
+function stripPng(data) {
+  const kept = [data.subarray(0, 8)]
+  let offset = 8
+
+  while (offset + 12 <= data.length) {
+    const end = offset + 12 + data.readUInt32BE(offset)
+    const type = data.toString('latin1', offset + 4, offset + 8)
+    if (!PNG_METADATA_CHUNKS.has(type)) kept.push(data.subarray(offset, end))
+    offset = end
+  }
+
+  return Buffer.concat(kept)
+}
+
+// The image without anything but its pixels, with its real type
+export function stripMetadata({ data }) {
+  const mimeType = sniffImageType(data)
+  return { mimeType, data: mimeType === 'image/png' ? stripPng(data) : stripJpeg(data) }
+}
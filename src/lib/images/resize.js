@@ -0,0 +1,41 @@
+// Photos picked in the browser, made ready to send (browser only)
+// Drawing a photo on a canvas and encoding it again keeps only its pixels: the EXIF block, with the GPS position,
+// the time and the phone it was taken with, doesn't survive. Big photos are scaled down on the way,
+// a rash doesn't need 12 megapixels and a slow connection shouldn't have to carry them
+// The server checks and strips them again (see `@/lib/images`)
+
+export const MAX_IMAGES = 3
+
+const MAX_SIDE = 1600
+const THUMBNAIL_SIDE = 160
+const QUALITY = 0.85
+
+async function draw(file, maxSide) {
+  // "from-image" turns the pixels the way the EXIF orientation said, before that information is gone
+  const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' })
+  const scale = Math.min(1, maxSide / Math.max(bitmap.width, bitmap.height))
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.round(bitmap.width * scale)
+  canvas.height = Math.round(bitmap.height * scale)
+  const context = canvas.getContext('2d')
+  // JPEG has no transparency, screenshots with some get a white background instead of a black one
+  context.fillStyle = '#fff'
+  context.fillRect(0, 0, canvas.width, canvas.height)
+  context.drawImage(bitmap, 0, 0, canvas.width, canvas.height)
+  bitmap.close()
+  return canvas
+}
+
+// { blob, thumbnail } for one picked file: `blob` is the JPEG to send, `thumbnail` a small data URL to show in the chat
+// Throws for files the browser can't read as an image
+export async function prepareImage(file) {
+  const canvas = await draw(file, MAX_SIDE)
+  const blob = await new Promise((resolve, reject) => canvas.toBlob(
+    result => result ? resolve(result) : reject(new Error('Could not encode the image')),
+    'image/jpeg',
+    QUALITY
+  ))
+
+  const small = await draw(blob, THUMBNAIL_SIDE)
+  return { blob, thumbnail: small.toDataURL('image/jpeg', 0.7) }
+}
@@ -0,0 +1,180 @@
+import { withGeography, resolveLocation } from '@/lib/geo'
+import { withTerminology, normalizeTerm, symptomKey } from '@/lib/terminology'
+import { extractAge, extractSeverity } from '@/lib/extraction/heuristics'
+
+// Guided intake: before advising on a new health issue we make sure we know the minimum to advise on,
+//   at least one symptom, how long the main one has lasted and how bad it is, whether there's a fever
+//   when that matters, the user's age and where they are
+// and ask for whatever is missing, one question at a time, with quick replies the client shows as chips
+// A question is only ever asked once (an answer we can't use counts as "we don't know"), there are at most
+// MAX_QUESTIONS per issue, and the user can skip the rest at any point
+//
+// While it runs, the session keeps the intake in progress:
+//   { draft, asked: [questionId], pending: question }
+// where `draft` is everything learnt so far, as one extracted record, and every question is
+//   { id, kind: 'symptoms' | 'duration' | 'severity' | 'fever' | 'age' | 'location', symptom, choices: [value] }
+// Only ids and values travel, the client words the question and its choices in the user's language
+
+const MAX_QUESTIONS = Math.max(1, parseInt(process.env.INTAKE_MAX_QUESTIONS) || 5)
+
+// The quick replies and what each one means. Free-text answers are read with the same rules as messages
+const COMMON_SYMPTOMS = ['fever', 'cough', 'headache', 'abdominal-pain', 'diarrhea']
+
+const DURATIONS = {
+  today: 'less than a day',
+  'days-1-3': '1 to 3 days',
+  'days-4-7': '4 to 7 days',
+  'over-week': 'more than a week',
+  'over-month': 'more than a month',
+}
+
+const AGE_RANGES = {
+  'under-18': { min: 0, max: 17 },
+  '18-39': { min: 18, max: 39 },
+  '40-64': { min: 40, max: 64 },
+  '65-plus': { min: 65, max: null },
+}
+
+// Symptoms where whether there is also a fever changes the advice
+const FEVER_RELATED = ['cough', 'sore-throat', 'headache', 'muscle-pain', 'joint-pain', 'chills', 'diarrhea', 'vomiting', 'abdominal-pain', 'rash', 'runny-nose']
+
+const YES = /^(yes|yeah|yep|oui|s[ií]|ndiyo|ndio)\b/iu
+
+// Something that reads like a time ("3 days", "since yesterday", "depuis lundi", "tangu jana")
+const TIME_WORDS = /\d|\b(hours?|days?|weeks?|months?|years?|since|yesterday|today|heures?|jours?|semaines?|mois|ans?|depuis|hier|horas?|d[ií]as?|semanas?|meses|mes|años?|desde|ayer|hoy|saa|siku|wiki|mwezi|miezi|mwaka|tangu|jana|leo)\b/iu
+
+const FROM_INTAKE = { source: 'intake', confidence: 1 }
+
+// The questions the record still leaves open, most important first
+function openQuestions({ symptoms, age, location }) {
+  const main = symptoms[0]
+  const hasFever = symptoms.some(symptom => symptom.concept?.id === 'fever')
+  const feverMatters = symptoms.some(symptom => FEVER_RELATED.includes(symptom.concept?.id))
+
+  return [
+    !main && { id: 'symptoms', kind: 'symptoms', symptom: null, choices: COMMON_SYMPTOMS },
+    main && !main.onset && !main.duration && { id: `duration:${symptomKey(main)}`, kind: 'duration', symptom: main.name, choices: Object.keys(DURATIONS) },
+    main && !main.severity && { id: `severity:${symptomKey(main)}`, kind: 'severity', symptom: main.name, choices: ['mild', 'moderate', 'severe'] },
+    main && !hasFever && feverMatters && { id: 'fever', kind: 'fever', symptom: null, choices: ['yes', 'no', 'unknown'] },
+    !age && { id: 'age', kind: 'age', symptom: null, choices: Object.keys(AGE_RANGES) },
+    !location && { id: 'location', kind: 'location', symptom: null, choices: [] },
+  ].filter(Boolean)
+}
+
+// Whatever the record says about its main symptom, as a copy we can change
+function updateMainSymptom(record, changes) {
+  const [main, ...rest] = record.symptoms
+  return { ...record, symptoms: [{ ...main, ...changes }, ...rest] }
+}
+
+const withProvenance = (record, field) => ({ ...record, provenance: { ...record.provenance, [field]: FROM_INTAKE } })
+
+// Fills in the field `question` asks about, from a quick reply (`value`) or what the user typed (`text`)
+// Answers we can't make sense of leave the record as it was
+function applyAnswer(record, question, { value, text }) {
+  const reply = (text || '').trim()
+
+  switch (question.kind) {
+    case 'symptoms': {
+      const names = value ? [normalizeTerm(value.replace(/-/g, ' '))?.term || value] : reply.split(/\s*,\s*|\s+(?:and|et|y|na)\s+/).filter(Boolean)
+      const symptoms = names.map(name => ({ name: name.toLowerCase(), onset: null, duration: null, severity: extractSeverity(name), trend: null }))
+      return symptoms.length > 0 ? withProvenance({ ...record, symptoms: [...record.symptoms, ...symptoms] }, 'symptoms') : record
+    }
+    case 'duration': {
+      const duration = value ? DURATIONS[value] : TIME_WORDS.test(reply) && reply.slice(0, 100)
+      return duration ? withProvenance(updateMainSymptom(record, { duration }), 'symptoms') : record
+    }
+    case 'severity': {
+      const severity = value || extractSeverity(reply)
+      return severity ? withProvenance(updateMainSymptom(record, { severity }), 'symptoms') : record
+    }
+    case 'fever': {
+      const hasFever = value ? value === 'yes' : YES.test(reply) || normalizeTerm(reply)?.id === 'fever'
+      if (!hasFever) return record
+      const fever = { name: 'fever', onset: null, duration: null, severity: null, trend: null }
+      return withProvenance({ ...record, symptoms: [...record.symptoms, fever] }, 'symptoms')
+    }
+    case 'age': {
+      const age = value ? AGE_RANGES[value] : extractAge(reply) || (/^\d{1,3}$/.test(reply) && parseInt(reply) <= 130 ? { min: parseInt(reply), max: parseInt(reply) } : null)
+      return age ? withProvenance({ ...record, age }, 'age') : record
+    }
+    // Only a place we know, anything could be taken for a place name otherwise
+    case 'location':
+      return resolveLocation(reply) ? withProvenance({ ...record, location: { text: reply.slice(0, 100), country: null, region: null } }, 'location') : record
+    default:
+      return record
+  }
+}
+
+// A new message adds to what we had: what it says about age and location replaces what we knew
+// (unless that only came from the profile again), its symptoms and conditions are added
+// Each field keeps the provenance of whichever message last said something about it
+function mergeIntoDraft(draft, extractedData) {
+  const said = {
+    age: extractedData.age && extractedData.provenance?.age?.source !== 'profile',
+    location: extractedData.location && extractedData.provenance?.location?.source !== 'profile',
+    conditions: extractedData.conditions.length > 0,
+    symptoms: extractedData.symptoms.length > 0,
+  }
+  const provenance = { ...extractedData.provenance, ...draft.provenance }
+  for (const field of Object.keys(said)) {
+    if (said[field]) provenance[field] = extractedData.provenance?.[field]
+  }
+
+  return {
+    ...extractedData,
+    age: said.age ? extractedData.age : draft.age ?? extractedData.age,
+    location: said.location ? extractedData.location : draft.location ?? extractedData.location,
+    conditions: [...draft.conditions, ...extractedData.conditions],
+    symptoms: [...draft.symptoms, ...extractedData.symptoms],
+    provenance,
+  }
+}
+
+// Geography and terminology again, since answers can add a location or symptoms (and repeat one we had)
+const refresh = record => withTerminology(withGeography(record))
+
+// Whether a message starts an intake: a new health issue (not a question about the last one)
+// that nothing more urgent is going on with
+export function shouldStartIntake(extractedData, triage) {
+  return !extractedData.isFollowUp && triage.urgency === 'routine'
+}
+
+// Combines a message with the intake in progress, returning the record to work with from now on
+// `answer` is { question, value } when the user tapped a quick reply, which only counts for the question we asked
+// `skip` is set when the user asked for advice without answering
+export function continueIntake(intake, extractedData, { userInput, answer, skip = false }) {
+  const pending = intake.pending
+  if (answer && pending && answer.question === pending.id && pending.choices.includes(answer.value)) {
+    return refresh(applyAnswer(intake.draft, pending, { value: answer.value }))
+  }
+
+  const merged = refresh(mergeIntoDraft(intake.draft, extractedData))
+  // When the message didn't fill in what we asked, the whole message is taken as the answer
+  const stillOpen = pending && !skip && openQuestions(merged).some(question => question.id === pending.id)
+  return stillOpen ? refresh(applyAnswer(merged, pending, { text: userInput })) : merged
+}
+
+// The next step of the intake for `record`: a question to ask, or null when we know enough
+// Returns the intake to keep in the session along with it
+export function nextQuestion(record, intake) {
+  const asked = intake?.asked || []
+  const question = asked.length < MAX_QUESTIONS
+    ? openQuestions(record).find(candidate => !asked.includes(candidate.id))
+    : null
+
+  if (!question) return { question: null, intake: null }
+  return { question, intake: { draft: record, asked: [...asked, question.id], pending: question } }
+}
+
+// For the conversation history in prompts, e.g. "how long the cough has lasted"
+export function describeQuestion(question) {
+  return {
+    symptoms: 'what symptoms they have',
+    duration: `how long the ${question.symptom} has lasted`,
+    severity: `how bad the ${question.symptom} is`,
+    fever: 'whether they have a fever',
+    age: 'how old they are',
+    location: 'where they are',
+  }[question.kind]
+}
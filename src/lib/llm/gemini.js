@@ -0,0 +1,29 @@
+import { GoogleGenerativeAI } from '@google/generative-ai'
+
+// Gemini provider, backed by Google's official SDK
+// The API key comes from GEMINI_API_KEY, same as before the provider layer existed
+export function createGeminiProvider({ model = 'gemini-pro' } = {}) {
+  const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY)
+
+  return {
+    name: 'gemini',
+    model,
+
+    // Images go in as inline data next to the prompt, which takes a model that can see (gemini-1.5-flash and later)
+    async generateText(prompt, { images = [], signal } = {}) {
+      const parts = images.length === 0
+        ? prompt
+        : [prompt, ...images.map(({ mimeType, data }) => ({ inlineData: { mimeType, data: data.toString('base64') } }))]
+      const result = await genAI.getGenerativeModel({ model }).generateContent(parts, { signal })
+      const response = await result.response
+      return response.text()
+    },
+
+    async *streamText(prompt, { signal } = {}) {
+      const result = await genAI.getGenerativeModel({ model }).generateContentStream(prompt, { signal })
+      for await (const chunk of result.stream) {
+        yield chunk.text()
+      }
+    },
+  }
+}
@@ -0,0 +1,78 @@
+import { createGeminiProvider } from './gemini'
+import { createOpenAIProvider } from './openai'
+import { createMockProvider } from './mock'
+import { createUpstream } from '@/lib/upstream'
+
+// Every provider exposes the same small surface:
+//   name, model
+//   generateText(prompt, { json, images, context, signal }) -> Promise<string>
+//   streamText(prompt, { json, context, signal }) -> AsyncIterable<string>
+// `json` hints that the caller will parse the output as JSON, `images` ([{ mimeType, data: Buffer }]) go along
+// with the prompt for models that can see, `context` carries the raw values behind the prompt
+// (only the mock provider uses it), `signal` aborts the request
+const factories = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider,
+}
+
+const providers = new Map()
+
+// Every call to a provider has a time limit, is retried on transient errors and stops for a while
+// when the provider keeps failing (see `@/lib/upstream`). Stages share one circuit breaker per provider
+// LLM_TIMEOUT_MS is the limit per attempt (default 60 seconds), LLM_RETRIES how many times we try again (default 2)
+const upstreams = new Map()
+
+function upstreamFor(name) {
+  if (!upstreams.has(name)) {
+    upstreams.set(name, createUpstream(name, {
+      timeoutMs: Math.max(1, parseInt(process.env.LLM_TIMEOUT_MS) || 60000),
+      retries: Math.max(0, parseInt(process.env.LLM_RETRIES ?? 2) || 0),
+    }))
+  }
+  return upstreams.get(name)
+}
+
+function withUpstream(provider) {
+  const upstream = upstreamFor(provider.name)
+
+  return {
+    ...provider,
+
+    generateText(prompt, options = {}) {
+      return upstream.call(signal => provider.generateText(prompt, { ...options, signal }), { signal: options.signal })
+    },
+
+    // A stream is only retried until its first chunk: after that the caller has already passed part of it on,
+    // and the time limit no longer applies, since long answers take long to stream
+    streamText: provider.streamText && async function* (prompt, options = {}) {
+      const { iterator, first } = await upstream.call(async signal => {
+        const iterator = provider.streamText(prompt, { ...options, signal })[Symbol.asyncIterator]()
+        return { iterator, first: await iterator.next() }
+      }, { signal: options.signal })
+
+      if (first.done) return
+      yield first.value
+      yield* { [Symbol.asyncIterator]: () => iterator }
+    },
+  }
+}
+
+// Each pipeline stage ("extraction", "advice", ...) picks its provider and model from the environment:
+//   LLM_<STAGE>_PROVIDER / LLM_<STAGE>_MODEL, falling back to LLM_PROVIDER / LLM_MODEL
+// Without any configuration everything runs on Gemini, like it always has
+export function getProvider(stage) {
+  const prefix = `LLM_${stage.toUpperCase()}_`
+  const name = (process.env[`${prefix}PROVIDER`] || process.env.LLM_PROVIDER || 'gemini').toLowerCase()
+  const model = process.env[`${prefix}MODEL`] || process.env.LLM_MODEL || undefined
+
+  const key = `${stage}:${name}:${model || ''}`
+  if (!providers.has(key)) {
+    const factory = factories[name]
+    if (!factory) {
+      throw new Error(`Unknown LLM provider "${name}" for stage "${stage}". Expected one of: ${Object.keys(factories).join(', ')}`)
+    }
+    providers.set(key, withUpstream(factory({ model, stage })))
+  }
+  return providers.get(key)
+}
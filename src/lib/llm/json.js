@@ -0,0 +1,80 @@
+// Helpers for stages that ask the model for JSON and validate what comes back
+
+// Pulls the JSON object out of a model response, tolerating code fences and chatter around it
+export function parseModelJson(text) {
+  const cleaned = text.replace(/```(?:json)?/gi, '').trim()
+  const start = cleaned.indexOf('{')
+  const end = cleaned.lastIndexOf('}')
+  if (start === -1 || end < start) {
+    throw new Error('Response does not contain a JSON object')
+  }
+  return JSON.parse(cleaned.slice(start, end + 1))
+}
+
+// The JSON object a model is still writing, as far as it goes: the string being written is cut where it is,
+// and whatever can't be closed yet (a key without its value, half a number) is left out
+// Returns null while there isn't an object yet
+export function parsePartialJson(text) {
+  const cleaned = text.replace(/```(?:json)?/gi, '')
+  const start = cleaned.indexOf('{')
+  if (start === -1) return null
+  const json = cleaned.slice(start)
+
+  const closers = []
+  // Where the text can be cut and closed: before every comma and after every opening bracket
+  const cuts = []
+  let inString = false
+  let escaped = false
+  for (let index = 0; index < json.length; index++) {
+    const char = json[index]
+    if (inString) {
+      if (escaped) escaped = false
+      else if (char === '\\') escaped = true
+      else if (char === '"') inString = false
+    } else if (char === '"') {
+      inString = true
+    } else if (char === '{' || char === '[') {
+      closers.push(char === '{' ? '}' : ']')
+      cuts.push({ end: index + 1, closing: [...closers].reverse().join('') })
+    } else if (char === '}' || char === ']') {
+      closers.pop()
+      if (closers.length === 0) return parseOrNull(json.slice(0, index + 1))
+    } else if (char === ',') {
+      cuts.push({ end: index, closing: [...closers].reverse().join('') })
+    }
+  }
+
+  // A backslash or \u escape that isn't complete yet can't be closed
+  const whole = inString ? `${escaped ? json.slice(0, -1) : json.replace(/\\u[0-9a-f]{0,3}$/i, '')}"` : json
+  const value = parseOrNull(whole + [...closers].reverse().join(''))
+  if (value) return value
+
+  // The latest cut that makes valid JSON
+  for (const { end, closing } of [...cuts].reverse()) {
+    const cut = parseOrNull(json.slice(0, end) + closing)
+    if (cut) return cut
+  }
+  return null
+}
+
+function parseOrNull(json) {
+  try {
+    return JSON.parse(json)
+  } catch {
+    return null
+  }
+}
+
+// Sends the validation problems back to the model together with its previous answer
+export function buildRepairPrompt(originalPrompt, previousOutput, problems) {
+  return `${originalPrompt}
+
+    Your previous response was not valid:
+    ${problems}
+
+    Previous response:
+    ${previousOutput}
+
+    Return the corrected JSON object only.
+  `
+}
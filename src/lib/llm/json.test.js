@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest'
+import { parseModelJson, parsePartialJson } from './json'
+
+describe('parseModelJson', () => {
+  it('reads an object out of code fences and chatter', () => {
+    expect(parseModelJson('Here you go:\n```json\n{"a": 1}\n```')).toEqual({ a: 1 })
+  })
+
+  it('throws without an object', () => {
+    expect(() => parseModelJson('no json here')).toThrow()
+  })
+})
+
+describe('parsePartialJson', () => {
+  it.each([
+    ['', null],
+    ['```json\n', null],
+    ['{', {}],
+    ['{"answer": "Rest and dri', { answer: 'Rest and dri' }],
+    ['{"answer": "say \\"hi', { answer: 'say "hi' }],
+    ['{"answer": "a\\', { answer: 'a' }],
+    ['{"answer": "caf\\u00', { answer: 'caf' }],
+    ['{"answer": null, "gen', { answer: null }],
+    ['{"answer": null, "general":', { answer: null }],
+    ['{"general": [{"text": "Drink water", "sev', { general: [{ text: 'Drink water' }] }],
+    ['{"general": [{"text": "Drink water"}, {"te', { general: [{ text: 'Drink water' }, {}] }],
+    ['{"count": 12', { count: 12 }],
+    ['{"ok": tr', {}],
+    ['{"a": [1, 2]} and some chatter', { a: [1, 2] }],
+  ])('reads %j', (text, expected) => {
+    expect(parsePartialJson(text)).toEqual(expected)
+  })
+})
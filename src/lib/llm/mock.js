@@ -0,0 +1,65 @@
+// Deterministic local provider so the route can run offline (tests, staging, demos)
+// It never reads the prompt itself: callers pass the raw values it needs through `context`,
+// so rewording a prompt can't change what the mock returns
+
+const responders = {
+  // Very rough keyword extraction, just enough to drive the rest of the pipeline
+  extraction: ({ input = '' }) => {
+    const age = parseInt(input.match(/\b(\d{1,3})\b/)?.[1])
+    const location = (input.match(/\b(?:at|in)\s+([A-Z][^.,]*)/)?.[1] || '').trim()
+    const condition = input.match(/\b(?:have|with)\s+(diabetes|asthma|hypertension|hiv|cancer)\b/i)?.[1]?.toLowerCase()
+    return JSON.stringify({
+      age: age ? { min: age, max: age } : null,
+      location: location ? { text: location, country: null, region: null } : null,
+      conditions: condition ? [condition] : [],
+      symptoms: [],
+      isFollowUp: input.trim().endsWith('?'),
+      followUpTopic: null,
+      confidence: { age: 0.5, location: 0.5, conditions: 0.5, symptoms: 0.5, isFollowUp: 0.5 },
+    })
+  },
+
+  // The same finding for any photo, it never looks at them
+  vision: ({ imageCount = 0 }) => JSON.stringify({
+    findings: imageCount > 0
+      ? [{ name: 'rash', description: 'red, slightly raised patches on the skin', severity: null, confidence: 0.5 }]
+      : [],
+    unclear: imageCount === 0,
+  }),
+
+  advice: ({ symptoms = [], isFollowUp = false }) => JSON.stringify({
+    answer: isFollowUp ? 'This is a mock answer generated without calling a language model.' : null,
+    general: [
+      { text: 'This is a mock response generated without calling a language model.', severity: 'info', sources: [] },
+      { text: 'Rest, stay hydrated and monitor your symptoms.', severity: 'info', sources: [0] },
+    ],
+    symptoms: symptoms.map(({ name }) => ({
+      symptom: name,
+      items: [{ text: `Keep a note of how your ${name} changes over the next days.`, severity: 'caution', sources: [] }],
+    })),
+    seekCare: [
+      { text: 'If your symptoms get worse or do not improve, contact a health professional.', severity: 'urgent', sources: [0] },
+    ],
+    sources: [{ title: 'WHO - Health topics', url: 'https://www.who.int/health-topics' }],
+  }),
+}
+
+export function createMockProvider({ model = 'mock', stage } = {}) {
+  return {
+    name: 'mock',
+    model,
+
+    async generateText(prompt, { context = {} } = {}) {
+      const respond = responders[stage]
+      return respond ? respond(context) : ''
+    },
+
+    // Streams the same text word by word, so streaming clients have something to render
+    async *streamText(prompt, options = {}) {
+      const text = await this.generateText(prompt, options)
+      for (const word of text.match(/\S+\s*/g) || []) {
+        yield word
+      }
+    },
+  }
+}
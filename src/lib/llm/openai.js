@@ -0,0 +1,58 @@
+import { parseEventStream } from '@/lib/sse'
+import { responseError } from '@/lib/upstream'
+
+// Provider for any OpenAI-compatible chat completions API (OpenAI itself, vLLM, Ollama, LM Studio, ...)
+// OPENAI_BASE_URL points it at a different server, OPENAI_API_KEY is sent as a bearer token if set
+export function createOpenAIProvider({ model = 'gpt-4o-mini' } = {}) {
+  const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '')
+  const apiKey = process.env.OPENAI_API_KEY
+
+  // With images the message is a list of parts, the way vision models take it
+  const content = (prompt, images = []) => images.length === 0 ? prompt : [
+    { type: 'text', text: prompt },
+    ...images.map(({ mimeType, data }) => ({ type: 'image_url', image_url: { url: `data:${mimeType};base64,${data.toString('base64')}` } })),
+  ]
+
+  async function request({ prompt, images, json, signal, stream = false }) {
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      },
+      body: JSON.stringify({
+        model,
+        messages: [{ role: 'user', content: content(prompt, images) }],
+        stream,
+        // Ask for a bare JSON object when the caller is going to parse the output
+        ...(json ? { response_format: { type: 'json_object' } } : {}),
+      }),
+      signal,
+    })
+
+    if (!response.ok) {
+      throw await responseError('openai', response)
+    }
+    return response
+  }
+
+  return {
+    name: 'openai',
+    model,
+
+    async generateText(prompt, { json = false, images, signal } = {}) {
+      const response = await request({ prompt, images, json, signal })
+      const data = await response.json()
+      return data.choices?.[0]?.message?.content ?? ''
+    },
+
+    async *streamText(prompt, { json = false, signal } = {}) {
+      const response = await request({ prompt, json, signal, stream: true })
+      for await (const { data } of parseEventStream(response.body)) {
+        if (data === '[DONE]') break
+        const text = data.choices?.[0]?.delta?.content
+        if (text) yield text
+      }
+    },
+  }
+}
@@ -0,0 +1,67 @@
+import { redactText } from '@/lib/privacy'
+
+// Structured server logging, one line per entry: createLogger('pipeline').info('Triage', { urgency, flags })
+// What users tell us about their health never ends up in a log:
+//   fields that carry health text (input, symptoms, advice, prompts...) are replaced with their size,
+//   and every other string, error messages included, has names, numbers and addresses redacted (see `@/lib/privacy`)
+// Configured with LOG_LEVEL (debug, info, warn, error or silent, default info)
+// and LOG_FORMAT (json, the default, or pretty for reading in a terminal)
+
+const LEVELS = ['debug', 'info', 'warn', 'error', 'silent']
+
+const HEALTH_FIELDS = new Set([
+  'userInput', 'input', 'conversationHistory', 'extractedData', 'healthAdvice', 'advice',
+  'symptoms', 'conditions', 'medications', 'prompt', 'text', 'responseText',
+])
+
+const MAX_DEPTH = 4
+
+function minimumLevel() {
+  const level = process.env.LOG_LEVEL?.toLowerCase()
+  return LEVELS.includes(level) ? level : 'info'
+}
+
+// "[redacted: 3 items]" is enough to tell an empty list from a full one when debugging
+function describeRedacted(value) {
+  if (value === null || value === undefined) return value
+  if (typeof value === 'string') return `[redacted: ${value.length} characters]`
+  if (Array.isArray(value)) return `[redacted: ${value.length} items]`
+  return '[redacted]'
+}
+
+function sanitize(value, depth = 0) {
+  if (typeof value === 'string') return redactText(value)
+  if (value instanceof Error) {
+    return { name: value.name, message: redactText(value.message), ...(value.code && { code: value.code }) }
+  }
+  if (depth >= MAX_DEPTH) return '[truncated]'
+  if (Array.isArray(value)) return value.map(item => sanitize(item, depth + 1))
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, HEALTH_FIELDS.has(key) ? describeRedacted(item) : sanitize(item, depth + 1)])
+    )
+  }
+  return value
+}
+
+function format(entry) {
+  if (process.env.LOG_FORMAT !== 'pretty') return JSON.stringify(entry)
+
+  const { time, level, scope, message, ...fields } = entry
+  const details = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : ''
+  return `${time} ${level.toUpperCase().padEnd(5)} [${scope}] ${message}${details}`
+}
+
+export function createLogger(scope) {
+  const log = level => (message, fields = {}) => {
+    if (LEVELS.indexOf(level) < LEVELS.indexOf(minimumLevel())) return
+
+    const entry = { time: new Date().toISOString(), level, scope, message: redactText(message), ...sanitize(fields) }
+    const line = format(entry)
+    if (level === 'error') console.error(line)
+    else if (level === 'warn') console.warn(line)
+    else console.log(line)
+  }
+
+  return { debug: log('debug'), info: log('info'), warn: log('warn'), error: log('error') }
+}
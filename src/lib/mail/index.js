@@ -0,0 +1,76 @@
+import { randomUUID } from 'crypto'
+import { getStore } from '@/lib/storage'
+import { createUpstream, responseError } from '@/lib/upstream'
+import { createLogger } from '@/lib/logger'
+
+// Outgoing email, so far only sign-in links (see `@/lib/auth`)
+//   MAIL_ADAPTER=outbox  nothing is sent: messages are kept in the "outbox" store and shown at /dev/mail,
+//                        the default outside production
+//   MAIL_ADAPTER=http    POSTed as JSON { from, to, subject, text, html } to MAIL_HTTP_URL with MAIL_HTTP_TOKEN
+//                        as a bearer token, which is what Resend and similar services take, the default in production
+// MAIL_FROM is the sender
+
+const logger = createLogger('mail')
+
+// The outbox only keeps the latest messages, it's for looking at links in development
+const OUTBOX_SIZE = 50
+
+const mailService = createUpstream('mail', {
+  timeoutMs: Math.max(1, parseInt(process.env.MAIL_TIMEOUT_MS) || 10000),
+  retries: 2,
+})
+
+function adapter() {
+  const name = (process.env.MAIL_ADAPTER || (process.env.NODE_ENV === 'production' ? 'http' : 'outbox')).toLowerCase()
+  if (name !== 'outbox' && name !== 'http') {
+    throw new Error(`Unknown mail adapter "${name}". Expected "outbox" or "http"`)
+  }
+  return name
+}
+
+export const isOutboxEnabled = () => adapter() === 'outbox'
+
+const outbox = () => getStore('outbox')
+
+// Keys sort by the time they were written, oldest first
+async function keepInOutbox(message) {
+  const key = `${Date.now().toString().padStart(15, '0')}-${randomUUID()}`
+  await outbox().set(key, { ...message, sentAt: new Date().toISOString() })
+
+  const keys = (await outbox().list()).sort()
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - OUTBOX_SIZE)).map(old => outbox().delete(old)))
+}
+
+async function post(message) {
+  if (!process.env.MAIL_HTTP_URL) {
+    throw new Error('MAIL_HTTP_URL must be set to send email')
+  }
+  await mailService.call(async signal => {
+    const response = await fetch(process.env.MAIL_HTTP_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(process.env.MAIL_HTTP_TOKEN && { Authorization: `Bearer ${process.env.MAIL_HTTP_TOKEN}` }),
+      },
+      body: JSON.stringify(message),
+      signal,
+    })
+    if (!response.ok) throw await responseError('mail', response)
+  })
+}
+
+export async function sendMail({ to, subject, text, html }) {
+  const message = { from: process.env.MAIL_FROM || 'SimpliHealth <no-reply@localhost>', to, subject, text, html }
+  if (adapter() === 'outbox') {
+    await keepInOutbox(message)
+    logger.info('Mail kept in the outbox, see /dev/mail')
+  } else {
+    await post(message)
+  }
+}
+
+// Newest first
+export async function listOutbox() {
+  const keys = (await outbox().list()).sort().reverse()
+  return (await Promise.all(keys.map(key => outbox().get(key)))).filter(Boolean)
+}
@@ -0,0 +1,92 @@
+import { normalizeMedication, findRemediesInText, getDrug } from './vocabulary'
+import { drugDrugRules, drugConditionRules } from './interactions'
+import { translate, DEFAULT_LANGUAGE } from '@/lib/i18n'
+
+// Deterministic interaction checker. It looks at
+//   the medicines the user declared in their profile,
+//   their conditions (and age, for age-restricted medicines),
+//   and any over-the-counter remedy the generated advice mentions
+// and returns warnings that are shown separately from the model's text:
+//   { id, rule, kind: 'drug-drug' | 'drug-condition', severity, drugs: [name], condition, age, suggestedByAdvice, message }
+// `message` (and `condition`, for the age rules) are in `language`, the client shows them again in its own from `rule` and `age`
+// Remedies and conditions are recognized by their English, French, Spanish and Swahili names
+
+const SEVERITY_ORDER = ['major', 'moderate', 'minor']
+
+function matches(drug, specifiers) {
+  return specifiers.some(specifier => {
+    const [type, value] = specifier.split(':')
+    return type === 'drug' ? drug.id === value : drug.classes.includes(value)
+  })
+}
+
+// Declared medicines resolved to vocabulary entries, unknown ones are skipped (the UI says we can't check them)
+function resolveMedications(medications) {
+  const resolved = new Map()
+  for (const medication of medications) {
+    const drug = (medication.drugId && getDrug(medication.drugId)) || normalizeMedication(medication.name)
+    if (drug) resolved.set(drug.id, drug)
+  }
+  return [...resolved.values()]
+}
+
+function drugDrugWarnings(first, second, suggestedByAdvice, language) {
+  return drugDrugRules
+    .filter(rule => (matches(first, rule.a) && matches(second, rule.b)) || (matches(second, rule.a) && matches(first, rule.b)))
+    .map(rule => ({
+      id: `${rule.id}:${[first.id, second.id].sort().join('+')}`,
+      rule: rule.id,
+      kind: 'drug-drug',
+      severity: rule.severity,
+      drugs: [first.name, second.name],
+      condition: null,
+      age: null,
+      suggestedByAdvice,
+      message: translate(language, `interactions.rule.${rule.id}`),
+    }))
+}
+
+function drugConditionWarnings(drug, conditions, age, suggestedByAdvice, language) {
+  return drugConditionRules.flatMap(rule => {
+    if (!matches(drug, rule.drug)) return []
+
+    if (rule.maxAge !== undefined) {
+      const oldest = age?.max ?? age?.min
+      return oldest !== null && oldest !== undefined && oldest <= rule.maxAge
+        ? [{ rule, condition: translate(language, 'interactions.age', { age: oldest }), age: oldest }]
+        : []
+    }
+
+    return conditions
+      .filter(condition => rule.condition.test(condition.toLowerCase()))
+      .map(condition => ({ rule, condition, age: null }))
+  }).map(({ rule, condition, age: ageLimit }) => ({
+    id: `${rule.id}:${drug.id}`,
+    rule: rule.id,
+    kind: 'drug-condition',
+    severity: rule.severity,
+    drugs: [drug.name],
+    condition,
+    age: ageLimit,
+    suggestedByAdvice,
+    message: translate(language, `interactions.rule.${rule.id}`),
+  }))
+}
+
+export function checkInteractions({ medications = [], conditions = [], age = null, adviceText = '', language = DEFAULT_LANGUAGE }) {
+  const declared = resolveMedications(medications)
+  const declaredIds = new Set(declared.map(drug => drug.id))
+  const remedies = findRemediesInText(adviceText || '').filter(drug => !declaredIds.has(drug.id))
+
+  const warnings = [
+    ...declared.flatMap((drug, index) => declared.slice(index + 1).flatMap(other => drugDrugWarnings(drug, other, false, language))),
+    ...remedies.flatMap(remedy => declared.flatMap(drug => drugDrugWarnings(remedy, drug, true, language))),
+    ...declared.flatMap(drug => drugConditionWarnings(drug, conditions, age, false, language)),
+    ...remedies.flatMap(remedy => drugConditionWarnings(remedy, conditions, age, true, language)),
+  ]
+
+  const unique = [...new Map(warnings.map(warning => [warning.id, warning])).values()]
+  return unique.sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity))
+}
+
+export { normalizeMedication } from './vocabulary'
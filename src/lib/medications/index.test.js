@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest'
+import { checkInteractions, normalizeMedication } from '.'
+
+const ids = warnings => warnings.map(warning => warning.id.split(':')[0])
+
+describe('normalizeMedication', () => {
+  it.each([
+    ['Tylenol 500mg', 'paracetamol'],
+    ['metformin er', 'metformin'],
+    ['ibuprofin', 'ibuprofen'],
+    ['Coumadin', 'warfarin'],
+  ])('reads %s as %s', (text, id) => {
+    expect(normalizeMedication(text)?.id).toBe(id)
+  })
+
+  it('leaves unknown names alone', () => {
+    expect(normalizeMedication('something else')).toBeNull()
+  })
+})
+
+describe('checkInteractions', () => {
+  it.each([
+    ['anticoagulant-nsaid', { medications: [{ name: 'warfarin' }, { name: 'ibuprofen' }] }],
+    ['serotonin-syndrome', { medications: [{ name: 'sertraline' }, { name: 'tramadol' }] }],
+    ['nitrate-pde5', { medications: [{ name: 'nitroglycerin' }, { name: 'sildenafil' }] }],
+    ['nsaid-kidney', { medications: [{ name: 'naproxen' }], conditions: ['chronic kidney disease'] }],
+    ['nsaid-asthma', { medications: [{ name: 'ibuprofen' }], conditions: ['asthma'] }],
+    ['aspirin-children', { medications: [{ name: 'aspirin' }], age: { min: 12, max: 12 } }],
+  ])('warns about %s', (id, input) => {
+    expect(ids(checkInteractions(input))).toContain(id)
+  })
+
+  it.each([
+    ['paracetamol alone', { medications: [{ name: 'paracetamol' }] }],
+    ['aspirin for an adult', { medications: [{ name: 'aspirin' }], age: { min: 40, max: 40 } }],
+    ['ibuprofen without conditions', { medications: [{ name: 'ibuprofen' }], conditions: ['eczema'] }],
+  ])('says nothing for %s', (_, input) => {
+    expect(checkInteractions(input)).toEqual([])
+  })
+
+  it('checks remedies the advice suggests against declared medicines', () => {
+    const [warning] = checkInteractions({ medications: [{ name: 'warfarin' }], adviceText: 'You can take ibuprofen for the pain.' })
+    expect(warning).toMatchObject({ kind: 'drug-drug', severity: 'major', suggestedByAdvice: true })
+  })
+
+  it.each([
+    'Vous pouvez prendre de l\'ibuprofène contre la douleur.',
+    'Puede tomar ibuprofeno para el dolor.',
+    'Unaweza kutumia ibuprofeni kwa maumivu.',
+  ])('finds the remedy the advice suggests in "%s"', (adviceText) => {
+    expect(ids(checkInteractions({ medications: [{ name: 'warfarin' }], adviceText }))).toContain('anticoagulant-nsaid')
+  })
+
+  it.each([
+    ['nsaid-kidney', 'insuffisance rénale'],
+    ['nsaid-kidney', 'enfermedad del riñón'],
+    ['nsaid-kidney', 'ugonjwa wa figo'],
+    ['nsaid-asthma', 'asthme'],
+    ['nsaid-asthma', 'asma'],
+    ['nsaid-asthma', 'pumu'],
+  ])('warns about %s for "%s"', (id, condition) => {
+    expect(ids(checkInteractions({ medications: [{ name: 'ibuprofen' }], conditions: [condition] }))).toContain(id)
+  })
+
+  it('gives the warning in the language asked for', () => {
+    const [warning] = checkInteractions({ medications: [{ name: 'ibuprofen' }], conditions: ['asthme'], language: 'fr' })
+    expect(warning).toMatchObject({ rule: 'nsaid-asthma', condition: 'asthme' })
+    expect(warning.message).not.toBe('interactions.rule.nsaid-asthma')
+  })
+
+  it('puts major warnings first', () => {
+    const warnings = checkInteractions({ medications: [{ name: 'warfarin' }, { name: 'paracetamol' }, { name: 'ibuprofen' }] })
+    expect(warnings.map(warning => warning.severity)).toEqual(['major', 'moderate'])
+  })
+})
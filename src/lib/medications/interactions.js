@@ -0,0 +1,204 @@
+// Interaction rules for the deterministic checker
+// Drugs are referred to as "drug:<id>" or "class:<class>" (see ./vocabulary)
+//
+// Drug-drug rules fire when one medicine matches `a` and another matches `b`
+// Drug-condition rules fire when a medicine matches `drug` and a condition matches `condition`,
+// or (for `maxAge`) when the person is at most that old
+// Conditions are written however the user wrote them, so `condition` knows the French, Spanish and Swahili names too
+//
+// severity: "major" (avoid the combination / get advice first), "moderate" (use with care), "minor"
+// What each warning tells the user is in the message catalogs (see `@/lib/i18n`), as "interactions.rule.<id>"
+// This is not a complete interaction database. It covers common, well-established combinations involving
+// medicines that people buy over the counter or that our advice tends to mention
+
+export const drugDrugRules = [
+  {
+    id: 'anticoagulant-nsaid',
+    a: ['class:anticoagulant'],
+    b: ['class:nsaid'],
+    severity: 'major',
+  },
+  {
+    id: 'anticoagulant-antiplatelet',
+    a: ['class:anticoagulant'],
+    b: ['class:antiplatelet', 'class:bleeding-risk-herbal'],
+    severity: 'major',
+  },
+  {
+    id: 'warfarin-enzyme-inhibitors',
+    a: ['drug:warfarin'],
+    b: ['drug:ciprofloxacin', 'drug:clarithromycin', 'drug:fluconazole', 'drug:doxycycline'],
+    severity: 'major',
+  },
+  {
+    id: 'warfarin-paracetamol',
+    a: ['drug:warfarin'],
+    b: ['drug:paracetamol'],
+    severity: 'moderate',
+  },
+  {
+    id: 'ssri-nsaid',
+    a: ['class:ssri'],
+    b: ['class:nsaid'],
+    severity: 'moderate',
+  },
+  {
+    id: 'ssri-anticoagulant',
+    a: ['class:ssri'],
+    b: ['class:anticoagulant'],
+    severity: 'moderate',
+  },
+  {
+    id: 'serotonin-syndrome',
+    a: ['class:ssri'],
+    b: ['drug:tramadol', 'drug:st-johns-wort'],
+    severity: 'major',
+  },
+  {
+    id: 'raas-potassium-sparing',
+    a: ['class:ace-inhibitor', 'class:arb'],
+    b: ['class:potassium-sparing-diuretic'],
+    severity: 'major',
+  },
+  {
+    id: 'raas-diuretic-nsaid',
+    a: ['class:ace-inhibitor', 'class:arb', 'class:diuretic'],
+    b: ['class:nsaid'],
+    severity: 'moderate',
+  },
+  {
+    id: 'lithium-toxicity',
+    a: ['drug:lithium'],
+    b: ['class:nsaid', 'class:ace-inhibitor', 'class:arb', 'class:diuretic'],
+    severity: 'major',
+  },
+  {
+    id: 'statin-cyp3a4',
+    a: ['class:cyp3a4-sensitive-statin'],
+    b: ['class:strong-cyp3a4-inhibitor'],
+    severity: 'major',
+  },
+  {
+    id: 'opioid-sedatives',
+    a: ['class:opioid'],
+    b: ['class:benzodiazepine', 'class:sedating-antihistamine'],
+    severity: 'major',
+  },
+  {
+    id: 'nitrate-pde5',
+    a: ['class:nitrate'],
+    b: ['class:pde5-inhibitor'],
+    severity: 'major',
+  },
+  {
+    id: 'digoxin-clarithromycin',
+    a: ['drug:digoxin'],
+    b: ['drug:clarithromycin'],
+    severity: 'major',
+  },
+  {
+    id: 'contraceptive-inducers',
+    a: ['class:hormonal-contraceptive'],
+    b: ['class:enzyme-inducer'],
+    severity: 'major',
+  },
+  {
+    id: 'efavirenz-antimalarial',
+    a: ['drug:efavirenz'],
+    b: ['drug:artemether-lumefantrine'],
+    severity: 'moderate',
+  },
+  {
+    id: 'absorption-antacids',
+    a: ['class:fluoroquinolone', 'class:tetracycline', 'drug:levothyroxine', 'class:integrase-inhibitor'],
+    b: ['class:antacid'],
+    severity: 'moderate',
+  },
+  {
+    id: 'steroid-nsaid',
+    a: ['class:corticosteroid'],
+    b: ['class:nsaid'],
+    severity: 'moderate',
+  },
+]
+
+export const drugConditionRules = [
+  {
+    id: 'nsaid-kidney',
+    drug: ['class:nsaid'],
+    condition: /kidney|renal|ckd|rénal|maladie des reins|riñ[oó]n|figo/u,
+    severity: 'major',
+  },
+  {
+    id: 'nsaid-ulcer',
+    drug: ['class:nsaid'],
+    condition: /ulcer|gastrointestinal bleed|gi bleed|stomach bleed|ulcère|saignement digestif|úlcera|sangrado digestivo|vidonda vya tumbo/u,
+    severity: 'major',
+  },
+  {
+    id: 'nsaid-heart-failure',
+    drug: ['class:nsaid'],
+    condition: /heart failure|cardiac failure|insuffisance cardiaque|insuficiencia card[ií]aca|moyo kushindwa/u,
+    severity: 'major',
+  },
+  {
+    id: 'nsaid-hypertension',
+    drug: ['class:nsaid'],
+    condition: /hypertension|high blood pressure|hipertensi[oó]n|tension artérielle|presi[oó]n alta|shinikizo la damu/u,
+    severity: 'moderate',
+  },
+  {
+    id: 'nsaid-asthma',
+    drug: ['class:nsaid'],
+    condition: /asthma|asthme|asma|pumu/u,
+    severity: 'moderate',
+  },
+  {
+    id: 'nsaid-pregnancy',
+    drug: ['class:nsaid'],
+    condition: /pregnan|enceinte|grossesse|embarazada|embarazo|mjamzito|ujauzito/u,
+    severity: 'major',
+  },
+  {
+    id: 'aspirin-children',
+    drug: ['drug:aspirin'],
+    maxAge: 15,
+    severity: 'major',
+  },
+  {
+    id: 'decongestant-cardiovascular',
+    drug: ['class:decongestant'],
+    condition: /hypertension|high blood pressure|heart disease|coronary|arrhythmia|hipertensi[oó]n|tension artérielle|presi[oó]n alta|shinikizo la damu|maladie cardiaque|coronar|arythmie|cardiopat[ií]a|arritmia|ugonjwa wa moyo/u,
+    severity: 'moderate',
+  },
+  {
+    id: 'paracetamol-liver',
+    drug: ['drug:paracetamol'],
+    condition: /liver|hepat|cirrhosis|hépat|foie|cirrhose|h[ií]gado|cirrosis|(?<!\p{L})ini(?!\p{L})/u,
+    severity: 'moderate',
+  },
+  {
+    id: 'metformin-kidney',
+    drug: ['drug:metformin'],
+    condition: /kidney|renal|ckd|rénal|maladie des reins|riñ[oó]n|figo/u,
+    severity: 'moderate',
+  },
+  {
+    id: 'beta-blocker-asthma',
+    drug: ['class:non-selective-beta-blocker'],
+    condition: /asthma|asthme|asma|pumu/u,
+    severity: 'major',
+  },
+  {
+    id: 'steroid-diabetes',
+    drug: ['class:corticosteroid'],
+    condition: /diabet|diabète|kisukari/u,
+    severity: 'moderate',
+  },
+  {
+    id: 'sedating-antihistamine-glaucoma',
+    drug: ['class:sedating-antihistamine'],
+    condition: /glaucoma|enlarged prostate|prostate enlargement|bph|glaucome|hypertrophie de la prostate|hiperplasia (benigna )?de pr[oó]stata|tezi dume/u,
+    severity: 'moderate',
+  },
+]
@@ -0,0 +1,131 @@
+// Bundled drug vocabulary: generic names, common brand names and spellings, and the classes the
+// interaction rules are written against. `otc` marks remedies people commonly buy without a prescription,
+// those are the ones we look for in generated advice
+//
+// Keep names lowercase. Classes are free-form ids, see ./interactions for the ones that are used
+// Synonyms include the French, Spanish and Swahili names, advice written in those languages uses them
+
+export const drugs = [
+  { id: 'paracetamol', name: 'Paracetamol', synonyms: ['acetaminophen', 'tylenol', 'panadol', 'calpol', 'paracétamol', 'doliprane', 'dafalgan', 'efferalgan', 'paracetamoli'], classes: ['analgesic'], otc: true },
+  { id: 'ibuprofen', name: 'Ibuprofen', synonyms: ['advil', 'motrin', 'nurofen', 'brufen', 'ibuprofène', 'ibuprofeno', 'ibuprofeni', 'spedifen'], classes: ['nsaid'], otc: true },
+  { id: 'naproxen', name: 'Naproxen', synonyms: ['aleve', 'naprosyn', 'naproxène', 'naproxeno'], classes: ['nsaid'], otc: true },
+  { id: 'aspirin', name: 'Aspirin', synonyms: ['acetylsalicylic acid', 'asa', 'disprin', 'aspirine', 'aspirina', 'aspirini', 'acide acétylsalicylique', 'ácido acetilsalicílico'], classes: ['nsaid', 'antiplatelet'], otc: true },
+  { id: 'diclofenac', name: 'Diclofenac', synonyms: ['voltaren', 'cataflam', 'diclofénac', 'diclofenaco'], classes: ['nsaid'], otc: false },
+  { id: 'nsaid', name: 'NSAID painkillers', synonyms: ['nsaid', 'nsaids', 'anti-inflammatory painkillers', 'anti-inflammatories', 'ains', 'anti-inflammatoires', 'anti-inflammatoire', 'aine', 'aines', 'antiinflamatorios', 'antiinflamatorio', 'dawa za kupunguza uvimbe'], classes: ['nsaid'], otc: true },
+  { id: 'warfarin', name: 'Warfarin', synonyms: ['coumadin', 'warfarine', 'warfarina'], classes: ['anticoagulant', 'vitamin-k-antagonist'], otc: false },
+  { id: 'apixaban', name: 'Apixaban', synonyms: ['eliquis'], classes: ['anticoagulant'], otc: false },
+  { id: 'rivaroxaban', name: 'Rivaroxaban', synonyms: ['xarelto'], classes: ['anticoagulant'], otc: false },
+  { id: 'clopidogrel', name: 'Clopidogrel', synonyms: ['plavix'], classes: ['antiplatelet'], otc: false },
+  { id: 'metformin', name: 'Metformin', synonyms: ['glucophage', 'metformine', 'metformina'], classes: ['antidiabetic'], otc: false },
+  { id: 'insulin', name: 'Insulin', synonyms: ['lantus', 'novorapid', 'humalog', 'insulin glargine', 'insuline', 'insulina', 'insulini'], classes: ['antidiabetic', 'insulin'], otc: false },
+  { id: 'glibenclamide', name: 'Glibenclamide', synonyms: ['glyburide', 'daonil'], classes: ['antidiabetic', 'sulfonylurea'], otc: false },
+  { id: 'lisinopril', name: 'Lisinopril', synonyms: ['zestril', 'prinivil'], classes: ['ace-inhibitor', 'antihypertensive'], otc: false },
+  { id: 'enalapril', name: 'Enalapril', synonyms: ['vasotec', 'renitec'], classes: ['ace-inhibitor', 'antihypertensive'], otc: false },
+  { id: 'losartan', name: 'Losartan', synonyms: ['cozaar'], classes: ['arb', 'antihypertensive'], otc: false },
+  { id: 'amlodipine', name: 'Amlodipine', synonyms: ['norvasc'], classes: ['calcium-channel-blocker', 'antihypertensive'], otc: false },
+  { id: 'hydrochlorothiazide', name: 'Hydrochlorothiazide', synonyms: ['hctz'], classes: ['diuretic', 'antihypertensive'], otc: false },
+  { id: 'furosemide', name: 'Furosemide', synonyms: ['lasix', 'frusemide'], classes: ['diuretic'], otc: false },
+  { id: 'spironolactone', name: 'Spironolactone', synonyms: ['aldactone'], classes: ['diuretic', 'potassium-sparing-diuretic'], otc: false },
+  { id: 'atorvastatin', name: 'Atorvastatin', synonyms: ['lipitor'], classes: ['statin'], otc: false },
+  { id: 'simvastatin', name: 'Simvastatin', synonyms: ['zocor'], classes: ['statin', 'cyp3a4-sensitive-statin'], otc: false },
+  { id: 'metoprolol', name: 'Metoprolol', synonyms: ['lopressor', 'toprol'], classes: ['beta-blocker', 'antihypertensive'], otc: false },
+  { id: 'propranolol', name: 'Propranolol', synonyms: ['inderal'], classes: ['beta-blocker', 'non-selective-beta-blocker'], otc: false },
+  { id: 'atenolol', name: 'Atenolol', synonyms: ['tenormin'], classes: ['beta-blocker', 'antihypertensive'], otc: false },
+  { id: 'nitroglycerin', name: 'Nitroglycerin', synonyms: ['glyceryl trinitrate', 'gtn', 'isosorbide mononitrate', 'isosorbide dinitrate'], classes: ['nitrate'], otc: false },
+  { id: 'sildenafil', name: 'Sildenafil', synonyms: ['viagra', 'revatio'], classes: ['pde5-inhibitor'], otc: false },
+  { id: 'tadalafil', name: 'Tadalafil', synonyms: ['cialis'], classes: ['pde5-inhibitor'], otc: false },
+  { id: 'digoxin', name: 'Digoxin', synonyms: ['lanoxin'], classes: ['digoxin'], otc: false },
+  { id: 'salbutamol', name: 'Salbutamol', synonyms: ['albuterol', 'ventolin'], classes: ['bronchodilator'], otc: false },
+  { id: 'prednisolone', name: 'Prednisolone', synonyms: ['prednisone', 'prednisolona', 'prednisona'], classes: ['corticosteroid'], otc: false },
+  { id: 'levothyroxine', name: 'Levothyroxine', synonyms: ['synthroid', 'eltroxin', 'thyroxine'], classes: ['thyroid-hormone'], otc: false },
+  { id: 'sertraline', name: 'Sertraline', synonyms: ['zoloft', 'lustral', 'sertralina'], classes: ['ssri', 'serotonergic'], otc: false },
+  { id: 'fluoxetine', name: 'Fluoxetine', synonyms: ['prozac', 'fluoxétine', 'fluoxetina'], classes: ['ssri', 'serotonergic'], otc: false },
+  { id: 'citalopram', name: 'Citalopram', synonyms: ['celexa', 'cipramil'], classes: ['ssri', 'serotonergic'], otc: false },
+  { id: 'lithium', name: 'Lithium', synonyms: ['lithium carbonate', 'priadel'], classes: ['lithium'], otc: false },
+  { id: 'tramadol', name: 'Tramadol', synonyms: ['ultram', 'tramal'], classes: ['opioid', 'serotonergic'], otc: false },
+  { id: 'codeine', name: 'Codeine', synonyms: ['co-codamol', 'codéine', 'codeína'], classes: ['opioid'], otc: false },
+  { id: 'morphine', name: 'Morphine', synonyms: ['ms contin', 'oramorph'], classes: ['opioid'], otc: false },
+  { id: 'diazepam', name: 'Diazepam', synonyms: ['valium'], classes: ['benzodiazepine'], otc: false },
+  { id: 'amoxicillin', name: 'Amoxicillin', synonyms: ['amoxil', 'augmentin', 'co-amoxiclav', 'amoxicilline', 'amoxicilina', 'amoksilini'], classes: ['antibiotic'], otc: false },
+  { id: 'ciprofloxacin', name: 'Ciprofloxacin', synonyms: ['cipro', 'ciprofloxacine', 'ciprofloxacino'], classes: ['antibiotic', 'fluoroquinolone'], otc: false },
+  { id: 'clarithromycin', name: 'Clarithromycin', synonyms: ['biaxin', 'klacid', 'clarithromycine', 'claritromicina'], classes: ['antibiotic', 'strong-cyp3a4-inhibitor'], otc: false },
+  { id: 'doxycycline', name: 'Doxycycline', synonyms: ['vibramycin', 'doxiciclina'], classes: ['antibiotic', 'tetracycline'], otc: false },
+  { id: 'rifampicin', name: 'Rifampicin', synonyms: ['rifampin', 'rifadin'], classes: ['antibiotic', 'enzyme-inducer'], otc: false },
+  { id: 'fluconazole', name: 'Fluconazole', synonyms: ['diflucan', 'fluconazol'], classes: ['antifungal', 'cyp-inhibitor'], otc: false },
+  { id: 'artemether-lumefantrine', name: 'Artemether-lumefantrine', synonyms: ['coartem', 'riamet', 'artemether lumefantrine'], classes: ['antimalarial'], otc: false },
+  { id: 'chloroquine', name: 'Chloroquine', synonyms: ['aralen'], classes: ['antimalarial'], otc: false },
+  { id: 'efavirenz', name: 'Efavirenz', synonyms: ['sustiva', 'stocrin'], classes: ['antiretroviral', 'enzyme-inducer'], otc: false },
+  { id: 'dolutegravir', name: 'Dolutegravir', synonyms: ['tivicay'], classes: ['antiretroviral', 'integrase-inhibitor'], otc: false },
+  { id: 'tenofovir', name: 'Tenofovir', synonyms: ['viread', 'truvada'], classes: ['antiretroviral'], otc: false },
+  { id: 'combined-pill', name: 'Combined contraceptive pill', synonyms: ['the pill', 'birth control pill', 'contraceptive pill', 'oral contraceptive', 'pilule contraceptive', 'la pilule', 'píldora anticonceptiva', 'vidonge vya uzazi wa mpango'], classes: ['hormonal-contraceptive'], otc: false },
+  { id: 'loratadine', name: 'Loratadine', synonyms: ['claritin', 'clarityn', 'loratadina'], classes: ['antihistamine'], otc: true },
+  { id: 'cetirizine', name: 'Cetirizine', synonyms: ['zyrtec', 'cétirizine', 'cetirizina'], classes: ['antihistamine'], otc: true },
+  { id: 'diphenhydramine', name: 'Diphenhydramine', synonyms: ['benadryl', 'nytol', 'diphénhydramine', 'difenhidramina'], classes: ['antihistamine', 'sedating-antihistamine'], otc: true },
+  { id: 'chlorphenamine', name: 'Chlorphenamine', synonyms: ['chlorpheniramine', 'piriton', 'chlorphénamine', 'clorfenamina', 'clorfeniramina'], classes: ['antihistamine', 'sedating-antihistamine'], otc: true },
+  { id: 'pseudoephedrine', name: 'Pseudoephedrine', synonyms: ['sudafed', 'pseudoéphédrine', 'pseudoefedrina'], classes: ['decongestant'], otc: true },
+  { id: 'omeprazole', name: 'Omeprazole', synonyms: ['prilosec', 'losec', 'oméprazole', 'omeprazol'], classes: ['ppi'], otc: true },
+  { id: 'antacid', name: 'Antacids', synonyms: ['antacid', 'calcium carbonate', 'tums', 'gaviscon', 'rennie', 'magnesium hydroxide', 'milk of magnesia', 'antiacide', 'antiacides', 'antiácido', 'antiácidos', 'dawa ya kupunguza asidi'], classes: ['antacid'], otc: true },
+  { id: 'loperamide', name: 'Loperamide', synonyms: ['imodium', 'lopéramide', 'loperamida'], classes: ['antidiarrheal'], otc: true },
+  { id: 'oral-rehydration-salts', name: 'Oral rehydration salts', synonyms: ['ors', 'oral rehydration solution', 'dioralyte', 'sro', 'sels de réhydratation orale', 'solución de rehidratación oral', 'sales de rehidratación oral', 'suero oral', 'chumvi ya kurejesha maji mwilini'], classes: ['rehydration'], otc: true },
+  { id: 'st-johns-wort', name: "St John's wort", synonyms: ["st. john's wort", 'st johns wort', 'hypericum', 'millepertuis', 'hierba de san juan', 'hipérico'], classes: ['herbal', 'serotonergic', 'enzyme-inducer'], otc: true },
+  { id: 'ginkgo', name: 'Ginkgo biloba', synonyms: ['ginkgo'], classes: ['herbal', 'bleeding-risk-herbal'], otc: true },
+]
+
+const byTerm = new Map(drugs.flatMap(drug => [drug.name.toLowerCase(), ...drug.synonyms].map(term => [term, drug])))
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+// Edit distance, to forgive small spelling mistakes ("ibuprofin", "paracetemol")
+function levenshtein(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, index) => index)
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0]
+    row[0] = i
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j]
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1))
+      previous = current
+    }
+  }
+  return row[b.length]
+}
+
+// Finds the vocabulary entry for what a user typed, e.g. "Tylenol 500mg" -> paracetamol
+// Returns null when we don't recognize it
+export function normalizeMedication(text) {
+  const cleaned = text.toLowerCase().replace(/\s+\d.*$/, '').replace(/[^\p{L}\s'.-]/gu, ' ').replace(/\s+/g, ' ').trim()
+  if (!cleaned) return null
+
+  if (byTerm.has(cleaned)) return byTerm.get(cleaned)
+
+  // "metformin er", "aspirin low dose": a known term followed by extra words
+  for (const [term, drug] of byTerm) {
+    if (cleaned.startsWith(`${term} `)) return drug
+  }
+
+  // One or two typos, only for words long enough that this can't turn one drug into another
+  if (cleaned.length >= 6) {
+    let best = null
+    for (const [term, drug] of byTerm) {
+      const distance = levenshtein(cleaned, term)
+      if (distance <= 2 && (!best || distance < best.distance)) best = { drug, distance }
+    }
+    if (best) return best.drug
+  }
+
+  return null
+}
+
+// Every over-the-counter remedy mentioned anywhere in `text`, e.g. the generated advice
+// Word edges are any letter, not only [a-z], so "ibuprofène" or "paracetamoli" are found whole
+export function findRemediesInText(text) {
+  const lower = text.toLowerCase()
+  return drugs.filter(drug => drug.otc && [drug.name.toLowerCase(), ...drug.synonyms]
+    .some(term => new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{N}])`, 'u').test(lower)))
+}
+
+export function getDrug(id) {
+  return drugs.find(drug => drug.id === id) || null
+}
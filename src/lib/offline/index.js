@@ -0,0 +1,71 @@
+// What the chat keeps in the browser, in IndexedDB (database "simplihealth"), so a bad connection doesn't cost the user anything:
+//   conversation  "current" -> { sessionId, messages }   the chat as it was, plain data only, restored on the next visit
+//   outbox        id -> { id, userInput, extra, images, assistantId, queuedAt }   messages typed while offline, sent in order once back online,
+//                 `images` are the attached photos with their JPEG blobs (see `@/lib/images/resize`), IndexedDB keeps blobs as they are
+// Browser only. Every function resolves to an empty result where IndexedDB isn't available (private windows in some browsers)
+
+const DB_NAME = 'simplihealth'
+const DB_VERSION = 1
+
+let database = null
+
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null)
+
+  database ??= new Promise(resolve => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore('conversation')
+      request.result.createObjectStore('outbox', { keyPath: 'id' })
+    }
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => {
+      console.error('IndexedDB is not available:', request.error)
+      resolve(null)
+    }
+  })
+  return database
+}
+
+// Runs `operation(store)` in a transaction and resolves to the result of the request it returns, once committed
+async function run(storeName, mode, operation) {
+  const db = await openDatabase()
+  if (!db) return undefined
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode)
+    const request = operation(transaction.objectStore(storeName))
+    transaction.oncomplete = () => resolve(request?.result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+// `messages` are the chat messages as the UI keeps them, which are plain data (see `ChatDisplay`)
+export async function loadConversation() {
+  return (await run('conversation', 'readonly', store => store.get('current'))) || { sessionId: null, messages: [] }
+}
+
+export function saveConversation({ sessionId, messages }) {
+  return run('conversation', 'readwrite', store => store.put({ sessionId, messages }, 'current'))
+}
+
+// Forgets the conversation and anything still waiting to be sent, e.g. when starting over or signing out
+export async function clearConversation() {
+  await run('conversation', 'readwrite', store => store.clear())
+  await run('outbox', 'readwrite', store => store.clear())
+}
+
+// Oldest first
+export async function listQueued() {
+  const queued = (await run('outbox', 'readonly', store => store.getAll())) || []
+  return queued.sort((a, b) => a.queuedAt - b.queuedAt)
+}
+
+export function queueMessage({ userInput, extra, images = [], assistantId }) {
+  return run('outbox', 'readwrite', store => store.put({ id: assistantId, userInput, extra, images, assistantId, queuedAt: Date.now() }))
+}
+
+export function removeQueued(id) {
+  return run('outbox', 'readwrite', store => store.delete(id))
+}
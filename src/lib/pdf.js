@@ -0,0 +1,172 @@
+// A small PDF writer for text documents: headings, wrapped paragraphs, links and page numbers, nothing more
+//   const pdf = createPdf({ title: 'Visit summary' })
+//   pdf.text('Symptoms', { size: 14, bold: true })
+//   pdf.text('NCT01234567', { link: 'https://clinicaltrials.gov/study/NCT01234567' })
+//   const bytes = pdf.toBuffer()
+// It only uses the fonts every PDF reader has (Helvetica), so nothing has to be embedded,
+// which also means text is limited to Western European characters: anything else is printed as "?"
+
+const PAGE_WIDTH = 595 // A4, in points
+const PAGE_HEIGHT = 842
+const MARGIN = 56
+const LINE_HEIGHT = 1.35
+
+// Helvetica character widths in thousandths of the font size, for the printable ASCII range (from the standard AFM metrics)
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+]
+
+// Bold is a little wider across the board, close enough for line wrapping
+const BOLD_FACTOR = 1.08
+
+// Characters outside Latin-1 that the WinAnsi encoding still has
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97,
+  'Œ': 0x8c, 'œ': 0x9c, 'Š': 0x8a, 'š': 0x9a, 'Ÿ': 0x9f, 'Ž': 0x8e, 'ž': 0x9e,
+}
+
+function encodeChar(char) {
+  if (WIN_ANSI_EXTRAS[char]) return WIN_ANSI_EXTRAS[char]
+  const code = char.codePointAt(0)
+  return (code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff) ? code : 0x3f // "?"
+}
+
+// Accented letters are as wide as the letter they're built on
+function charWidth(char, bold) {
+  const code = char.normalize('NFD').charCodeAt(0)
+  const width = code >= 0x20 && code <= 0x7e ? HELVETICA_WIDTHS[code - 0x20] : 556
+  return bold ? width * BOLD_FACTOR : width
+}
+
+function textWidth(text, size, bold) {
+  return [...text].reduce((total, char) => total + charWidth(char, bold), 0) * size / 1000
+}
+
+// A PDF string literal, kept to plain ASCII with octal escapes so the file needs no binary handling
+function pdfString(text) {
+  return `(${[...text].map(char => {
+    const code = encodeChar(char)
+    if (char === '(' || char === ')' || char === '\\') return `\\${char}`
+    return code < 0x80 ? String.fromCharCode(code) : `\\${code.toString(8).padStart(3, '0')}`
+  }).join('')})`
+}
+
+// Splits text into lines that fit `width`, breaking between words (or inside a word that's too long on its own)
+function wrap(text, width, size, bold) {
+  const lines = []
+  for (const paragraph of String(text).split('\n')) {
+    let line = ''
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word
+      if (textWidth(candidate, size, bold) <= width) {
+        line = candidate
+        continue
+      }
+      if (line) lines.push(line)
+      line = word
+      while (textWidth(line, size, bold) > width) {
+        let cut = line.length - 1
+        while (cut > 1 && textWidth(line.slice(0, cut), size, bold) > width) cut--
+        lines.push(line.slice(0, cut))
+        line = line.slice(cut)
+      }
+    }
+    lines.push(line)
+  }
+  return lines
+}
+
+const hexColor = color => {
+  const [r, g, b] = [1, 3, 5].map(index => parseInt(color.slice(index, index + 2), 16) / 255)
+  return `${r.toFixed(3)} ${g.toFixed(3)} ${b.toFixed(3)} rg`
+}
+
+export function createPdf({ title = '' } = {}) {
+  const pages = []
+  let page = null
+  let y = 0
+
+  function newPage() {
+    page = { content: [], links: [] }
+    pages.push(page)
+    y = PAGE_HEIGHT - MARGIN
+  }
+
+  function ensureSpace(height) {
+    if (!page || y - height < MARGIN) newPage()
+  }
+
+  // `indent` in points from the left margin, `color` as "#rrggbb", `link` makes every line of the text clickable
+  function text(content, { size = 11, bold = false, indent = 0, color = null, link = null } = {}) {
+    const lineHeight = size * LINE_HEIGHT
+    const x = MARGIN + indent
+    for (const line of wrap(content, PAGE_WIDTH - MARGIN - x, size, bold)) {
+      ensureSpace(lineHeight)
+      y -= lineHeight
+      page.content.push(`BT ${color ? hexColor(color) : '0 g'} /${bold ? 'F2' : 'F1'} ${size} Tf ${x} ${y.toFixed(2)} Td ${pdfString(line)} Tj ET`)
+      if (link) {
+        page.links.push({ uri: link, rect: [x, y - size * 0.25, x + textWidth(line, size, bold), y + size].map(value => value.toFixed(2)) })
+      }
+    }
+  }
+
+  function space(points = 8) {
+    if (page) y -= points
+  }
+
+  // A thin horizontal line across the page, between sections
+  function rule() {
+    ensureSpace(12)
+    y -= 6
+    page.content.push(`0.75 G 0.5 w ${MARGIN} ${y.toFixed(2)} m ${PAGE_WIDTH - MARGIN} ${y.toFixed(2)} l S`)
+    y -= 6
+  }
+
+  function toBuffer() {
+    if (pages.length === 0) newPage()
+
+    // Objects 1-4 are fixed, then every page takes its page object, its content stream and one object per link
+    const objects = []
+    const add = body => objects.push(body) // object number = index + 1
+    add('<< /Type /Catalog /Pages 2 0 R >>')
+    add(null) // the page tree, once we know the page objects
+    add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>')
+    add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>')
+    add(`<< /Title ${pdfString(title)} /Producer (SimpliHealth) /CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z) >>`)
+
+    const pageRefs = pages.map((current, index) => {
+      const footer = `BT 0.4 g /F1 9 Tf ${MARGIN} ${MARGIN / 2} Td ${pdfString(`${title}  ${index + 1} / ${pages.length}`)} Tj ET`
+      const stream = [...current.content, footer].join('\n')
+      const contentRef = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`)
+      const linkRefs = current.links.map(({ uri, rect }) => add(
+        `<< /Type /Annot /Subtype /Link /Rect [${rect.join(' ')}] /Border [0 0 0] /A << /S /URI /URI ${pdfString(uri)} >> >>`
+      ))
+      return add(
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentRef} 0 R` +
+        `${linkRefs.length > 0 ? ` /Annots [${linkRefs.map(ref => `${ref} 0 R`).join(' ')}]` : ''} >>`
+      )
+    })
+    objects[1] = `<< /Type /Pages /Kids [${pageRefs.map(ref => `${ref} 0 R`).join(' ')}] /Count ${pageRefs.length} >>`
+
+    let output = '%PDF-1.4\n'
+    const offsets = objects.map((body, index) => {
+      const offset = output.length
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`
+      return offset
+    })
+    const xref = output.length
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+    output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')
+    output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`
+
+    return Buffer.from(output, 'ascii')
+  }
+
+  return { text, space, rule, toBuffer }
+}
@@ -0,0 +1,274 @@
+import { randomUUID } from 'crypto'
+import { processHealthInput } from '@/lib/extraction'
+import { describeImages, withVisualFindings } from '@/lib/extraction/visual'
+import { assessTriage } from '@/lib/triage'
+import { generateHealthAdvice } from '@/lib/advice'
+import { fetchClinicalTrials, trialQueryFromExtraction } from '@/lib/trials'
+import { getSession, getOrCreateSession, appendTurn, updateTurn, buildConversationHistory } from '@/lib/sessions'
+import { getProfile, mergeProfileIntoExtraction } from '@/lib/profile'
+import { getDiary, recordMessageSymptoms, assessTrends } from '@/lib/diary'
+import { checkInteractions } from '@/lib/medications'
+import { withGeography } from '@/lib/geo'
+import { withTerminology } from '@/lib/terminology'
+import { shouldStartIntake, continueIntake, nextQuestion } from '@/lib/intake'
+import { buildNearbyCare } from '@/lib/geo/care'
+import { detectLanguage } from '@/lib/i18n/detect'
+import { isSupportedLanguage, DEFAULT_LANGUAGE } from '@/lib/i18n'
+import { createRedactor } from '@/lib/privacy'
+import { createLogger } from '@/lib/logger'
+import { UpstreamError } from '@/lib/upstream'
+
+const logger = createLogger('pipeline')
+
+// The extract -> triage -> advice + trials steps for one message
+// Every result is emitted as soon as it's known and also recorded on `turn` for the session
+// The models only ever see pseudonymized text: personal details are swapped for placeholders
+// on the way out and put back in what comes back (see `@/lib/privacy`), everything else runs on the real text
+// In guided mode a new issue first goes through the intake (see `@/lib/intake`): while it has questions to ask
+// there is no advice or trials yet. Returns the intake to keep in the session, null when there is none
+// Photos sent with the message are looked at while the text is read, what they show joins the symptoms
+// The symptom diary (see `@/lib/diary`) tells how long the symptoms have lasted and which way they're going,
+// and the symptoms of a new message are logged in it
+async function runSteps({ userInput, images, conversationHistory, profile, profileId, userId, diary, reported, language, turn, intake }, { emit, signal, guided, skipIntake, answer }) {
+  const redactor = createRedactor()
+
+  const [extracted, visual] = await Promise.all([
+    processHealthInput(redactor.redact(userInput), redactor.redactDeep(conversationHistory), { signal }),
+    images.length > 0 ? describeImages(images, redactor.redact(userInput), { signal }) : null,
+  ])
+  const imageAnalysis = visual && { count: images.length, status: visual.status, unclear: visual.unclear, findings: visual.findings.length }
+  turn.imageAnalysis = imageAnalysis
+
+  // The stored profile fills in what the message doesn't say, see `@/lib/profile/merge` for who wins when
+  const { extractedData: merged, conflicts } = mergeProfileIntoExtraction(
+    redactor.restoreDeep(visual ? withVisualFindings(extracted, visual) : extracted),
+    profile
+  )
+  // Where the user is, as structured geography from the offline gazetteer (see `@/lib/geo`),
+  // and every symptom and condition matched to its standard term and codes (see `@/lib/terminology`)
+  // An answer to an intake question adds to everything the intake learnt so far
+  const fresh = withTerminology(withGeography(merged))
+  const extractedData = intake ? continueIntake(intake, fresh, { userInput, answer, skip: skipIntake }) : fresh
+  logger.info('Extracted data', {
+    // Where each field came from (model, heuristic, profile) but never what it says
+    sources: Object.entries(extractedData.provenance || {}).map(([field, { source }]) => `${field}: ${source}`),
+    symptomCount: extractedData.symptoms.length,
+    conditionCount: extractedData.conditions.length,
+    country: extractedData.geo?.country ?? null,
+    redacted: redactor.summary(),
+  })
+  turn.extractedData = extractedData
+  emit('extraction', { extractedData, profileConflicts: conflicts, language, imageAnalysis })
+
+  // Worked out before this message is logged, its own symptoms are counted from the message
+  const trends = assessTrends({ entries: diary, symptoms: extractedData.symptoms })
+  turn.trends = trends
+  emit('trends', { trends })
+  // A follow-up question repeats the symptoms of earlier messages, they were logged then,
+  // and so does any other message for the symptoms it doesn't change
+  if (!extractedData.isFollowUp) {
+    await recordMessageSymptoms(profileId, fresh.symptoms, { userId, reported })
+  }
+
+  const nearbyCare = buildNearbyCare(extractedData.geo)
+  turn.nearbyCare = nearbyCare
+  emit('care', { nearbyCare })
+
+  // Red flags are checked with fixed rules before any advice is generated
+  // In an emergency we don't make the user wait for advice or trials, we tell them who to call
+  const triage = assessTriage({ input: userInput, extractedData, language })
+  logger.info('Triage', { urgency: triage.urgency, flags: triage.flags.map(flag => flag.id) })
+  turn.triage = triage
+  emit('triage', { triage })
+
+  if (triage.urgency === 'emergency') {
+    emitSection('advice', { status: 'skipped' }, { emit, turn })
+    emitSection('trials', { status: 'skipped' }, { emit, turn })
+    return null
+  }
+
+  // Anything more urgent than routine is answered straight away, asking questions would only hold it up
+  const inIntake = guided && triage.urgency === 'routine' && (intake || shouldStartIntake(extractedData, triage))
+  if (inIntake && !skipIntake) {
+    const next = nextQuestion(extractedData, intake)
+    if (next.question) {
+      turn.intake = { status: 'asking', question: next.question }
+      emit('intake', { intake: turn.intake })
+      return next.intake
+    }
+  }
+  if (inIntake) {
+    turn.intake = { status: skipIntake ? 'skipped' : 'complete' }
+    emit('intake', { intake: turn.intake })
+  }
+
+  // Advice and trials are independent: when one fails the other is still shown, and the client can retry the failed one
+  await Promise.all([
+    findTrials(extractedData, { emit, signal, turn }),
+    advise({ extractedData, trends, conversationHistory, language, redactor }, { emit, signal, turn }),
+  ])
+  return null
+}
+
+// How one optional part of the answer went: { status: 'ok' | 'error' | 'skipped', code?, retryable? }
+// Reported as `section { name, ...status }` and collected into `sections` for the JSON response
+function emitSection(name, status, { emit, turn }) {
+  turn.sections = { ...turn.sections, [name]: status }
+  emit('section', { name, ...status })
+}
+
+function sectionError(error) {
+  return {
+    status: 'error',
+    code: error instanceof UpstreamError ? error.code : 'failed',
+    retryable: error instanceof UpstreamError ? error.retryable : true,
+  }
+}
+
+async function findTrials(extractedData, { emit, signal, turn }) {
+  try {
+    const { query, trials, nextPageToken, totalCount } = await fetchClinicalTrials(extractedData, { signal })
+    turn.trialIds = trials.map(trial => trial.nctId)
+    emit('trials', {
+      clinicalTrials: trials,
+      trialsQuery: query,
+      trialsNextPageToken: nextPageToken,
+      trialsTotalCount: totalCount,
+    })
+    emitSection('trials', { status: 'ok' }, { emit, turn })
+  } catch (error) {
+    if (signal?.aborted) throw error
+    logger.error('Error fetching clinical trials', { error })
+    // The query still goes out, so the client can run it again from /api/trials
+    emit('trials', { clinicalTrials: null, trialsQuery: trialQueryFromExtraction(extractedData), trialsNextPageToken: null, trialsTotalCount: null })
+    emitSection('trials', sectionError(error), { emit, turn })
+  }
+}
+
+async function advise({ extractedData, trends, conversationHistory, language, redactor }, { emit, signal, turn }) {
+  let healthAdvice = null
+  try {
+    // Streamed tokens are shown to the user as they come, so they are put back into the user's own words too
+    const restoreToken = redactor.restoreStream()
+    const emitToken = text => text && emit('advice-token', { text })
+    const result = redactor.restoreDeep(await generateHealthAdvice(
+      redactor.redactDeep({ ...extractedData, trends, conversationHistory, language }),
+      { signal, onToken: text => emitToken(restoreToken(text)) }
+    ))
+    emitToken(restoreToken())
+    healthAdvice = result.healthAdvice
+    turn.advice = result.advice
+    turn.healthAdvice = result.healthAdvice
+    emit('advice', result)
+    emitSection('advice', { status: 'ok' }, { emit, turn })
+  } catch (error) {
+    if (signal?.aborted) throw error
+    logger.error('Error generating advice', { error })
+    emitSection('advice', sectionError(error), { emit, turn })
+  }
+
+  // Checked with fixed rules once the advice is known, so remedies it suggests are covered too
+  // Without advice the medicines are still checked against each other and the user's conditions
+  const interactionWarnings = checkInteractions({ ...extractedData, adviceText: healthAdvice, language })
+  turn.interactionWarnings = interactionWarnings
+  emit('interactions', { interactionWarnings })
+}
+
+// We answer in the language the message is written in, and in the language the user picked in the UI
+// when the message is too short or mixed to tell
+function resolveLanguage(userInput, preferredLanguage) {
+  const fallback = isSupportedLanguage(preferredLanguage) ? preferredLanguage : DEFAULT_LANGUAGE
+  return detectLanguage(userInput)?.language ?? fallback
+}
+
+// The whole flow for one message, inside its conversation session
+// Results are reported through `emit(event, data)` as soon as each step has them:
+//   session       { sessionId, turnId }   the session this message belongs to, new or existing, and the message's id in it
+//   extraction    { extractedData, profileConflicts, language, imageAnalysis }   `language` is the one the advice is written in,
+//                 `imageAnalysis` { count, status: 'ok' | 'failed', unclear, findings } when photos came with the message, otherwise null
+//   trends        { trends }         how long each symptom has lasted and which way it's going, see `@/lib/diary/trends`
+//   care          { nearbyCare }     local emergency number and health hotline, see `@/lib/geo/care`
+//   triage        { triage }
+//   intake        { intake }   guided mode only: { status: 'asking', question } when we need to know more before advising
+//                              (no advice or trials follow), then { status: 'complete' | 'skipped' }, see `@/lib/intake`
+//   advice-token  { text }           one chunk of the model output as it streams, in the user's own words (shown until `advice` comes)
+//   advice        { advice, healthAdvice }   the structured advice (see `@/lib/advice/schema`) and the same as plain text
+//   interactions  { interactionWarnings }   medicine interaction warnings, see `@/lib/medications`
+//   trials        { clinicalTrials, trialsQuery, trialsNextPageToken, trialsTotalCount }   `clinicalTrials` is null when they couldn't be loaded
+//   section       { name, status, code?, retryable? }   how advice and trials went, see `emitSection`
+// The streaming route forwards these as Server-Sent Events, the JSON route collects them into one response
+// The turn is only saved to the session once every step has finished
+// `guided` turns the intake on, `skipIntake` gives advice on what we have without asking (more),
+// `answer` { question, value } is a quick reply to the question the intake asked
+// `userId` is the signed-in user (see `@/lib/auth`), set by the route and never taken from the client,
+// as is `profileId` for them: their account's profile, whichever the client sent (see `@/lib/account`)
+// `images` are the photos sent with the message ([{ mimeType, data }], checked by `@/lib/protection`), they aren't stored
+export async function runHealthPipeline({ userInput, images = [], sessionId, profileId, userId = null, language: preferredLanguage, guided = false, skipIntake = false, answer = null }, { emit, signal }) {
+  const [session, profile, diary] = await Promise.all([getOrCreateSession(sessionId, { userId }), getProfile(profileId, { userId }), getDiary(profileId, { userId })])
+
+  const conversationHistory = buildConversationHistory(session)
+  const language = resolveLanguage(userInput, preferredLanguage)
+  const turn = { id: randomUUID(), userInput, language, imageAnalysis: null, extractedData: null, trends: [], nearbyCare: null, triage: null, intake: null, advice: null, healthAdvice: null, interactionWarnings: [], trialIds: [], sections: {} }
+  emit('session', { sessionId: session.id, turnId: turn.id })
+
+  const intake = await runSteps(
+    { userInput, images, conversationHistory, profile, profileId, userId, diary, reported: session.turns.flatMap(earlier => earlier.extractedData?.symptoms || []), language, turn, intake: session.intake || null },
+    { emit, signal, guided: guided === true, skipIntake: skipIntake === true, answer: answer && typeof answer === 'object' ? answer : null }
+  )
+  await appendTurn(session.id, turn, { intake })
+}
+
+// Collects the events of a run into one JSON response body
+// `sections` says how advice and trials went and `partial` is true when one of them failed,
+// e.g. { sections: { advice: { status: 'error', code: 'timeout', retryable: true }, trials: { status: 'ok' } }, partial: true }
+function collector(result) {
+  return (event, data) => {
+    if (event === 'section') {
+      const { name, ...status } = data
+      result.sections[name] = status
+      result.partial = result.partial || status.status === 'error'
+    } else if (event !== 'advice-token') {
+      Object.assign(result, data)
+    }
+  }
+}
+
+// Runs the pipeline to completion and returns the classic JSON response body
+export async function collectHealthPipeline(body, { signal } = {}) {
+  const result = { sessionId: null, turnId: null, language: null, imageAnalysis: null, extractedData: null, profileConflicts: [], trends: [], nearbyCare: null, triage: null, intake: null, clinicalTrials: [], advice: null, healthAdvice: null, interactionWarnings: [], sections: {}, partial: false }
+
+  await runHealthPipeline(body, { signal, emit: collector(result) })
+
+  // Older clients expect a list here even when the trials couldn't be loaded
+  result.clinicalTrials ??= []
+  return result
+}
+
+// Generates the advice for an earlier message again, typically after it failed the first time
+// The message is taken from the session as it was stored, with the conversation up to that point
+// Emits `advice-token`, `advice`, `interactions` and `section` like the full pipeline, and saves the new advice on the turn
+// Returns false when there is no such message
+export async function retryAdvice({ sessionId, turnId, userId = null }, { emit, signal }) {
+  const session = await getSession(sessionId, { userId })
+  const index = session?.turns.findIndex(turn => turn.id === turnId) ?? -1
+  if (index === -1) return false
+
+  const stored = session.turns[index]
+  // Emergencies and messages the intake answered with a question never had any advice to retry
+  if (!stored.extractedData || stored.triage?.urgency === 'emergency' || stored.intake?.status === 'asking') return false
+
+  const turn = { sections: stored.sections || {} }
+  const conversationHistory = buildConversationHistory({ ...session, turns: session.turns.slice(0, index) })
+  await advise(
+    { extractedData: stored.extractedData, trends: stored.trends || [], conversationHistory, language: stored.language || DEFAULT_LANGUAGE, redactor: createRedactor() },
+    { emit, signal, turn }
+  )
+  await updateTurn(sessionId, turnId, turn)
+  return true
+}
+
+export async function collectAdviceRetry(body, { signal } = {}) {
+  const result = { advice: null, healthAdvice: null, interactionWarnings: [], sections: {}, partial: false }
+  const found = await retryAdvice(body, { signal, emit: collector(result) })
+  return found ? result : null
+}
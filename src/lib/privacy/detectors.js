@@ -0,0 +1,82 @@
+// Patterns for the personal details we strip out before text leaves the server
+// Each detector finds one kind of identifier; `group` (if set) is the part of the match that gets replaced,
+// so a cue like "my name is" stays in the text and only the name itself becomes a placeholder
+// Order matters: earlier detectors run first, so an email isn't half-eaten by the phone pattern
+//
+// They are tuned to miss rather than over-redact health details: ages, doses, dates,
+// blood pressure readings and city names (which we need for geography) are left alone
+
+const CAPITALIZED = "\\p{Lu}[\\p{L}'-]+"
+const NAME = `${CAPITALIZED}(?:[ -]${CAPITALIZED}){0,2}`
+
+// Capitalized words that follow a name cue but aren't names ("my son I think...", "call me Tomorrow")
+const NOT_NAMES = new Set(['I', 'The', 'He', 'She', 'It', 'They', 'We', 'Today', 'Tomorrow', 'Yesterday', 'Please', 'Doctor'])
+
+// What comes right before the name of someone the user talks about
+const RELATION_CUES = [
+  '\\b[Mm](?:y|on|a|i)\\s+(?:son|daughter|wife|husband|partner|mother|father|mum|mom|dad|brother|sister|friend|child|baby|fils|fille|femme|mari|m[eè]re|p[eè]re|fr[eè]re|s[oœ]eur|ami|amie|enfant|hijo|hija|esposa|esposo|madre|padre|hermano|hermana|amigo|amiga)',
+  '\\b(?:[Mm]toto|[Mm]ke|[Mm]ume|[Mm]ama|[Bb]aba|[Kk]aka|[Dd]ada|[Rr]afiki) wangu',
+  '\\b(?:Mr|Mrs|Ms|Miss|Dr|Prof|Mme|Mlle|Sr|Sra|Srta|Bw|Bi)\\.?',
+  '\\b(?:[Dd]octor|[Dd]octeur|[Dd]octora|[Dd]aktari)',
+]
+
+// Dates look like phone numbers to the digit count: "2024-10-19", "19.10.2024"
+const DATE = /^(?:\d{4}-\d{1,2}-\d{1,2}|\d{1,2}[.-]\d{1,2}[.-]\d{2,4})$/
+
+export const detectors = [
+  {
+    type: 'EMAIL',
+    pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g,
+  },
+  {
+    // Identifiers introduced by what they are: "NHS number 943 476 5919", "passport: X1234567", "MRN 00123"
+    type: 'ID',
+    pattern: /\b(?:ssn|social security(?: number)?|passport(?: number| no\.?)?|nhs(?: number| no\.?)?|national id(?: number)?|id (?:number|no\.?)|mrn|medical record(?: number)?|patient (?:id|number)|insurance (?:number|id)|policy number|num[ée]ro de s[ée]curit[ée] sociale|n[uú]mero de seguro(?: social)?|c[ée]dula|dni|nin|kitambulisho)(?:\s*[:#]\s*|\s+)((?:is\s+)?[A-Z0-9](?:[A-Z0-9-]|\s(?=\d)){3,18}[A-Z0-9])/giu,
+    group: 1,
+    accept: id => /\d/.test(id),
+  },
+  {
+    // US social security numbers written on their own
+    type: 'ID',
+    pattern: /\b\d{3}-\d{2}-\d{4}\b/g,
+  },
+  {
+    // "221B Baker Street", "12 Main St."
+    type: 'ADDRESS',
+    pattern: new RegExp(`\\b\\d{1,5}[A-Za-z]?,?\\s+(?:${CAPITALIZED}\\s+){1,3}(?:Street|St\\.?|Road|Rd\\.?|Avenue|Ave\\.?|Lane|Ln\\.?|Drive|Boulevard|Blvd\\.?|Way|Court|Close|Crescent|Place)(?![\\p{L}])`, 'gu'),
+  },
+  {
+    // "12 rue de la Paix", "3 avenue Lumumba", "calle Mayor 5", "avenida Arequipa #123"
+    type: 'ADDRESS',
+    pattern: /\b\d{1,4}(?:bis|ter)?,?\s+(?:rue|avenue|av\.|boulevard|bd|chemin|all[ée]e|impasse)\s+[\p{L}' -]{2,40}?(?=[,.;]|$)|\b(?:calle|avenida|carrera|jir[oó]n)\s+[\p{L}' ]{2,40}?\s*(?:#|no\.?|n[º°])?\s*\d{1,5}/giu,
+  },
+  {
+    // Postal boxes ("P.O. Box 123", "B.P. 45", Swahili "S.L.P. 678") and UK postcodes ("SW1A 1AA")
+    type: 'ADDRESS',
+    pattern: /\b(?:P\.?\s?O\.?\s?Box|B\.P\.|S\.L\.P\.)\s*\d+|\b[A-Z]{1,2}\d[A-Z\d]?\s?\d[A-Z]{2}\b/g,
+  },
+  {
+    // Eight or more digits with the usual separators, e.g. "+243 81 234 5678", "(555) 123-4567"
+    type: 'PHONE',
+    pattern: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,4}){1,4}/g,
+    accept: match => match.replace(/\D/g, '').length >= 8 && !DATE.test(match.trim()),
+  },
+  {
+    // Names the user introduces: "my name is Amina Diallo", "je m'appelle Jean", "me llamo Ana", "jina langu ni Baraka"
+    // No `i` flag on the name patterns: it would make \p{Lu} match lower-case words too
+    type: 'NAME',
+    pattern: new RegExp(
+      `(?:[Mm]y name is|I'm called|[Cc]all me|[Jj]e m'appelle|[Mm]on nom est|[Mm]e llamo|[Mm]i nombre es|[Jj]ina langu ni|[Nn]aitwa)\\s+(${NAME})`,
+      'gu'
+    ),
+    group: 1,
+    accept: name => !NOT_NAMES.has(name.split(/[ -]/)[0]),
+  },
+  {
+    // People mentioned by relation or title: "my son Peter", "mtoto wangu Baraka", "Dr Okafor", "Mme Mbuyi"
+    type: 'NAME',
+    pattern: new RegExp(`(?:${RELATION_CUES.join('|')})\\s+(${NAME})`, 'gu'),
+    group: 1,
+    accept: name => !NOT_NAMES.has(name.split(/[ -]/)[0]),
+  },
+]
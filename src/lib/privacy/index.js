@@ -0,0 +1,105 @@
+import { detectors } from './detectors'
+
+// Pseudonymization for text that leaves the server (model prompts) or ends up in logs
+// Names, phone numbers, emails, addresses and ID numbers are swapped for placeholders like [NAME_1]
+// A redactor is made per request and keeps its own mapping, so:
+//   the same value always gets the same placeholder (the model can still tell "Peter" from "Anna"),
+//   later text that repeats a value is redacted even without the cue that gave it away,
+//   and the model's answer can be put back into the user's own words with `restore`, or `restoreStream` as it streams
+
+// Shorter parts of a name ("Al", "Bo") are too likely to be ordinary words
+const MIN_NAME_PART = 3
+
+const PLACEHOLDER = /\[(NAME|PHONE|EMAIL|ADDRESS|ID)_(\d+)\]/g
+// What a placeholder cut off at the end of a chunk looks like: "[", "[NA", "[NAME_1"
+const PARTIAL_PLACEHOLDER = /\[[A-Z]*(_\d*)?$/
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+export function createRedactor() {
+  const placeholders = new Map() // original value -> placeholder
+  const originals = new Map() // placeholder -> original value
+  const counts = {}
+
+  function placeholderFor(type, value) {
+    if (!placeholders.has(value)) {
+      counts[type] = (counts[type] || 0) + 1
+      const placeholder = `[${type}_${counts[type]}]`
+      placeholders.set(value, placeholder)
+      originals.set(placeholder, value)
+    }
+    return placeholders.get(value)
+  }
+
+  // Values we've seen before, longest first so "Amina Diallo" goes before "Amina",
+  // and only as whole words so "Ana" doesn't eat into "banana"
+  function replaceKnown(text) {
+    return [...placeholders.keys()]
+      .sort((a, b) => b.length - a.length)
+      .reduce((result, value) => result.replace(
+        new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(value)}(?![\\p{L}\\p{N}])`, 'gu'),
+        placeholders.get(value)
+      ), text)
+  }
+
+  function redact(text) {
+    if (typeof text !== 'string' || !text) return text
+
+    const detected = detectors.reduce((result, { type, pattern, group, accept }) => result.replace(pattern, (match, ...groups) => {
+      const value = group ? groups[group - 1] : match
+      if (!value || (accept && !accept(value))) return match
+      const placeholder = placeholderFor(type, value)
+      // "Amina Diallo" is often just "Amina" later on, so every part of a name gets a placeholder too
+      if (type === 'NAME') {
+        value.split(/[ -]/).filter(part => part.length >= MIN_NAME_PART).forEach(part => placeholderFor(type, part))
+      }
+      return match.replace(value, placeholder)
+    }), replaceKnown(text))
+
+    // Once more for names found in this text that also appear before their cue
+    return replaceKnown(detected)
+  }
+
+  function restore(text) {
+    if (typeof text !== 'string') return text
+    return text.replace(PLACEHOLDER, placeholder => originals.get(placeholder) ?? placeholder)
+  }
+
+  // `restore` for text that comes in chunks, like streamed model output, where a placeholder can be cut in two
+  // Returns a function that takes each chunk and gives back what can be shown of it now, holding back
+  // a placeholder that isn't finished yet, and called without a chunk at the end gives back what is left
+  function restoreStream() {
+    let pending = ''
+    return (chunk) => {
+      const text = pending + (chunk ?? '')
+      const cut = chunk == null ? -1 : text.search(PARTIAL_PLACEHOLDER)
+      pending = cut === -1 ? '' : text.slice(cut)
+      return restore(cut === -1 ? text : text.slice(0, cut))
+    }
+  }
+
+  // The same, for every string inside an object or array (extracted records, structured advice)
+  function mapDeep(value, fn) {
+    if (typeof value === 'string') return fn(value)
+    if (Array.isArray(value)) return value.map(item => mapDeep(item, fn))
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapDeep(item, fn)]))
+    }
+    return value
+  }
+
+  return {
+    redact,
+    restore,
+    restoreStream,
+    redactDeep: value => mapDeep(value, redact),
+    restoreDeep: value => mapDeep(value, restore),
+    // How many values of each kind were replaced, safe to log
+    summary: () => ({ ...counts }),
+  }
+}
+
+// One-off redaction without a mapping to restore from, for logs and error messages
+export function redactText(text) {
+  return createRedactor().redact(text)
+}
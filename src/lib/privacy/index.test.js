@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest'
+import { createRedactor } from './index'
+
+describe('restoreStream', () => {
+  const redactor = createRedactor()
+  redactor.redact('My name is Amina Diallo, call me on +254 712 345 678')
+
+  const stream = chunks => {
+    const restore = redactor.restoreStream()
+    return [...chunks.map(restore), restore()]
+  }
+
+  it('puts back placeholders cut across chunks', () => {
+    expect(stream(['Hello [NA', 'ME_1], call [PHONE', '_1] today']))
+      .toEqual(['Hello ', 'Amina Diallo, call ', '+254 712 345 678 today', ''])
+  })
+
+  it('holds back only what could still be a placeholder', () => {
+    expect(stream(['Rest [', 'see below] and drink', ' water [NAME_']))
+      .toEqual(['Rest ', '[see below] and drink', ' water ', '[NAME_'])
+  })
+})
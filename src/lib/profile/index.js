@@ -0,0 +1,91 @@
+import { getStore } from '@/lib/storage'
+import { validate, formatErrors } from '@/lib/validation'
+import { profileSchema, createEmptyProfile } from './schema'
+import { normalizeMedication } from '@/lib/medications'
+import { openRecord, sealRecord } from '@/lib/vault/records'
+
+// Profiles are stored by an id the browser generates and keeps
+// A signed-in user's profile belongs to their account (see `@/lib/account`): it is stored sealed with their key
+// and only they can read or change it. Anonymous profiles are stored as they are, open to anyone with the id
+const PROFILE_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+const store = () => getStore('profiles')
+
+export class ProfileValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid profile:\n${formatErrors(errors)}`)
+    this.name = 'ProfileValidationError'
+    this.errors = errors
+  }
+}
+
+// Someone tried to change a profile that belongs to another account
+export class ProfileAccessError extends Error {
+  constructor() {
+    super('No such profile')
+    this.name = 'ProfileAccessError'
+  }
+}
+
+export function isValidProfileId(id) {
+  return typeof id === 'string' && PROFILE_ID.test(id)
+}
+
+// { userId, value }, see `@/lib/vault/records`
+async function load(id) {
+  return openRecord(await store().get(id), `profile:${id}`)
+}
+
+// Returns the stored profile, or null when there is none (an unknown id is not an error)
+// For anyone but its user (`userId`, null when nobody is signed in), an account's profile is as good as missing
+export async function getProfile(id, { userId = null } = {}) {
+  if (!isValidProfileId(id)) return null
+  const record = await load(id)
+  if (!record || (record.userId && record.userId !== userId)) return null
+  return record.value
+}
+
+// Saved for `userId` when someone is signed in, which makes an anonymous profile theirs
+export async function saveProfile(id, profile, { userId = null } = {}) {
+  if (!isValidProfileId(id)) {
+    throw new Error('Invalid profile id')
+  }
+  const existing = await load(id)
+  if (existing?.userId && existing.userId !== userId) {
+    throw new ProfileAccessError()
+  }
+
+  const candidate = { ...createEmptyProfile(), ...profile, updatedAt: new Date().toISOString() }
+  const { valid, errors } = validate(profileSchema, candidate)
+  if (!valid) {
+    throw new ProfileValidationError(errors)
+  }
+
+  // Medicines are matched against the drug vocabulary so the interaction checker knows what they are
+  candidate.medications = candidate.medications.map(medication => ({
+    ...medication,
+    drugId: normalizeMedication(medication.name)?.id ?? null,
+  }))
+
+  await store().set(id, await sealRecord(userId, candidate, `profile:${id}`))
+  return candidate
+}
+
+// Seals an anonymous profile for `userId`, whose account it belongs to from now on
+// An empty one when there's none yet, so nobody else can start one under the same id
+export async function claimProfile(id, userId) {
+  if (!isValidProfileId(id)) return
+  const record = await load(id)
+  if (record?.userId === userId) return
+  if (record?.userId) {
+    throw new ProfileAccessError()
+  }
+  await store().set(id, await sealRecord(userId, record?.value || createEmptyProfile(), `profile:${id}`))
+}
+
+export async function deleteProfile(id) {
+  if (isValidProfileId(id)) await store().delete(id)
+}
+
+export { createEmptyProfile } from './schema'
+export { mergeProfileIntoExtraction } from './merge'
@@ -0,0 +1,74 @@
+import { describeLocation } from '@/lib/extraction/format'
+
+// How the stored profile and a new message are combined for one turn:
+//   age, location  the message wins when it says something (people travel, profiles go stale),
+//                  the profile fills in when it doesn't. A disagreement is reported as a conflict
+//                  so the user can update their profile, the profile itself is never changed here
+//   conditions     both: chronic conditions always apply, new ones from the message are added
+//   sex, medications, allergies
+//                  only ever come from the profile, we don't extract them from messages
+//   symptoms       only ever come from the message
+// Values taken from the profile get provenance { source: 'profile', confidence: 1 }
+
+const FROM_PROFILE = { source: 'profile', confidence: 1 }
+
+function sameAge(range, age) {
+  return range.min !== null && range.max !== null && range.min <= age && age <= range.max
+}
+
+function sameLocation(a, b) {
+  if (a.country && b.country) return a.country === b.country
+  return a.text.trim().toLowerCase() === b.text.trim().toLowerCase()
+}
+
+function includesIgnoringCase(list, value) {
+  return list.some(item => item.toLowerCase() === value.toLowerCase())
+}
+
+// Returns { extractedData, conflicts } where every conflict is { field, profileValue, messageValue }
+export function mergeProfileIntoExtraction(extractedData, profile) {
+  if (!profile) return { extractedData, conflicts: [] }
+
+  const { demographics } = profile
+  const merged = { ...extractedData, provenance: { ...extractedData.provenance } }
+  const conflicts = []
+
+  if (demographics.age !== null) {
+    if (!merged.age) {
+      merged.age = { min: demographics.age, max: demographics.age }
+      merged.provenance.age = FROM_PROFILE
+    } else if (!sameAge(merged.age, demographics.age)) {
+      conflicts.push({ field: 'age', profileValue: demographics.age, messageValue: merged.age })
+    }
+  }
+
+  if (demographics.location) {
+    if (!merged.location) {
+      merged.location = demographics.location
+      merged.provenance.location = FROM_PROFILE
+    } else if (!sameLocation(merged.location, demographics.location)) {
+      conflicts.push({
+        field: 'location',
+        profileValue: describeLocation(demographics.location),
+        messageValue: merged.location,
+      })
+    }
+  }
+
+  const newConditions = profile.conditions.filter(condition => !includesIgnoringCase(merged.conditions, condition))
+  if (newConditions.length > 0) {
+    merged.provenance.conditions = merged.conditions.length > 0
+      ? { ...merged.provenance.conditions, alsoFrom: 'profile' }
+      : FROM_PROFILE
+    merged.conditions = [...merged.conditions, ...newConditions]
+  }
+
+  merged.sex = demographics.sex
+  merged.medications = profile.medications
+  merged.allergies = profile.allergies
+  merged.provenance.sex = FROM_PROFILE
+  merged.provenance.medications = FROM_PROFILE
+  merged.provenance.allergies = FROM_PROFILE
+
+  return { extractedData: merged, conflicts }
+}
@@ -0,0 +1,66 @@
+// The health profile a user keeps across conversations
+
+export const SEXES = ['FEMALE', 'MALE']
+
+const stringList = { type: 'array', items: { type: 'string', minLength: 1 }, maxItems: 50 }
+
+export const profileSchema = {
+  type: 'object',
+  required: ['demographics', 'conditions', 'medications', 'allergies'],
+  additionalProperties: false,
+  properties: {
+    demographics: {
+      type: 'object',
+      required: ['age', 'sex', 'location'],
+      additionalProperties: false,
+      properties: {
+        age: { type: ['integer', 'null'], minimum: 0, maximum: 130 },
+        sex: { enum: [...SEXES, null] },
+        // Same shape as the extracted location
+        location: {
+          anyOf: [
+            { type: 'null' },
+            {
+              type: 'object',
+              required: ['text', 'country', 'region'],
+              additionalProperties: false,
+              properties: {
+                text: { type: 'string', minLength: 1 },
+                country: { type: ['string', 'null'], pattern: '^[A-Z]{2}$' },
+                region: { type: ['string', 'null'] },
+              },
+            },
+          ],
+        },
+      },
+    },
+    conditions: stringList,
+    medications: {
+      type: 'array',
+      maxItems: 50,
+      items: {
+        type: 'object',
+        required: ['name'],
+        additionalProperties: false,
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          dose: { type: ['string', 'null'] },
+          // The matching entry in the bundled drug vocabulary, null when we don't recognize the name
+          drugId: { type: ['string', 'null'] },
+        },
+      },
+    },
+    allergies: stringList,
+    updatedAt: { type: ['string', 'null'] },
+  },
+}
+
+export function createEmptyProfile() {
+  return {
+    demographics: { age: null, sex: null, location: null },
+    conditions: [],
+    medications: [],
+    allergies: [],
+    updatedAt: null,
+  }
+}
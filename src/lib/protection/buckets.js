@@ -0,0 +1,86 @@
+import { getStore } from '@/lib/storage'
+import { createMemoryStore } from '@/lib/storage/memory'
+
+// Token buckets: every client gets `capacity` tokens, each request takes one,
+// and they come back at `capacity` per `period` seconds, so short bursts are fine but a steady flood is not
+// A bucket is kept as { tokens, updatedAt } under "<rule>:<client>" in a key-value store (see `@/lib/storage`):
+//   in memory by default, which is enough for one server process,
+//   RATE_LIMIT_STORE=storage puts them in the configured storage adapter instead,
+//   and `setBucketStore` takes anything with the same get/set/delete/list surface (Redis, ...)
+
+// How often buckets that have filled up again are dropped, so one-off visitors don't pile up
+const SWEEP_INTERVAL_MS = 60 * 1000
+
+let bucketStore = null
+let lastSweep = Date.now()
+
+function store() {
+  if (!bucketStore) {
+    const adapter = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase()
+    if (adapter === 'memory') {
+      bucketStore = createMemoryStore()
+    } else if (adapter === 'storage') {
+      bucketStore = getStore('rate-limits')
+    } else {
+      throw new Error(`Unknown rate limit store "${adapter}". Expected "memory" or "storage"`)
+    }
+  }
+  return bucketStore
+}
+
+export function setBucketStore(store) {
+  bucketStore = store
+}
+
+// Tokens left after refilling for the time that has passed since the bucket was last touched
+function refill(bucket, rule, now) {
+  if (!bucket) return rule.capacity
+  const elapsed = Math.max(0, now - bucket.updatedAt) / 1000
+  return Math.min(rule.capacity, bucket.tokens + elapsed * (rule.capacity / rule.period))
+}
+
+// Requests are handled concurrently, so reading and writing one bucket is done one request at a time
+const pending = new Map()
+
+// A request that fails (the store is down) fails on its own, the ones queued behind it still run
+function serialized(key, task) {
+  const previous = pending.get(key) || Promise.resolve()
+  const next = previous.then(task)
+  const tail = next.catch(() => {})
+  pending.set(key, tail)
+  tail.then(() => {
+    if (pending.get(key) === tail) pending.delete(key)
+  })
+  return next
+}
+
+// `rules` tells us how fast each kind of bucket refills
+export async function sweepBuckets(rules, now = Date.now()) {
+  if (now - lastSweep < SWEEP_INTERVAL_MS) return
+  lastSweep = now
+
+  const rulesByName = new Map(rules.map(rule => [rule.name, rule]))
+  for (const key of await store().list()) {
+    const rule = rulesByName.get(key.slice(0, key.indexOf(':')))
+    const bucket = await store().get(key)
+    if (!rule || !bucket || refill(bucket, rule, now) >= rule.capacity) await store().delete(key)
+  }
+}
+
+// Takes one token from the bucket of `client` for `rule` ({ name, capacity, period })
+// Returns { allowed, remaining, retryAfter } where `retryAfter` is in whole seconds (0 when allowed)
+export function take(rule, client, now = Date.now()) {
+  const key = `${rule.name}:${client}`
+
+  return serialized(key, async () => {
+    const tokens = refill(await store().get(key), rule, now)
+
+    if (tokens < 1) {
+      const retryAfter = Math.ceil((1 - tokens) * (rule.period / rule.capacity))
+      return { allowed: false, remaining: 0, retryAfter }
+    }
+
+    await store().set(key, { tokens: tokens - 1, updatedAt: now })
+    return { allowed: true, remaining: Math.floor(tokens - 1), retryAfter: 0 }
+  })
+}
@@ -0,0 +1,181 @@
+import { createHash } from 'crypto'
+import { NextResponse } from 'next/server'
+import { isValidSessionId } from '@/lib/sessions'
+import { createLogger } from '@/lib/logger'
+import { take, sweepBuckets } from './buckets'
+import { checkUserInput, MAX_BODY_BYTES } from './input'
+import { checkImages, MAX_IMAGES, MAX_IMAGE_BYTES } from '@/lib/images'
+
+// Abuse protection for API routes that end up calling the models, wrapped around the route handler:
+//   export const POST = withProtection(async (request, body) => ...)
+// Before the handler runs, a request has to
+//   -> fit in the body size limit (413)
+//   -> have tokens left in the per-IP and per-session buckets, and per-email for sign-in links (429, see ./buckets)
+//   -> carry a message that isn't too long (413) or trying to instruct the model (400, see ./input)
+//   -> where photos are taken, carry no more of them than allowed, each small enough and a real JPEG or PNG (413, 415)
+// Every rejection is a JSON body { error, code, ...details } so the client can explain what happened
+
+const logger = createLogger('protection')
+
+// Requests per client, refilled over `period` seconds. A limit of 0 turns that rule off
+const limit = (name, fallback) => {
+  const value = parseInt(process.env[name])
+  return Number.isNaN(value) ? fallback : Math.max(0, value)
+}
+
+const RULES = [
+  { name: 'ip-minute', scope: 'ip', capacity: limit('RATE_LIMIT_PER_MINUTE', 10), period: 60 },
+  { name: 'ip-day', scope: 'ip', capacity: limit('RATE_LIMIT_PER_DAY', 300), period: 24 * 60 * 60 },
+  // Requests without a conversation are counted per IP address instead, so leaving the session out doesn't skip it
+  { name: 'session-minute', scope: 'session', capacity: limit('RATE_LIMIT_SESSION_PER_MINUTE', 6), period: 60 },
+  // So nobody can flood someone's inbox with sign-in links
+  { name: 'email-hour', scope: 'email', capacity: limit('RATE_LIMIT_EMAIL_PER_HOUR', 5), period: 60 * 60 },
+].filter(rule => rule.capacity > 0)
+
+export class RequestRejectedError extends Error {
+  constructor(status, code, message, details = {}) {
+    super(message)
+    this.name = 'RequestRejectedError'
+    this.status = status
+    this.code = code
+    this.details = details
+  }
+}
+
+// How many proxies in front of us (Vercel, nginx...) append to x-forwarded-for, 1 by default
+// The client can send the header with anything in it already, only the addresses our own proxies added are real:
+// the last TRUSTED_PROXY_HOPS entries, of which the first is the client as the outermost proxy saw it
+// With 0 the headers aren't trusted at all and every request shares one bucket
+const TRUSTED_PROXY_HOPS = limit('TRUSTED_PROXY_HOPS', 1)
+
+function clientAddress(request) {
+  if (TRUSTED_PROXY_HOPS === 0) return 'local'
+  const forwarded = (request.headers.get('x-forwarded-for') || '').split(',').map(entry => entry.trim()).filter(Boolean)
+  if (forwarded.length > 0) return forwarded[Math.max(0, forwarded.length - TRUSTED_PROXY_HOPS)]
+  return request.headers.get('x-real-ip') || 'local'
+}
+
+async function enforceRateLimits(scope, client) {
+  for (const rule of RULES.filter(rule => rule.scope === scope)) {
+    const { allowed, retryAfter } = await take(rule, client)
+    if (!allowed) {
+      throw new RequestRejectedError(429, 'rate_limited', `Too many requests, try again in ${retryAfter} seconds`, { retryAfter })
+    }
+  }
+}
+
+function parseJson(text) {
+  try {
+    const body = JSON.parse(text)
+    if (body && typeof body === 'object' && !Array.isArray(body)) return body
+  } catch {}
+  throw new RequestRejectedError(400, 'invalid_json', 'Request body must be JSON')
+}
+
+const isMultipart = request => Boolean(request.headers.get('content-type')?.startsWith('multipart/form-data'))
+
+// A message with photos: the JSON body in the "message" field, each photo an "images" file
+async function parseMultipart(bytes, contentType) {
+  let form
+  try {
+    form = await new Response(bytes, { headers: { 'Content-Type': contentType } }).formData()
+  } catch {
+    throw new RequestRejectedError(400, 'invalid_body', 'Request body must be multipart form data')
+  }
+
+  const body = parseJson(form.get('message'))
+  const files = form.getAll('images').filter(file => typeof file !== 'string')
+  body.images = await Promise.all(files.map(async file => ({ mimeType: file.type, data: Buffer.from(await file.arrayBuffer()) })))
+  return body
+}
+
+// The body, read no further than `maxBytes`: a Content-Length over it is refused before reading anything,
+// and a chunked request, which has none, as soon as it goes over. Throws a RequestRejectedError (413) then
+// Also for routes that take a large body of their own without the rest of the protection, like FHIR imports
+export async function readLimited(request, maxBytes) {
+  const tooLarge = () => new RequestRejectedError(413, 'body_too_large', `Request body is larger than ${maxBytes} bytes`)
+
+  const declaredLength = parseInt(request.headers.get('content-length'))
+  if (declaredLength > maxBytes) throw tooLarge()
+  if (!request.body) return Buffer.alloc(0)
+
+  const chunks = []
+  let length = 0
+  const reader = request.body.getReader()
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) break
+    length += value.length
+    if (length > maxBytes) {
+      await reader.cancel().catch(() => {})
+      throw tooLarge()
+    }
+    chunks.push(value)
+  }
+  return Buffer.concat(chunks, length)
+}
+
+// A JSON body by default, the bytes as they came for `raw` routes, like recorded audio,
+// or a message with photos for routes that take them
+async function readBody(request, { raw, multipart, maxBytes }) {
+  const bytes = await readLimited(request, maxBytes)
+  if (raw) return bytes
+  if (multipart) return parseMultipart(bytes, request.headers.get('content-type'))
+
+  return parseJson(bytes.toString('utf8'))
+}
+
+// Runs every check and returns the parsed body, or throws a RequestRejectedError
+// `checkInput: false` is for routes that work on a message we already have, like retrying its advice
+// `raw: true` hands the body over as a Buffer of at most `maxBodyBytes`, only the per-IP limits apply to those
+// `images: true` also takes the message as multipart form data with photos: they come out as `body.images`
+// ([{ mimeType, data }], checked by `@/lib/images`), which is always an empty list for JSON bodies
+export async function protectRequest(request, { checkInput = true, raw = false, images = false, maxBodyBytes = MAX_BODY_BYTES } = {}) {
+  await sweepBuckets(RULES)
+  const address = clientAddress(request)
+  await enforceRateLimits('ip', address)
+
+  const multipart = images && isMultipart(request)
+  const body = await readBody(request, {
+    raw,
+    multipart,
+    // The photos, and the part headers around each of them
+    maxBytes: multipart ? maxBodyBytes + MAX_IMAGES * (MAX_IMAGE_BYTES + 1024) : maxBodyBytes,
+  })
+  if (raw) return body
+
+  await enforceRateLimits('session', isValidSessionId(body.sessionId) ? body.sessionId : `ip:${address}`)
+  if (typeof body.email === 'string') {
+    // Buckets can end up in the storage, addresses shouldn't
+    await enforceRateLimits('email', createHash('sha256').update(body.email.trim().toLowerCase()).digest('hex'))
+  }
+
+  if (images && !multipart) body.images = []
+  const problem = (checkInput && checkUserInput(body.userInput)) || (images && checkImages(body.images))
+  if (problem) {
+    const { status, code, error, details } = problem
+    throw new RequestRejectedError(status, code, error, details)
+  }
+
+  return body
+}
+
+export function rejectionResponse(error) {
+  const headers = error.details.retryAfter ? { 'Retry-After': String(error.details.retryAfter) } : {}
+  return NextResponse.json({ error: error.message, code: error.code, ...error.details }, { status: error.status, headers })
+}
+
+// `handler(request, body, ...rest)` only runs for requests that pass every check
+export function withProtection(handler, options) {
+  return async (request, ...rest) => {
+    let body
+    try {
+      body = await protectRequest(request, options)
+    } catch (error) {
+      if (!(error instanceof RequestRejectedError)) throw error
+      logger.warn('Request rejected', { status: error.status, code: error.code })
+      return rejectionResponse(error)
+    }
+    return handler(request, body, ...rest)
+  }
+}
@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest'
+import { protectRequest, readLimited } from '.'
+import { take, setBucketStore } from './buckets'
+import { createMemoryStore } from '@/lib/storage/memory'
+import { MAX_BODY_BYTES } from './input'
+
+let nextAddress = 1
+// Every test gets its own client, so one test doesn't use up another's buckets
+const freshAddress = () => `203.0.113.${nextAddress++}`
+
+function request(body, headers = {}) {
+  return new Request('http://localhost/api/test', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  })
+}
+
+async function rejection(promise) {
+  try {
+    await promise
+  } catch (error) {
+    return error
+  }
+  return null
+}
+
+describe('protectRequest', () => {
+  it('counts requests by the address the proxy added, not one the client made up', async () => {
+    const address = freshAddress()
+    const results = []
+    for (let index = 0; index < 11; index++) {
+      // A new session each time, so only the per-IP limit applies
+      const error = await rejection(protectRequest(request(
+        { userInput: 'I have a cough', sessionId: crypto.randomUUID() },
+        { 'X-Forwarded-For': `198.51.100.${index}, ${address}` },
+      )))
+      results.push(error?.status || 200)
+    }
+    expect(results.at(-1)).toBe(429)
+  })
+
+  it('counts requests without a conversation per address', async () => {
+    const headers = { 'X-Forwarded-For': freshAddress() }
+    const results = []
+    for (let index = 0; index < 7; index++) {
+      const error = await rejection(protectRequest(request({ userInput: 'I have a cough' }, headers)))
+      results.push(error?.status || 200)
+    }
+    expect(results.slice(0, 6)).toEqual([200, 200, 200, 200, 200, 200])
+    expect(results[6]).toBe(429)
+  })
+
+  it('stops reading a body without a length once it is too large', async () => {
+    const chunk = new TextEncoder().encode('x'.repeat(1024))
+    let sent = 0
+    const body = new ReadableStream({
+      pull(controller) {
+        sent += chunk.length
+        controller.enqueue(chunk)
+        if (sent > MAX_BODY_BYTES * 4) controller.close()
+      },
+    })
+    const chunked = new Request('http://localhost/api/test', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': freshAddress() },
+      body,
+      duplex: 'half',
+    })
+
+    const error = await rejection(protectRequest(chunked))
+    expect(error).toMatchObject({ status: 413, code: 'body_too_large' })
+    expect(sent).toBeLessThan(MAX_BODY_BYTES * 2)
+  })
+})
+
+describe('readLimited', () => {
+  it('refuses a body whose Content-Length is over the limit without reading it', async () => {
+    const large = request({ text: 'x'.repeat(5000) }, { 'Content-Length': '5012' })
+
+    const error = await rejection(readLimited(large, 1000))
+    expect(error).toMatchObject({ status: 413, code: 'body_too_large' })
+    expect(large.bodyUsed).toBe(false)
+  })
+
+  it('reads a body within the limit', async () => {
+    expect((await readLimited(request({ ok: true }), 1000)).toString('utf8')).toBe('{"ok":true}')
+  })
+})
+
+describe('take', () => {
+  it('keeps serving a bucket after a request for it failed', async () => {
+    const memory = createMemoryStore()
+    let failures = 1
+    setBucketStore({
+      ...memory,
+      get: async key => {
+        if (failures-- > 0) throw new Error('store down')
+        return memory.get(key)
+      },
+    })
+    const rule = { name: 'test', capacity: 5, period: 60 }
+
+    try {
+      const results = await Promise.allSettled([take(rule, 'client'), take(rule, 'client'), take(rule, 'client')])
+      expect(results.map(result => result.status)).toEqual(['rejected', 'fulfilled', 'fulfilled'])
+      expect(results[2].value).toMatchObject({ allowed: true, remaining: 3 })
+    } finally {
+      setBucketStore(null)
+    }
+  })
+})
@@ -0,0 +1,45 @@
+// Checks on the message itself, before it costs us any model calls
+// A real description of symptoms fits comfortably in the limits below,
+// anything much longer is almost always pasted documents or an attempt to flood the prompt
+
+export const MAX_INPUT_LENGTH = Math.max(1, parseInt(process.env.MAX_INPUT_LENGTH) || 2000)
+
+// The whole JSON body, which also carries the session, profile and language
+export const MAX_BODY_BYTES = MAX_INPUT_LENGTH * 4 + 1024
+
+// Text trying to talk to the model rather than about the user's health:
+// "ignore all previous instructions", "you are now DAN", "reveal your system prompt", chat template markers...
+// Kept narrow on purpose: "ignore what I said before, it's my left knee" is a normal thing to write
+const INJECTION_PATTERNS = [
+  /\b(?:ignore|disregard|forget|override)\s+(?:all\s+|any\s+|the\s+|your\s+)*(?:previous|prior|above|earlier|preceding|system)\s+(?:instructions?|prompts?|rules|messages|directions)\b/i,
+  /\b(?:reveal|show|print|repeat|output|leak)\s+(?:me\s+)?(?:your|the)\s+(?:system\s+prompt|instructions|hidden\s+prompt|initial\s+prompt)\b/i,
+  /\byou\s+are\s+(?:now\s+)?(?:DAN|in\s+developer\s+mode|jailbroken|no\s+longer\s+(?:an?\s+)?(?:AI|assistant|bound))\b/i,
+  /\b(?:jailbreak|developer\s+mode\s+enabled|do\s+anything\s+now)\b/i,
+  /<\|(?:im_start|im_end|system|endoftext)\|>|\[\/?INST\]|^\s*#{2,}\s*(?:system|assistant|instructions?)\s*:?\s*$/im,
+  /\b(?:ignore[sz]?|oublie[sz]?)\s+(?:toutes\s+)?(?:les\s+)?instructions\s+(?:pr[ée]c[ée]dentes|ci-dessus)/i,
+  /\b(?:ignora|olvida)\s+(?:todas\s+)?(?:las\s+)?instrucciones\s+(?:anteriores|previas)/i,
+  /\bpuuza\s+maagizo\s+(?:yote\s+)?(?:ya\s+)?(?:awali|yaliyotangulia)/i,
+]
+
+export function looksLikePromptInjection(text) {
+  return INJECTION_PATTERNS.some(pattern => pattern.test(text))
+}
+
+// Returns null when the message is fine, or { status, code, error, details } describing why not
+export function checkUserInput(userInput) {
+  if (typeof userInput !== 'string' || !userInput.trim()) {
+    return { status: 400, code: 'invalid_input', error: 'userInput must be a non-empty string' }
+  }
+  if (userInput.length > MAX_INPUT_LENGTH) {
+    return {
+      status: 413,
+      code: 'input_too_long',
+      error: `userInput is ${userInput.length} characters long, the limit is ${MAX_INPUT_LENGTH}`,
+      details: { length: userInput.length, maxLength: MAX_INPUT_LENGTH },
+    }
+  }
+  if (looksLikePromptInjection(userInput)) {
+    return { status: 400, code: 'input_rejected', error: 'userInput looks like instructions for the model rather than a health question' }
+  }
+  return null
+}
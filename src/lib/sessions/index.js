@@ -0,0 +1,157 @@
+import { randomUUID } from 'crypto'
+import { getStore } from '@/lib/storage'
+import { getUserDataKey, addUserSession } from '@/lib/auth'
+import { sealJson, openJson } from '@/lib/vault'
+import { describeAge, describeLocation, describeSymptom } from '@/lib/extraction/format'
+import { describeQuestion } from '@/lib/intake'
+
+// A session is one conversation, kept on the server so prompts are built from what actually happened
+// instead of whatever the client sends back:
+//   { id, userId, createdAt, updatedAt, turns: [turn], intake }
+// where `intake` is the guided intake in progress, if any (see `@/lib/intake`),
+// and every turn is one message with everything we worked out for it:
+//   { id, createdAt, userInput, language, extractedData, nearbyCare, triage, advice, healthAdvice, interactionWarnings, trialIds, sections, intake }
+//
+// Sessions of signed-in users belong to them (`userId`, see `@/lib/auth`): only they can open them again,
+// and what was said is stored sealed with their own key (see `@/lib/vault`), as
+//   { id, userId, createdAt, updatedAt, sealed }
+// Anonymous sessions (`userId` null) are stored as they are and open to anyone with the id, as they always were
+
+// How many previous turns go into the prompts, older ones are kept but not sent to the model
+const HISTORY_TURNS = 10
+
+const SESSION_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+const store = () => getStore('sessions')
+
+// Turns are added by concurrent requests (a message and a regenerated advice, two tabs...), so changes to one
+// session are made one at a time: each reads the session only once the previous change is saved
+const writing = new Map()
+
+function serialized(id, task) {
+  const previous = writing.get(id) || Promise.resolve()
+  const next = previous.then(task)
+  const tail = next.catch(() => {})
+  writing.set(id, tail)
+  tail.then(() => {
+    if (writing.get(id) === tail) writing.delete(id)
+  })
+  return next
+}
+
+export function isValidSessionId(id) {
+  return typeof id === 'string' && SESSION_ID.test(id)
+}
+
+async function load(id) {
+  const record = await store().get(id)
+  if (!record?.sealed) return record && { userId: null, ...record }
+
+  // A user who deleted their account leaves nothing that can be opened
+  const key = await getUserDataKey(record.userId)
+  if (!key) return null
+  const { sealed, ...metadata } = record
+  return { ...metadata, ...openJson(key, sealed, `session:${id}`) }
+}
+
+async function save(session) {
+  if (!session.userId) return store().set(session.id, session)
+
+  const key = await getUserDataKey(session.userId)
+  if (!key) {
+    throw new Error(`User ${session.userId} does not exist`)
+  }
+  const { turns, intake, ...metadata } = session
+  await store().set(session.id, { ...metadata, sealed: sealJson(key, { turns, intake }, `session:${session.id}`) })
+}
+
+// The session, as seen by `userId` (null when nobody is signed in): someone else's session is as good as missing
+export async function getSession(id, { userId = null } = {}) {
+  if (!isValidSessionId(id)) return null
+  const session = await load(id)
+  if (!session || (session.userId && session.userId !== userId)) return null
+  return session
+}
+
+// Picks up the session the client asked for, or starts a new one if it doesn't exist (anymore)
+// A signed-in user takes over an anonymous session they continue, e.g. one they started before signing in
+export async function getOrCreateSession(id, { userId = null } = {}) {
+  const existing = await getSession(id, { userId })
+  if (existing && (existing.userId || !userId)) return existing
+
+  if (existing) {
+    // Read again in turn with other changes, a turn saved meanwhile must not be lost
+    const session = await serialized(id, async () => {
+      const claimed = { ...(await load(id) || existing), userId }
+      await save(claimed)
+      return claimed
+    })
+    await addUserSession(userId, session.id)
+    return session
+  }
+
+  const now = new Date().toISOString()
+  const session = { id: randomUUID(), userId, createdAt: now, updatedAt: now, turns: [] }
+  await save(session)
+  if (userId) await addUserSession(userId, session.id)
+  return session
+}
+
+export async function deleteSession(id) {
+  if (isValidSessionId(id)) await store().delete(id)
+}
+
+// `changes` are saved on the session along with the turn, e.g. { intake }
+export function appendTurn(sessionId, turn, changes = {}) {
+  return serialized(sessionId, async () => {
+    const session = await load(sessionId)
+    if (!session) {
+      throw new Error(`Session ${sessionId} does not exist`)
+    }
+
+    const now = new Date().toISOString()
+    const saved = { id: randomUUID(), createdAt: now, ...turn }
+    Object.assign(session, changes)
+    session.turns.push(saved)
+    session.updatedAt = now
+    await save(session)
+    return saved
+  })
+}
+
+// Changes part of a stored turn, e.g. when its advice is generated again
+export function updateTurn(sessionId, turnId, changes) {
+  return serialized(sessionId, async () => {
+    const session = await load(sessionId)
+    const turn = session?.turns.find(candidate => candidate.id === turnId)
+    if (!turn) {
+      throw new Error(`Turn ${turnId} does not exist in session ${sessionId}`)
+    }
+
+    Object.assign(turn, changes)
+    session.updatedAt = new Date().toISOString()
+    await save(session)
+    return turn
+  })
+}
+
+function describeExtraction({ age, location, conditions = [], symptoms = [] }) {
+  return [
+    age && `age ${describeAge(age)}`,
+    location && `location ${describeLocation(location)}`,
+    conditions.length > 0 && `conditions ${conditions.join(', ')}`,
+    symptoms.length > 0 && `symptoms ${symptoms.map(describeSymptom).join(', ')}`,
+  ].filter(Boolean).join('; ')
+}
+
+// The prior turns as lines of text for the extraction and advice prompts
+export function buildConversationHistory(session, { maxTurns = HISTORY_TURNS } = {}) {
+  return session.turns.slice(-maxTurns).flatMap(turn => [
+    `user: ${turn.userInput}${turn.imageAnalysis ? ` (with ${turn.imageAnalysis.count} photo${turn.imageAnalysis.count === 1 ? '' : 's'})` : ''}`,
+    turn.extractedData && `assistant (extracted): ${describeExtraction(turn.extractedData) || 'nothing'}`,
+    turn.triage && turn.triage.urgency !== 'routine' && `assistant (triage): ${turn.triage.urgency} - ${turn.triage.flags.map(flag => flag.label).join(', ')}`,
+    turn.intake?.status === 'asking' && `assistant (asked): ${describeQuestion(turn.intake.question)}`,
+    turn.healthAdvice && `assistant (advice): ${turn.healthAdvice}`,
+    turn.trialIds?.length > 0 && `assistant (trials shown): ${turn.trialIds.join(', ')}`,
+  ].filter(Boolean))
+}
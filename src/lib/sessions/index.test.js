@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest'
+import { getOrCreateSession, getSession, appendTurn, updateTurn } from './index'
+
+describe('session turns', () => {
+  it('keeps every turn when they are added at the same time', async () => {
+    const session = await getOrCreateSession(null)
+    await Promise.all(Array.from({ length: 5 }, (_, index) => appendTurn(session.id, { userInput: `message ${index}` })))
+
+    const saved = await getSession(session.id)
+    expect(saved.turns.map(turn => turn.userInput).sort()).toEqual(['message 0', 'message 1', 'message 2', 'message 3', 'message 4'])
+  })
+
+  it('keeps a turn added while another one is updated', async () => {
+    const session = await getOrCreateSession(null)
+    const first = await appendTurn(session.id, { userInput: 'first', advice: null })
+    await Promise.all([
+      updateTurn(session.id, first.id, { advice: 'rest' }),
+      appendTurn(session.id, { userInput: 'second' }),
+    ])
+
+    const saved = await getSession(session.id)
+    expect(saved.turns.map(turn => [turn.userInput, turn.advice])).toEqual([['first', 'rest'], ['second', undefined]])
+  })
+
+  it('goes on after a failed change', async () => {
+    const session = await getOrCreateSession(null)
+    await expect(updateTurn(session.id, 'missing', {})).rejects.toThrow('does not exist')
+    await appendTurn(session.id, { userInput: 'after' })
+    expect((await getSession(session.id)).turns).toHaveLength(1)
+  })
+})
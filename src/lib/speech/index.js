@@ -0,0 +1,93 @@
+// Speaking and listening in the browser, for users who find reading and typing hard
+//   -> read aloud: speechSynthesis, one sentence at a time so the page can highlight the one being read
+//   -> voice input: the Web Speech API's SpeechRecognition where the browser has it, otherwise a recording
+//      the server transcribes (see /api/transcribe)
+// Browser only, callers check support after mounting
+
+// Voices and recognizers want a region, these are the ones browsers most often have for our languages
+const LOCALES = { en: 'en-US', fr: 'fr-FR', es: 'es-ES', sw: 'sw-KE' }
+
+export const speechLocale = language => LOCALES[language] || language
+
+// Sentences with the space after them, so joined back together they are the text again
+// The page and the reader split the same way, which is what lets the page highlight by position
+export function splitSentences(text, language) {
+  if (!text) return []
+  if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+    return [...new Intl.Segmenter(language, { granularity: 'sentence' }).segment(text)].map(({ segment }) => segment)
+  }
+  return text.match(/[^.!?]+(?:[.!?]+\s*|$)|[.!?]+\s*/g) || [text]
+}
+
+// [{ id, text }] -> one entry per sentence, `id:index`, leaving out the ones with nothing to say
+export function toSentences(parts, language) {
+  return parts.flatMap(({ id, text }) => splitSentences(text, language)
+    .map((sentence, index) => ({ id: `${id}:${index}`, text: sentence.trim() })))
+    .filter(sentence => sentence.text)
+}
+
+export const isSpeechSynthesisSupported = () => typeof window !== 'undefined' && 'speechSynthesis' in window
+
+export const getSpeechRecognition = () => typeof window === 'undefined'
+  ? null
+  : window.SpeechRecognition || window.webkitSpeechRecognition || null
+
+export const canRecordAudio = () => typeof window !== 'undefined'
+  && typeof window.MediaRecorder !== 'undefined'
+  && Boolean(navigator.mediaDevices?.getUserMedia)
+
+// A voice for the language if the device has one, otherwise the browser picks from the utterance's lang
+function voiceFor(language) {
+  const voices = window.speechSynthesis.getVoices()
+  const locale = speechLocale(language).toLowerCase()
+  const matches = voices.filter(voice => voice.lang.replace('_', '-').toLowerCase().startsWith(language))
+  return matches.find(voice => voice.lang.replace('_', '-').toLowerCase() === locale) || matches[0] || null
+}
+
+// Only one text is read at a time, starting another one stops it
+let current = null
+
+// Reads `sentences` ([{ id, text }]) in order. `onSentence(index)` as each one starts, `onEnd()` once
+// it is over, finished or stopped. Returns { pause, resume, stop }
+export function speak(sentences, { language, onSentence, onEnd }) {
+  current?.stop()
+
+  const synth = window.speechSynthesis
+  const voice = voiceFor(language)
+  let stopped = false
+
+  const reader = {
+    pause: () => synth.pause(),
+    resume: () => synth.resume(),
+    stop() {
+      if (stopped) return
+      stopped = true
+      if (current === reader) current = null
+      synth.cancel()
+      onEnd()
+    },
+  }
+
+  const read = index => {
+    if (stopped) return
+    if (index >= sentences.length) return reader.stop()
+
+    const utterance = new SpeechSynthesisUtterance(sentences[index].text)
+    utterance.lang = speechLocale(language)
+    if (voice) utterance.voice = voice
+    utterance.onstart = () => !stopped && onSentence(index)
+    utterance.onend = () => read(index + 1)
+    // Cancelling is how we stop, anything else means this device can't read it
+    utterance.onerror = event => {
+      if (event.error !== 'interrupted' && event.error !== 'canceled') reader.stop()
+    }
+    synth.speak(utterance)
+  }
+
+  current = reader
+  // A paused synthesizer stays paused for the next text too
+  synth.cancel()
+  synth.resume()
+  read(0)
+  return reader
+}
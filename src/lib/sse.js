@@ -0,0 +1,51 @@
+// Server-Sent Events helpers, shared by the API route (encoding) and the browser (parsing)
+// We read the stream with fetch() rather than EventSource because our requests are POSTs
+
+const encoder = new TextEncoder()
+
+// Encodes one event as bytes ready to be enqueued on a ReadableStream
+export function encodeEvent(event, data) {
+  return encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+}
+
+// Reads a fetch() response body and yields { event, data } for every event in it
+// `data` is JSON-parsed when possible, otherwise left as a string (e.g. the "[DONE]" marker some APIs send)
+export async function* parseEventStream(body) {
+  const reader = body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read()
+      if (done) break
+      buffer += decoder.decode(value, { stream: true })
+
+      // Events are separated by a blank line
+      let boundary
+      while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+        const block = buffer.slice(0, boundary)
+        buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '')
+
+        let event = 'message'
+        const dataLines = []
+        for (const line of block.split(/\r?\n/)) {
+          if (line.startsWith('event:')) event = line.slice(6).trim()
+          else if (line.startsWith('data:')) dataLines.push(line.slice(5).replace(/^ /, ''))
+        }
+        if (dataLines.length === 0) continue
+
+        const raw = dataLines.join('\n')
+        let data = raw
+        try {
+          data = JSON.parse(raw)
+        } catch {
+          // Not JSON, hand it over as text
+        }
+        yield { event, data }
+      }
+    }
+  } finally {
+    reader.releaseLock()
+  }
+}
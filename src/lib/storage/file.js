@@ -0,0 +1,56 @@
+import { promises as fs } from 'fs'
+import path from 'path'
+
+// One JSON file per key in `directory`
+// Writes go to a temporary file that is then renamed over the old one, so a crash never leaves half a file,
+// and writes to the same key are queued so two requests can't interleave
+export function createFileStore(directory) {
+  const pending = new Map()
+
+  const fileFor = key => path.join(directory, `${encodeURIComponent(key)}.json`)
+
+  const queue = (key, task) => {
+    const previous = pending.get(key) || Promise.resolve()
+    const next = previous.catch(() => {}).then(task)
+    pending.set(key, next)
+    next.finally(() => {
+      if (pending.get(key) === next) pending.delete(key)
+    }).catch(() => {})
+    return next
+  }
+
+  return {
+    async get(key) {
+      await pending.get(key)?.catch(() => {})
+      try {
+        return JSON.parse(await fs.readFile(fileFor(key), 'utf8'))
+      } catch (error) {
+        if (error.code === 'ENOENT') return null
+        throw error
+      }
+    },
+
+    set(key, value) {
+      return queue(key, async () => {
+        await fs.mkdir(directory, { recursive: true })
+        const temporary = `${fileFor(key)}.${process.pid}.tmp`
+        await fs.writeFile(temporary, JSON.stringify(value))
+        await fs.rename(temporary, fileFor(key))
+      })
+    },
+
+    delete(key) {
+      return queue(key, () => fs.rm(fileFor(key), { force: true }))
+    },
+
+    async list() {
+      try {
+        const files = await fs.readdir(directory)
+        return files.filter(file => file.endsWith('.json')).map(file => decodeURIComponent(file.slice(0, -5)))
+      } catch (error) {
+        if (error.code === 'ENOENT') return []
+        throw error
+      }
+    },
+  }
+}
@@ -0,0 +1,26 @@
+import path from 'path'
+import { createMemoryStore } from './memory'
+import { createFileStore } from './file'
+
+// Key-value stores for server-side data (sessions, ...)
+// Every store has the same async surface:
+//   get(key) -> value | null, set(key, value), delete(key), list() -> keys
+// Values are plain JSON-serializable objects
+//
+// STORAGE_ADAPTER picks the backend ("file" by default, or "memory"),
+// STORAGE_DIR is where the file adapter keeps its data (".data" in the project root by default)
+const stores = new Map()
+
+export function getStore(name) {
+  if (!stores.has(name)) {
+    const adapter = (process.env.STORAGE_ADAPTER || 'file').toLowerCase()
+    if (adapter === 'memory') {
+      stores.set(name, createMemoryStore())
+    } else if (adapter === 'file') {
+      stores.set(name, createFileStore(path.join(process.env.STORAGE_DIR || path.join(process.cwd(), '.data'), name)))
+    } else {
+      throw new Error(`Unknown storage adapter "${adapter}". Expected "file" or "memory"`)
+    }
+  }
+  return stores.get(name)
+}
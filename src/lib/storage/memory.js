@@ -0,0 +1,22 @@
+// Keeps everything in a Map, lost on restart. Useful for tests and single-process demos
+export function createMemoryStore() {
+  const items = new Map()
+
+  return {
+    async get(key) {
+      return items.has(key) ? structuredClone(items.get(key)) : null
+    },
+
+    async set(key, value) {
+      items.set(key, structuredClone(value))
+    },
+
+    async delete(key) {
+      items.delete(key)
+    },
+
+    async list() {
+      return [...items.keys()]
+    },
+  }
+}
@@ -0,0 +1,81 @@
+import { summaryBlocks, badgeLabel } from './layout'
+
+// The visit summary as a standalone HTML page, laid out for printing on A4 or Letter
+// It has no scripts and no external resources, so it can be saved and opened anywhere
+
+const escapeHtml = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;')
+
+const STYLES = `
+  @page { size: auto; margin: 18mm; }
+  body { font: 11pt/1.45 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #1a1a1a; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; }
+  h1 { font-size: 20pt; margin: 0 0 .25rem; color: #365314; }
+  h2 { font-size: 13pt; margin: 1.4rem 0 .4rem; padding-bottom: .2rem; border-bottom: 1px solid #d4d4d4; color: #365314; break-after: avoid; }
+  h3 { font-size: 11pt; margin: .9rem 0 .3rem; break-after: avoid; }
+  p { margin: .25rem 0; }
+  ul { margin: .2rem 0; padding-left: 1.2rem; }
+  li { margin: .15rem 0; break-inside: avoid; }
+  a { color: #1d4ed8; }
+  .meta { color: #525252; font-size: 9.5pt; }
+  .note { color: #525252; font-style: italic; }
+  .badge { display: inline-block; margin-right: .4rem; padding: 0 .45rem; border: 1px solid currentColor; border-radius: 999px; font-size: 8.5pt; font-weight: 600; }
+  .badge-urgency.badge-routine, .badge-severity.badge-info { color: #3f6212; }
+  .badge-urgency.badge-urgent, .badge-severity.badge-caution { color: #b45309; }
+  .badge-urgency.badge-emergency, .badge-severity.badge-urgent { color: #b91c1c; }
+  @media print {
+    body { margin: 0; max-width: none; }
+    a { color: inherit; text-decoration: none; }
+  }
+`
+
+function badge(block, language) {
+  if (!block.badge) return ''
+  const { kind, value } = block.badge
+  return `<span class="badge badge-${kind} badge-${value}">${escapeHtml(badgeLabel(block.badge, language))}</span>`
+}
+
+function content(block, language) {
+  const text = block.link
+    ? `<a href="${escapeHtml(block.link)}">${escapeHtml(block.text)}</a>`
+    : escapeHtml(block.text)
+  return `${badge(block, language)}${text}`
+}
+
+export function renderSummaryHtml(summary, language) {
+  const blocks = summaryBlocks(summary, language)
+  const body = []
+  let inList = false
+
+  for (const block of blocks) {
+    // Consecutive items share one list
+    if (block.type === 'item' && !inList) body.push('<ul>')
+    if (block.type !== 'item' && inList) body.push('</ul>')
+    inList = block.type === 'item'
+
+    if (block.type === 'title') body.push(`<h1>${escapeHtml(block.text)}</h1>`)
+    else if (block.type === 'heading') body.push(`<h2>${escapeHtml(block.text)}</h2>`)
+    else if (block.type === 'subheading') body.push(`<h3>${content(block, language)}</h3>`)
+    else if (block.type === 'item') body.push(`<li>${content(block, language)}</li>`)
+    else if (block.type === 'text') body.push(`<p>${content(block, language)}</p>`)
+    else body.push(`<p class="${block.type}">${content(block, language)}</p>`)
+  }
+  if (inList) body.push('</ul>')
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(language)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(blocks[0].text)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+${body.join('\n')}
+</body>
+</html>
+`
+}
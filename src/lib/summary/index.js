@@ -0,0 +1,91 @@
+import { URGENCY_LEVELS } from '@/lib/triage/rules'
+import { symptomKey } from '@/lib/terminology'
+
+// A visit summary: what a conversation session adds up to, for the user to take to their clinician
+//   {
+//     sessionId, startedAt, endedAt, language,
+//     profile: { age, sex, location, conditions: [{ text, concept }], medications, allergies },   as of the latest message
+//     triage: { urgency, flags: [{ id, label, urgency, reportedAt }] },      the highest level reached, and every warning sign
+//     symptoms: [{ name, concept, severity, onset, duration, firstReportedAt, lastReportedAt }],   oldest first
+//     visits: [{ at, message, urgency, advice }],                            one per message, with the advice it got
+//     interactionWarnings: [warning],                                        every distinct medicine warning
+//     trials: [{ nctId, url }],                                              every trial that was shown
+//   }
+// It is built from the session alone (see `@/lib/sessions`), the renderers next to this file turn it into HTML or PDF
+
+export const trialUrl = nctId => `https://clinicaltrials.gov/study/${nctId}`
+
+const highest = urgencies => urgencies.reduce(
+  (top, urgency) => URGENCY_LEVELS.indexOf(urgency) > URGENCY_LEVELS.indexOf(top) ? urgency : top,
+  'routine'
+)
+
+// A symptom is followed across messages by its concept, so "stomach ache" then "my belly hurts" is one symptom
+// (by name for symptoms the vocabulary doesn't know), keeping the latest details the user gave
+function symptomTimeline(turns) {
+  const symptoms = new Map()
+  for (const turn of turns) {
+    for (const symptom of turn.extractedData?.symptoms || []) {
+      const key = symptomKey(symptom)
+      const known = symptoms.get(key)
+      symptoms.set(key, {
+        name: known?.name || symptom.name,
+        concept: known?.concept || symptom.concept || null,
+        severity: symptom.severity || known?.severity || null,
+        onset: symptom.onset || known?.onset || null,
+        duration: symptom.duration || known?.duration || null,
+        trend: symptom.trend || known?.trend || null,
+        firstReportedAt: known?.firstReportedAt || turn.createdAt,
+        lastReportedAt: turn.createdAt,
+      })
+    }
+  }
+  return [...symptoms.values()]
+}
+
+function uniqueBy(items, key) {
+  return [...new Map(items.map(item => [key(item), item])).values()]
+}
+
+export function buildVisitSummary(session) {
+  const turns = session.turns
+  const latest = [...turns].reverse().find(turn => turn.extractedData)?.extractedData || {}
+
+  const flags = turns.flatMap(turn => (turn.triage?.flags || []).map(flag => ({
+    id: flag.id,
+    label: flag.label,
+    urgency: flag.urgency,
+    reportedAt: turn.createdAt,
+  })))
+
+  return {
+    sessionId: session.id,
+    startedAt: turns[0]?.createdAt || session.createdAt,
+    endedAt: turns[turns.length - 1]?.createdAt || session.updatedAt,
+    language: turns[turns.length - 1]?.language || null,
+    profile: {
+      age: latest.age || null,
+      sex: latest.sex || null,
+      location: latest.location || null,
+      // Turns from before conditions were coded only have their text
+      conditions: latest.codedConditions || (latest.conditions || []).map(text => ({ text, concept: null })),
+      medications: latest.medications || [],
+      allergies: latest.allergies || [],
+    },
+    triage: {
+      urgency: highest(turns.map(turn => turn.triage?.urgency || 'routine')),
+      flags: uniqueBy(flags, flag => flag.id),
+    },
+    symptoms: symptomTimeline(turns),
+    visits: turns.map(turn => ({
+      at: turn.createdAt,
+      message: turn.userInput,
+      urgency: turn.triage?.urgency || 'routine',
+      advice: turn.advice || null,
+      // The intake question we answered the message with instead of advice
+      asked: turn.intake?.status === 'asking' ? turn.intake.question : null,
+    })),
+    interactionWarnings: uniqueBy(turns.flatMap(turn => turn.interactionWarnings || []), warning => warning.id),
+    trials: [...new Set(turns.flatMap(turn => turn.trialIds || []))].map(nctId => ({ nctId, url: trialUrl(nctId) })),
+  }
+}
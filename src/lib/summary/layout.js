@@ -0,0 +1,118 @@
+import { translate } from '@/lib/i18n'
+import { describeAge, describeLocation, describeSymptom, describeTerm } from '@/lib/extraction/format'
+
+// The visit summary as a flat list of blocks, so the HTML page and the PDF say exactly the same thing:
+//   { type: 'title' | 'meta' | 'heading' | 'subheading' | 'text' | 'item' | 'note', text, badge?, link? }
+// `badge` is { kind: 'urgency' | 'severity', value } for the renderers to style, `link` a URL for the text
+
+function formatDate(iso, language) {
+  if (!iso) return ''
+  return new Intl.DateTimeFormat(language, { dateStyle: 'medium', timeStyle: 'short' }).format(new Date(iso))
+}
+
+function profileBlocks({ age, sex, location, conditions, medications, allergies }, t) {
+  const list = values => values.length > 0 ? values.join(', ') : t('extracted.notProvided')
+  return [
+    { type: 'heading', text: t('summary.profile') },
+    { type: 'item', text: `${t('extracted.age')}: ${describeAge(age) || t('extracted.notProvided')}` },
+    sex && { type: 'item', text: `${t('summary.sex')}: ${t(sex === 'FEMALE' ? 'summary.female' : 'summary.male')}` },
+    { type: 'item', text: `${t('extracted.location')}: ${location ? describeLocation(location) : t('extracted.notProvided')}` },
+    { type: 'item', text: `${t('extracted.conditions')}: ${list(conditions.map(({ text, concept }) => describeTerm(text, concept)))}` },
+    { type: 'item', text: `${t('extracted.medications')}: ${list(medications.map(({ name, dose }) => dose ? `${name} (${dose})` : name))}` },
+    { type: 'item', text: `${t('extracted.allergies')}: ${list(allergies)}` },
+  ].filter(Boolean)
+}
+
+// What came of a message: its advice, or why there was none
+function visitOutcome(visit, t) {
+  if (visit.urgency === 'emergency') return [{ type: 'note', text: t('summary.emergencyNoAdvice') }]
+  if (visit.asked) {
+    const question = t(`intake.question.${visit.asked.kind}`, { symptom: visit.asked.symptom })
+    return [{ type: 'note', text: t('summary.intakeAsked', { question }) }]
+  }
+  return adviceBlocks(visit.advice, t)
+}
+
+function adviceBlocks(advice, t) {
+  if (!advice) return [{ type: 'note', text: t('card.noAdvice') }]
+
+  const items = entries => entries.map(item => ({ type: 'item', text: item.text, badge: { kind: 'severity', value: item.severity } }))
+  return [
+    advice.answer && { type: 'text', text: advice.answer },
+    advice.general.length > 0 && { type: 'subheading', text: t('summary.general') },
+    ...items(advice.general),
+    ...advice.symptoms.flatMap(block => [{ type: 'subheading', text: block.symptom }, ...items(block.items)]),
+    advice.seekCare.length > 0 && { type: 'subheading', text: t('summary.seekCare') },
+    ...items(advice.seekCare),
+    advice.sources.length > 0 && { type: 'subheading', text: t('summary.sources') },
+    ...advice.sources.map((source, index) => ({ type: 'item', text: `[${index + 1}] ${source.title}`, link: source.url })),
+  ].filter(Boolean)
+}
+
+// The age rules' condition is worded by the server, in the language of the session
+function warningCondition(warning, t) {
+  return typeof warning.age === 'number' ? t('interactions.age', { age: warning.age }) : warning.condition
+}
+
+// Flags and warnings are worded again from their ids, the conversation may have been in another language
+// (warnings stored before they had a `rule` only have their message)
+export function summaryBlocks(summary, language) {
+  const t = (key, values) => translate(language, key, values)
+  const date = iso => formatDate(iso, language)
+
+  return [
+    { type: 'title', text: t('summary.title') },
+    { type: 'meta', text: t('summary.period', { start: date(summary.startedAt), end: date(summary.endedAt) }) },
+    { type: 'meta', text: t('summary.generated', { date: date(new Date().toISOString()) }) },
+    { type: 'note', text: t('summary.disclaimer') },
+
+    ...profileBlocks(summary.profile, t),
+
+    { type: 'heading', text: t('summary.triage') },
+    {
+      type: 'item',
+      text: t('summary.highestUrgency'),
+      badge: { kind: 'urgency', value: summary.triage.urgency },
+    },
+    ...summary.triage.flags.map(flag => ({
+      type: 'item',
+      text: `${t(`triage.${flag.id}.label`)} (${date(flag.reportedAt)})`,
+      badge: { kind: 'urgency', value: flag.urgency },
+    })),
+
+    { type: 'heading', text: t('summary.timeline') },
+    ...(summary.symptoms.length > 0
+      ? summary.symptoms.map(symptom => ({
+        type: 'item',
+        text: `${describeSymptom(symptom)}: ${t('summary.firstReported', { date: date(symptom.firstReportedAt) })}`,
+      }))
+      : [{ type: 'note', text: t('extracted.noSymptoms') }]),
+
+    { type: 'heading', text: t('summary.visits') },
+    ...summary.visits.flatMap(visit => [
+      { type: 'subheading', text: date(visit.at), badge: visit.urgency !== 'routine' ? { kind: 'urgency', value: visit.urgency } : null },
+      { type: 'text', text: `${t('summary.message')}: "${visit.message}"` },
+      ...visitOutcome(visit, t),
+    ]),
+
+    ...(summary.interactionWarnings.length > 0
+      ? [
+        { type: 'heading', text: t('summary.interactions') },
+        ...summary.interactionWarnings.map(warning => ({
+          type: 'item',
+          text: `${[warning.drugs.join(' + '), warningCondition(warning, t)].filter(Boolean).join(' / ')}: ${warning.rule ? t(`interactions.rule.${warning.rule}`) : warning.message}`,
+        })),
+      ]
+      : []),
+
+    { type: 'heading', text: t('summary.trials') },
+    ...(summary.trials.length > 0
+      ? summary.trials.map(trial => ({ type: 'item', text: `${trial.nctId}: ${trial.url}`, link: trial.url }))
+      : [{ type: 'note', text: t('summary.noTrials') }]),
+  ]
+}
+
+export function badgeLabel(badge, language) {
+  const key = badge.kind === 'urgency' ? `summary.urgency.${badge.value}` : `summary.severity.${badge.value}`
+  return translate(language, key)
+}
@@ -0,0 +1,49 @@
+import { createPdf } from '@/lib/pdf'
+import { summaryBlocks, badgeLabel } from './layout'
+
+// The visit summary as a PDF, from the same blocks as the HTML page (see ./layout)
+
+const GREEN = '#365314'
+const GREY = '#525252'
+
+const BADGE_COLORS = {
+  urgency: { routine: '#3f6212', urgent: '#b45309', emergency: '#b91c1c' },
+  severity: { info: '#3f6212', caution: '#b45309', urgent: '#b91c1c' },
+}
+
+const STYLES = {
+  title: { size: 20, bold: true, color: GREEN },
+  meta: { size: 9, color: GREY },
+  heading: { size: 13, bold: true, color: GREEN },
+  subheading: { size: 11, bold: true },
+  text: { size: 10.5 },
+  item: { size: 10.5, indent: 12 },
+  note: { size: 10, color: GREY },
+}
+
+export function renderSummaryPdf(summary, language) {
+  const blocks = summaryBlocks(summary, language)
+  const pdf = createPdf({ title: blocks[0].text })
+
+  for (const block of blocks) {
+    if (block.type === 'heading') {
+      pdf.space(10)
+      pdf.text(block.text, STYLES.heading)
+      pdf.rule()
+      continue
+    }
+    if (block.type === 'subheading') pdf.space(4)
+
+    const style = STYLES[block.type]
+    // Severity and urgency go in front of the text, in their colour, like the badges on the HTML page
+    const label = block.badge ? `[${badgeLabel(block.badge, language)}] ` : ''
+    const bullet = block.type === 'item' ? '• ' : ''
+    pdf.text(`${bullet}${label}${block.text}`, {
+      ...style,
+      color: block.badge ? BADGE_COLORS[block.badge.kind][block.badge.value] : style.color,
+      link: block.link,
+    })
+  }
+
+  return pdf.toBuffer()
+}
@@ -0,0 +1,88 @@
+import { concepts } from './vocabulary'
+
+// Maps the symptoms and conditions people write ("stomach hurts", "sukari", "high BP") to the bundled
+// vocabulary (see ./vocabulary), so the rest of the app can work with one standard term per concept:
+// trial searches use it, the same symptom said two ways counts once, exports carry its codes
+// What we attach to a symptom or condition is
+//   { id, term, snomed, icd10 }
+// and anything we don't recognize is left as the user wrote it, with no concept
+
+// "Mal à l'estomac!" -> "mal a l estomac", so case, accents and punctuation don't matter
+function normalizeText(text) {
+  return text
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+}
+
+const bySynonym = new Map(concepts.flatMap(concept =>
+  [concept.term, ...concept.synonyms].map(synonym => [normalizeText(synonym), concept])))
+
+// Longest first, so "type 2 diabetes" wins over "diabetes" and "homa ya ini b" over "homa"
+const synonymsByLength = [...bySynonym.keys()].sort((a, b) => b.length - a.length)
+
+const toConcept = ({ id, term, snomed, icd10 }) => ({ id, term, snomed, icd10 })
+
+// The vocabulary entry for what a user wrote, or null
+export function normalizeTerm(text) {
+  const normalized = normalizeText(text || '')
+  if (!normalized) return null
+  if (bySynonym.has(normalized)) return toConcept(bySynonym.get(normalized))
+
+  const padded = ` ${normalized} `
+  const synonym = synonymsByLength.find(candidate => padded.includes(` ${candidate} `))
+  return synonym ? toConcept(bySynonym.get(synonym)) : null
+}
+
+// What a symptom or condition is searched and compared by: its standard term when we know one
+export const standardTerm = (text, concept) => concept?.term || text
+
+// Symptoms said twice in one message ("headache, my head hurts") are kept once,
+// with the details of both: the first wording, and whichever severity, onset, duration and trend were given,
+// and what a photo showed of it (see `@/lib/extraction/visual`)
+function dedupeSymptoms(symptoms) {
+  const byKey = new Map()
+  for (const symptom of symptoms) {
+    const key = symptomKey(symptom)
+    const known = byKey.get(key)
+    byKey.set(key, known
+      ? {
+        ...known,
+        severity: known.severity || symptom.severity,
+        onset: known.onset || symptom.onset,
+        duration: known.duration || symptom.duration,
+        trend: known.trend || symptom.trend,
+        visual: known.visual || symptom.visual,
+      }
+      : symptom)
+  }
+  return [...byKey.values()]
+}
+
+// Adds `concept` to every symptom and `codedConditions: [{ text, concept }]` next to the conditions,
+// dropping repeats of the same concept, e.g. "hypertension" from the profile when the message said "high blood pressure"
+export function withTerminology(extractedData) {
+  const symptoms = dedupeSymptoms(extractedData.symptoms.map(symptom => ({ ...symptom, concept: normalizeTerm(symptom.name) })))
+
+  const seen = new Set()
+  const codedConditions = extractedData.conditions
+    .map(text => ({ text, concept: normalizeTerm(text) }))
+    .filter(({ text, concept }) => {
+      const key = concept?.id || normalizeText(text)
+      return !seen.has(key) && seen.add(key)
+    })
+
+  return {
+    ...extractedData,
+    symptoms,
+    conditions: codedConditions.map(({ text }) => text),
+    codedConditions,
+  }
+}
+
+// The same symptom across messages, whatever words were used each time
+export function symptomKey(symptom) {
+  return symptom.concept?.id || normalizeText(symptom.name)
+}
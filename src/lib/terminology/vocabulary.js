@@ -0,0 +1,99 @@
+// Bundled clinical vocabulary: a hand-picked subset of SNOMED CT concepts for the symptoms and conditions
+// our users mention most, each with its ICD-10-CM code and the ways people actually say it
+// (lay wording, common misspellings, French, Spanish and Swahili)
+//
+//   id        our own stable id, used to recognize the same concept across messages
+//   term      the standard name, shown next to the user's wording and used to search for trials
+//   kind      'symptom' or 'condition'
+//   snomed    SNOMED CT concept id
+//   icd10     ICD-10-CM code
+//   synonyms  lowercase; accents and punctuation don't matter when matching (see ./index)
+//
+// A synonym matches on its own or as whole words inside what the user wrote ("really bad stomach ache"),
+// so keep them specific: "pain" alone would match everything
+
+export const concepts = [
+  // Symptoms
+  { id: 'fever', term: 'Fever', kind: 'symptom', snomed: '386661006', icd10: 'R50.9', synonyms: ['fever', 'high temperature', 'temperature', 'feverish', 'pyrexia', 'fiever', 'fièvre', 'fievre', 'fiebre', 'calentura', 'homa', 'joto kali'] },
+  { id: 'cough', term: 'Cough', kind: 'symptom', snomed: '49727002', icd10: 'R05', synonyms: ['cough', 'coughing', 'dry cough', 'wet cough', 'chesty cough', 'caugh', 'toux', 'tos', 'kikohozi', 'kukohoa'] },
+  { id: 'headache', term: 'Headache', kind: 'symptom', snomed: '25064002', icd10: 'R51', synonyms: ['headache', 'head ache', 'head hurts', 'head pain', 'pain in my head', 'headach', 'mal de tête', 'mal à la tête', 'céphalée', 'dolor de cabeza', 'cefalea', 'maumivu ya kichwa', 'kichwa kuuma'] },
+  { id: 'abdominal-pain', term: 'Abdominal pain', kind: 'symptom', snomed: '21522001', icd10: 'R10.4', synonyms: ['abdominal pain', 'stomach ache', 'stomachache', 'stomach pain', 'stomach hurts', 'belly ache', 'belly pain', 'belly hurts', 'tummy ache', 'tummy pain', 'tummy hurts', 'stomach cramps', 'abdominal cramps', 'mal au ventre', 'douleur abdominale', 'mal à l estomac', 'dolor de estómago', 'dolor abdominal', 'dolor de barriga', 'dolor de panza', 'maumivu ya tumbo', 'tumbo kuuma'] },
+  { id: 'nausea', term: 'Nausea', kind: 'symptom', snomed: '422587007', icd10: 'R11.0', synonyms: ['nausea', 'nauseous', 'feel sick', 'feeling sick', 'queasy', 'nausée', 'nausées', 'náuseas', 'kichefuchefu'] },
+  { id: 'vomiting', term: 'Vomiting', kind: 'symptom', snomed: '422400008', icd10: 'R11.10', synonyms: ['vomiting', 'vomit', 'throwing up', 'throw up', 'being sick', 'vomissement', 'vomissements', 'vomir', 'vómito', 'vómitos', 'kutapika'] },
+  { id: 'diarrhea', term: 'Diarrhea', kind: 'symptom', snomed: '62315008', icd10: 'R19.7', synonyms: ['diarrhea', 'diarrhoea', 'diarhea', 'diarrea', 'loose stools', 'watery stools', 'the runs', 'diarrhée', 'diarrhee', 'kuhara', 'harisha'] },
+  { id: 'constipation', term: 'Constipation', kind: 'symptom', snomed: '14760008', icd10: 'K59.00', synonyms: ['constipation', 'constipated', 'can t poop', 'estreñimiento', 'estreñido', 'kufunga choo', 'kuvimbiwa'] },
+  { id: 'fatigue', term: 'Fatigue', kind: 'symptom', snomed: '84229001', icd10: 'R53.83', synonyms: ['fatigue', 'tired', 'tiredness', 'exhausted', 'exhaustion', 'no energy', 'weakness', 'weak', 'fatigué', 'fatiguée', 'cansancio', 'cansado', 'cansada', 'uchovu', 'kuchoka'] },
+  { id: 'sore-throat', term: 'Sore throat', kind: 'symptom', snomed: '162397003', icd10: 'R07.0', synonyms: ['sore throat', 'throat pain', 'throat hurts', 'painful throat', 'mal de gorge', 'dolor de garganta', 'maumivu ya koo', 'koo kuuma'] },
+  { id: 'runny-nose', term: 'Runny nose', kind: 'symptom', snomed: '64531003', icd10: 'J34.89', synonyms: ['runny nose', 'running nose', 'nasal discharge', 'rhinorrhea', 'nez qui coule', 'écoulement nasal', 'secreción nasal', 'mocos', 'kamasi', 'mafua'] },
+  { id: 'nasal-congestion', term: 'Nasal congestion', kind: 'symptom', snomed: '68235000', icd10: 'R09.81', synonyms: ['nasal congestion', 'blocked nose', 'stuffy nose', 'stuffed nose', 'nez bouché', 'congestion nasale', 'nariz tapada', 'congestión nasal', 'pua kuziba'] },
+  { id: 'sneezing', term: 'Sneezing', kind: 'symptom', snomed: '76067001', icd10: 'R06.7', synonyms: ['sneezing', 'sneeze', 'éternuements', 'estornudos', 'kupiga chafya', 'chafya'] },
+  { id: 'shortness-of-breath', term: 'Dyspnea', kind: 'symptom', snomed: '267036007', icd10: 'R06.02', synonyms: ['shortness of breath', 'short of breath', 'breathlessness', 'difficulty breathing', 'trouble breathing', 'hard to breathe', 'can t breathe', 'cannot breathe', 'breathing difficulty', 'dyspnea', 'dyspnoea', 'essoufflement', 'difficulté à respirer', 'falta de aire', 'dificultad para respirar', 'disnea', 'kushindwa kupumua', 'kupumua kwa shida'] },
+  { id: 'wheezing', term: 'Wheezing', kind: 'symptom', snomed: '56018004', icd10: 'R06.2', synonyms: ['wheezing', 'wheeze', 'sifflement', 'sibilancias', 'pitos', 'kukoroma kifuani'] },
+  { id: 'chest-pain', term: 'Chest pain', kind: 'symptom', snomed: '29857009', icd10: 'R07.9', synonyms: ['chest pain', 'chest hurts', 'pain in my chest', 'chest tightness', 'tight chest', 'douleur thoracique', 'douleur à la poitrine', 'mal à la poitrine', 'dolor de pecho', 'dolor torácico', 'maumivu ya kifua', 'kifua kuuma'] },
+  { id: 'palpitations', term: 'Palpitations', kind: 'symptom', snomed: '80313002', icd10: 'R00.2', synonyms: ['palpitations', 'racing heart', 'heart racing', 'pounding heart', 'heart pounding', 'fluttering heart', 'palpitaciones', 'mapigo ya moyo kwenda kasi'] },
+  { id: 'dizziness', term: 'Dizziness', kind: 'symptom', snomed: '404640003', icd10: 'R42', synonyms: ['dizziness', 'dizzy', 'lightheaded', 'light headed', 'vertigo', 'vertige', 'vertiges', 'étourdissement', 'mareo', 'mareado', 'mareada', 'kizunguzungu'] },
+  { id: 'fainting', term: 'Syncope', kind: 'symptom', snomed: '271594007', icd10: 'R55', synonyms: ['fainting', 'fainted', 'passed out', 'passing out', 'blackout', 'syncope', 'évanouissement', 'desmayo', 'síncope', 'kuzirai'] },
+  { id: 'confusion', term: 'Confusion', kind: 'symptom', snomed: '286933003', icd10: 'R41.0', synonyms: ['confusion', 'confused', 'disoriented', 'confusión', 'confundido', 'kuchanganyikiwa'] },
+  { id: 'seizure', term: 'Seizure', kind: 'symptom', snomed: '91175000', icd10: 'R56.9', synonyms: ['seizure', 'seizures', 'convulsion', 'convulsions', 'convulsiones', 'degedege', 'kifafa cha ghafla'] },
+  { id: 'rash', term: 'Rash', kind: 'symptom', snomed: '271807003', icd10: 'R21', synonyms: ['rash', 'skin rash', 'spots', 'hives', 'éruption', 'boutons', 'erupción', 'sarpullido', 'ronchas', 'vipele', 'upele'] },
+  { id: 'itching', term: 'Itching', kind: 'symptom', snomed: '418290006', icd10: 'L29.9', synonyms: ['itching', 'itchy', 'itch', 'démangeaisons', 'démangeaison', 'picazón', 'comezón', 'prurito', 'kuwashwa', 'muwasho'] },
+  { id: 'joint-pain', term: 'Joint pain', kind: 'symptom', snomed: '57676002', icd10: 'M25.50', synonyms: ['joint pain', 'joints hurt', 'painful joints', 'aching joints', 'arthralgia', 'douleurs articulaires', 'dolor de articulaciones', 'dolor articular', 'maumivu ya viungo'] },
+  { id: 'back-pain', term: 'Back pain', kind: 'symptom', snomed: '161891005', icd10: 'M54.9', synonyms: ['back pain', 'backache', 'back ache', 'back hurts', 'lower back pain', 'mal de dos', 'douleur au dos', 'dolor de espalda', 'maumivu ya mgongo', 'mgongo kuuma'] },
+  { id: 'muscle-pain', term: 'Muscle pain', kind: 'symptom', snomed: '68962001', icd10: 'M79.10', synonyms: ['muscle pain', 'muscle ache', 'muscle aches', 'body aches', 'body pain', 'aching muscles', 'myalgia', 'courbatures', 'douleurs musculaires', 'dolor muscular', 'dolores musculares', 'maumivu ya misuli', 'maumivu ya mwili'] },
+  { id: 'chills', term: 'Chills', kind: 'symptom', snomed: '43724002', icd10: 'R68.83', synonyms: ['chills', 'shivering', 'shivers', 'rigors', 'frissons', 'escalofríos', 'kutetemeka', 'baridi'] },
+  { id: 'night-sweats', term: 'Night sweats', kind: 'symptom', snomed: '42984000', icd10: 'R61', synonyms: ['night sweats', 'sweating at night', 'sueurs nocturnes', 'sudores nocturnos', 'jasho usiku'] },
+  { id: 'loss-of-appetite', term: 'Loss of appetite', kind: 'symptom', snomed: '79890006', icd10: 'R63.0', synonyms: ['loss of appetite', 'no appetite', 'not hungry', 'poor appetite', 'perte d appétit', 'pas d appétit', 'pérdida de apetito', 'falta de apetito', 'kukosa hamu ya kula'] },
+  { id: 'weight-loss', term: 'Weight loss', kind: 'symptom', snomed: '89362005', icd10: 'R63.4', synonyms: ['weight loss', 'losing weight', 'lost weight', 'perte de poids', 'pérdida de peso', 'kupungua uzito'] },
+  { id: 'heartburn', term: 'Heartburn', kind: 'symptom', snomed: '16331000', icd10: 'R12', synonyms: ['heartburn', 'acid indigestion', 'brûlures d estomac', 'acidez', 'ardor de estómago', 'kiungulia'] },
+  { id: 'bloating', term: 'Bloating', kind: 'symptom', snomed: '248490000', icd10: 'R14.0', synonyms: ['bloating', 'bloated', 'ballonnements', 'ballonnement', 'hinchazón abdominal', 'gases', 'tumbo kujaa gesi'] },
+  { id: 'blood-in-stool', term: 'Blood in stool', kind: 'symptom', snomed: '405729008', icd10: 'K92.1', synonyms: ['blood in stool', 'blood in my stool', 'bloody stool', 'bloody stools', 'rectal bleeding', 'sang dans les selles', 'sangre en las heces', 'damu kwenye kinyesi'] },
+  { id: 'painful-urination', term: 'Dysuria', kind: 'symptom', snomed: '49650001', icd10: 'R30.0', synonyms: ['painful urination', 'pain when urinating', 'burning when urinating', 'burning urination', 'it burns when i pee', 'dysuria', 'brûlures urinaires', 'brûlure en urinant', 'dolor al orinar', 'ardor al orinar', 'maumivu wakati wa kukojoa'] },
+  { id: 'frequent-urination', term: 'Frequent urination', kind: 'symptom', snomed: '162116003', icd10: 'R35.0', synonyms: ['frequent urination', 'peeing a lot', 'urinating often', 'envie fréquente d uriner', 'orinar con frecuencia', 'kukojoa mara kwa mara'] },
+  { id: 'blood-in-urine', term: 'Blood in urine', kind: 'symptom', snomed: '34436003', icd10: 'R31.9', synonyms: ['blood in urine', 'blood in my urine', 'bloody urine', 'hematuria', 'haematuria', 'sang dans les urines', 'sangre en la orina', 'damu kwenye mkojo'] },
+  { id: 'coughing-blood', term: 'Hemoptysis', kind: 'symptom', snomed: '66857006', icd10: 'R04.2', synonyms: ['coughing up blood', 'coughing blood', 'blood when coughing', 'hemoptysis', 'haemoptysis', 'cracher du sang', 'toser sangre', 'kukohoa damu'] },
+  { id: 'ear-pain', term: 'Earache', kind: 'symptom', snomed: '16001004', icd10: 'H92.09', synonyms: ['ear pain', 'earache', 'ear ache', 'ear hurts', 'mal à l oreille', 'mal d oreille', 'dolor de oído', 'maumivu ya sikio'] },
+  { id: 'toothache', term: 'Toothache', kind: 'symptom', snomed: '27355003', icd10: 'K08.89', synonyms: ['toothache', 'tooth ache', 'tooth pain', 'mal de dents', 'mal aux dents', 'dolor de muelas', 'dolor de dientes', 'maumivu ya jino', 'jino kuuma'] },
+  { id: 'swelling', term: 'Edema', kind: 'symptom', snomed: '267038008', icd10: 'R60.9', synonyms: ['swelling', 'swollen legs', 'swollen ankles', 'swollen feet', 'edema', 'oedema', 'jambes enflées', 'gonflement', 'hinchazón', 'piernas hinchadas', 'kuvimba miguu', 'uvimbe'] },
+  { id: 'jaundice', term: 'Jaundice', kind: 'symptom', snomed: '18165001', icd10: 'R17', synonyms: ['jaundice', 'yellow skin', 'yellow eyes', 'jaunisse', 'ictère', 'ictericia', 'manjano'] },
+  { id: 'loss-of-smell', term: 'Anosmia', kind: 'symptom', snomed: '44169009', icd10: 'R43.0', synonyms: ['loss of smell', 'lost my sense of smell', 'can t smell', 'anosmia', 'perte d odorat', 'pérdida del olfato', 'kupoteza uwezo wa kunusa'] },
+  { id: 'insomnia', term: 'Insomnia', kind: 'symptom', snomed: '193462001', icd10: 'G47.00', synonyms: ['insomnia', 'can t sleep', 'cannot sleep', 'trouble sleeping', 'difficulty sleeping', 'insomnie', 'insomnio', 'kukosa usingizi'] },
+
+  // Conditions
+  { id: 'diabetes', term: 'Diabetes mellitus', kind: 'condition', snomed: '73211009', icd10: 'E11.9', synonyms: ['diabetes', 'diabetes mellitus', 'diabetic', 'sugar diabetes', 'high blood sugar', 'diabète', 'diabete', 'diabético', 'diabética', 'kisukari', 'ugonjwa wa kisukari'] },
+  { id: 'type-1-diabetes', term: 'Type 1 diabetes mellitus', kind: 'condition', snomed: '46635009', icd10: 'E10.9', synonyms: ['type 1 diabetes', 'diabetes type 1', 'type i diabetes', 't1d', 'diabète de type 1', 'diabetes tipo 1', 'kisukari aina ya 1'] },
+  { id: 'type-2-diabetes', term: 'Type 2 diabetes mellitus', kind: 'condition', snomed: '44054006', icd10: 'E11.9', synonyms: ['type 2 diabetes', 'diabetes type 2', 'type ii diabetes', 't2d', 'diabète de type 2', 'diabetes tipo 2', 'kisukari aina ya 2'] },
+  { id: 'hypertension', term: 'Hypertension', kind: 'condition', snomed: '38341003', icd10: 'I10', synonyms: ['hypertension', 'high blood pressure', 'high bp', 'hbp', 'hypertension artérielle', 'tension', 'hipertensión', 'presión alta', 'tensión alta', 'shinikizo la damu', 'presha'] },
+  { id: 'asthma', term: 'Asthma', kind: 'condition', snomed: '195967001', icd10: 'J45.909', synonyms: ['asthma', 'asthmatic', 'asthme', 'asma', 'pumu'] },
+  { id: 'copd', term: 'Chronic obstructive pulmonary disease', kind: 'condition', snomed: '13645005', icd10: 'J44.9', synonyms: ['copd', 'chronic obstructive pulmonary disease', 'emphysema', 'chronic bronchitis', 'bpco', 'epoc'] },
+  { id: 'hiv', term: 'HIV infection', kind: 'condition', snomed: '86406008', icd10: 'B20', synonyms: ['hiv', 'hiv positive', 'hiv infection', 'vih', 'sida', 'virusi vya ukimwi', 'ukimwi'] },
+  { id: 'tuberculosis', term: 'Tuberculosis', kind: 'condition', snomed: '56717001', icd10: 'A15.9', synonyms: ['tuberculosis', 'tb', 'tuberculose', 'tuberculosis pulmonar', 'kifua kikuu'] },
+  { id: 'malaria', term: 'Malaria', kind: 'condition', snomed: '61462000', icd10: 'B54', synonyms: ['malaria', 'paludisme', 'palu'] },
+  { id: 'sickle-cell', term: 'Sickle cell disease', kind: 'condition', snomed: '417357006', icd10: 'D57.1', synonyms: ['sickle cell', 'sickle cell disease', 'sickle cell anemia', 'sickle cell anaemia', 'drépanocytose', 'anemia falciforme', 'drepanocitosis', 'selimundu'] },
+  { id: 'heart-failure', term: 'Heart failure', kind: 'condition', snomed: '84114007', icd10: 'I50.9', synonyms: ['heart failure', 'congestive heart failure', 'chf', 'insuffisance cardiaque', 'insuficiencia cardíaca', 'moyo kushindwa kufanya kazi'] },
+  { id: 'coronary-artery-disease', term: 'Coronary artery disease', kind: 'condition', snomed: '53741008', icd10: 'I25.10', synonyms: ['coronary artery disease', 'coronary heart disease', 'angina', 'maladie coronarienne', 'enfermedad coronaria'] },
+  { id: 'atrial-fibrillation', term: 'Atrial fibrillation', kind: 'condition', snomed: '49436004', icd10: 'I48.91', synonyms: ['atrial fibrillation', 'afib', 'fibrillation auriculaire', 'fibrilación auricular'] },
+  { id: 'stroke', term: 'Cerebrovascular accident', kind: 'condition', snomed: '230690007', icd10: 'I63.9', synonyms: ['stroke', 'had a stroke', 'cva', 'avc', 'accident vasculaire cérébral', 'ictus', 'derrame cerebral', 'kiharusi'] },
+  { id: 'epilepsy', term: 'Epilepsy', kind: 'condition', snomed: '84757009', icd10: 'G40.909', synonyms: ['epilepsy', 'epileptic', 'épilepsie', 'epilepsia', 'kifafa'] },
+  { id: 'chronic-kidney-disease', term: 'Chronic kidney disease', kind: 'condition', snomed: '709044004', icd10: 'N18.9', synonyms: ['chronic kidney disease', 'ckd', 'kidney disease', 'maladie rénale chronique', 'enfermedad renal crónica', 'ugonjwa wa figo'] },
+  { id: 'hepatitis-b', term: 'Chronic hepatitis B', kind: 'condition', snomed: '66071002', icd10: 'B18.1', synonyms: ['hepatitis b', 'hep b', 'hbv', 'hépatite b', 'hepatitis b crónica', 'homa ya ini b'] },
+  { id: 'hepatitis-c', term: 'Chronic hepatitis C', kind: 'condition', snomed: '50711007', icd10: 'B18.2', synonyms: ['hepatitis c', 'hep c', 'hcv', 'hépatite c', 'homa ya ini c'] },
+  { id: 'depression', term: 'Depressive disorder', kind: 'condition', snomed: '35489007', icd10: 'F32.A', synonyms: ['depression', 'depressed', 'dépression', 'depresión', 'sonona', 'msongo wa mawazo'] },
+  { id: 'anxiety', term: 'Anxiety disorder', kind: 'condition', snomed: '197480006', icd10: 'F41.9', synonyms: ['anxiety', 'anxiety disorder', 'anxious', 'anxiété', 'trouble anxieux', 'ansiedad', 'wasiwasi'] },
+  { id: 'migraine', term: 'Migraine', kind: 'condition', snomed: '37796009', icd10: 'G43.909', synonyms: ['migraine', 'migraines', 'migraña', 'migrañas', 'kipandauso'] },
+  { id: 'osteoarthritis', term: 'Osteoarthritis', kind: 'condition', snomed: '396275006', icd10: 'M19.90', synonyms: ['osteoarthritis', 'arthrose', 'artrosis', 'baridi yabisi'] },
+  { id: 'rheumatoid-arthritis', term: 'Rheumatoid arthritis', kind: 'condition', snomed: '69896004', icd10: 'M06.9', synonyms: ['rheumatoid arthritis', 'polyarthrite rhumatoïde', 'artritis reumatoide'] },
+  { id: 'hypothyroidism', term: 'Hypothyroidism', kind: 'condition', snomed: '40930008', icd10: 'E03.9', synonyms: ['hypothyroidism', 'underactive thyroid', 'low thyroid', 'hypothyroïdie', 'hipotiroidismo'] },
+  { id: 'obesity', term: 'Obesity', kind: 'condition', snomed: '414916001', icd10: 'E66.9', synonyms: ['obesity', 'obese', 'obésité', 'obesidad', 'unene kupita kiasi'] },
+  { id: 'high-cholesterol', term: 'Hyperlipidemia', kind: 'condition', snomed: '55822004', icd10: 'E78.5', synonyms: ['high cholesterol', 'hyperlipidemia', 'hypercholesterolemia', 'cholesterol', 'cholestérol', 'colesterol alto', 'lehemu nyingi'] },
+  { id: 'anemia', term: 'Anemia', kind: 'condition', snomed: '271737000', icd10: 'D64.9', synonyms: ['anemia', 'anaemia', 'anemic', 'low iron', 'anémie', 'anemia ferropénica', 'upungufu wa damu'] },
+  { id: 'gerd', term: 'Gastroesophageal reflux disease', kind: 'condition', snomed: '235595009', icd10: 'K21.9', synonyms: ['gerd', 'gord', 'acid reflux', 'reflux', 'gastroesophageal reflux', 'reflux gastro œsophagien', 'rgo', 'reflujo', 'erge'] },
+  { id: 'peptic-ulcer', term: 'Peptic ulcer', kind: 'condition', snomed: '13200003', icd10: 'K27.9', synonyms: ['peptic ulcer', 'stomach ulcer', 'vidonda vya tumbo'] },
+  { id: 'cancer', term: 'Malignant neoplastic disease', kind: 'condition', snomed: '363346000', icd10: 'C80.1', synonyms: ['cancer', 'malignancy', 'cáncer', 'saratani'] },
+  { id: 'breast-cancer', term: 'Malignant neoplasm of breast', kind: 'condition', snomed: '254837009', icd10: 'C50.919', synonyms: ['breast cancer', 'cancer du sein', 'cáncer de mama', 'saratani ya matiti'] },
+  { id: 'dementia', term: 'Dementia', kind: 'condition', snomed: '52448006', icd10: 'F03.90', synonyms: ['dementia', 'alzheimer', 'alzheimers', 'alzheimer s disease', 'démence', 'demencia', 'usahaulifu'] },
+  { id: 'pregnancy', term: 'Pregnancy', kind: 'condition', snomed: '77386006', icd10: 'Z33.1', synonyms: ['pregnancy', 'pregnant', 'enceinte', 'grossesse', 'embarazada', 'embarazo', 'mjamzito', 'ujauzito'] },
+  { id: 'covid-19', term: 'COVID-19', kind: 'condition', snomed: '840539006', icd10: 'U07.1', synonyms: ['covid', 'covid 19', 'covid19', 'coronavirus', 'sars cov 2', 'corona'] },
+  { id: 'influenza', term: 'Influenza', kind: 'condition', snomed: '6142004', icd10: 'J11.1', synonyms: ['influenza', 'flu', 'the flu', 'grippe', 'gripe', 'homa ya mafua'] },
+  { id: 'pneumonia', term: 'Pneumonia', kind: 'condition', snomed: '233604007', icd10: 'J18.9', synonyms: ['pneumonia', 'pneumonie', 'neumonía', 'nimonia', 'homa ya mapafu'] },
+  { id: 'urinary-tract-infection', term: 'Urinary tract infection', kind: 'condition', snomed: '68566005', icd10: 'N39.0', synonyms: ['urinary tract infection', 'uti', 'bladder infection', 'infection urinaire', 'infección urinaria', 'infección de orina', 'maambukizi ya njia ya mkojo', 'uti ya mkojo'] },
+]
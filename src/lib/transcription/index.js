@@ -0,0 +1,66 @@
+import { createUpstream, responseError } from '@/lib/upstream'
+
+// Speech to text on the server, for browsers that can't do it themselves (no Web Speech API: Firefox, most in-app browsers)
+// The page records the user and posts the audio to /api/transcribe, the text goes into the message box for them to check
+//   TRANSCRIPTION_ADAPTER=none    no server transcription, the microphone is only offered where the browser transcribes (default)
+//   TRANSCRIPTION_ADAPTER=openai  any OpenAI-compatible /audio/transcriptions endpoint (OpenAI, a self-hosted Whisper server...)
+//                                 at TRANSCRIPTION_BASE_URL, or OPENAI_BASE_URL with OPENAI_API_KEY, model TRANSCRIPTION_MODEL
+//   TRANSCRIPTION_ADAPTER=mock    always hears the same sentence, for development
+// Audio is passed through and never stored
+
+// A minute of compressed speech is well under this
+export const MAX_AUDIO_BYTES = Math.max(1, parseInt(process.env.TRANSCRIPTION_MAX_BYTES) || 2 * 1024 * 1024)
+
+const MOCK_TEXT = 'symptoms: headache and a sore throat since yesterday'
+
+const transcriptionService = createUpstream('transcription', {
+  timeoutMs: Math.max(1, parseInt(process.env.TRANSCRIPTION_TIMEOUT_MS) || 30000),
+  retries: 1,
+})
+
+function adapter() {
+  const name = (process.env.TRANSCRIPTION_ADAPTER || 'none').toLowerCase()
+  if (!['none', 'openai', 'mock'].includes(name)) {
+    throw new Error(`Unknown transcription adapter "${name}". Expected "none", "openai" or "mock"`)
+  }
+  return name
+}
+
+export const isTranscriptionEnabled = () => adapter() !== 'none'
+
+// "audio/webm;codecs=opus" -> "webm", the endpoint goes by the file name to know the format
+const extensionFor = mimeType => mimeType.split(/[/;]/)[1]?.replace('x-', '') || 'webm'
+
+async function transcribeWithOpenAI(audio, { mimeType, language, signal }) {
+  const baseUrl = (process.env.TRANSCRIPTION_BASE_URL || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '')
+  const apiKey = process.env.OPENAI_API_KEY
+
+  const form = new FormData()
+  form.append('file', new Blob([audio], { type: mimeType }), `speech.${extensionFor(mimeType)}`)
+  form.append('model', process.env.TRANSCRIPTION_MODEL || 'whisper-1')
+  form.append('language', language)
+  form.append('response_format', 'json')
+
+  const response = await fetch(`${baseUrl}/audio/transcriptions`, {
+    method: 'POST',
+    headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+    body: form,
+    signal,
+  })
+  if (!response.ok) throw await responseError('transcription', response)
+  return (await response.json()).text ?? ''
+}
+
+// The text spoken in `audio`, `language` being one of ours ("en", "sw"...)
+export async function transcribe(audio, { mimeType = 'audio/webm', language, signal } = {}) {
+  if (adapter() === 'none') {
+    throw new Error('Server transcription is turned off, set TRANSCRIPTION_ADAPTER')
+  }
+  if (adapter() === 'mock') return MOCK_TEXT
+
+  const text = await transcriptionService.call(
+    attemptSignal => transcribeWithOpenAI(audio, { mimeType, language, signal: attemptSignal }),
+    { signal }
+  )
+  return text.trim()
+}
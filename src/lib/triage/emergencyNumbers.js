@@ -0,0 +1,52 @@
+// Emergency and crisis line numbers by ISO 3166-1 alpha-2 country code
+// `emergency` is the number to call for an ambulance, `crisis` a suicide/crisis line where we know one
+// Countries that aren't listed get the generic card: 112 works from most mobile phones worldwide
+
+export const DEFAULT_EMERGENCY_NUMBER = '112'
+
+export const emergencyNumbers = {
+  US: { emergency: '911', crisis: '988' },
+  CA: { emergency: '911', crisis: '988' },
+  MX: { emergency: '911' },
+  BR: { emergency: '192' },
+  AR: { emergency: '107' },
+  GB: { emergency: '999', crisis: '116 123' },
+  IE: { emergency: '112', crisis: '116 123' },
+  FR: { emergency: '15', crisis: '3114' },
+  DE: { emergency: '112' },
+  ES: { emergency: '112' },
+  IT: { emergency: '112' },
+  PT: { emergency: '112' },
+  NL: { emergency: '112' },
+  BE: { emergency: '112' },
+  CH: { emergency: '144' },
+  AT: { emergency: '144' },
+  SE: { emergency: '112' },
+  NO: { emergency: '113' },
+  DK: { emergency: '112' },
+  FI: { emergency: '112' },
+  PL: { emergency: '112' },
+  IN: { emergency: '112' },
+  PK: { emergency: '1122' },
+  BD: { emergency: '999' },
+  CN: { emergency: '120' },
+  JP: { emergency: '119' },
+  KR: { emergency: '119' },
+  PH: { emergency: '911' },
+  AU: { emergency: '000', crisis: '13 11 14' },
+  NZ: { emergency: '111', crisis: '1737' },
+  ZA: { emergency: '10177' },
+  NG: { emergency: '112' },
+  GH: { emergency: '112' },
+  KE: { emergency: '999' },
+  UG: { emergency: '112' },
+  TZ: { emergency: '112' },
+  RW: { emergency: '912' },
+  ET: { emergency: '907' },
+  SN: { emergency: '1515' },
+  CI: { emergency: '185' },
+  EG: { emergency: '123' },
+  CO: { emergency: '123' },
+  PE: { emergency: '106' },
+  CL: { emergency: '131' },
+}
@@ -0,0 +1,128 @@
+import { triageRules, URGENCY_LEVELS } from './rules'
+import { emergencyNumbers, DEFAULT_EMERGENCY_NUMBER } from './emergencyNumbers'
+import { translate, DEFAULT_LANGUAGE } from '@/lib/i18n'
+
+// A mention only counts when it's about now, for the user or whoever they write for, in the clause it's in:
+// "I'm not well, chest pain" counts, "no chest pain" or "my dad had a heart attack last year" doesn't
+
+// Punctuation and these words end a clause, "not well, chest pain" and "not slept and chest pain" are two things
+// "or", "nor" and their counterparts don't, "no fever or chest pain" denies both
+const CLAUSE_BREAK = /[.,;:!?()\n]/
+const CLAUSE_WORDS = new Set([
+  'and', 'but', 'though', 'although', 'because', 'so', 'then',
+  'et', 'mais', 'car', 'donc', 'puis',
+  'y', 'pero', 'porque', 'aunque', 'luego',
+  'na', 'lakini', 'kisha',
+])
+
+// Words that cancel a match when they come in the few words before it ("no chest pain", "je n'ai pas de fièvre")
+const NEGATION_WORDS = new Set([
+  'no', 'not', 'never', 'without', 'none', 'deny', 'denies', 'denied',
+  "don't", 'dont', "doesn't", 'doesnt', "didn't", 'didnt', "haven't", 'havent', "hasn't", 'hasnt',
+  'pas', 'sans', 'jamais', 'aucun', 'aucune',
+  'sin', 'nunca', 'ningún', 'ninguno', 'ninguna', 'niega',
+  'sina', 'hana', 'hakuna', 'bila', 'sijawahi', 'hajawahi',
+])
+const NEGATION_WINDOW = 4
+
+// The user's or someone else's history ("a stroke two years ago", "my dad had a heart attack last year")
+// A past tense alone isn't one: "my wife had chest pain and collapsed" is how people tell an emergency that just happened
+const HISTORY = /\b(last (year|month|week)|years? ago|months? ago|in the past|history of|used to|as a (child|kid)|when i was)\b|(?:^|\s)(l'an dernier|l'année dernière|il y a (\d+|des|quelques|plusieurs) (ans|années|mois)|dans le passé|antécédents?|el año pasado|(?<!desde )hace (\d+|unos|varios|muchos) (años|meses)|en el pasado|antecedentes?|mwaka jana|miaka (\d+ )?iliyopita|zamani)(?![\p{L}])/u
+// ...unless it's still going on: "my son had a seizure this morning" is a seizure now
+const RECENT = /\b(just|today|now|tonight|this (morning|afternoon|evening)|(minutes?|hours?) ago|an hour ago)\b|(?:^|\s)(ce (matin|soir)|aujourd'hui|maintenant|hoy|ahora|esta (mañana|tarde|noche)|leo|sasa|asubuhi)(?![\p{L}])/u
+
+function words(text) {
+  return text.replace(/’/g, "'").split(/\s+/).filter(Boolean)
+}
+
+// French "il y a" isn't the Spanish "y"
+function isClauseWord(word, index, clause) {
+  return CLAUSE_WORDS.has(word) && !(word === 'y' && clause[index - 1] === 'il')
+}
+
+// The words of the clause before the match, nearest first
+function clauseBefore(text) {
+  const clause = words(text.split(CLAUSE_BREAK).at(-1))
+  const start = clause.findLastIndex(isClauseWord)
+  return clause.slice(start + 1).reverse()
+}
+
+function clauseAfter(text) {
+  const clause = words(text.split(CLAUSE_BREAK)[0])
+  const end = clause.findIndex(isClauseWord)
+  return end === -1 ? clause : clause.slice(0, end)
+}
+
+function isNegated(before) {
+  return before.slice(0, NEGATION_WINDOW).some(word => NEGATION_WORDS.has(word))
+}
+
+function isHistory(before, match, after) {
+  const clause = [...before].reverse().concat(match, after).join(' ')
+  if (RECENT.test(clause)) return false
+  return HISTORY.test(clause)
+}
+
+function matchesCurrent(pattern, text) {
+  const global = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g')
+  for (const match of text.matchAll(global)) {
+    const before = clauseBefore(text.slice(0, match.index))
+    const after = clauseAfter(text.slice(match.index + match[0].length))
+    if (!isNegated(before) && !isHistory(before, match[0], after)) return true
+  }
+  return false
+}
+
+function ruleMatches(rule, text, extractedData) {
+  if (!rule.any.some(pattern => matchesCurrent(pattern, text))) return false
+  if (rule.all && !rule.all.every(pattern => matchesCurrent(pattern, text))) return false
+  if (rule.when && !rule.when(extractedData)) return false
+  return true
+}
+
+// The card shown to the user when a high-acuity rule fires, with the right numbers for their country
+export function buildEmergencyCard(country, { crisis = false, language = DEFAULT_LANGUAGE } = {}) {
+  const numbers = (country && emergencyNumbers[country]) || null
+  const number = numbers?.emergency || DEFAULT_EMERGENCY_NUMBER
+
+  return {
+    country: numbers ? country : null,
+    countryName: numbers ? new Intl.DisplayNames([language], { type: 'region' }).of(country) : null,
+    emergencyNumber: number,
+    crisisNumber: crisis ? numbers?.crisis || null : null,
+    message: numbers
+      ? translate(language, 'emergency.call', { number })
+      : translate(language, 'emergency.callLocal', { number: DEFAULT_EMERGENCY_NUMBER }),
+  }
+}
+
+// Deterministic red-flag triage, run on the raw message and the extracted symptoms before any advice is generated
+// Returns the highest urgency of all matching rules:
+//   { urgency: 'routine' | 'urgent' | 'emergency', flags: [{ id, label, urgency, advice }], emergencyCard }
+// `emergencyCard` is only set for urgent and emergency results
+// Labels, advice and the card are in `language`, the client shows them again in its own from the flag ids
+export function assessTriage({ input = '', extractedData = {}, language = DEFAULT_LANGUAGE }) {
+  const symptomText = (extractedData.symptoms || []).map(symptom => symptom.name).join('. ')
+  const text = `${input}. ${symptomText}`.toLowerCase()
+
+  const flags = triageRules
+    .filter(rule => ruleMatches(rule, text, extractedData))
+    .map(({ id, urgency, crisis }) => ({
+      id,
+      label: translate(language, `triage.${id}.label`),
+      urgency,
+      advice: translate(language, `triage.${id}.advice`),
+      crisis: Boolean(crisis),
+    }))
+    .sort((a, b) => URGENCY_LEVELS.indexOf(b.urgency) - URGENCY_LEVELS.indexOf(a.urgency))
+
+  const urgency = flags[0]?.urgency || 'routine'
+
+  return {
+    urgency,
+    flags,
+    emergencyCard: urgency === 'routine'
+      ? null
+      : buildEmergencyCard(extractedData.location?.country, { crisis: flags.some(flag => flag.crisis), language }),
+  }
+}
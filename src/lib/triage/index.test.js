@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest'
+import { assessTriage } from './index'
+import { triageRules } from './rules'
+
+// For every rule: messages that should raise it, the same complaint denied, and someone's past
+// Someone else's emergency told in the past tense is still one, only a time in the past makes it history
+const CASES = {
+  'chest-pain': {
+    positive: ["I'm not well, chest pain and sweating", 'I have not slept, crushing chest pain', 'my wife had chest pain and collapsed', 'my mother had crushing chest pain', 'mon père a eu une crise cardiaque', "j'ai une douleur à la poitrine", 'tengo dolor en el pecho', 'nina maumivu ya kifua'],
+    negated: ['no chest pain', "I don't have any chest pain", "je n'ai pas de douleur à la poitrine", 'no tengo dolor en el pecho', 'sina maumivu ya kifua'],
+    history: ['my dad had a heart attack last year', 'mon père a eu une crise cardiaque il y a 5 ans', 'mi padre tuvo un infarto hace 2 años', 'baba yangu alipata mshtuko wa moyo mwaka jana'],
+  },
+  stroke: {
+    positive: ['her face is drooping and she has slurred speech', 'mon visage tombe, je bafouille', 'creo que es un derrame cerebral', 'uso umelegea, nadhani ni kiharusi'],
+    negated: ['no slurred speech', 'pas de bafouillage ni avc', 'sin derrame cerebral', 'hakuna kiharusi'],
+    history: ['I had a stroke two years ago', 'ma mère a eu un avc il y a 3 ans', 'mi abuelo tuvo un ictus el año pasado'],
+  },
+  'gi-bleeding': {
+    positive: ['I have been vomiting blood', 'je vomis du sang', 'tengo heces negras', 'natapika damu'],
+    negated: ['not vomiting blood', 'je ne vomis pas du sang', 'no he vomitado sangre', 'sina kinyesi cheusi'],
+    history: ['I had black stools years ago', "j'ai eu des selles noires il y a des années"],
+  },
+  'suicidal-ideation': {
+    positive: ['I want to die', "j'ai envie de mourir", 'quiero morir', 'nataka kufa'],
+    negated: ['I never think about suicide', 'jamais envie de mourir', 'nunca he pensado en suicidarme'],
+    history: ['I used to self-harm as a kid', 'mi hermano tuvo pensamientos suicidas en el pasado'],
+  },
+  anaphylaxis: {
+    positive: ['my throat is swelling after a bee sting', 'ma gorge gonfle', 'tengo la garganta hinchada', 'koo limevimba'],
+    negated: ['no swelling of the throat', 'pas de gonflement de la gorge', 'sin hinchazón de la garganta'],
+    history: ['I had anaphylaxis as a child', "j'ai des antécédents d'anaphylaxie"],
+  },
+  'cannot-breathe': {
+    positive: ["I can't breathe", "je n'arrive pas à respirer", 'no puedo respirar', 'siwezi kupumua'],
+    negated: ['not gasping for air', 'sans lèvres bleues', 'sin labios azules'],
+    history: ['my mum had lips turning blue years ago'],
+  },
+  'heavy-bleeding': {
+    positive: ["the cut is bleeding and won't stop, lots of blood", 'je saigne beaucoup', 'estoy sangrando mucho', 'damu nyingi inatoka'],
+    negated: ['no heavy bleeding', 'pas beaucoup de sang', 'no hay mucha sangre', 'hakuna damu nyingi'],
+    history: ['I had a hemorrhage last year', 'mi madre tuvo una hemorragia hace 10 años'],
+  },
+  seizure: {
+    positive: ['my son is having a seizure', 'my son had a seizure this morning', 'my son had a seizure and is not waking up', 'mon fils a eu une convulsion', 'il fait des convulsions', 'está inconsciente', 'mtoto ana degedege'],
+    negated: ['no seizures', 'pas de convulsions', 'sin convulsiones', 'hakuna degedege'],
+    history: ['my brother had a seizure years ago', 'mon fils a eu des convulsions il y a 2 ans'],
+  },
+  'meningitis-signs': {
+    positive: ['fever and a stiff neck', "j'ai de la fièvre et la nuque raide", 'tengo fiebre y el cuello rígido', 'nina homa na shingo ngumu'],
+    negated: ['fever but no stiff neck', 'fièvre mais pas de nuque raide', 'fiebre pero sin cuello rígido', 'nina homa lakini sina shingo ngumu'],
+    history: ['fever today, I had a stiff neck last year'],
+  },
+  'shortness-of-breath': {
+    positive: ['I feel breathless', 'je suis essoufflé', 'tengo dificultad para respirar', 'nina upungufu wa pumzi'],
+    negated: ['no shortness of breath', 'pas essoufflé', 'sin dificultad para respirar', 'sina upungufu wa pumzi'],
+    history: ['I used to get breathless as a child'],
+  },
+  'pregnancy-bleeding': {
+    positive: ["I'm pregnant and bleeding", 'je suis enceinte et je saigne', 'estoy embarazada y sangrando', 'mimi ni mjamzito na natoka damu'],
+    negated: ["I'm pregnant, no bleeding", 'enceinte, sans saignement', 'embarazada, sin sangrado'],
+    history: ['I was bleeding in my last pregnancy years ago'],
+  },
+  'infant-fever': {
+    extractedData: { age: { min: 0, max: 0 } },
+    positive: ['my baby has a fever', 'mon bébé a de la fièvre', 'mi bebé tiene fiebre', 'mtoto ana homa'],
+    negated: ['baby has no fever', "mon bébé n'a pas de fièvre", 'mi bebé no tiene fiebre', 'mtoto hana homa'],
+    history: ['she had a fever last month'],
+  },
+}
+
+const flagIds = (input, extractedData = {}) => assessTriage({ input, extractedData }).flags.map(flag => flag.id)
+
+describe('assessTriage', () => {
+  it('has cases for every rule', () => {
+    expect(Object.keys(CASES).sort()).toEqual(triageRules.map(rule => rule.id).sort())
+  })
+
+  for (const [id, { extractedData, positive, negated, history }] of Object.entries(CASES)) {
+    describe(id, () => {
+      it.each(positive)('raises it for %j', (input) => {
+        expect(flagIds(input, extractedData)).toContain(id)
+      })
+      it.each(negated)('does not raise it when denied: %j', (input) => {
+        expect(flagIds(input, extractedData)).not.toContain(id)
+      })
+      it.each(history)('does not raise it for the past or someone else: %j', (input) => {
+        expect(flagIds(input, extractedData)).not.toContain(id)
+      })
+    })
+  }
+
+  it('returns routine with no card when nothing matches', () => {
+    expect(assessTriage({ input: 'my dad had a heart attack last year' })).toEqual({ urgency: 'routine', flags: [], emergencyCard: null })
+  })
+
+  it('returns the highest urgency and the emergency numbers of the country', () => {
+    const result = assessTriage({ input: 'short of breath and chest pain', extractedData: { location: { country: 'KE' } } })
+    expect(result.urgency).toBe('emergency')
+    expect(result.flags.map(flag => flag.id)).toEqual(['chest-pain', 'shortness-of-breath'])
+    expect(result.emergencyCard.country).toBe('KE')
+  })
+
+  it('checks the extracted symptoms too', () => {
+    const result = assessTriage({ input: 'help', extractedData: { symptoms: [{ name: 'vomiting blood' }] } })
+    expect(result.urgency).toBe('emergency')
+  })
+})
@@ -0,0 +1,152 @@
+// Red-flag rules for the triage engine
+// Every rule is checked against the user's raw message plus the names of the extracted symptoms
+// What we call each red flag and tell the user about it are in the message catalogs (see `@/lib/i18n`),
+// as "triage.<id>.label" and "triage.<id>.advice"
+//
+//   id        stable identifier, returned in the triage result
+//   urgency   "emergency" stops the pipeline before any advice is generated, "urgent" doesn't
+//   any       the rule fires if ANY of these patterns matches...
+//   all       ...and ALL of these match too (optional)
+//   when      extra check on the extracted record, e.g. the age (optional)
+//   crisis    show the crisis line instead of only the emergency number (optional)
+//
+// Patterns run on lowercased text, and every rule has them in English, French, Spanish and Swahili.
+// A match is ignored when a negation comes shortly before it in the same clause ("no chest pain"),
+// or when the clause is about the past or someone else ("my dad had a heart attack last year"), see `./index`
+
+export const URGENCY_LEVELS = ['routine', 'urgent', 'emergency']
+
+export const triageRules = [
+  {
+    id: 'chest-pain',
+    urgency: 'emergency',
+    any: [
+      /chest (pain|tightness|pressure)/, /pain in (my |the )?chest/, /crushing (pain|feeling)/, /heart attack/,
+      /douleurs? (à|dans|au niveau de) la poitrine/, /douleurs? thoraciques?/, /oppression (dans la |à la )?poitrine/, /crise cardiaque|infarctus/,
+      /dolor (en el|de|del) pecho/, /dolor tor[aá]cico/, /opresi[oó]n en el pecho/, /ataque (al coraz[oó]n|card[ií]aco)|infarto/,
+      /maumivu (ya |makali ya )?kifua|maumivu kifuani|kifua kinauma/, /mshtuko wa moyo/,
+    ],
+  },
+  {
+    id: 'stroke',
+    urgency: 'emergency',
+    any: [
+      /face (is )?(drooping|droops|droopy)/,
+      /droop\w* (face|mouth|smile)/,
+      /slurred speech|slurring/,
+      /(sudden )?(weakness|numbness) (on|in|down) one side/,
+      /one side of (my|the|his|her) (body|face) (is )?(numb|weak)/,
+      /can'?t (speak|talk) properly/,
+      /sudden (confusion|vision loss|loss of vision)/,
+      /\bstroke\b/,
+      /visage (qui )?(s'affaisse|tombe|paralysé)|bouche (tordue|de travers)/, /\bavc\b|accident vasculaire/, /bafouill\w*|du mal à parler|n'arrive plus à parler/,
+      /(faiblesse|engourdissement) d'un (seul )?côté/, /confusion soudaine|perte de (la )?vue soudaine/,
+      /cara (ca[ií]da|torcida)|boca torcida/, /derrame cerebral|\bictus\b|\bacv\b/, /habla arrastrada|arrastra las palabras|no puede hablar bien/,
+      /(debilidad|entumecimiento) (de|en) un (solo )?lado/, /confusi[oó]n repentina|p[eé]rdida (repentina )?de (la )?visi[oó]n/,
+      /kiharusi/, /uso (umelegea|umepinda)|mdomo umepinda/, /(hawezi|siwezi|anashindwa|nashindwa) kuongea vizuri/, /(udhaifu|ganzi) upande mmoja/,
+    ],
+  },
+  {
+    id: 'gi-bleeding',
+    urgency: 'emergency',
+    any: [
+      /(vomit\w*|throw\w* up|puk\w*) (up )?blood/,
+      /blood in (my |the )?(vomit|stool|poo|poop)/,
+      /black,? (tarry )?(stool|poo|poop)/,
+      /bloody (stool|diarrh\w*|vomit)/,
+      /haematemesis|hematemesis|melaena|melena/,
+      /vomi\w* du sang/, /(du )?sang dans (les |mes )?(selles|vomissements)/, /selles (noires|sanglantes)/,
+      /vomit\w* sangre/, /sangre en (las |mis |el |mi )?(heces|v[oó]mito|deposiciones|popó)/, /heces (negras|con sangre)/,
+      /tapika damu/, /damu kwenye (kinyesi|matapishi)/, /kinyesi cheusi/,
+    ],
+  },
+  {
+    id: 'suicidal-ideation',
+    urgency: 'emergency',
+    any: [
+      /suicid\w*/,
+      /kill(ing)? my ?self/,
+      /end (my|it all|my own) life/,
+      /end it all/,
+      /(want|wanted|going) to die/,
+      /self[- ]harm/,
+      /hurt(ing)? my ?self/,
+      /no reason to live/,
+      /me tuer|me suicider/, /en finir( avec la vie)?/, /(envie de|veux) mourir/, /me faire du mal|automutil\w*/,
+      /matarme/, /quitarme la vida/, /quiero morir(me)?/, /hacerme daño/, /autolesi\w*/, /no tengo (ninguna )?raz[oó]n para vivir/,
+      /kujiua/, /(nataka|ninataka) kufa/, /kujidhuru/,
+    ],
+    crisis: true,
+  },
+  {
+    id: 'anaphylaxis',
+    urgency: 'emergency',
+    any: [
+      /(throat|tongue|lips?|face|mouth) (is |are |feels? )?(swelling|swollen|closing|tight)/,
+      /swelling of (my |the )?(throat|tongue|lips?|face)/,
+      /anaphyla\w*/,
+      /allergic reaction.*(breath|swell|wheez)/,
+      /(gorge|langue|lèvres?|visage) (qui )?(gonfl\w*|enfl\w*|se ferme)/, /gonflement (de la |des |du )?(gorge|langue|lèvres|visage)/,
+      /anafila\w*/, /(garganta|lengua|labios?|cara) (hinchad[ao]s?|se (me )?est[aá] cerrando)/, /hinchaz[oó]n (de|en) (la |los )?(garganta|lengua|labios|cara)/,
+      /(koo|ulimi|midomo|uso) (la |wa )?\w*vimba/,
+    ],
+  },
+  {
+    id: 'cannot-breathe',
+    urgency: 'emergency',
+    any: [
+      /can'?t breathe/, /cannot breathe/, /struggling to breathe/, /gasping for (air|breath)/, /(lips|face) (are |is |turning )?(blue|grey|gray)/,
+      /n'arrive (pas|plus) à respirer/, /ne (peux|peut) (pas|plus) respirer/, /j'étouffe|suffoqu\w*/, /lèvres (bleues|grises)/,
+      /no (puedo|puede) respirar/, /me (estoy )?ahog\w*|se (est[aá] )?ahog\w*/, /labios (azules|morados)/,
+      /(siwezi|hawezi|nashindwa|anashindwa) kupumua(?! vizuri)/, /midomo (ya )?(bluu|buluu)/,
+    ],
+  },
+  {
+    id: 'heavy-bleeding',
+    urgency: 'emergency',
+    any: [
+      /bleeding (heavily|a lot|badly)/, /bleeding (that )?(won'?t|will not|doesn'?t|does not) stop/, /heavy bleeding/, /(lots|lot) of blood/,
+      /saigne (beaucoup|abondamment)/, /saignement (abondant|important|qui ne s'arrête pas)/, /beaucoup de sang/, /hémorragie/,
+      /sangr\w* (mucho|abundante\w*)/, /sangrado (abundante|que no para)/, /mucha sangre/, /hemorragia/,
+      /damu nyingi/, /kutokwa na damu (nyingi|bila kukoma)/,
+    ],
+  },
+  {
+    id: 'seizure',
+    urgency: 'emergency',
+    any: [
+      /seizure/, /convuls\w*/, /fit(ting)? and (won'?t|can'?t) wake/, /unconscious/, /unresponsive/, /won'?t wake up/,
+      /crise d'[ée]pilepsie|crise convulsive/, /inconscient\w*|perdu connaissance/, /ne se réveille pas/,
+      /ataque epil[eé]ptico/, /inconsciente|perdi[oó] el conocimiento/, /no (se )?despierta/,
+      /degedege|kifafa/, /(amepoteza|alipoteza) fahamu|hajitambui/, /haamki/,
+    ],
+  },
+  {
+    id: 'meningitis-signs',
+    urgency: 'urgent',
+    any: [/stiff neck|neck (is )?stiff/, /nuque raide|raideur (de la |à la )?nuque|cou raide/, /cuello r[ií]gido|rigidez (de|en el) cuello|nuca r[ií]gida/, /shingo (ngumu|imekakamaa)|kukakamaa kwa shingo/],
+    all: [/fever|temperature|hot|fièvre|fiebre|calentura|homa/],
+  },
+  {
+    id: 'shortness-of-breath',
+    urgency: 'urgent',
+    any: [
+      /short(ness)? of breath/, /difficulty breathing/, /breathless/, /hard to breathe/,
+      /essouffl\w*|souffle court/, /(du mal|de la difficulté|des difficultés) à respirer/,
+      /falta de aire|me falta el aire/, /dificultad (para|al) respirar/, /sin aliento/,
+      /upungufu wa pumzi|pumzi fupi/, /kupumua kwa shida|(nashindwa|anashindwa) kupumua vizuri/,
+    ],
+  },
+  {
+    id: 'pregnancy-bleeding',
+    urgency: 'urgent',
+    any: [/pregnan\w*/, /enceinte|grossesse/, /embarazad\w*|embarazo/, /mjamzito|ujauzito|mimba/],
+    all: [/bleed\w*|spotting|saign\w*|pertes de sang|sangr\w*|manchado|damu/],
+  },
+  {
+    id: 'infant-fever',
+    urgency: 'urgent',
+    any: [/fever|high temperature/, /fièvre/, /fiebre|calentura/, /\bhoma\b/],
+    when: ({ age }) => age?.max !== null && age?.max !== undefined && age.max < 1,
+  },
+]
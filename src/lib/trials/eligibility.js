@@ -0,0 +1,119 @@
+// Pre-screens a normalized trial against what we know about the user
+// This is deliberately conservative: anything we can't check becomes "unknown", never a pass,
+// and only a clear mismatch (age, sex, an exclusion criterion) makes a trial ineligible
+//
+// assessEligibility(trial, person) -> { label, reasons: [{ result: 'pass' | 'fail' | 'unknown', key, values }] }
+// where `person` is an extracted record ({ age, conditions, symptoms }), optionally with a `sex`
+// Labels and reasons are message catalog keys ("eligibility.*", see `@/lib/i18n`), `describeReason` words a reason
+
+const LABEL_ORDER = ['likely-eligible', 'possibly', 'ineligible']
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+function mentions(text, term) {
+  return new RegExp(`\\b${escapeRegExp(term.toLowerCase())}\\b`).test(text.toLowerCase())
+}
+
+function formatYears(years, t) {
+  return years < 1 ? t('eligibility.months', { months: Math.round(years * 12) }) : `${Math.round(years)}`
+}
+
+// A reason in the user's language, `t` is the one from `useLanguage`
+export function describeReason({ key, values = {} }, t) {
+  if (!key.startsWith('age.') || key === 'age.noLimits') return t(`eligibility.${key}`, values)
+  const min = formatYears(values.minimumAge ?? 0, t)
+  const ages = values.maximumAge !== null
+    ? t('eligibility.ages.range', { min, max: formatYears(values.maximumAge, t) })
+    : t('eligibility.ages.from', { min })
+  return t(`eligibility.${key}`, { ages })
+}
+
+function checkAge({ minimumAge, maximumAge }, age) {
+  if (minimumAge === null && maximumAge === null) {
+    return { result: 'pass', key: 'age.noLimits' }
+  }
+  const values = { minimumAge, maximumAge }
+  if (!age || (age.min === null && age.max === null)) {
+    return { result: 'unknown', key: 'age.unknown', values }
+  }
+
+  const low = age.min ?? age.max
+  const high = age.max ?? age.min
+  const tooYoung = minimumAge !== null && high < minimumAge
+  const tooOld = maximumAge !== null && low > maximumAge
+  if (tooYoung || tooOld) {
+    return { result: 'fail', key: 'age.outside', values }
+  }
+
+  const fullyInside = (minimumAge === null || low >= minimumAge) && (maximumAge === null || high <= maximumAge)
+  return fullyInside
+    ? { result: 'pass', key: 'age.fits', values }
+    : { result: 'unknown', key: 'age.partly', values }
+}
+
+function checkSex(trialSex, sex) {
+  if (!trialSex || trialSex === 'ALL') return null
+  const who = trialSex === 'FEMALE' ? 'Women' : 'Men'
+  if (!sex) return { result: 'unknown', key: `sex.only${who}` }
+  return sex === trialSex
+    ? { result: 'pass', key: `sex.open${who}` }
+    : { result: 'fail', key: `sex.only${who}` }
+}
+
+function checkConditions(trial, terms) {
+  if (terms.length === 0) {
+    return trial.eligibility.healthyVolunteers
+      ? { result: 'pass', key: 'healthyVolunteers' }
+      : { result: 'unknown', key: 'noTerms' }
+  }
+
+  const studied = [...trial.conditions, trial.title, ...trial.eligibility.inclusion].join('\n')
+  const matched = terms.filter(term => mentions(studied, term))
+  return matched.length > 0
+    ? { result: 'pass', key: 'studies', values: { conditions: matched.join(', ') } }
+    : { result: 'unknown', key: 'notMentioned' }
+}
+
+// Only pre-existing conditions are checked against exclusions: a symptom like "fever" appears in too many
+// exclusion lists in passing ("fever in the last 48 hours") to be a reliable signal
+function checkExclusions(trial, conditions) {
+  return trial.eligibility.exclusion.flatMap(criterion => conditions
+    .filter(condition => mentions(criterion, condition))
+    .map(condition => ({
+      result: 'fail',
+      key: 'excludes',
+      values: { condition, criterion: criterion.length > 120 ? `${criterion.slice(0, 117)}...` : criterion },
+    })))
+}
+
+export function assessEligibility(trial, { age = null, sex = null, conditions = [], codedConditions = [], symptoms = [] } = {}) {
+  // The user's own words and, when we know it, the standard term, since trials are written with the latter
+  const standardTerms = [...codedConditions, ...symptoms].map(({ concept }) => concept?.term).filter(Boolean)
+  const terms = [...new Set([...conditions, ...symptoms.map(symptom => symptom.name), ...standardTerms])]
+
+  const reasons = [
+    checkAge(trial.eligibility, age),
+    checkSex(trial.eligibility.sex, sex),
+    checkConditions(trial, terms),
+    ...checkExclusions(trial, conditions),
+  ].filter(Boolean)
+
+  let label = 'possibly'
+  if (reasons.some(reason => reason.result === 'fail')) {
+    label = 'ineligible'
+  } else if (reasons.every(reason => reason.result === 'pass')) {
+    label = 'likely-eligible'
+  }
+
+  return { label, reasons }
+}
+
+// Adds an `eligibility.match` to every trial and sorts them likely-eligible first
+// The sort is stable, so trials with the same label keep the registry's relevance order
+export function rankTrials(trials, person) {
+  return trials
+    .map(trial => ({ ...trial, eligibility: { ...trial.eligibility, match: assessEligibility(trial, person) } }))
+    .sort((a, b) => LABEL_ORDER.indexOf(a.eligibility.match.label) - LABEL_ORDER.indexOf(b.eligibility.match.label))
+}
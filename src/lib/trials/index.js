@@ -0,0 +1,150 @@
+import { normalizeStudy } from './normalize'
+import { rankTrials } from './eligibility'
+import { DEFAULT_PAGE_SIZE, DEFAULT_STATUSES } from './query'
+import { resolveLocation } from '@/lib/geo'
+import { standardTerm } from '@/lib/terminology'
+import { createLogger } from '@/lib/logger'
+import { createCache, secondsFromEnv } from '@/lib/cache'
+import { createUpstream, responseError } from '@/lib/upstream'
+
+const logger = createLogger('trials')
+
+const API_URL = 'https://clinicaltrials.gov/api/v2/studies'
+
+// How far from the user's place we look, by how precisely we could place them (see `@/lib/geo`)
+// A country is only searched by name: its coordinates are the capital's, which says little about where the user is
+const SEARCH_RADIUS_KM = { city: 100, region: 500 }
+
+// Time limit, retries and circuit breaker for the registry (see `@/lib/upstream`)
+// TRIALS_TIMEOUT_MS is the limit per attempt (default 15 seconds)
+const registry = createUpstream('clinicaltrials.gov', {
+  timeoutMs: Math.max(1, parseInt(process.env.TRIALS_TIMEOUT_MS) || 15000),
+  retries: 2,
+})
+
+// Eligibility filters use the registry's search expression syntax (AREA[...])
+// A trial without a minimum or maximum age has no limit on that side, so MISSING counts as a match
+function buildAdvancedFilter({ age, sex, phase }) {
+  const clauses = []
+
+  if (age?.max !== null && age?.max !== undefined) {
+    clauses.push(`(AREA[MinimumAge]MISSING OR AREA[MinimumAge]RANGE[MIN, ${age.max} years])`)
+  }
+  if (age?.min !== null && age?.min !== undefined) {
+    clauses.push(`(AREA[MaximumAge]MISSING OR AREA[MaximumAge]RANGE[${age.min} years, MAX])`)
+  }
+  if (sex) {
+    clauses.push(`AREA[Sex](ALL OR ${sex})`)
+  }
+  if (phase?.length > 0) {
+    clauses.push(`AREA[Phase](${phase.join(' OR ')})`)
+  }
+
+  return clauses.join(' AND ')
+}
+
+// Construct the URL for the Clinical Trials API, including our search parameters
+export function buildTrialsUrl(query) {
+  const params = new URLSearchParams({ format: 'json', countTotal: 'true' })
+
+  if (query.conditions?.length > 0) params.set('query.cond', query.conditions.join(' OR '))
+  if (query.country) params.set('query.locn', query.country)
+  if (query.lat !== null && query.lat !== undefined && query.lon !== null && query.lon !== undefined) {
+    params.set('filter.geo', `distance(${query.lat},${query.lon},${query.radius || 100}km)`)
+  }
+  if (query.status?.length > 0) params.set('filter.overallStatus', query.status.join(','))
+
+  const advanced = buildAdvancedFilter(query)
+  if (advanced) params.set('filter.advanced', advanced)
+
+  params.set('pageSize', query.pageSize || DEFAULT_PAGE_SIZE)
+  if (query.pageToken) params.set('pageToken', query.pageToken)
+
+  return `${API_URL}?${params}`
+}
+
+// Trials change slowly, so a search is reused for an hour and, when the registry is slow or down,
+// the last results are still shown for up to a day while we try again in the background
+const trialsCache = createCache('trials', {
+  ttl: secondsFromEnv('TRIALS_CACHE_TTL', 60 * 60),
+  staleTtl: secondsFromEnv('TRIALS_CACHE_STALE', 24 * 60 * 60),
+})
+
+// Two queries that differ only in the order or case of their conditions ask the registry the same thing
+function cacheKey(query) {
+  const conditions = [...new Set(query.conditions.map(condition => condition.trim().toLowerCase()))].sort()
+  return buildTrialsUrl({
+    ...query,
+    conditions,
+    status: [...(query.status || [])].sort(),
+    phase: [...(query.phase || [])].sort(),
+  })
+}
+
+async function fetchTrialsPage(query) {
+  const url = buildTrialsUrl(query)
+  // The URL carries the user's conditions, so only the shape of the query is logged
+  logger.debug('Searching clinical trials', { conditions: query.conditions, country: query.country ?? null, page: query.pageToken ? 'next' : 'first' })
+
+  // Fetch data from the Clinical Trials API
+  // Not tied to any one request (see `searchTrials`), so only the registry's own time limit applies
+  const data = await registry.call(async signal => {
+    const response = await fetch(url, { signal })
+    if (!response.ok) throw await responseError('clinicaltrials.gov', response)
+    return response.json()
+  })
+  const hasOrigin = query.lat !== null && query.lat !== undefined && query.lon !== null && query.lon !== undefined
+  const origin = hasOrigin ? { lat: query.lat, lon: query.lon } : undefined
+
+  return {
+    trials: (data.studies || []).map(study => normalizeStudy(study, { origin })),
+    nextPageToken: data.nextPageToken || null,
+    totalCount: data.totalCount ?? null,
+  }
+}
+
+// Runs one page of a trial search, from the cache when we've run it recently
+// Returns { trials, nextPageToken, totalCount }, with every trial normalized (see ./normalize)
+// `signal` only stops this caller waiting: the request to the registry carries on and fills the cache,
+// since other messages may be waiting for the same search
+export async function searchTrials(query, { signal } = {}) {
+  return trialsCache.getOrLoad(cacheKey(query), () => fetchTrialsPage(query), { signal })
+}
+
+// The search we run for an extracted record: its symptoms and conditions, in its country and near its city
+// or state when we know them, open to someone of its age, still recruiting
+// Symptoms and conditions are searched by their standard term when we know it (see `@/lib/terminology`):
+// the registry knows "Abdominal pain", not "stomach hurts"
+export function trialQueryFromExtraction({ symptoms = [], conditions = [], codedConditions, location, geo, age }) {
+  // The registry searches by country name, we leave it out when we couldn't place the user
+  const place = geo === undefined ? resolveLocation(location) : geo
+  const country = place?.countryName || null
+  const radius = (place && SEARCH_RADIUS_KM[place.precision]) || null
+  const terms = [
+    ...symptoms.map(symptom => standardTerm(symptom.name, symptom.concept)),
+    ...(codedConditions || conditions.map(text => ({ text }))).map(({ text, concept }) => standardTerm(text, concept)),
+  ]
+
+  return {
+    conditions: [...new Map(terms.map(term => [term.toLowerCase(), term])).values()],
+    country,
+    lat: radius ? place.lat : null,
+    lon: radius ? place.lon : null,
+    radius,
+    status: DEFAULT_STATUSES,
+    phase: [],
+    age: age || null,
+    sex: null,
+    pageSize: DEFAULT_PAGE_SIZE,
+    pageToken: null,
+  }
+}
+
+// This function fetches relevant clinical trials for the extracted record, pre-screened against it
+// and ranked by how likely the user is to be eligible (see ./eligibility)
+// It also returns the query it ran, so the client can change filters or fetch the next page from /api/trials
+export async function fetchClinicalTrials(extractedData, { signal } = {}) {
+  const query = trialQueryFromExtraction(extractedData)
+  const { trials, ...page } = await searchTrials(query, { signal })
+  return { query, trials: rankTrials(trials, extractedData), ...page }
+}
@@ -0,0 +1,19 @@
+import { describe, it, expect } from 'vitest'
+import { trialQueryFromExtraction } from '.'
+
+describe('trialQueryFromExtraction', () => {
+  it('searches near the city the user is in', () => {
+    const query = trialQueryFromExtraction({ symptoms: [{ name: 'cough' }], location: { text: 'Nairobi' } })
+    expect(query).toMatchObject({ country: 'Kenya', lat: -1.29, lon: 36.82, radius: 100 })
+  })
+
+  it('searches a wider area around a state', () => {
+    const query = trialQueryFromExtraction({ symptoms: [{ name: 'cough' }], location: { text: 'New Mexico' } })
+    expect(query).toMatchObject({ country: 'United States', lat: 35.69, lon: -105.94, radius: 500 })
+  })
+
+  it('searches a whole country by name only', () => {
+    const query = trialQueryFromExtraction({ symptoms: [{ name: 'cough' }], location: { text: 'Kenya' } })
+    expect(query).toMatchObject({ country: 'Kenya', lat: null, lon: null, radius: null })
+  })
+})
@@ -0,0 +1,99 @@
+// Turns a clinicaltrials.gov v2 study into the flat shape the UI and the rest of the server work with
+
+const UNITS_PER_YEAR = { year: 1, month: 12, week: 52, day: 365, hour: 365 * 24, minute: 365 * 24 * 60 }
+
+// "18 Years", "6 Months", "N/A" -> age in years (or null when there is no limit)
+export function parseTrialAge(text) {
+  const match = text?.match(/^\s*(\d+(?:\.\d+)?)\s*(year|month|week|day|hour|minute)s?\b/i)
+  if (!match) return null
+  return parseFloat(match[1]) / UNITS_PER_YEAR[match[2].toLowerCase()]
+}
+
+// Splits free-text eligibility criteria into inclusion and exclusion bullet lists
+export function splitCriteria(text = '') {
+  const criteria = { inclusion: [], exclusion: [] }
+  let section = 'inclusion'
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim()
+    if (!line) continue
+    if (/^exclusion criteria/i.test(line)) {
+      section = 'exclusion'
+      continue
+    }
+    if (/^inclusion criteria/i.test(line)) {
+      section = 'inclusion'
+      continue
+    }
+    criteria[section].push(line.replace(/^([*\-•]|\d+[.)])\s*/, ''))
+  }
+
+  return criteria
+}
+
+// Great-circle distance between two points, in km
+export function distanceKm(from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180
+  const dLat = toRadians(to.lat - from.lat)
+  const dLon = toRadians(to.lon - from.lon)
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLon / 2) ** 2
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
+}
+
+function normalizeContact(contact) {
+  return {
+    name: contact.name || null,
+    role: contact.role || null,
+    phone: contact.phone ? `${contact.phone}${contact.phoneExt ? ` ext. ${contact.phoneExt}` : ''}` : null,
+    email: contact.email || null,
+  }
+}
+
+// `origin` ({ lat, lon }) is optional, when given every site gets a distance and sites are sorted by it
+export function normalizeStudy(study, { origin } = {}) {
+  const protocol = study.protocolSection || {}
+  const identification = protocol.identificationModule || {}
+  const status = protocol.statusModule || {}
+  const eligibility = protocol.eligibilityModule || {}
+  const contactsLocations = protocol.contactsLocationsModule || {}
+
+  const sites = (contactsLocations.locations || []).map(location => ({
+    facility: location.facility || null,
+    city: location.city || null,
+    state: location.state || null,
+    country: location.country || null,
+    status: location.status || null,
+    distanceKm: origin && location.geoPoint ? Math.round(distanceKm(origin, location.geoPoint)) : null,
+    contacts: (location.contacts || []).map(normalizeContact),
+  }))
+  if (origin) {
+    sites.sort((a, b) => (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity))
+  }
+
+  const criteria = splitCriteria(eligibility.eligibilityCriteria)
+
+  return {
+    nctId: identification.nctId,
+    title: identification.briefTitle,
+    officialTitle: identification.officialTitle || null,
+    url: `https://clinicaltrials.gov/study/${identification.nctId}`,
+    status: status.overallStatus || null,
+    phases: protocol.designModule?.phases || [],
+    conditions: protocol.conditionsModule?.conditions || [],
+    summary: protocol.descriptionModule?.briefSummary || null,
+    sponsor: protocol.sponsorCollaboratorsModule?.leadSponsor?.name || null,
+    eligibility: {
+      minimumAge: parseTrialAge(eligibility.minimumAge),
+      maximumAge: parseTrialAge(eligibility.maximumAge),
+      minimumAgeText: eligibility.minimumAge || null,
+      maximumAgeText: eligibility.maximumAge || null,
+      sex: eligibility.sex || 'ALL',
+      healthyVolunteers: Boolean(eligibility.healthyVolunteers),
+      criteria: eligibility.eligibilityCriteria || '',
+      inclusion: criteria.inclusion,
+      exclusion: criteria.exclusion,
+    },
+    contacts: (contactsLocations.centralContacts || []).map(normalizeContact),
+    sites,
+  }
+}
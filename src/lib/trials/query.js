@@ -0,0 +1,80 @@
+// A trial search query, shared by the server (building clinicaltrials.gov requests) and the browser
+// (changing filters and paging through results via /api/trials)
+//
+//   conditions   conditions/symptoms to search for, OR'ed together
+//   country      country name to search in
+//   lat, lon     coordinates for a distance search, with `radius` in km
+//   status       overall recruitment statuses, e.g. ['RECRUITING']
+//   phase        trial phases, e.g. ['PHASE2', 'PHASE3']
+//   age          { min, max } in years, matched against each trial's minimum/maximum age
+//   sex          'FEMALE' or 'MALE', matched against each trial's sex eligibility
+//   pageSize, pageToken
+
+export const TRIAL_STATUSES = {
+  RECRUITING: 'Recruiting',
+  NOT_YET_RECRUITING: 'Not yet recruiting',
+  ENROLLING_BY_INVITATION: 'Enrolling by invitation',
+  ACTIVE_NOT_RECRUITING: 'Active, not recruiting',
+  COMPLETED: 'Completed',
+}
+
+export const TRIAL_PHASES = {
+  EARLY_PHASE1: 'Early phase 1',
+  PHASE1: 'Phase 1',
+  PHASE2: 'Phase 2',
+  PHASE3: 'Phase 3',
+  PHASE4: 'Phase 4',
+}
+
+export const DEFAULT_STATUSES = ['RECRUITING', 'NOT_YET_RECRUITING']
+export const DEFAULT_PAGE_SIZE = 5
+export const MAX_PAGE_SIZE = 50
+
+const LIST_FIELDS = ['conditions', 'status', 'phase']
+const NUMBER_FIELDS = ['lat', 'lon', 'radius', 'pageSize']
+
+// Serializes a query into URL parameters for /api/trials
+export function toSearchParams(query) {
+  const params = new URLSearchParams()
+  for (const [key, value] of Object.entries(query)) {
+    if (value === null || value === undefined || value === '') continue
+    if (key === 'age') {
+      if (value.min !== null && value.min !== undefined) params.set('ageMin', value.min)
+      if (value.max !== null && value.max !== undefined) params.set('ageMax', value.max)
+    } else if (Array.isArray(value)) {
+      if (value.length > 0) params.set(key, value.join(','))
+    } else {
+      params.set(key, value)
+    }
+  }
+  return params
+}
+
+// Reads a query back from URL parameters, dropping anything we don't know about
+export function fromSearchParams(params) {
+  const query = {}
+
+  for (const key of LIST_FIELDS) {
+    query[key] = params.get(key) ? params.get(key).split(',').map(value => value.trim()).filter(Boolean) : []
+  }
+  query.status = query.status.filter(status => status in TRIAL_STATUSES)
+  query.phase = query.phase.filter(phase => phase in TRIAL_PHASES)
+
+  for (const key of NUMBER_FIELDS) {
+    const value = parseFloat(params.get(key))
+    query[key] = Number.isFinite(value) ? value : null
+  }
+  query.pageSize = Math.min(Math.max(1, Math.round(query.pageSize || DEFAULT_PAGE_SIZE)), MAX_PAGE_SIZE)
+
+  const ageMin = parseInt(params.get('ageMin'))
+  const ageMax = parseInt(params.get('ageMax'))
+  query.age = Number.isFinite(ageMin) || Number.isFinite(ageMax)
+    ? { min: Number.isFinite(ageMin) ? ageMin : null, max: Number.isFinite(ageMax) ? ageMax : null }
+    : null
+
+  query.sex = ['FEMALE', 'MALE'].includes(params.get('sex')) ? params.get('sex') : null
+  query.country = params.get('country') || null
+  query.pageToken = params.get('pageToken') || null
+
+  return query
+}
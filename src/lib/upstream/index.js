@@ -0,0 +1,151 @@
+// Calls to services we don't control (the language models, clinicaltrials.gov) all go through here:
+//   const registry = createUpstream('clinicaltrials.gov', { timeoutMs: 15000, retries: 2 })
+//   const response = await registry.call(signal => fetch(url, { signal }), { signal: request.signal })
+// Every call gets
+//   -> a time limit per attempt, after which that attempt is aborted
+//   -> retries with jittered exponential backoff, for timeouts, network errors, 429 and 5xx only
+//   -> a circuit breaker: after `failureThreshold` failed attempts in a row we stop calling for `cooldownMs`,
+//      then let a single call through to find out whether the service is back
+// Failures come out as an UpstreamError, except when the caller aborted, which stays an AbortError
+
+export class UpstreamError extends Error {
+  // `code` is "timeout", "circuit_open" or "failed", `status` the HTTP status when there was one
+  constructor(service, message, { code = 'failed', status = null, cause } = {}) {
+    super(`${service}: ${message}`, { cause })
+    this.name = 'UpstreamError'
+    this.service = service
+    this.code = code
+    this.status = status
+  }
+
+  // Whether asking again later could work, used by the client to offer a retry
+  get retryable() {
+    if (this.code === 'timeout' || this.code === 'circuit_open') return true
+    return this.status === null || this.status === 429 || this.status >= 500
+  }
+}
+
+// For services called with fetch: turns a response that isn't ok into an UpstreamError
+export async function responseError(service, response) {
+  const body = await response.text().catch(() => '')
+  return new UpstreamError(service, `HTTP ${response.status} ${body.slice(0, 200)}`.trim(), { status: response.status })
+}
+
+// Errors thrown by SDKs keep the HTTP status in different places
+function statusOf(error) {
+  const status = error?.status ?? error?.statusCode ?? error?.response?.status
+  return Number.isInteger(status) ? status : null
+}
+
+function toUpstreamError(service, error) {
+  if (error instanceof UpstreamError) return error
+  return new UpstreamError(service, error?.message || String(error), { status: statusOf(error), cause: error })
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(signal.reason)
+    }
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+export function createUpstream(service, {
+  timeoutMs = 15000,
+  retries = 2,
+  baseDelayMs = 300,
+  maxDelayMs = 5000,
+  failureThreshold = 5,
+  cooldownMs = 30000,
+} = {}) {
+  let consecutiveFailures = 0
+  let openUntil = 0
+  let probing = false
+
+  // Closed: calls go through. Open: they fail straight away. Half-open: one probe goes through
+  function admit() {
+    if (consecutiveFailures < failureThreshold) return false
+    if (Date.now() < openUntil || probing) {
+      throw new UpstreamError(service, 'temporarily unavailable after repeated failures', { code: 'circuit_open' })
+    }
+    probing = true
+    return true
+  }
+
+  function record(succeeded) {
+    if (succeeded) {
+      consecutiveFailures = 0
+    } else if (++consecutiveFailures >= failureThreshold) {
+      openUntil = Date.now() + cooldownMs
+    }
+  }
+
+  // One try of `task`, aborted after `timeoutMs` or when the caller aborts
+  async function attempt(task, signal) {
+    const controller = new AbortController()
+    const timer = setTimeout(
+      () => controller.abort(new UpstreamError(service, `no answer after ${timeoutMs} ms`, { code: 'timeout' })),
+      timeoutMs
+    )
+    const attemptSignal = signal ? AbortSignal.any([signal, controller.signal]) : controller.signal
+
+    // Not every SDK stops when its signal is aborted, so we stop waiting for it ourselves
+    const pending = Promise.resolve().then(() => task(attemptSignal))
+    pending.catch(() => {})
+    const aborted = new Promise((resolve, reject) => {
+      attemptSignal.addEventListener('abort', () => reject(attemptSignal.reason), { once: true })
+    })
+    aborted.catch(() => {})
+
+    try {
+      return await Promise.race([pending, aborted])
+    } catch (error) {
+      // Whatever the task threw after our timer fired is just the consequence of the abort
+      if (controller.signal.aborted && !signal?.aborted) throw controller.signal.reason
+      // Leave anything the attempt started (a half-read stream, ...) behind for good
+      controller.abort()
+      throw error
+    } finally {
+      clearTimeout(timer)
+    }
+  }
+
+  async function call(task, { signal } = {}) {
+    for (let attemptNumber = 0; ; attemptNumber++) {
+      const isProbe = admit()
+      try {
+        const result = await attempt(task, signal)
+        record(true)
+        return result
+      } catch (error) {
+        if (signal?.aborted) throw error
+
+        // A request the service rejected (400, 401...) still means the service is up
+        const upstreamError = toUpstreamError(service, error)
+        record(!upstreamError.retryable)
+        if (!upstreamError.retryable || attemptNumber >= retries || isProbe) throw upstreamError
+
+        const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attemptNumber)
+        await sleep(Math.random() * backoff, signal)
+      } finally {
+        if (isProbe) probing = false
+      }
+    }
+  }
+
+  return {
+    call,
+    // For logs and health checks
+    state: () => ({
+      service,
+      circuit: consecutiveFailures < failureThreshold ? 'closed' : Date.now() < openUntil ? 'open' : 'half-open',
+      consecutiveFailures,
+    }),
+  }
+}
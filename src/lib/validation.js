@@ -0,0 +1,134 @@
+// A small validator for the subset of JSON Schema we actually use
+// Supported keywords: type (incl. "integer", "null" and arrays of types), enum, const,
+// properties, required, additionalProperties, items, minItems, maxItems,
+// minimum, maximum, minLength, maxLength, pattern, anyOf, oneOf, $ref (local "#/..." only)
+//
+// validate(schema, value) returns { valid, errors } where every error is { path, message }
+// and path looks like "symptoms[0].severity" so it can be shown to a model or a person as-is
+
+function typeOf(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer'
+  return typeof value
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value)
+  if (type === 'number') return actual === 'number' || actual === 'integer'
+  return actual === type
+}
+
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`
+  return path ? `${path}.${key}` : key
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Only local $ref values are supported, got "${ref}"`)
+  }
+  const target = ref.slice(2).split('/').reduce((node, part) => node?.[part.replace(/~1/g, '/').replace(/~0/g, '~')], root)
+  if (!target) {
+    throw new Error(`Unresolvable $ref "${ref}"`)
+  }
+  return target
+}
+
+function check(schema, value, path, root, errors) {
+  if (schema === true || schema === undefined) return
+  if (schema === false) {
+    errors.push({ path, message: 'is not allowed' })
+    return
+  }
+
+  if (schema.$ref) {
+    check(resolveRef(root, schema.$ref), value, path, root, errors)
+    return
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path, message: `must be ${types.join(' or ')}, got ${typeOf(value)}` })
+      return
+    }
+  }
+
+  if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+    errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` })
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push({ path, message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` })
+  }
+
+  if (schema.anyOf && !schema.anyOf.some(option => validate(option, value, root).valid)) {
+    errors.push({ path, message: 'does not match any of the allowed shapes' })
+  }
+
+  if (schema.oneOf && schema.oneOf.filter(option => validate(option, value, root).valid).length !== 1) {
+    errors.push({ path, message: 'must match exactly one of the allowed shapes' })
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` })
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` })
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} characters` })
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` })
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match ${schema.pattern}` })
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} items` })
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` })
+    }
+    if (schema.items) {
+      value.forEach((item, index) => check(schema.items, item, joinPath(path, index), root, errors))
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: joinPath(path, key), message: 'is required' })
+      }
+    }
+
+    const properties = schema.properties || {}
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (key in properties) {
+        check(properties[key], propertyValue, joinPath(path, key), root, errors)
+      } else if (schema.additionalProperties !== undefined) {
+        check(schema.additionalProperties, propertyValue, joinPath(path, key), root, errors)
+      }
+    }
+  }
+}
+
+export function validate(schema, value, root = schema) {
+  const errors = []
+  check(schema, value, '', root, errors)
+  return { valid: errors.length === 0, errors }
+}
+
+// Turns a list of errors into one line per error, e.g. "symptoms[0].severity must be one of ..."
+export function formatErrors(errors) {
+  return errors.map(({ path, message }) => `${path || 'value'} ${message}`).join('\n')
+}
@@ -0,0 +1,97 @@
+import { createCipheriv, createDecipheriv, randomBytes } from 'crypto'
+import { getStore } from '@/lib/storage'
+import { createLogger } from '@/lib/logger'
+
+// Encryption at rest for what signed-in users keep with us, with one key per user:
+//   every user gets a random data key, which is only ever stored wrapped (encrypted) with the server's master key,
+//   and their records are sealed with their own data key as { v: 1, iv, tag, data } (AES-256-GCM, base64)
+// A sealed record is bound to a context (the session id, ...) so it can't be passed off as another record
+// Throwing a user's data key away makes anything of theirs we missed (a backup, a stray file) unreadable
+//
+// DATA_ENCRYPTION_KEY is the master key, 32 bytes as base64 or hex, and is required in production
+// In development a key is generated once and kept in the storage next to the data it protects,
+// which protects nothing but lets the whole flow run without setup
+
+const logger = createLogger('vault')
+
+const ALGORITHM = 'aes-256-gcm'
+const KEY_BYTES = 32
+const IV_BYTES = 12
+
+export class VaultError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'VaultError'
+  }
+}
+
+function parseKey(text) {
+  const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64')
+  if (key.length !== KEY_BYTES) {
+    throw new VaultError(`DATA_ENCRYPTION_KEY must be ${KEY_BYTES} bytes, as base64 or hex`)
+  }
+  return key
+}
+
+let masterKey = null
+
+async function getMasterKey() {
+  if (masterKey) return masterKey
+
+  if (process.env.DATA_ENCRYPTION_KEY) {
+    masterKey = parseKey(process.env.DATA_ENCRYPTION_KEY)
+  } else if (process.env.NODE_ENV === 'production') {
+    throw new VaultError('DATA_ENCRYPTION_KEY must be set in production')
+  } else {
+    const keys = getStore('keys')
+    let stored = await keys.get('development-master-key')
+    if (!stored) {
+      logger.warn('DATA_ENCRYPTION_KEY is not set, using a generated development key kept with the data')
+      stored = { key: randomBytes(KEY_BYTES).toString('base64') }
+      await keys.set('development-master-key', stored)
+    }
+    masterKey = parseKey(stored.key)
+  }
+  return masterKey
+}
+
+function seal(key, plaintext, context) {
+  const iv = randomBytes(IV_BYTES)
+  const cipher = createCipheriv(ALGORITHM, key, iv)
+  cipher.setAAD(Buffer.from(context))
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()])
+  return { v: 1, iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') }
+}
+
+function open(key, envelope, context) {
+  if (envelope?.v !== 1) {
+    throw new VaultError('Unknown encrypted record format')
+  }
+  try {
+    const decipher = createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, 'base64'))
+    decipher.setAAD(Buffer.from(context))
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'))
+    return Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()])
+  } catch {
+    // Wrong key, wrong context or a record that was changed, GCM can't tell which
+    throw new VaultError('Encrypted record could not be opened')
+  }
+}
+
+// A new data key for the user `ownerId`, as stored (wrapped) and ready to use
+export async function createDataKey(ownerId) {
+  const key = randomBytes(KEY_BYTES)
+  return { key, wrappedKey: seal(await getMasterKey(), key, `data-key:${ownerId}`) }
+}
+
+export async function unwrapDataKey(ownerId, wrappedKey) {
+  return open(await getMasterKey(), wrappedKey, `data-key:${ownerId}`)
+}
+
+export function sealJson(key, value, context) {
+  return seal(key, Buffer.from(JSON.stringify(value)), context)
+}
+
+export function openJson(key, envelope, context) {
+  return JSON.parse(open(key, envelope, context).toString('utf8'))
+}
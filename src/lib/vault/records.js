@@ -0,0 +1,28 @@
+import { getUserDataKey } from '@/lib/auth'
+import { sealJson, openJson } from '.'
+
+// Records that belong to a signed-in user (their health profile, their symptom diary) are stored sealed
+// with the user's own key, as { userId, updatedAt, sealed }, and anonymous ones as they are
+// `context` names the record ("profile:<id>"), so one can't be passed off as another
+// Sessions do the same with a layout of their own, see `@/lib/sessions`
+
+// { userId, value } for a stored record, `userId` being null for anonymous ones
+// Null when there is nothing, or nothing that can be opened anymore because its user deleted their account
+export async function openRecord(stored, context) {
+  if (!stored?.sealed) return stored && { userId: null, value: stored }
+
+  const key = await getUserDataKey(stored.userId)
+  if (!key) return null
+  return { userId: stored.userId, value: openJson(key, stored.sealed, context) }
+}
+
+// What to store for `value`: sealed for `userId`, or as it is when nobody is signed in
+export async function sealRecord(userId, value, context) {
+  if (!userId) return value
+
+  const key = await getUserDataKey(userId)
+  if (!key) {
+    throw new Error(`User ${userId} does not exist`)
+  }
+  return { userId, updatedAt: new Date().toISOString(), sealed: sealJson(key, value, context) }
+}
@@ -0,0 +1,15 @@
+import { fileURLToPath } from 'url'
+import { defineConfig } from 'vitest/config'
+
+// Unit tests for the server-side logic (rules, extraction, trends...), next to the code they cover as *.test.js
+// They run against the offline mock model and in-memory storage, nothing leaves the machine
+export default defineConfig({
+  resolve: {
+    alias: { '@': fileURLToPath(new URL('./src', import.meta.url)) },
+  },
+  test: {
+    include: ['src/**/*.test.js'],
+    environment: 'node',
+    env: { LLM_PROVIDER: 'mock', STORAGE_ADAPTER: 'memory', CACHE_ADAPTER: 'memory', TRANSCRIPTION_ADAPTER: 'none' },
+  },
+})